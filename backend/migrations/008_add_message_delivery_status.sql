@@ -0,0 +1,15 @@
+-- Track delivery of outbound messages to Meta platforms
+ALTER TABLE messages
+    ADD COLUMN status VARCHAR(20) CHECK (status IN ('sending', 'sent', 'failed')),
+    ADD COLUMN sent_at TIMESTAMP,
+    ADD COLUMN error_code VARCHAR(100),
+    ADD COLUMN error_message TEXT;
+
+-- Create indexes for performance
+CREATE INDEX idx_messages_status ON messages(status) WHERE status IS NOT NULL;
+
+-- Add comments for documentation
+COMMENT ON COLUMN messages.status IS 'Outbound delivery status: sending, sent, or failed (NULL for inbound messages)';
+COMMENT ON COLUMN messages.sent_at IS 'Timestamp when the platform accepted the outbound message';
+COMMENT ON COLUMN messages.error_code IS 'Platform or application error code of the last failed delivery attempt';
+COMMENT ON COLUMN messages.error_message IS 'Human readable reason of the last failed delivery attempt';
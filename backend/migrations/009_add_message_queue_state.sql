@@ -0,0 +1,12 @@
+-- Track queued delivery attempts of outbound messages
+ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_status_check;
+
+ALTER TABLE messages
+    ADD CONSTRAINT messages_status_check CHECK (status IN ('queued', 'sending', 'sent', 'failed')),
+    ADD COLUMN delivery_attempts INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN next_attempt_at TIMESTAMP;
+
+-- Add comments for documentation
+COMMENT ON COLUMN messages.status IS 'Outbound delivery status: queued, sending, sent, or failed (NULL for inbound messages)';
+COMMENT ON COLUMN messages.delivery_attempts IS 'Number of attempts made to deliver the outbound message';
+COMMENT ON COLUMN messages.next_attempt_at IS 'Timestamp of the next scheduled retry while the message waits in the delayed queue';
@@ -0,0 +1,29 @@
+-- Allow delivery and read receipts reported by Meta platforms
+ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_status_check;
+
+ALTER TABLE messages
+    ADD CONSTRAINT messages_status_check CHECK (status IN ('queued', 'sending', 'sent', 'delivered', 'read', 'failed'));
+
+-- Receipts can arrive before the send that returned the platform message ID is recorded
+CREATE TABLE pending_message_receipts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    platform_message_id VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('delivered', 'read', 'failed')),
+    error_code VARCHAR(100),
+    error_message TEXT,
+    occurred_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for performance
+CREATE INDEX idx_messages_chat_sent_at ON messages(chat_id, sent_at) WHERE direction = 'outbound';
+CREATE INDEX idx_pending_message_receipts_message ON pending_message_receipts(tenant_id, platform_message_id);
+CREATE INDEX idx_pending_message_receipts_created_at ON pending_message_receipts(created_at);
+
+-- Add comments for documentation
+COMMENT ON COLUMN messages.status IS 'Outbound delivery status: queued, sending, sent, delivered, read, or failed (NULL for inbound messages)';
+COMMENT ON COLUMN messages.delivered_at IS 'Timestamp when the platform reported the message as delivered to the customer';
+COMMENT ON COLUMN messages.read_at IS 'Timestamp when the platform reported the message as read by the customer';
+COMMENT ON TABLE pending_message_receipts IS 'Receipts for platform message IDs not recorded yet, applied once the send is recorded';
+COMMENT ON COLUMN pending_message_receipts.occurred_at IS 'When the platform reported the receipt';
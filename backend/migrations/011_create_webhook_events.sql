@@ -0,0 +1,41 @@
+-- Create webhook_events table as a durable log of raw Meta webhook payloads
+CREATE TABLE webhook_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    object VARCHAR(50),
+    account_ids TEXT[] NOT NULL DEFAULT '{}',
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'processed', 'failed', 'rejected')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    error_message TEXT,
+    rejection_reason VARCHAR(100),
+    source_ip VARCHAR(45),
+    next_attempt_at TIMESTAMP,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    processed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for performance
+CREATE INDEX idx_webhook_events_status_received ON webhook_events(status, received_at);
+CREATE INDEX idx_webhook_events_account_ids ON webhook_events USING GIN(account_ids);
+CREATE INDEX idx_webhook_events_received_at ON webhook_events(received_at DESC);
+
+-- Create trigger to update updated_at timestamp
+CREATE TRIGGER update_webhook_events_updated_at 
+    BEFORE UPDATE ON webhook_events 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments for documentation
+COMMENT ON TABLE webhook_events IS 'Raw webhook payloads received from Meta, stored before processing';
+COMMENT ON COLUMN webhook_events.object IS 'Webhook object type (page, instagram, whatsapp_business_account)';
+COMMENT ON COLUMN webhook_events.account_ids IS 'Page, Instagram or WhatsApp phone number IDs the payload refers to, used for tenant scoping (empty for rejected webhooks)';
+COMMENT ON COLUMN webhook_events.payload IS 'Raw webhook request body';
+COMMENT ON COLUMN webhook_events.status IS 'Processing status: pending, processing, processed, failed, or rejected';
+COMMENT ON COLUMN webhook_events.attempts IS 'Number of times the worker picked up the event';
+COMMENT ON COLUMN webhook_events.error_message IS 'Error of the last failed processing attempt';
+COMMENT ON COLUMN webhook_events.rejection_reason IS 'Why the webhook was rejected before processing (e.g. invalid_signature)';
+COMMENT ON COLUMN webhook_events.source_ip IS 'IP address the rejected webhook was sent from';
+COMMENT ON COLUMN webhook_events.next_attempt_at IS 'When a pending event that failed earlier is picked up again, NULL for new events';
+COMMENT ON COLUMN webhook_events.processed_at IS 'Timestamp when processing last completed successfully';
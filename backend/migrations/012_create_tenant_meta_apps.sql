@@ -0,0 +1,34 @@
+-- Create tenant_meta_apps table for tenants that bring their own Meta app
+CREATE TABLE tenant_meta_apps (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    app_id VARCHAR(255) NOT NULL,
+    name VARCHAR(255),
+    encrypted_app_secret TEXT NOT NULL,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(tenant_id, app_id)
+);
+
+-- Create indexes for performance
+CREATE INDEX idx_tenant_meta_apps_tenant_id ON tenant_meta_apps(tenant_id);
+CREATE INDEX idx_tenant_meta_apps_active ON tenant_meta_apps(is_active);
+
+-- Create trigger to update updated_at timestamp
+CREATE TRIGGER update_tenant_meta_apps_updated_at 
+    BEFORE UPDATE ON tenant_meta_apps 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add row-level security (RLS) for tenant isolation
+ALTER TABLE tenant_meta_apps ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policy for tenant isolation
+CREATE POLICY tenant_meta_apps_tenant_isolation ON tenant_meta_apps
+    USING (tenant_id = current_setting('app.current_tenant_id', true)::UUID);
+
+-- Add comments for documentation
+COMMENT ON TABLE tenant_meta_apps IS 'Meta apps owned by tenants, used to verify webhooks signed with their app secret';
+COMMENT ON COLUMN tenant_meta_apps.app_id IS 'Meta app ID';
+COMMENT ON COLUMN tenant_meta_apps.encrypted_app_secret IS 'Encrypted Meta app secret used for webhook signature verification';
@@ -0,0 +1,42 @@
+-- Create media_assets table for files kept in media storage
+CREATE TABLE media_assets (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+    storage_driver VARCHAR(20) NOT NULL,
+    storage_key VARCHAR(500) NOT NULL,
+    thumbnail_key VARCHAR(500),
+    file_name VARCHAR(255),
+    mime_type VARCHAR(100) NOT NULL,
+    size INTEGER NOT NULL,
+    width INTEGER,
+    height INTEGER,
+    platform_media_id VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for performance
+CREATE INDEX idx_media_assets_tenant_id ON media_assets(tenant_id);
+CREATE INDEX idx_media_assets_message_id ON media_assets(message_id) WHERE message_id IS NOT NULL;
+
+-- Create trigger to update updated_at timestamp
+CREATE TRIGGER update_media_assets_updated_at 
+    BEFORE UPDATE ON media_assets 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add row-level security (RLS) for tenant isolation
+ALTER TABLE media_assets ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policy for tenant isolation
+CREATE POLICY media_assets_tenant_isolation ON media_assets
+    USING (tenant_id = current_setting('app.current_tenant_id', true)::UUID);
+
+-- Add comments for documentation
+COMMENT ON TABLE media_assets IS 'Media files stored on local disk or S3-compatible storage';
+COMMENT ON COLUMN media_assets.message_id IS 'Message the media belongs to';
+COMMENT ON COLUMN media_assets.storage_driver IS 'Storage driver the file was written with (local or s3)';
+COMMENT ON COLUMN media_assets.storage_key IS 'Key of the original file in storage';
+COMMENT ON COLUMN media_assets.thumbnail_key IS 'Key of the generated thumbnail for images';
+COMMENT ON COLUMN media_assets.platform_media_id IS 'WhatsApp media ID the file was downloaded from';
@@ -0,0 +1,5 @@
+-- Track agent uploads in media_assets
+ALTER TABLE media_assets ADD COLUMN uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+-- Add comments for documentation
+COMMENT ON COLUMN media_assets.uploaded_by IS 'Agent who uploaded the file, NULL for inbound media';
@@ -0,0 +1,52 @@
+-- Create whatsapp_templates table for message templates synced from WhatsApp Business Accounts
+CREATE TABLE whatsapp_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    social_connection_id UUID NOT NULL REFERENCES social_connections(id) ON DELETE CASCADE,
+    business_account_id VARCHAR(255) NOT NULL,
+    template_id VARCHAR(255) NOT NULL,
+    name VARCHAR(512) NOT NULL,
+    language VARCHAR(20) NOT NULL,
+    category VARCHAR(50),
+    status VARCHAR(50) NOT NULL,
+    parameter_format VARCHAR(20) DEFAULT 'POSITIONAL',
+    components JSONB NOT NULL DEFAULT '[]',
+    variables JSONB NOT NULL DEFAULT '{}',
+    rejected_reason VARCHAR(255),
+    last_synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(social_connection_id, template_id)
+);
+
+-- Template messages are stored with their own message type
+ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_message_type_check;
+
+ALTER TABLE messages
+    ADD CONSTRAINT messages_message_type_check CHECK (message_type IN ('text', 'image', 'video', 'audio', 'file', 'location', 'contact', 'sticker', 'reaction', 'template'));
+
+-- Create indexes for performance
+CREATE INDEX idx_whatsapp_templates_tenant_id ON whatsapp_templates(tenant_id);
+CREATE INDEX idx_whatsapp_templates_business_account ON whatsapp_templates(business_account_id, template_id);
+CREATE INDEX idx_whatsapp_templates_status ON whatsapp_templates(tenant_id, status);
+
+-- Create trigger to update updated_at timestamp
+CREATE TRIGGER update_whatsapp_templates_updated_at 
+    BEFORE UPDATE ON whatsapp_templates 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add row-level security (RLS) for tenant isolation
+ALTER TABLE whatsapp_templates ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policy for tenant isolation
+CREATE POLICY whatsapp_templates_tenant_isolation ON whatsapp_templates
+    USING (tenant_id = current_setting('app.current_tenant_id', true)::UUID);
+
+-- Add comments for documentation
+COMMENT ON TABLE whatsapp_templates IS 'WhatsApp message templates synced from the Business Account of a connection';
+COMMENT ON COLUMN whatsapp_templates.template_id IS 'WhatsApp template ID';
+COMMENT ON COLUMN whatsapp_templates.status IS 'Review status reported by WhatsApp (APPROVED, PENDING, REJECTED, PAUSED, DISABLED)';
+COMMENT ON COLUMN whatsapp_templates.parameter_format IS 'POSITIONAL ({{1}}) or NAMED ({{name}}) placeholders';
+COMMENT ON COLUMN whatsapp_templates.components IS 'Template components as returned by the Graph API';
+COMMENT ON COLUMN whatsapp_templates.variables IS 'Placeholders that must be filled when sending, per component';
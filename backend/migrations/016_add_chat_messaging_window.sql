@@ -0,0 +1,18 @@
+-- Track the customer's last inbound message to enforce Meta's messaging window
+ALTER TABLE chats ADD COLUMN last_inbound_at TIMESTAMP;
+
+UPDATE chats c
+SET last_inbound_at = m.last_inbound_at
+FROM (
+    SELECT chat_id, MAX(created_at) AS last_inbound_at
+    FROM messages
+    WHERE direction = 'inbound'
+    GROUP BY chat_id
+) m
+WHERE m.chat_id = c.id;
+
+-- Create indexes for performance
+CREATE INDEX idx_chats_last_inbound_at ON chats(last_inbound_at);
+
+-- Add comments for documentation
+COMMENT ON COLUMN chats.last_inbound_at IS 'Timestamp of the last inbound customer message, the 24-hour messaging window starts here';
@@ -0,0 +1,17 @@
+-- Store the WhatsApp Business Account and display name of each connection
+ALTER TABLE social_connections
+    ADD COLUMN business_account_id VARCHAR(255),
+    ADD COLUMN account_name VARCHAR(255);
+
+-- Templates belong to the Business Account, shared by all of its phone numbers
+ALTER TABLE whatsapp_templates DROP CONSTRAINT IF EXISTS whatsapp_templates_social_connection_id_template_id_key;
+
+ALTER TABLE whatsapp_templates
+    ADD CONSTRAINT whatsapp_templates_business_account_template_key UNIQUE (tenant_id, business_account_id, template_id);
+
+-- Create indexes for performance
+CREATE INDEX idx_social_connections_business_account ON social_connections(business_account_id) WHERE business_account_id IS NOT NULL;
+
+-- Add comments for documentation
+COMMENT ON COLUMN social_connections.business_account_id IS 'WhatsApp Business Account (WABA) ID, one connection per phone number of the account';
+COMMENT ON COLUMN social_connections.account_name IS 'Display name of the connected page, account or phone number';
@@ -0,0 +1,15 @@
+-- Store the customer profile looked up from the platform on each chat
+ALTER TABLE chats
+    ADD COLUMN customer_avatar_url TEXT,
+    ADD COLUMN customer_locale VARCHAR(20),
+    ADD COLUMN customer_profile_name VARCHAR(255),
+    ADD COLUMN profile_synced_at TIMESTAMP;
+
+-- Create indexes for performance
+CREATE INDEX idx_chats_profile_synced_at ON chats(profile_synced_at);
+
+-- Add comments for documentation
+COMMENT ON COLUMN chats.customer_avatar_url IS 'Profile picture URL from the platform, refreshed periodically as Meta CDN URLs expire';
+COMMENT ON COLUMN chats.customer_locale IS 'Customer locale reported by the platform, e.g. en_US';
+COMMENT ON COLUMN chats.customer_profile_name IS 'Name last received from the platform, customer_name only follows it until an agent renames the chat';
+COMMENT ON COLUMN chats.profile_synced_at IS 'Last time the customer profile was looked up';
@@ -0,0 +1,74 @@
+-- Create contacts table, one per customer across all platforms of a tenant
+CREATE TABLE contacts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    name VARCHAR(255),
+    email VARCHAR(255),
+    phone VARCHAR(50),
+    avatar_url TEXT,
+    attributes JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Platform accounts of a contact, IDs are scoped to the page, Instagram account or phone number
+CREATE TABLE contact_identities (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    contact_id UUID NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    social_connection_id UUID NOT NULL REFERENCES social_connections(id) ON DELETE CASCADE,
+    platform VARCHAR(50) NOT NULL CHECK (platform IN ('facebook', 'whatsapp', 'instagram')),
+    platform_user_id VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(social_connection_id, platform_user_id)
+);
+
+-- Link chats to their contact, every existing chat becomes its own contact
+ALTER TABLE chats ADD COLUMN contact_id UUID;
+
+UPDATE chats SET contact_id = gen_random_uuid();
+
+INSERT INTO contacts (id, tenant_id, name, email, phone, avatar_url, created_at, updated_at)
+SELECT contact_id, tenant_id, customer_name, customer_email, customer_phone, customer_avatar_url, created_at, updated_at
+FROM chats;
+
+INSERT INTO contact_identities (tenant_id, contact_id, social_connection_id, platform, platform_user_id, created_at)
+SELECT c.tenant_id, c.contact_id, c.social_connection_id, sc.platform, c.platform_chat_id, c.created_at
+FROM chats c
+JOIN social_connections sc ON c.social_connection_id = sc.id;
+
+ALTER TABLE chats
+    ADD CONSTRAINT chats_contact_id_fkey FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE SET NULL;
+
+-- Create indexes for performance
+CREATE INDEX idx_contacts_tenant_id ON contacts(tenant_id);
+CREATE INDEX idx_contacts_tenant_name ON contacts(tenant_id, name);
+CREATE INDEX idx_contacts_email ON contacts(tenant_id, email) WHERE email IS NOT NULL;
+CREATE INDEX idx_contacts_phone ON contacts(tenant_id, phone) WHERE phone IS NOT NULL;
+CREATE INDEX idx_contact_identities_contact_id ON contact_identities(contact_id);
+CREATE INDEX idx_contact_identities_tenant_id ON contact_identities(tenant_id);
+CREATE INDEX idx_chats_contact_id ON chats(contact_id);
+
+-- Create trigger to update updated_at timestamp
+CREATE TRIGGER update_contacts_updated_at 
+    BEFORE UPDATE ON contacts 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add row-level security (RLS) for tenant isolation
+ALTER TABLE contacts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE contact_identities ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policy for tenant isolation
+CREATE POLICY contacts_tenant_isolation ON contacts
+    USING (tenant_id = current_setting('app.current_tenant_id', true)::UUID);
+
+CREATE POLICY contact_identities_tenant_isolation ON contact_identities
+    USING (tenant_id = current_setting('app.current_tenant_id', true)::UUID);
+
+-- Add comments for documentation
+COMMENT ON TABLE contacts IS 'Customers of a tenant, shared by their chats on every platform';
+COMMENT ON COLUMN contacts.attributes IS 'Custom attributes set by agents, e.g. {"plan": "premium"}';
+COMMENT ON TABLE contact_identities IS 'Platform accounts linked to a contact';
+COMMENT ON COLUMN contact_identities.platform_user_id IS 'PSID, Instagram-scoped ID or WhatsApp ID, the chat platform_chat_id';
+COMMENT ON COLUMN chats.contact_id IS 'Contact the customer of this chat belongs to';
@@ -0,0 +1,58 @@
+-- Create conversations table, a chat holds one conversation per support case
+CREATE TABLE conversations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    chat_id UUID NOT NULL REFERENCES chats(id) ON DELETE CASCADE,
+    status VARCHAR(50) DEFAULT 'open' CHECK (status IN ('open', 'closed', 'pending')),
+    assigned_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    opened_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    closed_at TIMESTAMP,
+    closed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reopen_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Link messages to the conversation they were exchanged in
+ALTER TABLE messages
+    ADD COLUMN conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL;
+
+-- Every existing chat becomes a single conversation holding all its messages
+INSERT INTO conversations (tenant_id, chat_id, status, assigned_user_id, opened_at, closed_at, created_at, updated_at)
+SELECT tenant_id, id, status, assigned_user_id, created_at,
+       CASE WHEN status = 'closed' THEN updated_at END,
+       created_at, updated_at
+FROM chats;
+
+UPDATE messages m
+SET conversation_id = cv.id
+FROM conversations cv
+WHERE cv.chat_id = m.chat_id;
+
+-- Create indexes for performance
+CREATE INDEX idx_conversations_tenant_id ON conversations(tenant_id);
+CREATE INDEX idx_conversations_chat_opened ON conversations(chat_id, opened_at DESC);
+CREATE INDEX idx_conversations_tenant_status ON conversations(tenant_id, status);
+CREATE INDEX idx_conversations_assigned_user ON conversations(assigned_user_id);
+CREATE INDEX idx_messages_conversation_id ON messages(conversation_id);
+
+-- Create trigger to update updated_at timestamp
+CREATE TRIGGER update_conversations_updated_at 
+    BEFORE UPDATE ON conversations 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add row-level security (RLS) for tenant isolation
+ALTER TABLE conversations ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policy for tenant isolation
+CREATE POLICY conversations_tenant_isolation ON conversations
+    USING (tenant_id = current_setting('app.current_tenant_id', true)::UUID);
+
+-- Add comments for documentation
+COMMENT ON TABLE conversations IS 'Support cases within a chat, a customer writing after the reopen window starts a new one';
+COMMENT ON COLUMN conversations.status IS 'Status of the conversation, the latest conversation mirrors the chat status';
+COMMENT ON COLUMN conversations.assigned_user_id IS 'User handling this conversation, new conversations start unassigned';
+COMMENT ON COLUMN conversations.closed_at IS 'When the conversation was closed, resolution time is closed_at - opened_at';
+COMMENT ON COLUMN conversations.reopen_count IS 'How often the customer wrote again within the reopen window after closing';
+COMMENT ON COLUMN messages.conversation_id IS 'Conversation of the chat this message belongs to';
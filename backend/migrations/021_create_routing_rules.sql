@@ -0,0 +1,74 @@
+-- Routing profile of agents, matched by skill-based rules
+ALTER TABLE users
+    ADD COLUMN skills TEXT[] NOT NULL DEFAULT '{}',
+    ADD COLUMN max_open_chats INTEGER CHECK (max_open_chats > 0);
+
+-- Create routing rules table, evaluated in priority order for unassigned chats
+CREATE TABLE routing_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    strategy VARCHAR(50) NOT NULL CHECK (strategy IN ('round_robin', 'least_open', 'skill_based')),
+    priority INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    social_connection_id UUID REFERENCES social_connections(id) ON DELETE CASCADE,
+    platform VARCHAR(50) CHECK (platform IN ('facebook', 'whatsapp', 'instagram')),
+    agent_ids UUID[] NOT NULL DEFAULT '{}',
+    required_skills TEXT[] NOT NULL DEFAULT '{}',
+    only_online BOOLEAN NOT NULL DEFAULT true,
+    last_assigned_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Audit log of every routing decision, including chats no agent was available for
+CREATE TABLE assignment_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    chat_id UUID NOT NULL REFERENCES chats(id) ON DELETE CASCADE,
+    conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+    routing_rule_id UUID REFERENCES routing_rules(id) ON DELETE SET NULL,
+    assigned_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    strategy VARCHAR(50),
+    trigger VARCHAR(50) NOT NULL CHECK (trigger IN ('new_chat', 'reopened', 'new_conversation')),
+    candidates JSONB NOT NULL DEFAULT '[]',
+    reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for performance
+CREATE INDEX idx_routing_rules_tenant_priority ON routing_rules(tenant_id, priority) WHERE is_active = true;
+CREATE INDEX idx_assignment_events_tenant_created ON assignment_events(tenant_id, created_at DESC);
+CREATE INDEX idx_assignment_events_chat_id ON assignment_events(chat_id);
+CREATE INDEX idx_assignment_events_assigned_user ON assignment_events(assigned_user_id);
+
+-- Create trigger to update updated_at timestamp
+CREATE TRIGGER update_routing_rules_updated_at 
+    BEFORE UPDATE ON routing_rules 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add row-level security (RLS) for tenant isolation
+ALTER TABLE routing_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE assignment_events ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policy for tenant isolation
+CREATE POLICY routing_rules_tenant_isolation ON routing_rules
+    USING (tenant_id = current_setting('app.current_tenant_id', true)::UUID);
+
+CREATE POLICY assignment_events_tenant_isolation ON assignment_events
+    USING (tenant_id = current_setting('app.current_tenant_id', true)::UUID);
+
+-- Add comments for documentation
+COMMENT ON COLUMN users.skills IS 'Skills matched against the required_skills of skill-based routing rules, e.g. {"spanish", "billing"}';
+COMMENT ON COLUMN users.max_open_chats IS 'Capacity cap for auto-assignment, the tenant default applies when NULL';
+COMMENT ON TABLE routing_rules IS 'Auto-assignment rules, the first matching rule with an available agent assigns the chat';
+COMMENT ON COLUMN routing_rules.strategy IS 'round_robin, least_open (fewest open chats) or skill_based (least open among agents with all required_skills)';
+COMMENT ON COLUMN routing_rules.social_connection_id IS 'Only route chats of this connection, all connections when NULL';
+COMMENT ON COLUMN routing_rules.platform IS 'Only route chats of this platform, all platforms when NULL';
+COMMENT ON COLUMN routing_rules.agent_ids IS 'Agents the rule assigns to, every agent of the tenant when empty';
+COMMENT ON COLUMN routing_rules.only_online IS 'Only assign agents connected over WebSocket';
+COMMENT ON COLUMN routing_rules.last_assigned_user_id IS 'Position of the round-robin rotation';
+COMMENT ON TABLE assignment_events IS 'Audit log of auto-assignment decisions';
+COMMENT ON COLUMN assignment_events.candidates IS 'Agents considered with their open chats and availability';
+COMMENT ON COLUMN assignment_events.reason IS 'Why no agent was assigned, NULL when one was';
@@ -0,0 +1,78 @@
+-- Create teams table for grouping agents of a tenant
+CREATE TABLE teams (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(tenant_id, name)
+);
+
+CREATE TABLE team_members (
+    team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (team_id, user_id)
+);
+
+-- Create inboxes table, grouping social connections handled by a team
+CREATE TABLE inboxes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    team_id UUID REFERENCES teams(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(tenant_id, name)
+);
+
+ALTER TABLE social_connections
+    ADD COLUMN inbox_id UUID REFERENCES inboxes(id) ON DELETE SET NULL;
+
+-- Routing rules can be limited to the members of a team
+ALTER TABLE routing_rules
+    ADD COLUMN team_id UUID REFERENCES teams(id) ON DELETE CASCADE;
+
+-- Create indexes for performance
+CREATE INDEX idx_teams_tenant_id ON teams(tenant_id);
+CREATE INDEX idx_team_members_user_id ON team_members(user_id);
+CREATE INDEX idx_team_members_tenant_id ON team_members(tenant_id);
+CREATE INDEX idx_inboxes_tenant_id ON inboxes(tenant_id);
+CREATE INDEX idx_inboxes_team_id ON inboxes(team_id);
+CREATE INDEX idx_social_connections_inbox_id ON social_connections(inbox_id);
+
+-- Create trigger to update updated_at timestamp
+CREATE TRIGGER update_teams_updated_at 
+    BEFORE UPDATE ON teams 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_inboxes_updated_at 
+    BEFORE UPDATE ON inboxes 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add row-level security (RLS) for tenant isolation
+ALTER TABLE teams ENABLE ROW LEVEL SECURITY;
+ALTER TABLE team_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE inboxes ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policy for tenant isolation
+CREATE POLICY teams_tenant_isolation ON teams
+    USING (tenant_id = current_setting('app.current_tenant_id', true)::UUID);
+
+CREATE POLICY team_members_tenant_isolation ON team_members
+    USING (tenant_id = current_setting('app.current_tenant_id', true)::UUID);
+
+CREATE POLICY inboxes_tenant_isolation ON inboxes
+    USING (tenant_id = current_setting('app.current_tenant_id', true)::UUID);
+
+-- Add comments for documentation
+COMMENT ON TABLE teams IS 'Groups of agents handling the inboxes they own';
+COMMENT ON TABLE team_members IS 'Users belonging to a team';
+COMMENT ON TABLE inboxes IS 'Groups of social connections, chats of an inbox owned by a team are only visible to its members';
+COMMENT ON COLUMN inboxes.team_id IS 'Team handling the inbox, chats are visible to the whole tenant when NULL';
+COMMENT ON COLUMN social_connections.inbox_id IS 'Inbox the chats of this connection arrive in';
+COMMENT ON COLUMN routing_rules.team_id IS 'Only assign members of this team, all agents when NULL';
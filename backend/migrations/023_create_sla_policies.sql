@@ -0,0 +1,83 @@
+-- Priority of a chat, SLA policies can target a priority
+ALTER TABLE chats
+    ADD COLUMN priority VARCHAR(20) NOT NULL DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high', 'urgent'));
+
+-- Create SLA policies table, the most specific active policy applies to a conversation
+CREATE TABLE sla_policies (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    inbox_id UUID REFERENCES inboxes(id) ON DELETE CASCADE,
+    priority VARCHAR(20) CHECK (priority IN ('low', 'medium', 'high', 'urgent')),
+    first_response_minutes INTEGER NOT NULL CHECK (first_response_minutes > 0),
+    next_response_minutes INTEGER CHECK (next_response_minutes > 0),
+    resolution_minutes INTEGER CHECK (resolution_minutes > 0),
+    warning_minutes INTEGER NOT NULL DEFAULT 5 CHECK (warning_minutes >= 0),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- SLA timers of a conversation
+ALTER TABLE conversations
+    ADD COLUMN sla_policy_id UUID REFERENCES sla_policies(id) ON DELETE SET NULL,
+    ADD COLUMN first_response_due_at TIMESTAMP,
+    ADD COLUMN first_responded_at TIMESTAMP,
+    ADD COLUMN next_response_due_at TIMESTAMP,
+    ADD COLUMN resolution_due_at TIMESTAMP,
+    ADD COLUMN sla_paused_at TIMESTAMP;
+
+-- Warnings and breaches already notified, one per deadline
+CREATE TABLE sla_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    chat_id UUID NOT NULL REFERENCES chats(id) ON DELETE CASCADE,
+    sla_policy_id UUID REFERENCES sla_policies(id) ON DELETE SET NULL,
+    timer VARCHAR(50) NOT NULL CHECK (timer IN ('first_response', 'next_response', 'resolution')),
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('warning', 'breach')),
+    due_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(conversation_id, timer, kind, due_at)
+);
+
+-- Escalation notes raised by SLA breaches have no author
+ALTER TABLE notes ALTER COLUMN user_id DROP NOT NULL;
+
+-- Create indexes for performance
+CREATE INDEX idx_chats_tenant_priority ON chats(tenant_id, priority);
+CREATE INDEX idx_sla_policies_tenant_id ON sla_policies(tenant_id) WHERE is_active = true;
+CREATE INDEX idx_conversations_first_response_due ON conversations(first_response_due_at)
+    WHERE first_responded_at IS NULL AND status = 'open';
+CREATE INDEX idx_conversations_next_response_due ON conversations(next_response_due_at)
+    WHERE next_response_due_at IS NOT NULL AND status = 'open';
+CREATE INDEX idx_conversations_resolution_due ON conversations(resolution_due_at)
+    WHERE status = 'open';
+CREATE INDEX idx_sla_events_tenant_created ON sla_events(tenant_id, created_at DESC);
+
+-- Create trigger to update updated_at timestamp
+CREATE TRIGGER update_sla_policies_updated_at 
+    BEFORE UPDATE ON sla_policies 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add row-level security (RLS) for tenant isolation
+ALTER TABLE sla_policies ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sla_events ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policy for tenant isolation
+CREATE POLICY sla_policies_tenant_isolation ON sla_policies
+    USING (tenant_id = current_setting('app.current_tenant_id', true)::UUID);
+
+CREATE POLICY sla_events_tenant_isolation ON sla_events
+    USING (tenant_id = current_setting('app.current_tenant_id', true)::UUID);
+
+-- Add comments for documentation
+COMMENT ON COLUMN chats.priority IS 'Priority of the chat: low, medium, high or urgent';
+COMMENT ON TABLE sla_policies IS 'Response and resolution targets, optionally limited to an inbox and/or priority';
+COMMENT ON COLUMN sla_policies.next_response_minutes IS 'Time to answer each later customer message, no target when NULL';
+COMMENT ON COLUMN sla_policies.resolution_minutes IS 'Time to close the conversation, no target when NULL';
+COMMENT ON COLUMN sla_policies.warning_minutes IS 'How long before a deadline agents are warned';
+COMMENT ON COLUMN conversations.next_response_due_at IS 'Deadline to answer the customer, set by inbound messages after the first response';
+COMMENT ON COLUMN conversations.sla_paused_at IS 'When the conversation was set to pending, deadlines are moved by the paused time on resume';
+COMMENT ON TABLE sla_events IS 'SLA warnings and breaches that were notified';
@@ -0,0 +1,44 @@
+-- Create canned responses table for saved replies, tenant-wide or personal to one agent
+CREATE TABLE canned_responses (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    shortcode VARCHAR(50) NOT NULL CHECK (shortcode ~ '^[a-z0-9_-]+$'),
+    title VARCHAR(255) NOT NULL,
+    content TEXT NOT NULL,
+    media_asset_id UUID REFERENCES media_assets(id) ON DELETE SET NULL,
+    usage_count INTEGER NOT NULL DEFAULT 0,
+    last_used_at TIMESTAMP,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for performance
+CREATE INDEX idx_canned_responses_tenant_id ON canned_responses(tenant_id);
+CREATE INDEX idx_canned_responses_user_id ON canned_responses(user_id) WHERE user_id IS NOT NULL;
+
+-- Shortcodes are unique among the tenant-wide replies and among each agent's own
+CREATE UNIQUE INDEX idx_canned_responses_tenant_shortcode ON canned_responses(tenant_id, shortcode) WHERE user_id IS NULL;
+CREATE UNIQUE INDEX idx_canned_responses_user_shortcode ON canned_responses(user_id, shortcode) WHERE user_id IS NOT NULL;
+
+-- Create trigger to update updated_at timestamp
+CREATE TRIGGER update_canned_responses_updated_at
+    BEFORE UPDATE ON canned_responses
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add row-level security (RLS) for tenant isolation
+ALTER TABLE canned_responses ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policy for tenant isolation
+CREATE POLICY canned_responses_tenant_isolation ON canned_responses
+    USING (tenant_id = current_setting('app.current_tenant_id', true)::UUID);
+
+-- Add comments for documentation
+COMMENT ON TABLE canned_responses IS 'Saved replies agents insert into the composer by shortcode';
+COMMENT ON COLUMN canned_responses.user_id IS 'Agent owning a personal reply, shared with the whole tenant when NULL';
+COMMENT ON COLUMN canned_responses.shortcode IS 'Shortcode typed after a slash in the composer';
+COMMENT ON COLUMN canned_responses.content IS 'Reply text with {{placeholders}} filled in from the chat and agent';
+COMMENT ON COLUMN canned_responses.media_asset_id IS 'Uploaded file sent along with the reply';
+COMMENT ON COLUMN canned_responses.usage_count IS 'Number of times the reply was inserted';
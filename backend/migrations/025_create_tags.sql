@@ -0,0 +1,48 @@
+-- Create tags table for labelling chats by topic
+CREATE TABLE tags (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    color VARCHAR(7) NOT NULL DEFAULT '#6b7280' CHECK (color ~ '^#[0-9a-f]{6}$'),
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(tenant_id, name)
+);
+
+CREATE TABLE chat_tags (
+    chat_id UUID NOT NULL REFERENCES chats(id) ON DELETE CASCADE,
+    tag_id UUID NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (chat_id, tag_id)
+);
+
+-- Create indexes for performance
+CREATE INDEX idx_tags_tenant_id ON tags(tenant_id);
+CREATE INDEX idx_chat_tags_tag_id ON chat_tags(tag_id);
+CREATE INDEX idx_chat_tags_tenant_id ON chat_tags(tenant_id);
+
+-- Create trigger to update updated_at timestamp
+CREATE TRIGGER update_tags_updated_at
+    BEFORE UPDATE ON tags
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add row-level security (RLS) for tenant isolation
+ALTER TABLE tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE chat_tags ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policy for tenant isolation
+CREATE POLICY tags_tenant_isolation ON tags
+    USING (tenant_id = current_setting('app.current_tenant_id', true)::UUID);
+
+CREATE POLICY chat_tags_tenant_isolation ON chat_tags
+    USING (tenant_id = current_setting('app.current_tenant_id', true)::UUID);
+
+-- Add comments for documentation
+COMMENT ON TABLE tags IS 'Tenant-defined labels for segmenting chats by topic';
+COMMENT ON COLUMN tags.color IS 'Hex color the tag is shown in, e.g. #2563eb';
+COMMENT ON TABLE chat_tags IS 'Tags applied to chats';
+COMMENT ON COLUMN chat_tags.created_by IS 'User who tagged the chat';
@@ -0,0 +1,16 @@
+-- Full-text search indexes for the global search. Queries must use the same
+-- expressions to hit them. The 'simple' configuration does no stemming, so
+-- conversations in any language are matched the same way.
+CREATE INDEX idx_messages_search ON messages
+    USING GIN (to_tsvector('simple', COALESCE(content, '')));
+
+CREATE INDEX idx_notes_search ON notes
+    USING GIN (to_tsvector('simple', content));
+
+CREATE INDEX idx_chats_customer_search ON chats
+    USING GIN (to_tsvector('simple',
+        COALESCE(customer_name, '') || ' ' ||
+        COALESCE(customer_profile_name, '') || ' ' ||
+        COALESCE(customer_email, '') || ' ' ||
+        COALESCE(customer_phone, '')
+    ));
@@ -0,0 +1,9 @@
+-- Interactive messages (quick replies, buttons and lists) and the customer's
+-- replies to them are stored with their own message type
+ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_message_type_check;
+
+ALTER TABLE messages
+    ADD CONSTRAINT messages_message_type_check CHECK (message_type IN ('text', 'image', 'video', 'audio', 'file', 'location', 'contact', 'sticker', 'reaction', 'template', 'interactive'));
+
+-- Add comments for documentation
+COMMENT ON COLUMN messages.metadata IS 'Platform details such as attachments, the template, the interactive options (interactive) or the selected option (interactiveReply)';
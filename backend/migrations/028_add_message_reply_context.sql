@@ -0,0 +1,9 @@
+-- Add the quoted message of replies to a specific earlier message
+ALTER TABLE messages
+    ADD COLUMN reply_to_message_id UUID REFERENCES messages(id) ON DELETE SET NULL;
+
+-- Create indexes for performance
+CREATE INDEX idx_messages_reply_to_message_id ON messages(reply_to_message_id) WHERE reply_to_message_id IS NOT NULL;
+
+-- Add comments for documentation
+COMMENT ON COLUMN messages.reply_to_message_id IS 'Earlier message of the chat this message replies to (WhatsApp context, Messenger reply_to)';
@@ -0,0 +1,18 @@
+-- Separate chats of Instagram comments and mentions from direct messages.
+-- Comment chats are keyed by the commenter's Instagram user ID. Mentions in
+-- captions only carry the username, they go to the chat of the user's earlier
+-- comments or to one keyed by '@username'.
+ALTER TABLE chats
+    ADD COLUMN kind VARCHAR(20) NOT NULL DEFAULT 'direct' CHECK (kind IN ('direct', 'comments'));
+
+ALTER TABLE chats DROP CONSTRAINT IF EXISTS chats_social_connection_id_platform_chat_id_key;
+
+ALTER TABLE chats
+    ADD CONSTRAINT chats_social_connection_id_platform_chat_id_kind_key UNIQUE (social_connection_id, platform_chat_id, kind);
+
+-- Create indexes for performance
+CREATE INDEX idx_chats_tenant_kind ON chats(tenant_id, kind);
+
+-- Add comments for documentation
+COMMENT ON COLUMN chats.kind IS 'Kind of conversation: direct messages, or public comments and mentions (Instagram)';
+COMMENT ON COLUMN messages.metadata IS 'Platform details such as attachments, the template, the interactive options (interactive) or the selected option (interactiveReply), the Instagram comment or mention (comment) and the mentioned or replied story (story)';
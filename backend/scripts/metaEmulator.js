@@ -0,0 +1,801 @@
+const crypto = require('crypto');
+const express = require('express');
+const multer = require('multer');
+const axios = require('axios');
+const logger = require('../src/utils/logger');
+const { WEBHOOK_SIGNATURE } = require('../src/utils/constants');
+
+/**
+ * Local stand-in for the Meta Graph API, used for development and end-to-end
+ * runs without a Meta app. Point META_GRAPH_API_URL, META_OAUTH_DIALOG_URL and
+ * META_INSTAGRAM_OAUTH_URL at it, see the README for the full setup.
+ */
+
+// Graph API versions look like v18.0
+const VERSION = ':version(v\\d+\\.\\d+)';
+
+// 1x1 PNG served for inbound media that was not given explicit contents
+const PLACEHOLDER_IMAGE = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+/**
+ * Build the emulator configuration from the environment
+ * @param {Object} overrides - Values taking precedence over the environment
+ * @returns {Object} - Emulator configuration
+ */
+function getConfig(overrides = {}) {
+  const port = parseInt(process.env.META_EMULATOR_PORT) || 4010;
+
+  return {
+    port,
+    publicUrl: process.env.META_EMULATOR_URL || `http://localhost:${port}`,
+    webhookUrl: process.env.META_EMULATOR_WEBHOOK_URL || 'http://localhost:3001/api/webhooks/meta',
+    appSecret: process.env.META_WEBHOOK_SECRET || process.env.META_APP_SECRET || 'emulator-app-secret',
+    userId: process.env.META_EMULATOR_USER_ID || '100000000000001',
+    pageId: process.env.META_EMULATOR_PAGE_ID || '100000000000002',
+    instagramAccountId: process.env.META_EMULATOR_INSTAGRAM_ID || '17841400000000001',
+    businessAccountId: process.env.META_EMULATOR_WABA_ID || '100000000000003',
+    phoneNumberId: process.env.META_EMULATOR_PHONE_NUMBER_ID || '100000000000004',
+    displayPhoneNumber: process.env.META_EMULATOR_PHONE_NUMBER || '+1 555 010 0000',
+    ...overrides,
+  };
+}
+
+/**
+ * Generate a random ID in the format of the given prefix
+ * @param {string} prefix - ID prefix
+ * @returns {string} - Generated ID
+ */
+function generateId(prefix) {
+  return `${prefix}${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Send a Graph API style error response
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @param {number} code - Graph API error code
+ */
+function sendGraphError(res, status, message, code) {
+  res.status(status).json({
+    error: {
+      message,
+      type: 'OAuthException',
+      code,
+      fbtrace_id: generateId('emu'),
+    },
+  });
+}
+
+/**
+ * Read the access token of a Graph API request
+ * @param {Object} req - Express request
+ * @returns {string|null} - Access token
+ */
+function getAccessToken(req) {
+  const authorization = req.headers.authorization || '';
+
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice(7);
+  }
+
+  return req.query.access_token || req.body?.access_token || null;
+}
+
+/**
+ * Reject Graph API requests without an access token
+ */
+function requireAccessToken(req, res, next) {
+  if (!getAccessToken(req)) {
+    return sendGraphError(res, 400, 'An active access token must be used to query information about the current user.', 2500);
+  }
+
+  next();
+}
+
+/**
+ * Sign a webhook body the way Meta does
+ * @param {string} body - Raw JSON body
+ * @param {string} secret - App secret
+ * @returns {string} - X-Hub-Signature-256 header value
+ */
+function signPayload(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Create the emulator application
+ * @param {Object} overrides - Configuration overrides
+ * @returns {Object} - Express app, with its state and configuration attached
+ */
+function createMetaEmulator(overrides = {}) {
+  const config = getConfig(overrides);
+  const app = express();
+  const upload = multer({ storage: multer.memoryStorage() });
+
+  // Everything the backend sent or uploaded, inspected through /_emulator
+  const state = {
+    messages: [],
+    media: new Map(),
+    webhooks: [],
+    // Instagram comments by ID with their moderation, and looked up mentions
+    comments: new Map(),
+    mentions: new Map(),
+  };
+
+  app.locals.config = config;
+  app.locals.state = state;
+
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true }));
+
+  /**
+   * Store media contents and return their ID
+   * @param {Buffer} buffer - File contents
+   * @param {string} mimeType - MIME type
+   * @param {string} fileName - File name
+   * @returns {string} - Media ID
+   */
+  const storeMedia = (buffer, mimeType, fileName) => {
+    const id = String(Date.now()) + crypto.randomInt(1000, 9999);
+    state.media.set(id, { buffer, mimeType, fileName });
+    return id;
+  };
+
+  /**
+   * Record an outbound message
+   * @param {Object} message - Sent message details
+   * @returns {Object} - Recorded message
+   */
+  const recordMessage = (message) => {
+    const record = { ...message, receivedAt: new Date().toISOString() };
+    state.messages.push(record);
+    logger.info('Meta emulator received message', { platform: record.platform, messageId: record.messageId });
+    return record;
+  };
+
+  /**
+   * Sign a webhook payload and post it to the backend
+   * @param {Object} payload - Webhook payload
+   * @returns {Promise<Object>} - Delivery result
+   */
+  const deliverWebhook = async (payload) => {
+    const body = JSON.stringify(payload);
+
+    try {
+      const response = await axios.post(config.webhookUrl, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          [WEBHOOK_SIGNATURE.HEADER_NAME]: signPayload(body, config.appSecret),
+        },
+        validateStatus: () => true,
+      });
+
+      const result = { status: response.status, response: response.data, payload };
+      state.webhooks.push({ ...result, sentAt: new Date().toISOString() });
+      return result;
+    } catch (error) {
+      logger.error('Meta emulator webhook delivery failed:', error);
+      return { status: null, error: error.message, payload };
+    }
+  };
+
+  // OAuth dialogs, approve right away and send the user back with a code
+  const approveDialog = (req, res) => {
+    const { redirect_uri: redirectUri, state: oauthState } = req.query;
+
+    if (!redirectUri) {
+      return sendGraphError(res, 400, 'Missing redirect_uri parameter.', 191);
+    }
+
+    const url = new URL(redirectUri);
+    url.searchParams.set('code', generateId('emulator-code-'));
+    if (oauthState) {
+      url.searchParams.set('state', oauthState);
+    }
+
+    res.redirect(url.toString());
+  };
+
+  app.get(`/${VERSION}/dialog/oauth`, approveDialog);
+  app.get('/oauth/authorize', approveDialog);
+
+  app.get(`/${VERSION}/oauth/access_token`, (req, res) => {
+    const { grant_type: grantType, code, fb_exchange_token: exchangeToken } = req.query;
+
+    if (grantType === 'fb_exchange_token') {
+      if (!exchangeToken) {
+        return sendGraphError(res, 400, 'Missing fb_exchange_token parameter.', 100);
+      }
+
+      return res.json({
+        access_token: generateId('emulator-long-lived-'),
+        token_type: 'bearer',
+        expires_in: 60 * 24 * 60 * 60,
+      });
+    }
+
+    if (!code) {
+      return sendGraphError(res, 400, 'Missing code parameter.', 100);
+    }
+
+    res.json({
+      access_token: generateId('emulator-user-token-'),
+      token_type: 'bearer',
+      expires_in: 60 * 60,
+    });
+  });
+
+  app.get(`/${VERSION}/debug_token`, requireAccessToken, (req, res) => {
+    res.json({
+      data: {
+        app_id: process.env.META_APP_ID || 'emulator-app',
+        is_valid: true,
+        user_id: config.userId,
+        scopes: ['whatsapp_business_management', 'whatsapp_business_messaging'],
+        granular_scopes: [
+          { scope: 'whatsapp_business_management', target_ids: [config.businessAccountId] },
+          { scope: 'whatsapp_business_messaging', target_ids: [config.businessAccountId] },
+        ],
+      },
+    });
+  });
+
+  app.get(`/${VERSION}/me`, requireAccessToken, (req, res) => {
+    res.json({
+      id: config.userId,
+      name: 'Emulator User',
+      email: 'emulator@example.com',
+    });
+  });
+
+  app.get(`/${VERSION}/me/accounts`, requireAccessToken, (req, res) => {
+    res.json({
+      data: [{
+        id: config.pageId,
+        name: 'Emulator Page',
+        access_token: `emulator-page-token-${config.pageId}`,
+        category: 'Software',
+        tasks: ['ANALYZE', 'ADVERTISE', 'MESSAGING', 'MODERATE', 'CREATE_CONTENT', 'MANAGE'],
+      }],
+    });
+  });
+
+  // Send API, shared by Messenger and Instagram
+  app.post(`/${VERSION}/me/messages`, requireAccessToken, (req, res) => {
+    const { recipient, message, messaging_type: messagingType, tag, sender_action: senderAction, payload } = req.body;
+
+    if (!(recipient?.id || recipient?.comment_id) || (!message && !senderAction)) {
+      return sendGraphError(res, 400, 'Invalid parameter', 100);
+    }
+
+    // Reactions are sender actions, they are recorded without a message.
+    // Private replies to Instagram comments address the comment instead of a user.
+    const record = recordMessage({
+      platform: 'messenger',
+      messageId: generateId('m_'),
+      recipientId: recipient.id || null,
+      ...(recipient.comment_id && { commentId: recipient.comment_id }),
+      message,
+      messagingType,
+      tag,
+      ...(senderAction && { senderAction, payload }),
+    });
+
+    res.json(senderAction
+      ? { recipient_id: recipient.id }
+      : { recipient_id: recipient.id || recipient.comment_id, message_id: record.messageId });
+  });
+
+  app.post(`/${VERSION}/me/message_attachments`, requireAccessToken, upload.single('filedata'), (req, res) => {
+    if (!req.file) {
+      return sendGraphError(res, 400, 'Missing filedata parameter.', 100);
+    }
+
+    const id = storeMedia(req.file.buffer, req.file.mimetype, req.file.originalname);
+    res.json({ attachment_id: id });
+  });
+
+  app.post(`/${VERSION}/:id/subscribed_apps`, requireAccessToken, (req, res) => {
+    res.json({ success: true });
+  });
+
+  // Public reply to an Instagram comment
+  app.post(`/${VERSION}/:commentId/replies`, requireAccessToken, (req, res) => {
+    if (!req.body.message) {
+      return sendGraphError(res, 400, 'Missing message parameter.', 100);
+    }
+
+    const record = recordMessage({
+      platform: 'instagram_comment',
+      messageId: generateId('1800'),
+      commentId: req.params.commentId,
+      message: { text: req.body.message },
+    });
+
+    res.json({ id: record.messageId });
+  });
+
+  // Hide or unhide an Instagram comment
+  app.post(`/${VERSION}/:commentId`, requireAccessToken, (req, res) => {
+    const { commentId } = req.params;
+    const hidden = req.body.hide === true || req.body.hide === 'true';
+
+    state.comments.set(commentId, { ...state.comments.get(commentId), hidden });
+    res.json({ success: true });
+  });
+
+  app.delete(`/${VERSION}/:commentId`, requireAccessToken, (req, res) => {
+    const { commentId } = req.params;
+
+    state.comments.set(commentId, { ...state.comments.get(commentId), deleted: true });
+    res.json({ success: true });
+  });
+
+  // WhatsApp Cloud API
+  app.get(`/${VERSION}/:businessAccountId/phone_numbers`, requireAccessToken, (req, res) => {
+    if (req.params.businessAccountId !== config.businessAccountId) {
+      return res.json({ data: [] });
+    }
+
+    res.json({
+      data: [{
+        id: config.phoneNumberId,
+        display_phone_number: config.displayPhoneNumber,
+        verified_name: 'Emulator Business',
+        quality_rating: 'GREEN',
+      }],
+    });
+  });
+
+  app.get(`/${VERSION}/:businessAccountId/message_templates`, requireAccessToken, (req, res) => {
+    res.json({
+      data: [{
+        id: '100000000000100',
+        name: 'hello_world',
+        language: 'en_US',
+        status: 'APPROVED',
+        category: 'UTILITY',
+        parameter_format: 'POSITIONAL',
+        components: [
+          { type: 'BODY', text: 'Hello {{1}}, welcome to the emulator!' },
+        ],
+      }],
+      paging: { cursors: { before: 'start', after: 'end' } },
+    });
+  });
+
+  app.post(`/${VERSION}/:phoneNumberId/messages`, requireAccessToken, (req, res) => {
+    const { messaging_product: product, to, type } = req.body;
+
+    if (product !== 'whatsapp' || !to || !type) {
+      return sendGraphError(res, 400, 'Invalid parameter', 100);
+    }
+
+    const record = recordMessage({
+      platform: 'whatsapp',
+      phoneNumberId: req.params.phoneNumberId,
+      messageId: generateId('wamid.'),
+      recipientId: to,
+      message: req.body,
+    });
+
+    res.json({
+      messaging_product: 'whatsapp',
+      contacts: [{ input: to, wa_id: to }],
+      messages: [{ id: record.messageId }],
+    });
+  });
+
+  app.post(`/${VERSION}/:phoneNumberId/media`, requireAccessToken, upload.single('file'), (req, res) => {
+    if (!req.file) {
+      return sendGraphError(res, 400, 'Missing file parameter.', 100);
+    }
+
+    const id = storeMedia(req.file.buffer, req.body.type || req.file.mimetype, req.file.originalname);
+    res.json({ id });
+  });
+
+  // Node lookups: media info, pages and Instagram accounts
+  app.get(`/${VERSION}/:id`, requireAccessToken, (req, res) => {
+    const { id } = req.params;
+    const media = state.media.get(id);
+
+    if (media) {
+      return res.json({
+        messaging_product: 'whatsapp',
+        id,
+        url: `${config.publicUrl}/media/${id}`,
+        mime_type: media.mimeType,
+        file_size: media.buffer.length,
+        sha256: crypto.createHash('sha256').update(media.buffer).digest('hex'),
+      });
+    }
+
+    if (id === config.pageId) {
+      return res.json({
+        id,
+        name: 'Emulator Page',
+        instagram_business_account: { id: config.instagramAccountId },
+      });
+    }
+
+    // Comments and captions that mention the account, from the instagram-comment trigger
+    const mentionMatch = id === config.instagramAccountId
+      && /^(mentioned_comment|mentioned_media)\.\w+\((\w+)\)/.exec(req.query.fields || '');
+
+    if (mentionMatch) {
+      const mention = state.mentions.get(mentionMatch[2]);
+
+      if (!mention) {
+        return sendGraphError(res, 400, 'Unsupported get request.', 100);
+      }
+
+      return res.json({ id, [mentionMatch[1]]: mention });
+    }
+
+    if (id === config.instagramAccountId) {
+      return res.json({
+        id,
+        username: 'emulator.business',
+        name: 'Emulator Business',
+        profile_picture_url: null,
+      });
+    }
+
+    // Any other ID is a customer who messaged the page
+    res.json({
+      id,
+      first_name: 'Emulator',
+      last_name: `Customer ${id.slice(-4)}`,
+      name: `Emulator Customer ${id.slice(-4)}`,
+      username: `emulator.customer.${id.slice(-4)}`,
+      profile_pic: `${config.publicUrl}/media/avatar`,
+      locale: 'en_US',
+    });
+  });
+
+  // Media CDN
+  app.get('/media/:id', (req, res) => {
+    const media = req.params.id === 'avatar'
+      ? { buffer: PLACEHOLDER_IMAGE, mimeType: 'image/png' }
+      : state.media.get(req.params.id);
+
+    if (!media) {
+      return res.status(404).end();
+    }
+
+    res.set('Content-Type', media.mimeType);
+    res.send(media.buffer);
+  });
+
+  // Control API for developers and end-to-end tests
+  app.get('/_emulator/messages', (req, res) => {
+    res.json({ messages: state.messages });
+  });
+
+  app.delete('/_emulator/messages', (req, res) => {
+    state.messages.length = 0;
+    res.status(204).end();
+  });
+
+  app.get('/_emulator/webhooks', (req, res) => {
+    res.json({ webhooks: state.webhooks });
+  });
+
+  app.get('/_emulator/comments', (req, res) => {
+    res.json({ comments: Object.fromEntries(state.comments) });
+  });
+
+  // Forward an arbitrary payload, signed with the app secret
+  app.post('/_emulator/webhooks', async (req, res) => {
+    res.json(await deliverWebhook(req.body));
+  });
+
+  // Inbound Messenger or Instagram message from a customer
+  app.post('/_emulator/webhooks/messenger', async (req, res) => {
+    const {
+      platform = 'facebook',
+      senderId = '200000000000001',
+      text = 'Hello from the emulator',
+      attachmentType,
+      quickReplyPayload,
+      postbackPayload,
+      replyToId,
+      latitude = 52.52,
+      longitude = 13.405,
+      stickerId = '369239263222822',
+      storyReply = false,
+    } = req.body;
+    const isInstagram = platform === 'instagram';
+    const accountId = isInstagram ? config.instagramAccountId : config.pageId;
+    const message = { mid: generateId('m_'), text };
+
+    if (quickReplyPayload) {
+      message.quick_reply = { payload: quickReplyPayload };
+    }
+
+    // Reply to an earlier message
+    if (replyToId) {
+      message.reply_to = { mid: replyToId };
+    }
+
+    // Reply to a story of the Instagram account
+    if (storyReply) {
+      const id = storeMedia(PLACEHOLDER_IMAGE, 'image/png', 'story.png');
+      message.reply_to = { story: { id: generateId('1790'), url: `${config.publicUrl}/media/${id}` } };
+    }
+
+    if (attachmentType === 'location') {
+      // Shared locations have no text
+      delete message.text;
+      message.attachments = [{
+        type: 'location',
+        title: text,
+        payload: { coordinates: { lat: latitude, long: longitude } },
+      }];
+    } else if (attachmentType) {
+      const id = storeMedia(PLACEHOLDER_IMAGE, 'image/png', 'emulator.png');
+      const isSticker = attachmentType === 'sticker';
+
+      // Story mentions and stickers are sent without text, stickers are images with a sticker ID
+      if (attachmentType === 'story_mention') {
+        delete message.text;
+      }
+
+      if (isSticker) {
+        delete message.text;
+        message.sticker_id = stickerId;
+      }
+
+      message.attachments = [{
+        type: isSticker ? 'image' : attachmentType,
+        payload: {
+          url: `${config.publicUrl}/media/${id}`,
+          ...(isSticker && { sticker_id: stickerId }),
+        },
+      }];
+    }
+
+    res.json(await deliverWebhook({
+      object: isInstagram ? 'instagram' : 'page',
+      entry: [{
+        id: accountId,
+        time: Date.now(),
+        messaging: [{
+          sender: { id: senderId },
+          recipient: { id: accountId },
+          timestamp: Date.now(),
+          // Button template clicks are postbacks instead of messages
+          ...(postbackPayload
+            ? { postback: { mid: message.mid, title: text, payload: postbackPayload } }
+            : { message }),
+        }],
+      }],
+    }));
+  });
+
+  // Comment on a post of the Instagram account, or a mention of the account
+  app.post('/_emulator/webhooks/instagram-comment', async (req, res) => {
+    const {
+      field = 'comments',
+      username = 'emulator.customer',
+      fromId = '300000000000001',
+      text = 'Comment from the emulator',
+      mediaId = '17900000000000001',
+      parentId,
+      caption = false,
+    } = req.body;
+    const commentId = generateId('1800');
+    const timestamp = new Date().toISOString();
+    let value;
+
+    if (field === 'mentions') {
+      // Mentions only carry IDs, the backend looks up the rest
+      if (caption) {
+        state.mentions.set(mediaId, {
+          id: mediaId,
+          caption: text,
+          username,
+          timestamp,
+          media_type: 'IMAGE',
+          permalink: `https://www.instagram.com/p/${mediaId}/`,
+        });
+      } else {
+        state.mentions.set(commentId, {
+          id: commentId,
+          text,
+          from: { id: fromId, username },
+          timestamp,
+          media: { id: mediaId, permalink: `https://www.instagram.com/p/${mediaId}/` },
+        });
+      }
+
+      value = { media_id: mediaId, ...(!caption && { comment_id: commentId }) };
+    } else {
+      value = {
+        from: { id: fromId, username },
+        id: commentId,
+        text,
+        media: { id: mediaId, media_product_type: 'FEED' },
+        ...(parentId && { parent_id: parentId }),
+      };
+    }
+
+    res.json(await deliverWebhook({
+      object: 'instagram',
+      entry: [{
+        id: config.instagramAccountId,
+        // Change entries are timed in seconds
+        time: Math.floor(Date.now() / 1000),
+        changes: [{ field, value }],
+      }],
+    }));
+  });
+
+  // Reaction, edit or unsend of an earlier Messenger or Instagram message
+  app.post('/_emulator/webhooks/messenger-change', async (req, res) => {
+    const {
+      platform = 'facebook',
+      senderId = '200000000000001',
+      change = 'reaction',
+      messageId,
+      emoji = '❤️',
+      text = 'Edited from the emulator',
+      numEdit = 1,
+    } = req.body;
+    const isInstagram = platform === 'instagram';
+    const accountId = isInstagram ? config.instagramAccountId : config.pageId;
+
+    if (!messageId) {
+      return res.status(400).json({ message: 'messageId is required' });
+    }
+
+    const event = {
+      sender: { id: senderId },
+      recipient: { id: accountId },
+      timestamp: Date.now(),
+    };
+
+    if (change === 'edit') {
+      event.message_edit = { mid: messageId, text, num_edit: numEdit };
+    } else if (change === 'unsend') {
+      event.message = { mid: messageId, is_deleted: true };
+    } else {
+      event.reaction = emoji
+        ? { mid: messageId, action: 'react', reaction: 'other', emoji }
+        : { mid: messageId, action: 'unreact' };
+    }
+
+    res.json(await deliverWebhook({
+      object: isInstagram ? 'instagram' : 'page',
+      entry: [{ id: accountId, time: Date.now(), messaging: [event] }],
+    }));
+  });
+
+  // Inbound WhatsApp message from a customer
+  app.post('/_emulator/webhooks/whatsapp', async (req, res) => {
+    const {
+      from = '15550100001',
+      name = 'Emulator Customer',
+      type = 'text',
+      text = 'Hello from the emulator',
+      replyType = 'button_reply',
+      payload,
+      messageId,
+      emoji = '👍',
+      replyToId,
+      latitude = 52.52,
+      longitude = 13.405,
+      address = 'Alexanderplatz, Berlin',
+    } = req.body;
+    const message = {
+      from,
+      id: generateId('wamid.'),
+      timestamp: String(Math.floor(Date.now() / 1000)),
+      type,
+      // Reply to an earlier message
+      ...(replyToId && { context: { from: config.displayPhoneNumber, id: replyToId } }),
+    };
+
+    if (type === 'text') {
+      message.text = { body: text };
+    } else if (type === 'reaction') {
+      // Reaction to an earlier message, an empty emoji removes it
+      message.reaction = { message_id: messageId, emoji };
+    } else if (type === 'interactive') {
+      // Reply to an interactive button (button_reply) or list (list_reply) message
+      message.interactive = { type: replyType, [replyType]: { id: payload || text, title: text } };
+    } else if (type === 'location') {
+      message.location = { latitude, longitude, name: text, address };
+    } else if (type === 'contacts') {
+      // Contact card of the customer themselves
+      message.contacts = [{
+        name: { formatted_name: name, first_name: name },
+        phones: [{ phone: `+${from}`, type: 'CELL', wa_id: from }],
+      }];
+    } else if (type === 'sticker') {
+      const id = storeMedia(PLACEHOLDER_IMAGE, 'image/png', 'emulator.png');
+      message.sticker = { id, mime_type: 'image/png', animated: false };
+    } else {
+      const id = storeMedia(PLACEHOLDER_IMAGE, 'image/png', 'emulator.png');
+      message[type] = { id, mime_type: 'image/png', caption: text, filename: 'emulator.png' };
+    }
+
+    res.json(await deliverWebhook({
+      object: 'whatsapp_business_account',
+      entry: [{
+        id: config.businessAccountId,
+        changes: [{
+          field: 'messages',
+          value: {
+            messaging_product: 'whatsapp',
+            metadata: {
+              display_phone_number: config.displayPhoneNumber,
+              phone_number_id: config.phoneNumberId,
+            },
+            contacts: [{ profile: { name }, wa_id: from }],
+            messages: [message],
+          },
+        }],
+      }],
+    }));
+  });
+
+  // Delivery or read receipt of a WhatsApp message sent by the backend
+  app.post('/_emulator/webhooks/whatsapp-status', async (req, res) => {
+    const { messageId, status = 'delivered' } = req.body;
+    const sent = state.messages.find(message => message.messageId === messageId);
+
+    if (!sent) {
+      return res.status(404).json({ message: 'Sent message not found' });
+    }
+
+    res.json(await deliverWebhook({
+      object: 'whatsapp_business_account',
+      entry: [{
+        id: config.businessAccountId,
+        changes: [{
+          field: 'messages',
+          value: {
+            messaging_product: 'whatsapp',
+            metadata: {
+              display_phone_number: config.displayPhoneNumber,
+              phone_number_id: sent.phoneNumberId,
+            },
+            statuses: [{
+              id: messageId,
+              status,
+              timestamp: String(Math.floor(Date.now() / 1000)),
+              recipient_id: sent.recipientId,
+            }],
+          },
+        }],
+      }],
+    }));
+  });
+
+  app.use((req, res) => {
+    sendGraphError(res, 404, `Unknown path components: ${req.path}`, 2500);
+  });
+
+  return app;
+}
+
+// CLI interface
+if (require.main === module) {
+  const app = createMetaEmulator();
+  const { port, webhookUrl } = app.locals.config;
+
+  app.listen(port, () => {
+    logger.info(`Meta emulator listening on port ${port}, delivering webhooks to ${webhookUrl}`);
+  });
+}
+
+module.exports = {
+  createMetaEmulator,
+  signPayload,
+};
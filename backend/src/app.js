@@ -14,6 +14,7 @@ const { connectRedis } = require('./utils/redis');
 const errorHandler = require('./middleware/errorHandler');
 const authMiddleware = require('./middleware/auth');
 const tenantIsolationMiddleware = require('./middleware/tenantIsolation');
+const { captureRawBody } = require('./middleware/webhookSignature');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -22,9 +23,25 @@ const messageRoutes = require('./routes/messages');
 const noteRoutes = require('./routes/notes');
 const socialConnectionRoutes = require('./routes/socialConnections');
 const webhookRoutes = require('./routes/webhooks');
+const metaAppRoutes = require('./routes/metaApps');
+const mediaRoutes = require('./routes/media');
+const uploadRoutes = require('./routes/upload');
+const whatsappTemplateRoutes = require('./routes/whatsappTemplates');
+const contactRoutes = require('./routes/contacts');
+const routingRuleRoutes = require('./routes/routingRules');
+const teamRoutes = require('./routes/teams');
+const inboxRoutes = require('./routes/inboxes');
+const slaPolicyRoutes = require('./routes/slaPolicies');
+const cannedResponseRoutes = require('./routes/cannedResponses');
+const tagRoutes = require('./routes/tags');
+const searchRoutes = require('./routes/search');
 
 // Import WebSocket service
 const { initializeWebSocket } = require('./services/websocketService');
+const messageQueueService = require('./services/messageQueueService');
+const webhookEventService = require('./services/webhookEventService');
+const customerProfileService = require('./services/customerProfileService');
+const slaService = require('./services/slaService');
 
 const app = express();
 const server = createServer(app);
@@ -68,7 +85,7 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
 
@@ -113,6 +130,18 @@ app.use('/api/chats', authMiddleware, tenantIsolationMiddleware, chatRoutes);
 app.use('/api/messages', authMiddleware, tenantIsolationMiddleware, messageRoutes);
 app.use('/api/notes', authMiddleware, tenantIsolationMiddleware, noteRoutes);
 app.use('/api/social-connections', authMiddleware, tenantIsolationMiddleware, socialConnectionRoutes);
+app.use('/api/meta-apps', authMiddleware, tenantIsolationMiddleware, metaAppRoutes);
+app.use('/api/media', authMiddleware, tenantIsolationMiddleware, mediaRoutes);
+app.use('/api/upload', authMiddleware, tenantIsolationMiddleware, uploadRoutes);
+app.use('/api/whatsapp-templates', authMiddleware, tenantIsolationMiddleware, whatsappTemplateRoutes);
+app.use('/api/contacts', authMiddleware, tenantIsolationMiddleware, contactRoutes);
+app.use('/api/routing-rules', authMiddleware, tenantIsolationMiddleware, routingRuleRoutes);
+app.use('/api/teams', authMiddleware, tenantIsolationMiddleware, teamRoutes);
+app.use('/api/inboxes', authMiddleware, tenantIsolationMiddleware, inboxRoutes);
+app.use('/api/sla-policies', authMiddleware, tenantIsolationMiddleware, slaPolicyRoutes);
+app.use('/api/canned-responses', authMiddleware, tenantIsolationMiddleware, cannedResponseRoutes);
+app.use('/api/tags', authMiddleware, tenantIsolationMiddleware, tagRoutes);
+app.use('/api/search', authMiddleware, tenantIsolationMiddleware, searchRoutes);
 
 // Webhook routes (no auth required, but with verification)
 app.use('/api/webhooks', webhookRoutes);
@@ -142,6 +171,18 @@ async function initializeServices() {
     initializeWebSocket(wss);
     logger.info('WebSocket server initialized');
 
+    // Start outbound message delivery worker
+    await messageQueueService.start();
+
+    // Start webhook ingestion worker
+    webhookEventService.start();
+
+    // Start periodic customer profile refresh
+    customerProfileService.start();
+
+    // Start SLA deadline checks
+    slaService.start();
+
     return true;
   } catch (error) {
     logger.error('Failed to initialize services:', error);
@@ -171,6 +212,10 @@ async function startServer() {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  messageQueueService.stop();
+  webhookEventService.stop();
+  customerProfileService.stop();
+  slaService.stop();
   server.close(() => {
     logger.info('Process terminated');
     process.exit(0);
@@ -179,6 +224,10 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  messageQueueService.stop();
+  webhookEventService.stop();
+  customerProfileService.stop();
+  slaService.stop();
   server.close(() => {
     logger.info('Process terminated');
     process.exit(0);
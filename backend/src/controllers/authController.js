@@ -1,9 +1,10 @@
 const authService = require('../services/authService');
 const metaApiService = require('../services/metaApiService');
 const encryptionService = require('../services/encryptionService');
+const whatsappOnboardingService = require('../services/whatsappOnboardingService');
 const { query, transaction } = require('../utils/database');
 const logger = require('../utils/logger');
-const { ERROR_CODES, HTTP_STATUS, PLATFORMS } = require('../utils/constants');
+const { ERROR_CODES, HTTP_STATUS, META_API, PLATFORMS } = require('../utils/constants');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 
 class AuthController {
@@ -428,6 +429,17 @@ class AuthController {
         ]
       );
 
+      // Subscribe to direct messages, comments and mentions
+      try {
+        await metaApiService.subscribeToWebhooks(
+          userInfo.id,
+          tokenResponse.access_token,
+          META_API.WEBHOOK_FIELDS.instagram
+        );
+      } catch (webhookError) {
+        logger.warn('Failed to subscribe to webhooks:', webhookError);
+      }
+
       // Redirect to frontend with success
       const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
       res.redirect(`${frontendUrl}/dashboard?oauth=success&platform=instagram`);
@@ -440,6 +452,96 @@ class AuthController {
     }
   });
 
+  /**
+   * Initiate WhatsApp Business OAuth (Embedded Signup when configured)
+   */
+  whatsappOAuth = asyncHandler(async (req, res) => {
+    const stateData = {
+      userId: req.user.id,
+      tenantId: req.tenantId,
+      platform: PLATFORMS.WHATSAPP,
+      timestamp: Date.now(),
+    };
+
+    const encryptedState = encryptionService.encryptObject(stateData);
+
+    const redirectUri = `${process.env.BACKEND_URL}/api/auth/whatsapp/callback`;
+    const oauthUrl = metaApiService.generateWhatsAppOAuthURL(redirectUri, encryptedState);
+
+    res.json({
+      oauthUrl,
+      state: encryptedState,
+      configId: process.env.META_WHATSAPP_CONFIG_ID || null,
+    });
+  });
+
+  /**
+   * Handle WhatsApp Business OAuth callback
+   */
+  whatsappCallback = asyncHandler(async (req, res) => {
+    const { code, state } = req.query;
+
+    if (!code || !state) {
+      throw new AppError(
+        'Missing authorization code or state',
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.INVALID_INPUT
+      );
+    }
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+    try {
+      // Decrypt and verify state
+      const stateData = encryptionService.decryptObject(state);
+
+      // Verify state timestamp
+      const stateAge = Date.now() - stateData.timestamp;
+      if (stateAge > 10 * 60 * 1000) {
+        throw new AppError(
+          'OAuth state expired',
+          HTTP_STATUS.BAD_REQUEST,
+          ERROR_CODES.TOKEN_EXPIRED
+        );
+      }
+
+      const connections = await whatsappOnboardingService.connect({
+        userId: stateData.userId,
+        tenantId: stateData.tenantId,
+        code,
+        redirectUri: `${process.env.BACKEND_URL}/api/auth/whatsapp/callback`,
+      });
+
+      res.redirect(`${frontendUrl}/dashboard?oauth=success&platform=whatsapp&numbers=${connections.length}`);
+
+    } catch (error) {
+      logger.error('WhatsApp OAuth callback error:', error);
+
+      // Only the error code reaches the browser, the details stay in the log
+      const errorCode = (error instanceof AppError && error.errorCode) || ERROR_CODES.INTERNAL_SERVER_ERROR;
+      res.redirect(`${frontendUrl}/dashboard?oauth=error&platform=whatsapp&code=${encodeURIComponent(errorCode)}`);
+    }
+  });
+
+  /**
+   * Complete Embedded Signup started with the Facebook JavaScript SDK
+   */
+  whatsappEmbeddedSignup = asyncHandler(async (req, res) => {
+    const { code, businessAccountId } = req.body;
+
+    const connections = await whatsappOnboardingService.connect({
+      userId: req.user.id,
+      tenantId: req.tenantId,
+      code,
+      businessAccountIds: businessAccountId ? [businessAccountId] : [],
+    });
+
+    res.status(HTTP_STATUS.CREATED).json({
+      message: 'WhatsApp phone numbers connected successfully',
+      connections,
+    });
+  });
+
   /**
    * Get connected social accounts
    */
@@ -447,7 +549,8 @@ class AuthController {
     const tenantId = req.tenantId;
 
     const result = await query(
-      `SELECT id, platform, platform_account_id, scopes, expires_at, is_active, created_at, updated_at
+      `SELECT id, platform, platform_account_id, business_account_id, account_name,
+              scopes, expires_at, is_active, created_at, updated_at
        FROM social_connections
        WHERE tenant_id = $1
        ORDER BY platform, created_at DESC`,
@@ -458,6 +561,8 @@ class AuthController {
       id: conn.id,
       platform: conn.platform,
       accountId: conn.platform_account_id,
+      accountName: conn.account_name,
+      businessAccountId: conn.business_account_id,
       scopes: conn.scopes,
       expiresAt: conn.expires_at,
       isActive: conn.is_active,
@@ -0,0 +1,78 @@
+const cannedResponseService = require('../services/cannedResponseService');
+const logger = require('../utils/logger');
+const { HTTP_STATUS } = require('../utils/constants');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class CannedResponseController {
+  /**
+   * List or search the canned responses available to the user
+   */
+  getResponses = asyncHandler(async (req, res) => {
+    const { search, scope, limit, offset } = req.query;
+    const cannedResponses = await cannedResponseService.listResponses(req.user, {
+      search,
+      scope,
+      limit,
+      offset,
+    });
+
+    res.json({ cannedResponses });
+  });
+
+  /**
+   * Create a canned response
+   */
+  createResponse = asyncHandler(async (req, res) => {
+    const cannedResponse = await cannedResponseService.createResponse(req.user, req.body);
+
+    logger.info('Canned response created', {
+      cannedResponseId: cannedResponse.id,
+      scope: cannedResponse.scope,
+      tenantId: req.tenantId,
+      userId: req.user.id,
+    });
+
+    res.status(HTTP_STATUS.CREATED).json({
+      message: 'Canned response created successfully',
+      cannedResponse,
+    });
+  });
+
+  /**
+   * Update a canned response
+   */
+  updateResponse = asyncHandler(async (req, res) => {
+    const cannedResponse = await cannedResponseService.updateResponse(req.params.id, req.user, req.body);
+
+    res.json({
+      message: 'Canned response updated successfully',
+      cannedResponse,
+    });
+  });
+
+  /**
+   * Delete a canned response
+   */
+  deleteResponse = asyncHandler(async (req, res) => {
+    await cannedResponseService.deleteResponse(req.params.id, req.user);
+
+    logger.info('Canned response deleted', {
+      cannedResponseId: req.params.id,
+      tenantId: req.tenantId,
+      userId: req.user.id,
+    });
+
+    res.json({ message: 'Canned response deleted successfully' });
+  });
+
+  /**
+   * Fill in a canned response for a chat before it is inserted in the composer
+   */
+  renderResponse = asyncHandler(async (req, res) => {
+    const rendered = await cannedResponseService.renderResponse(req.params.id, req.body.chatId, req.user);
+
+    res.json({ cannedResponse: rendered });
+  });
+}
+
+module.exports = new CannedResponseController();
@@ -2,6 +2,11 @@ const { AppError } = require('../middleware/errorHandler');
 const { db } = require('../utils/database');
 const logger = require('../utils/logger');
 const { validateInput } = require('../utils/validation');
+const messagingWindowService = require('../services/messagingWindowService');
+const conversationService = require('../services/conversationService');
+const teamService = require('../services/teamService');
+const slaService = require('../services/slaService');
+const tagService = require('../services/tagService');
 const { z } = require('zod');
 
 // Validation schemas
@@ -16,6 +21,7 @@ const createChatSchema = z.object({
 
 const updateChatSchema = z.object({
   status: z.enum(['open', 'closed', 'pending']).optional(),
+  priority: z.enum(['low', 'medium', 'high', 'urgent']).optional(),
   customerName: z.string().optional(),
   customerPhone: z.string().optional(),
   customerEmail: z.string().email().optional(),
@@ -26,17 +32,40 @@ const getChatListSchema = z.object({
   page: z.coerce.number().int().min(1).default(1),
   limit: z.coerce.number().int().min(1).max(100).default(20),
   status: z.enum(['open', 'closed', 'pending']).optional(),
+  kind: z.enum(['direct', 'comments']).optional(),
+  priority: z.enum(['low', 'medium', 'high', 'urgent']).optional(),
   assignedUserId: z.string().uuid().optional(),
+  inboxId: z.string().uuid().optional(),
+  teamId: z.string().uuid().optional(),
+  // Comma-separated tag IDs, chats with any or all of them
+  tagIds: z.string()
+    .transform(value => [...new Set(value.split(',').map(id => id.trim()).filter(Boolean))])
+    .pipe(z.array(z.string().uuid()).max(50))
+    .optional(),
+  tagMatch: z.enum(['any', 'all']).default('any'),
   search: z.string().optional()
 });
 
+const chatTagsSchema = z.object({
+  tagIds: z.array(z.string().uuid()).min(1).max(50)
+});
+
+const bulkTagChatsSchema = z.object({
+  chatIds: z.array(z.string().uuid()).min(1).max(500),
+  addTagIds: z.array(z.string().uuid()).max(50).default([]),
+  removeTagIds: z.array(z.string().uuid()).max(50).default([])
+}).refine(data => data.addTagIds.length > 0 || data.removeTagIds.length > 0, {
+  message: 'Provide tags to add or remove',
+  path: ['addTagIds']
+});
+
 /**
  * Create a new chat
  */
 const createChat = async (req, res, next) => {
   try {
     const validatedData = validateInput(createChatSchema, req.body);
-    const { tenantId, userId } = req.user;
+    const { tenantId, id: userId } = req.user;
 
     // Check if social connection exists and belongs to tenant
     const socialConnection = await db.findOne(
@@ -54,6 +83,7 @@ const createChat = async (req, res, next) => {
       { 
         social_connection_id: validatedData.socialConnectionId,
         platform_chat_id: validatedData.platformChatId,
+        kind: 'direct',
         tenant_id: tenantId
       }
     );
@@ -78,6 +108,7 @@ const createChat = async (req, res, next) => {
     };
 
     const chat = await db.create('chats', chatData);
+    await conversationService.ensureCurrentConversation(chat);
 
     logger.info('Chat created', {
       chatId: chat.id,
@@ -103,13 +134,21 @@ const getChatList = async (req, res, next) => {
   try {
     const validatedQuery = validateInput(getChatListSchema, req.query);
     const { tenantId } = req.user;
-    const { page, limit, status, assignedUserId, search } = validatedQuery;
+    const { page, limit, status, kind, priority, assignedUserId, inboxId, teamId, tagIds, tagMatch, search } = validatedQuery;
 
     const offset = (page - 1) * limit;
     let whereClause = 'c.tenant_id = $1';
     let params = [tenantId];
     let paramIndex = 2;
 
+    const accessCondition = teamService.getChatAccessCondition(req.user, `$${paramIndex}`);
+
+    if (accessCondition) {
+      whereClause += ` AND ${accessCondition}`;
+      params.push(req.user.id);
+      paramIndex++;
+    }
+
     // Add filters
     if (status) {
       whereClause += ` AND c.status = $${paramIndex}`;
@@ -117,12 +156,57 @@ const getChatList = async (req, res, next) => {
       paramIndex++;
     }
 
+    if (kind) {
+      whereClause += ` AND c.kind = $${paramIndex}`;
+      params.push(kind);
+      paramIndex++;
+    }
+
+    if (priority) {
+      whereClause += ` AND c.priority = $${paramIndex}`;
+      params.push(priority);
+      paramIndex++;
+    }
+
     if (assignedUserId) {
       whereClause += ` AND c.assigned_user_id = $${paramIndex}`;
       params.push(assignedUserId);
       paramIndex++;
     }
 
+    if (inboxId) {
+      whereClause += ` AND EXISTS (
+        SELECT 1 FROM social_connections isc
+        WHERE isc.id = c.social_connection_id AND isc.inbox_id = $${paramIndex}
+      )`;
+      params.push(inboxId);
+      paramIndex++;
+    }
+
+    if (teamId) {
+      whereClause += ` AND EXISTS (
+        SELECT 1 FROM social_connections tsc
+        JOIN inboxes ti ON tsc.inbox_id = ti.id
+        WHERE tsc.id = c.social_connection_id AND ti.team_id = $${paramIndex}
+      )`;
+      params.push(teamId);
+      paramIndex++;
+    }
+
+    if (tagIds && tagIds.length > 0) {
+      whereClause += tagMatch === 'all'
+        ? ` AND (
+          SELECT COUNT(*) FROM chat_tags fct
+          WHERE fct.chat_id = c.id AND fct.tag_id = ANY($${paramIndex}::uuid[])
+        ) = cardinality($${paramIndex}::uuid[])`
+        : ` AND EXISTS (
+          SELECT 1 FROM chat_tags fct
+          WHERE fct.chat_id = c.id AND fct.tag_id = ANY($${paramIndex}::uuid[])
+        )`;
+      params.push(tagIds);
+      paramIndex++;
+    }
+
     if (search) {
       whereClause += ` AND (
         c.customer_name ILIKE $${paramIndex} OR 
@@ -139,6 +223,7 @@ const getChatList = async (req, res, next) => {
         c.*,
         sc.platform,
         sc.account_name,
+        sc.inbox_id,
         u.first_name as assigned_user_first_name,
         u.last_name as assigned_user_last_name,
         u.email as assigned_user_email,
@@ -153,10 +238,25 @@ const getChatList = async (req, res, next) => {
           WHERE m.chat_id = c.id
           ORDER BY m.created_at DESC
           LIMIT 1
-        ) as last_message
+        ) as last_message,
+        cv.conversation_status,
+        cv.sla_policy_id,
+        cv.first_response_due_at,
+        cv.first_responded_at,
+        cv.next_response_due_at,
+        cv.resolution_due_at,
+        cv.sla_paused_at
       FROM chats c
       LEFT JOIN social_connections sc ON c.social_connection_id = sc.id
       LEFT JOIN users u ON c.assigned_user_id = u.id
+      LEFT JOIN LATERAL (
+        SELECT lcv.status as conversation_status, lcv.sla_policy_id, lcv.first_response_due_at,
+          lcv.first_responded_at, lcv.next_response_due_at, lcv.resolution_due_at, lcv.sla_paused_at
+        FROM conversations lcv
+        WHERE lcv.chat_id = c.id
+        ORDER BY lcv.opened_at DESC
+        LIMIT 1
+      ) cv ON true
       WHERE ${whereClause}
       ORDER BY c.last_interaction DESC
       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
@@ -176,10 +276,17 @@ const getChatList = async (req, res, next) => {
     const countResult = await db.query(countQuery, params.slice(0, -2));
     const total = countResult.rows[0].total;
 
+    const tagsByChat = await tagService.getChatTags(chats.rows.map(chat => chat.id));
+
     res.json({
       success: true,
       data: {
-        chats: chats.rows,
+        chats: chats.rows.map(chat => ({
+          ...chat,
+          messaging_window: messagingWindowService.getWindow(chat, chat.platform),
+          sla: slaService.getStatus(chat),
+          tags: tagsByChat.get(chat.id)
+        })),
         pagination: {
           page,
           limit,
@@ -201,12 +308,15 @@ const getChatById = async (req, res, next) => {
     const { chatId } = req.params;
     const { tenantId } = req.user;
 
+    const accessCondition = teamService.getChatAccessCondition(req.user, '$3');
+
     const query = `
       SELECT 
         c.*,
         sc.platform,
         sc.account_name,
         sc.page_id,
+        sc.inbox_id,
         u.first_name as assigned_user_first_name,
         u.last_name as assigned_user_last_name,
         u.email as assigned_user_email,
@@ -214,22 +324,38 @@ const getChatById = async (req, res, next) => {
           SELECT COUNT(*)::int 
           FROM messages m 
           WHERE m.chat_id = c.id AND m.is_read = false AND m.direction = 'inbound'
-        ) as unread_count
+        ) as unread_count,
+        (
+          SELECT cv.id
+          FROM conversations cv
+          WHERE cv.chat_id = c.id
+          ORDER BY cv.opened_at DESC
+          LIMIT 1
+        ) as current_conversation_id
       FROM chats c
       LEFT JOIN social_connections sc ON c.social_connection_id = sc.id
       LEFT JOIN users u ON c.assigned_user_id = u.id
       WHERE c.id = $1 AND c.tenant_id = $2
+        AND ${accessCondition || 'TRUE'}
     `;
 
-    const result = await db.query(query, [chatId, tenantId]);
+    const params = accessCondition ? [chatId, tenantId, req.user.id] : [chatId, tenantId];
+    const result = await db.query(query, params);
 
     if (result.rows.length === 0) {
       throw new AppError('Chat not found', 404, 'CHAT_NOT_FOUND');
     }
 
+    const chat = result.rows[0];
+    const tagsByChat = await tagService.getChatTags([chat.id]);
+
     res.json({
       success: true,
-      data: result.rows[0]
+      data: {
+        ...chat,
+        messaging_window: messagingWindowService.getWindow(chat, chat.platform),
+        tags: tagsByChat.get(chat.id)
+      }
     });
   } catch (error) {
     next(error);
@@ -243,13 +369,10 @@ const updateChat = async (req, res, next) => {
   try {
     const { chatId } = req.params;
     const validatedData = validateInput(updateChatSchema, req.body);
-    const { tenantId, userId } = req.user;
+    const { tenantId, id: userId } = req.user;
 
-    // Check if chat exists and belongs to tenant
-    const existingChat = await db.findOne(
-      'chats',
-      { id: chatId, tenant_id: tenantId }
-    );
+    // Check if chat exists and the user may access it
+    const existingChat = await teamService.findAccessibleChat(req.user, chatId);
 
     if (!existingChat) {
       throw new AppError('Chat not found', 404, 'CHAT_NOT_FOUND');
@@ -285,6 +408,17 @@ const updateChat = async (req, res, next) => {
 
     const updatedChat = await db.update('chats', updateData, { id: chatId, tenant_id: tenantId });
 
+    // Closing, reopening and reassigning apply to the current conversation
+    if (validatedData.status !== undefined || validatedData.assignedUserId !== undefined) {
+      await conversationService.syncFromChat(updatedChat, userId);
+    }
+
+    // A new priority can select another SLA policy
+    if (validatedData.priority !== undefined && validatedData.priority !== existingChat.priority) {
+      const conversation = await conversationService.ensureCurrentConversation(updatedChat);
+      await slaService.onPriorityChange(updatedChat, conversation);
+    }
+
     logger.info('Chat updated', {
       chatId,
       tenantId,
@@ -308,13 +442,10 @@ const updateChat = async (req, res, next) => {
 const deleteChat = async (req, res, next) => {
   try {
     const { chatId } = req.params;
-    const { tenantId, userId } = req.user;
+    const { tenantId, id: userId } = req.user;
 
-    // Check if chat exists and belongs to tenant
-    const existingChat = await db.findOne(
-      'chats',
-      { id: chatId, tenant_id: tenantId }
-    );
+    // Check if chat exists and the user may access it
+    const existingChat = await teamService.findAccessibleChat(req.user, chatId);
 
     if (!existingChat) {
       throw new AppError('Chat not found', 404, 'CHAT_NOT_FOUND');
@@ -338,6 +469,91 @@ const deleteChat = async (req, res, next) => {
   }
 };
 
+/**
+ * Get the conversations of a chat
+ */
+const getChatConversations = async (req, res, next) => {
+  try {
+    const { chatId } = req.params;
+
+    const conversations = await conversationService.listConversations(chatId, req.user);
+
+    res.json({
+      success: true,
+      data: conversations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add tags to a chat
+ */
+const addChatTags = async (req, res, next) => {
+  try {
+    const { chatId } = req.params;
+    const { tagIds } = validateInput(chatTagsSchema, req.body);
+
+    const tagsByChat = await tagService.tagChats(req.user, [chatId], { addTagIds: tagIds });
+
+    res.json({
+      success: true,
+      data: tagsByChat.get(chatId),
+      message: 'Chat tagged successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a tag from a chat
+ */
+const removeChatTag = async (req, res, next) => {
+  try {
+    const { chatId, tagId } = req.params;
+
+    const tagsByChat = await tagService.tagChats(req.user, [chatId], { removeTagIds: [tagId] });
+
+    res.json({
+      success: true,
+      data: tagsByChat.get(chatId),
+      message: 'Tag removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add and remove tags on several chats at once
+ */
+const bulkTagChats = async (req, res, next) => {
+  try {
+    const { chatIds, addTagIds, removeTagIds } = validateInput(bulkTagChatsSchema, req.body);
+    const { tenantId } = req.user;
+
+    const tagsByChat = await tagService.tagChats(req.user, chatIds, { addTagIds, removeTagIds });
+
+    logger.info('Chats tagged in bulk', {
+      tenantId,
+      userId: req.user.id,
+      chatCount: tagsByChat.size,
+      addTagIds,
+      removeTagIds
+    });
+
+    res.json({
+      success: true,
+      data: [...tagsByChat].map(([chatId, tags]) => ({ chatId, tags })),
+      message: 'Chats tagged successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Assign chat to user
  */
@@ -345,18 +561,15 @@ const assignChat = async (req, res, next) => {
   try {
     const { chatId } = req.params;
     const { assignedUserId } = req.body;
-    const { tenantId, userId } = req.user;
+    const { tenantId, id: userId } = req.user;
 
     // Validate assigned user ID
     if (assignedUserId && !z.string().uuid().safeParse(assignedUserId).success) {
       throw new AppError('Invalid user ID format', 400, 'INVALID_USER_ID');
     }
 
-    // Check if chat exists and belongs to tenant
-    const existingChat = await db.findOne(
-      'chats',
-      { id: chatId, tenant_id: tenantId }
-    );
+    // Check if chat exists and the user may access it
+    const existingChat = await teamService.findAccessibleChat(req.user, chatId);
 
     if (!existingChat) {
       throw new AppError('Chat not found', 404, 'CHAT_NOT_FOUND');
@@ -381,6 +594,8 @@ const assignChat = async (req, res, next) => {
       { id: chatId, tenant_id: tenantId }
     );
 
+    await conversationService.syncFromChat(updatedChat, userId);
+
     logger.info('Chat assignment updated', {
       chatId,
       tenantId,
@@ -404,5 +619,9 @@ module.exports = {
   getChatById,
   updateChat,
   deleteChat,
-  assignChat
+  assignChat,
+  getChatConversations,
+  addChatTags,
+  removeChatTag,
+  bulkTagChats
 };
\ No newline at end of file
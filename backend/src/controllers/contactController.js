@@ -0,0 +1,116 @@
+const contactService = require('../services/contactService');
+const logger = require('../utils/logger');
+const { HTTP_STATUS } = require('../utils/constants');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class ContactController {
+  /**
+   * List the tenant's contacts
+   */
+  getContacts = asyncHandler(async (req, res) => {
+    const { search, limit, offset } = req.query;
+    const { contacts, total } = await contactService.listContacts(req.tenantId, {
+      search,
+      limit,
+      offset,
+    });
+
+    res.json({
+      contacts,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + contacts.length < total,
+      },
+    });
+  });
+
+  /**
+   * Get a contact with its identities, chats and notes
+   */
+  getContact = asyncHandler(async (req, res) => {
+    const contact = await contactService.getContact(req.params.id, req.user);
+
+    res.json({ contact });
+  });
+
+  /**
+   * Create a contact
+   */
+  createContact = asyncHandler(async (req, res) => {
+    const contact = await contactService.createContact(req.tenantId, req.body);
+
+    logger.info('Contact created', {
+      contactId: contact.id,
+      tenantId: req.tenantId,
+      userId: req.user.id,
+    });
+
+    res.status(HTTP_STATUS.CREATED).json({
+      message: 'Contact created successfully',
+      contact,
+    });
+  });
+
+  /**
+   * Update a contact's details and custom attributes
+   */
+  updateContact = asyncHandler(async (req, res) => {
+    const contact = await contactService.updateContact(req.params.id, req.tenantId, req.body);
+
+    res.json({
+      message: 'Contact updated successfully',
+      contact,
+    });
+  });
+
+  /**
+   * Delete a contact, its chats are kept
+   */
+  deleteContact = asyncHandler(async (req, res) => {
+    await contactService.deleteContact(req.params.id, req.tenantId);
+
+    logger.info('Contact deleted', {
+      contactId: req.params.id,
+      tenantId: req.tenantId,
+      userId: req.user.id,
+    });
+
+    res.json({ message: 'Contact deleted successfully' });
+  });
+
+  /**
+   * Merge another contact into this one
+   */
+  mergeContact = asyncHandler(async (req, res) => {
+    const contact = await contactService.mergeContacts(
+      req.params.id,
+      req.body.sourceContactId,
+      req.tenantId
+    );
+
+    res.json({
+      message: 'Contacts merged successfully',
+      contact,
+    });
+  });
+
+  /**
+   * Split a platform identity off into a new contact
+   */
+  splitIdentity = asyncHandler(async (req, res) => {
+    const contact = await contactService.splitIdentity(
+      req.params.id,
+      req.params.identityId,
+      req.tenantId
+    );
+
+    res.status(HTTP_STATUS.CREATED).json({
+      message: 'Identity split into a new contact',
+      contact,
+    });
+  });
+}
+
+module.exports = new ContactController();
@@ -0,0 +1,104 @@
+const mediaService = require('../services/mediaService');
+const storageService = require('../services/storageService');
+const logger = require('../utils/logger');
+const { ERROR_CODES, HTTP_STATUS } = require('../utils/constants');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+const BYTES_PER_MB = 1024 * 1024;
+
+// Types safe to render in the browser. Anything else, HTML and SVG
+// included, is served as a download so it never runs on our origin.
+const INLINE_MIME_TYPES = [
+  'image/jpeg', 'image/png', 'image/gif', 'image/webp',
+  'video/mp4', 'video/3gpp', 'video/quicktime', 'video/webm',
+  'audio/aac', 'audio/mp4', 'audio/mpeg', 'audio/amr', 'audio/ogg', 'audio/wav', 'audio/webm',
+];
+
+class MediaController {
+  /**
+   * Store a file uploaded by an agent so a message can send it
+   */
+  uploadMedia = asyncHandler(async (req, res) => {
+    const { file } = req;
+
+    if (!file) {
+      throw new AppError('File is required', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.MISSING_REQUIRED_FIELD);
+    }
+
+    // checkTenantLimits only sees the usage before this upload
+    const storage = req.tenantUsage?.storage_mb;
+
+    if (storage && file.size / BYTES_PER_MB > storage.remaining) {
+      throw new AppError(
+        'Storage limit exceeded',
+        HTTP_STATUS.FORBIDDEN,
+        ERROR_CODES.TENANT_LIMIT_EXCEEDED,
+        {
+          limitType: 'storage_mb',
+          currentUsage: storage.current,
+          limit: storage.limit,
+        }
+      );
+    }
+
+    const asset = await mediaService.saveAsset({
+      tenantId: req.tenantId,
+      buffer: file.buffer,
+      mimeType: file.mimetype,
+      fileName: file.originalname,
+      uploadedBy: req.user.id,
+    });
+
+    logger.info('Media uploaded', {
+      mediaAssetId: asset.id,
+      tenantId: req.tenantId,
+      userId: req.user.id,
+      mimeType: asset.mime_type,
+      size: asset.size,
+    });
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      data: mediaService.formatAsset(asset),
+      message: 'File uploaded successfully',
+    });
+  });
+
+  /**
+   * Stream a stored media file or its thumbnail
+   */
+  downloadMedia = asyncHandler(async (req, res) => {
+    // Media of chats the user may not access is not found
+    const asset = await mediaService.getAccessibleAsset(req.params.id, req.user);
+    const { thumbnail } = req.query;
+
+    if (thumbnail && !asset.thumbnail_key) {
+      throw new AppError('Thumbnail not available', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+
+    const stream = await storageService.getStream(thumbnail ? asset.thumbnail_key : asset.storage_key);
+    const fileName = (asset.file_name || asset.id).replace(/["\r\n]/g, '');
+
+    const contentType = thumbnail ? 'image/jpeg' : asset.mime_type;
+    const mimeType = (contentType || '').split(';')[0].trim().toLowerCase();
+    const disposition = INLINE_MIME_TYPES.includes(mimeType) ? 'inline' : 'attachment';
+
+    res.setHeader('Content-Type', contentType || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `${disposition}; filename="${fileName}"`);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+
+    if (!thumbnail) {
+      res.setHeader('Content-Length', asset.size);
+    }
+
+    stream.on('error', (error) => {
+      logger.error('Media stream failed', { mediaAssetId: asset.id, error: error.message });
+      res.destroy(error);
+    });
+
+    stream.pipe(res);
+  });
+}
+
+module.exports = new MediaController();
@@ -1,20 +1,48 @@
 const { AppError } = require('../middleware/errorHandler');
-const { db } = require('../utils/database');
+const { db, transaction } = require('../utils/database');
 const logger = require('../utils/logger');
-const { validateInput } = require('../utils/validation');
+const {
+  validateInput,
+  templateParametersSchema,
+  interactiveMessageSchema,
+  sharedLocationSchema,
+  contactCardSchema
+} = require('../utils/validation');
+const { APP_CONSTANTS, INTERACTIVE_PLATFORMS } = require('../utils/constants');
 const { z } = require('zod');
 const websocketService = require('../services/websocketService');
+const messageQueueService = require('../services/messageQueueService');
+const messageDeliveryService = require('../services/messageDeliveryService');
+const mediaService = require('../services/mediaService');
+const whatsappTemplateService = require('../services/whatsappTemplateService');
+const messagingWindowService = require('../services/messagingWindowService');
+const conversationService = require('../services/conversationService');
+const messageChangeService = require('../services/messageChangeService');
+const instagramCommentService = require('../services/instagramCommentService');
+const teamService = require('../services/teamService');
 
 // Validation schemas
 const createMessageSchema = z.object({
   chatId: z.string().uuid(),
-  messageType: z.enum(['text', 'image', 'video', 'audio', 'file', 'location', 'contact', 'sticker', 'reaction']).default('text'),
+  messageType: z.enum(['text', 'image', 'video', 'audio', 'file', 'location', 'contact', 'sticker', 'reaction', 'template', 'interactive']).default('text'),
   direction: z.enum(['inbound', 'outbound']),
   senderType: z.enum(['customer', 'agent', 'system']),
   content: z.string().optional(),
   mediaUrl: z.string().url().optional(),
   mediaType: z.string().optional(),
   mediaSize: z.number().int().positive().optional(),
+  mediaAssetId: z.string().uuid().optional(),
+  messageTag: z.enum(['HUMAN_AGENT', 'CONFIRMED_EVENT_UPDATE', 'POST_PURCHASE_UPDATE', 'ACCOUNT_UPDATE']).optional(),
+  template: z.object({
+    templateId: z.string().uuid(),
+    parameters: templateParametersSchema.default({})
+  }).optional(),
+  interactive: interactiveMessageSchema.optional(),
+  location: sharedLocationSchema.optional(),
+  contacts: z.array(contactCardSchema).min(1).max(10).optional(),
+  replyToMessageId: z.string().uuid().optional(),
+  // Answers in Instagram comment chats are posted as a reply or sent as a direct message
+  commentReplyVisibility: z.enum(['public', 'private']).default('public'),
   metadata: z.record(z.any()).default({}),
   platformMessageId: z.string().optional()
 });
@@ -22,9 +50,10 @@ const createMessageSchema = z.object({
 const getMessageListSchema = z.object({
   page: z.coerce.number().int().min(1).default(1),
   limit: z.coerce.number().int().min(1).max(100).default(50),
-  messageType: z.enum(['text', 'image', 'video', 'audio', 'file', 'location', 'contact', 'sticker', 'reaction']).optional(),
+  messageType: z.enum(['text', 'image', 'video', 'audio', 'file', 'location', 'contact', 'sticker', 'reaction', 'template', 'interactive']).optional(),
   direction: z.enum(['inbound', 'outbound']).optional(),
   senderType: z.enum(['customer', 'agent', 'system']).optional(),
+  conversationId: z.string().uuid().optional(),
   search: z.string().optional()
 });
 
@@ -32,19 +61,34 @@ const markAsReadSchema = z.object({
   messageIds: z.array(z.string().uuid()).min(1)
 });
 
+const reactionSchema = z.object({
+  emoji: z.string().trim().min(1).max(16)
+});
+
+const commentModerationSchema = z.object({
+  hidden: z.boolean()
+});
+
+// Snippet of the message a message replies to, joined as rm
+const REPLY_TO_COLUMN = `
+  CASE WHEN rm.id IS NULL THEN NULL ELSE json_build_object(
+    'id', rm.id,
+    'content', LEFT(rm.content, ${APP_CONSTANTS.QUOTED_MESSAGE_LENGTH}),
+    'messageType', rm.message_type,
+    'direction', rm.direction,
+    'senderType', rm.sender_type,
+    'unsent', rm.metadata ? 'unsentAt'
+  ) END as reply_to`;
+
 /**
  * Create a new message
  */
 const createMessage = async (req, res, next) => {
   try {
     const validatedData = validateInput(createMessageSchema, req.body);
-    const { tenantId, userId } = req.user;
+    const { tenantId, id: userId } = req.user;
 
-    // Check if chat exists and belongs to tenant
-    const chat = await db.findOne(
-      'chats',
-      { id: validatedData.chatId, tenant_id: tenantId }
-    );
+    const chat = await teamService.findAccessibleChat(req.user, validatedData.chatId);
 
     if (!chat) {
       throw new AppError('Chat not found', 404, 'CHAT_NOT_FOUND');
@@ -55,11 +99,134 @@ const createMessage = async (req, res, next) => {
       if (!userId) {
         throw new AppError('User ID required for agent messages', 400, 'USER_ID_REQUIRED');
       }
+
+      if (
+        !validatedData.content && !validatedData.mediaUrl && !validatedData.mediaAssetId &&
+        !validatedData.template && !validatedData.location && !validatedData.contacts
+      ) {
+        throw new AppError('Message content or media is required', 400, 'MESSAGE_CONTENT_REQUIRED');
+      }
+
+      // Meta refuses standard replies once the customer's messaging window has closed
+      const connection = await db.findOne(
+        'social_connections',
+        { id: chat.social_connection_id, tenant_id: tenantId }
+      );
+
+      if (!connection) {
+        throw new AppError('Social connection not found', 404, 'SOCIAL_CONNECTION_NOT_FOUND');
+      }
+
+      // Comments can be answered publicly at any time, Meta checks the 7 days of private replies
+      if (chat.kind === 'comments') {
+        assertCanReplyToComment(validatedData);
+      } else {
+        messagingWindowService.assertCanSend(chat, connection.platform, {
+          messageType: validatedData.template ? 'template' : validatedData.messageType,
+          messageTag: validatedData.messageTag
+        });
+      }
+
+      if (validatedData.interactive) {
+        assertCanSendInteractive(validatedData, connection.platform);
+      }
+
+      if (validatedData.messageTag) {
+        validatedData.metadata = { ...validatedData.metadata, messageTag: validatedData.messageTag };
+      }
     }
 
+    // Files uploaded through /api/upload are sent as native attachments
+    let mediaAsset = null;
+
+    if (validatedData.mediaAssetId) {
+      mediaAsset = await mediaService.getAsset(validatedData.mediaAssetId, tenantId);
+
+      if (mediaAsset.message_id) {
+        throw new AppError('Media is already attached to another message', 409, 'RESOURCE_CONFLICT');
+      }
+
+      validatedData.mediaUrl = mediaService.getMediaUrl(mediaAsset.id);
+      validatedData.mediaType = mediaAsset.mime_type;
+      validatedData.mediaSize = mediaAsset.size;
+      validatedData.metadata = {
+        ...validatedData.metadata,
+        mediaAssetId: mediaAsset.id,
+        fileName: mediaAsset.file_name,
+      };
+
+      if (validatedData.messageType === 'text') {
+        validatedData.messageType = mediaService.getMessageType(mediaAsset.mime_type);
+      }
+    }
+
+    // WhatsApp templates are sent with their filled parameters, the
+    // rendered body is kept as the message content
+    if (validatedData.template) {
+      const prepared = await whatsappTemplateService.prepareTemplateMessage(
+        validatedData.template.templateId,
+        tenantId,
+        chat.social_connection_id,
+        validatedData.template.parameters
+      );
+
+      validatedData.messageType = 'template';
+      validatedData.content = prepared.content;
+      validatedData.metadata = { ...validatedData.metadata, template: prepared.template };
+    }
+
+    // Replies quote an earlier message of the same chat
+    if (validatedData.replyToMessageId) {
+      const quoted = await db.findOne(
+        'messages',
+        { id: validatedData.replyToMessageId, chat_id: validatedData.chatId, tenant_id: tenantId }
+      );
+
+      if (!quoted) {
+        throw new AppError('Replied message not found in this chat', 404, 'MESSAGE_NOT_FOUND');
+      }
+    }
+
+    // Answers in comment chats reply to the quoted comment, or the latest one
+    if (chat.kind === 'comments' && validatedData.direction === 'outbound') {
+      const comment = await instagramCommentService.getReplyTarget(chat.id, validatedData.replyToMessageId);
+
+      validatedData.replyToMessageId = comment.id;
+      validatedData.metadata = {
+        ...validatedData.metadata,
+        commentReply: {
+          commentId: comment.metadata.comment.id,
+          visibility: validatedData.commentReplyVisibility
+        }
+      };
+    }
+
+    // Quick replies, buttons and lists are sent with the content as their text
+    if (validatedData.interactive) {
+      validatedData.messageType = 'interactive';
+      validatedData.metadata = { ...validatedData.metadata, interactive: validatedData.interactive };
+    }
+
+    // Locations and contact cards are sent from their metadata, the platforms take no text with them
+    if (validatedData.location) {
+      validatedData.messageType = 'location';
+      validatedData.content = undefined;
+      validatedData.metadata = { ...validatedData.metadata, location: validatedData.location };
+    } else if (validatedData.contacts) {
+      validatedData.messageType = 'contact';
+      validatedData.content = undefined;
+      validatedData.metadata = { ...validatedData.metadata, contacts: validatedData.contacts };
+    }
+
+    // Messages belong to the chat's current conversation
+    const conversation = await conversationService.ensureCurrentConversation(chat);
+
+    const isAgentReply = validatedData.direction === 'outbound' && validatedData.senderType === 'agent';
+
     // Create message
     const messageData = {
       chat_id: validatedData.chatId,
+      conversation_id: conversation.id,
       tenant_id: tenantId,
       platform_message_id: validatedData.platformMessageId,
       message_type: validatedData.messageType,
@@ -70,13 +237,34 @@ const createMessage = async (req, res, next) => {
       media_url: validatedData.mediaUrl,
       media_type: validatedData.mediaType,
       media_size: validatedData.mediaSize,
-      metadata: validatedData.metadata
+      metadata: validatedData.metadata,
+      reply_to_message_id: validatedData.replyToMessageId || null,
+      status: isAgentReply ? 'queued' : undefined
     };
 
-    const message = await db.create('messages', messageData);
+    const message = await transaction(async (client) => {
+      const created = await db.create('messages', messageData, client);
+
+      if (mediaAsset) {
+        await mediaService.attachToMessage(mediaAsset.id, created.id, tenantId, client);
+      }
+
+      return created;
+    });
+
+    // Agent replies are queued for delivery to the customer's platform once
+    // committed, so the worker always finds the message of a job
+    if (isAgentReply) {
+      try {
+        await messageQueueService.enqueueMessage(message.id, tenantId);
+      } catch (error) {
+        logger.error('Outbound message could not be queued:', error);
+        await messageDeliveryService.markFailed(message.id, error);
+      }
+    }
 
     // Get message with sender info for response
-    const messageWithSender = await getMessageWithSender(message.id, tenantId);
+    const messageWithSender = await getMessageWithSender(message.id, req.user);
 
     // Emit real-time message to connected clients
     await websocketService.emitToChat(validatedData.chatId, 'new_message', messageWithSender);
@@ -87,13 +275,16 @@ const createMessage = async (req, res, next) => {
       tenantId,
       userId,
       direction: validatedData.direction,
-      messageType: validatedData.messageType
+      messageType: validatedData.messageType,
+      status: messageWithSender.status
     });
 
     res.status(201).json({
       success: true,
       data: messageWithSender,
-      message: 'Message created successfully'
+      message: messageWithSender.status === 'queued'
+        ? 'Message queued for delivery'
+        : 'Message created successfully'
     });
   } catch (error) {
     next(error);
@@ -108,13 +299,9 @@ const getMessageList = async (req, res, next) => {
     const { chatId } = req.params;
     const validatedQuery = validateInput(getMessageListSchema, req.query);
     const { tenantId } = req.user;
-    const { page, limit, messageType, direction, senderType, search } = validatedQuery;
+    const { page, limit, messageType, direction, senderType, conversationId, search } = validatedQuery;
 
-    // Check if chat exists and belongs to tenant
-    const chat = await db.findOne(
-      'chats',
-      { id: chatId, tenant_id: tenantId }
-    );
+    const chat = await teamService.findAccessibleChat(req.user, chatId);
 
     if (!chat) {
       throw new AppError('Chat not found', 404, 'CHAT_NOT_FOUND');
@@ -144,6 +331,12 @@ const getMessageList = async (req, res, next) => {
       paramIndex++;
     }
 
+    if (conversationId) {
+      whereClause += ` AND m.conversation_id = $${paramIndex}`;
+      params.push(conversationId);
+      paramIndex++;
+    }
+
     if (search) {
       whereClause += ` AND m.content ILIKE $${paramIndex}`;
       params.push(`%${search}%`);
@@ -156,9 +349,11 @@ const getMessageList = async (req, res, next) => {
         m.*,
         u.first_name as sender_first_name,
         u.last_name as sender_last_name,
-        u.email as sender_email
+        u.email as sender_email,
+        ${REPLY_TO_COLUMN}
       FROM messages m
       LEFT JOIN users u ON m.sender_id = u.id
+      LEFT JOIN messages rm ON m.reply_to_message_id = rm.id
       WHERE ${whereClause}
       ORDER BY m.created_at DESC
       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
@@ -201,9 +396,8 @@ const getMessageList = async (req, res, next) => {
 const getMessageById = async (req, res, next) => {
   try {
     const { messageId } = req.params;
-    const { tenantId } = req.user;
 
-    const message = await getMessageWithSender(messageId, tenantId);
+    const message = await getMessageWithSender(messageId, req.user);
 
     if (!message) {
       throw new AppError('Message not found', 404, 'MESSAGE_NOT_FOUND');
@@ -224,18 +418,24 @@ const getMessageById = async (req, res, next) => {
 const markAsRead = async (req, res, next) => {
   try {
     const validatedData = validateInput(markAsReadSchema, req.body);
-    const { tenantId, userId } = req.user;
+    const { tenantId, id: userId } = req.user;
     const { messageIds } = validatedData;
 
+    // Messages of chats the user may not access are left unread
+    const accessCondition = teamService.getChatAccessCondition(req.user, '$3');
+
     // Update messages as read
     const query = `
-      UPDATE messages 
+      UPDATE messages m
       SET is_read = true, read_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
-      WHERE id = ANY($1) AND tenant_id = $2 AND is_read = false
-      RETURNING id, chat_id
+      FROM chats c
+      WHERE m.chat_id = c.id AND m.id = ANY($1) AND m.tenant_id = $2 AND m.is_read = false
+        AND ${accessCondition || 'TRUE'}
+      RETURNING m.id, m.chat_id
     `;
 
-    const result = await db.query(query, [messageIds, tenantId]);
+    const params = accessCondition ? [messageIds, tenantId, userId] : [messageIds, tenantId];
+    const result = await db.query(query, params);
     const updatedMessages = result.rows;
 
     if (updatedMessages.length > 0) {
@@ -283,7 +483,7 @@ const markAsRead = async (req, res, next) => {
 const deleteMessage = async (req, res, next) => {
   try {
     const { messageId } = req.params;
-    const { tenantId, userId } = req.user;
+    const { tenantId, id: userId } = req.user;
 
     // Check if message exists and belongs to tenant
     const existingMessage = await db.findOne(
@@ -325,12 +525,156 @@ const deleteMessage = async (req, res, next) => {
   }
 };
 
+/**
+ * Get messages that exhausted their delivery attempts
+ */
+const getDeadLetterMessages = async (req, res, next) => {
+  try {
+    const { tenantId } = req.user;
+
+    const deadLetters = await messageQueueService.getDeadLetters(tenantId);
+
+    res.json({
+      success: true,
+      data: deadLetters
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replay a dead-lettered message through the delivery queue
+ */
+const replayDeadLetterMessage = async (req, res, next) => {
+  try {
+    const { messageId } = req.params;
+    const { tenantId, id: userId } = req.user;
+
+    const message = await messageQueueService.replayDeadLetter(messageId, tenantId);
+
+    logger.info('Dead-lettered message replay requested', {
+      messageId,
+      chatId: message.chat_id,
+      tenantId,
+      userId
+    });
+
+    res.json({
+      success: true,
+      data: message,
+      message: 'Message queued for delivery'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * React to a customer message, replacing the agents' previous reaction
+ */
+const reactToMessage = async (req, res, next) => {
+  try {
+    const { messageId } = req.params;
+    const { emoji } = validateInput(reactionSchema, req.body);
+
+    const message = await messageChangeService.react(req.user, messageId, emoji);
+
+    logger.info('Reaction sent', {
+      messageId,
+      chatId: message.chat_id,
+      tenantId: req.user.tenantId,
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: message,
+      message: 'Reaction sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove the agents' reaction from a customer message
+ */
+const removeReaction = async (req, res, next) => {
+  try {
+    const { messageId } = req.params;
+
+    const message = await messageChangeService.react(req.user, messageId, null);
+
+    res.json({
+      success: true,
+      data: message,
+      message: 'Reaction removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Hide or unhide an Instagram comment
+ */
+const updateComment = async (req, res, next) => {
+  try {
+    const { messageId } = req.params;
+    const { hidden } = validateInput(commentModerationSchema, req.body);
+
+    const message = await instagramCommentService.setHidden(req.user, messageId, hidden);
+
+    logger.info(hidden ? 'Comment hidden' : 'Comment unhidden', {
+      messageId,
+      chatId: message.chat_id,
+      tenantId: req.user.tenantId,
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: message,
+      message: hidden ? 'Comment hidden' : 'Comment unhidden'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete an Instagram comment, the message is kept in the chat
+ */
+const deleteComment = async (req, res, next) => {
+  try {
+    const { messageId } = req.params;
+
+    const message = await instagramCommentService.deleteComment(req.user, messageId);
+
+    logger.info('Comment deleted', {
+      messageId,
+      chatId: message.chat_id,
+      tenantId: req.user.tenantId,
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: message,
+      message: 'Comment deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get unread message count for user
  */
 const getUnreadCount = async (req, res, next) => {
   try {
-    const { tenantId, userId } = req.user;
+    const { tenantId, id: userId } = req.user;
 
     const query = `
       SELECT COUNT(*)::int as unread_count
@@ -354,22 +698,68 @@ const getUnreadCount = async (req, res, next) => {
   }
 };
 
+/**
+ * Make sure an interactive message can be sent to the platform
+ */
+const assertCanSendInteractive = (validatedData, platform) => {
+  const { interactive } = validatedData;
+
+  if (!INTERACTIVE_PLATFORMS[interactive.type].includes(platform)) {
+    throw new AppError(
+      `${interactive.type.replace('_', ' ')} messages are not supported on ${platform}`,
+      400,
+      'UNSUPPORTED_MESSAGE_TYPE'
+    );
+  }
+
+  if (!validatedData.content) {
+    throw new AppError('Interactive messages require a message text', 400, 'MESSAGE_CONTENT_REQUIRED');
+  }
+
+  if (validatedData.template || validatedData.mediaUrl || validatedData.mediaAssetId) {
+    throw new AppError('Interactive messages cannot carry media or a template', 400, 'INVALID_INPUT');
+  }
+};
+
+/**
+ * Make sure an answer in a comment chat can be posted, comments only take text
+ */
+const assertCanReplyToComment = (validatedData) => {
+  if (!validatedData.content) {
+    throw new AppError('Comment replies require a message text', 400, 'MESSAGE_CONTENT_REQUIRED');
+  }
+
+  if (
+    validatedData.template || validatedData.mediaUrl || validatedData.mediaAssetId ||
+    validatedData.interactive || validatedData.location || validatedData.contacts || validatedData.messageTag
+  ) {
+    throw new AppError('Comments can only be answered with text', 400, 'UNSUPPORTED_MESSAGE_TYPE');
+  }
+};
+
 /**
  * Helper function to get message with sender information
  */
-const getMessageWithSender = async (messageId, tenantId) => {
+const getMessageWithSender = async (messageId, user) => {
+  // Messages of chats the user may not access are not found
+  const accessCondition = teamService.getChatAccessCondition(user, '$3');
+
   const query = `
     SELECT 
       m.*,
       u.first_name as sender_first_name,
       u.last_name as sender_last_name,
-      u.email as sender_email
+      u.email as sender_email,
+      ${REPLY_TO_COLUMN}
     FROM messages m
+    JOIN chats c ON m.chat_id = c.id
     LEFT JOIN users u ON m.sender_id = u.id
-    WHERE m.id = $1 AND m.tenant_id = $2
+    LEFT JOIN messages rm ON m.reply_to_message_id = rm.id
+    WHERE m.id = $1 AND m.tenant_id = $2 AND ${accessCondition || 'TRUE'}
   `;
 
-  const result = await db.query(query, [messageId, tenantId]);
+  const params = accessCondition ? [messageId, user.tenantId, user.id] : [messageId, user.tenantId];
+  const result = await db.query(query, params);
   return result.rows[0] || null;
 };
 
@@ -379,5 +769,11 @@ module.exports = {
   getMessageById,
   markAsRead,
   deleteMessage,
-  getUnreadCount
+  getUnreadCount,
+  getDeadLetterMessages,
+  replayDeadLetterMessage,
+  reactToMessage,
+  removeReaction,
+  updateComment,
+  deleteComment
 };
\ No newline at end of file
@@ -0,0 +1,39 @@
+const metaAppService = require('../services/metaAppService');
+const { HTTP_STATUS } = require('../utils/constants');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class MetaAppController {
+  /**
+   * List the tenant's own Meta apps
+   */
+  getMetaApps = asyncHandler(async (req, res) => {
+    const apps = await metaAppService.listApps(req.tenantId);
+
+    res.json({ apps });
+  });
+
+  /**
+   * Register a tenant-owned Meta app for webhook verification
+   */
+  createMetaApp = asyncHandler(async (req, res) => {
+    const app = await metaAppService.createApp(req.tenantId, req.body);
+
+    res.status(HTTP_STATUS.CREATED).json({
+      message: 'Meta app registered successfully',
+      app,
+    });
+  });
+
+  /**
+   * Remove a tenant-owned Meta app
+   */
+  deleteMetaApp = asyncHandler(async (req, res) => {
+    await metaAppService.deleteApp(req.tenantId, req.params.id);
+
+    res.json({
+      message: 'Meta app removed successfully',
+    });
+  });
+}
+
+module.exports = new MetaAppController();
@@ -3,6 +3,7 @@ const { db } = require('../utils/database');
 const logger = require('../utils/logger');
 const { validateInput } = require('../utils/validation');
 const { z } = require('zod');
+const teamService = require('../services/teamService');
 
 // Validation schemas
 const createNoteSchema = z.object({
@@ -32,13 +33,9 @@ const getNoteListSchema = z.object({
 const createNote = async (req, res, next) => {
   try {
     const validatedData = validateInput(createNoteSchema, req.body);
-    const { tenantId, userId } = req.user;
+    const { tenantId, id: userId } = req.user;
 
-    // Check if chat exists and belongs to tenant
-    const chat = await db.findOne(
-      'chats',
-      { id: validatedData.chatId, tenant_id: tenantId }
-    );
+    const chat = await teamService.findAccessibleChat(req.user, validatedData.chatId);
 
     if (!chat) {
       throw new AppError('Chat not found', 404, 'CHAT_NOT_FOUND');
@@ -57,7 +54,7 @@ const createNote = async (req, res, next) => {
     const note = await db.create('notes', noteData);
 
     // Get note with user info for response
-    const noteWithUser = await getNoteWithUser(note.id, tenantId);
+    const noteWithUser = await getNoteWithUser(note.id, req.user);
 
     logger.info('Note created', {
       noteId: note.id,
@@ -85,14 +82,10 @@ const getNoteList = async (req, res, next) => {
   try {
     const { chatId } = req.params;
     const validatedQuery = validateInput(getNoteListSchema, req.query);
-    const { tenantId, userId } = req.user;
+    const { tenantId, id: userId } = req.user;
     const { page, limit, noteType, isPrivate, search } = validatedQuery;
 
-    // Check if chat exists and belongs to tenant
-    const chat = await db.findOne(
-      'chats',
-      { id: chatId, tenant_id: tenantId }
-    );
+    const chat = await teamService.findAccessibleChat(req.user, chatId);
 
     if (!chat) {
       throw new AppError('Chat not found', 404, 'CHAT_NOT_FOUND');
@@ -183,9 +176,9 @@ const getNoteList = async (req, res, next) => {
 const getNoteById = async (req, res, next) => {
   try {
     const { noteId } = req.params;
-    const { tenantId, userId } = req.user;
+    const { id: userId } = req.user;
 
-    const note = await getNoteWithUser(noteId, tenantId);
+    const note = await getNoteWithUser(noteId, req.user);
 
     if (!note) {
       throw new AppError('Note not found', 404, 'NOTE_NOT_FOUND');
@@ -212,7 +205,7 @@ const updateNote = async (req, res, next) => {
   try {
     const { noteId } = req.params;
     const validatedData = validateInput(updateNoteSchema, req.body);
-    const { tenantId, userId } = req.user;
+    const { tenantId, id: userId } = req.user;
 
     // Check if note exists and belongs to tenant and user
     const existingNote = await db.findOne(
@@ -220,7 +213,7 @@ const updateNote = async (req, res, next) => {
       { id: noteId, tenant_id: tenantId, user_id: userId }
     );
 
-    if (!existingNote) {
+    if (!existingNote || !(await teamService.findAccessibleChat(req.user, existingNote.chat_id))) {
       throw new AppError('Note not found or you do not have permission to edit it', 404, 'NOTE_NOT_FOUND');
     }
 
@@ -241,7 +234,7 @@ const updateNote = async (req, res, next) => {
     const updatedNote = await db.update('notes', updateData, { id: noteId, tenant_id: tenantId, user_id: userId });
 
     // Get updated note with user info
-    const noteWithUser = await getNoteWithUser(updatedNote.id, tenantId);
+    const noteWithUser = await getNoteWithUser(updatedNote.id, req.user);
 
     logger.info('Note updated', {
       noteId,
@@ -266,7 +259,7 @@ const updateNote = async (req, res, next) => {
 const deleteNote = async (req, res, next) => {
   try {
     const { noteId } = req.params;
-    const { tenantId, userId } = req.user;
+    const { tenantId, id: userId } = req.user;
 
     // Check if note exists and belongs to tenant and user
     const existingNote = await db.findOne(
@@ -274,7 +267,7 @@ const deleteNote = async (req, res, next) => {
       { id: noteId, tenant_id: tenantId, user_id: userId }
     );
 
-    if (!existingNote) {
+    if (!existingNote || !(await teamService.findAccessibleChat(req.user, existingNote.chat_id))) {
       throw new AppError('Note not found or you do not have permission to delete it', 404, 'NOTE_NOT_FOUND');
     }
 
@@ -303,13 +296,9 @@ const deleteNote = async (req, res, next) => {
 const getNotesSummary = async (req, res, next) => {
   try {
     const { chatId } = req.params;
-    const { tenantId, userId } = req.user;
+    const { tenantId, id: userId } = req.user;
 
-    // Check if chat exists and belongs to tenant
-    const chat = await db.findOne(
-      'chats',
-      { id: chatId, tenant_id: tenantId }
-    );
+    const chat = await teamService.findAccessibleChat(req.user, chatId);
 
     if (!chat) {
       throw new AppError('Chat not found', 404, 'CHAT_NOT_FOUND');
@@ -355,7 +344,10 @@ const getNotesSummary = async (req, res, next) => {
 /**
  * Helper function to get note with user information
  */
-const getNoteWithUser = async (noteId, tenantId) => {
+const getNoteWithUser = async (noteId, user) => {
+  // Notes of chats the user may not access are not found
+  const accessCondition = teamService.getChatAccessCondition(user, '$3');
+
   const query = `
     SELECT 
       n.*,
@@ -363,11 +355,13 @@ const getNoteWithUser = async (noteId, tenantId) => {
       u.last_name as user_last_name,
       u.email as user_email
     FROM notes n
+    JOIN chats c ON n.chat_id = c.id
     LEFT JOIN users u ON n.user_id = u.id
-    WHERE n.id = $1 AND n.tenant_id = $2
+    WHERE n.id = $1 AND n.tenant_id = $2 AND ${accessCondition || 'TRUE'}
   `;
 
-  const result = await db.query(query, [noteId, tenantId]);
+  const params = accessCondition ? [noteId, user.tenantId, user.id] : [noteId, user.tenantId];
+  const result = await db.query(query, params);
   return result.rows[0] || null;
 };
 
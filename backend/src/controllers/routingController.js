@@ -0,0 +1,107 @@
+const routingService = require('../services/routingService');
+const logger = require('../utils/logger');
+const { HTTP_STATUS } = require('../utils/constants');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class RoutingController {
+  /**
+   * List the tenant's routing rules
+   */
+  getRules = asyncHandler(async (req, res) => {
+    const rules = await routingService.listRules(req.tenantId);
+
+    res.json({ rules });
+  });
+
+  /**
+   * Create a routing rule
+   */
+  createRule = asyncHandler(async (req, res) => {
+    const rule = await routingService.createRule(req.tenantId, req.body);
+
+    logger.info('Routing rule created', {
+      ruleId: rule.id,
+      strategy: rule.strategy,
+      tenantId: req.tenantId,
+      userId: req.user.id,
+    });
+
+    res.status(HTTP_STATUS.CREATED).json({
+      message: 'Routing rule created successfully',
+      rule,
+    });
+  });
+
+  /**
+   * Update a routing rule
+   */
+  updateRule = asyncHandler(async (req, res) => {
+    const rule = await routingService.updateRule(req.params.id, req.tenantId, req.body);
+
+    res.json({
+      message: 'Routing rule updated successfully',
+      rule,
+    });
+  });
+
+  /**
+   * Delete a routing rule
+   */
+  deleteRule = asyncHandler(async (req, res) => {
+    await routingService.deleteRule(req.params.id, req.tenantId);
+
+    logger.info('Routing rule deleted', {
+      ruleId: req.params.id,
+      tenantId: req.tenantId,
+      userId: req.user.id,
+    });
+
+    res.json({ message: 'Routing rule deleted successfully' });
+  });
+
+  /**
+   * List agents with their skills, capacity, load and online state
+   */
+  getAgents = asyncHandler(async (req, res) => {
+    const agents = await routingService.listAgents(req.tenantId);
+
+    res.json({ agents });
+  });
+
+  /**
+   * Set an agent's skills and capacity cap
+   */
+  updateAgent = asyncHandler(async (req, res) => {
+    const agent = await routingService.updateAgent(req.params.id, req.tenantId, req.body);
+
+    res.json({
+      message: 'Agent routing profile updated successfully',
+      agent,
+    });
+  });
+
+  /**
+   * List the audit log of routing decisions
+   */
+  getAssignmentEvents = asyncHandler(async (req, res) => {
+    const { chatId, userId, limit, offset } = req.query;
+    const { events, total } = await routingService.listAssignmentEvents(req.tenantId, {
+      chatId,
+      userId,
+      limit,
+      offset,
+    });
+
+    res.json({
+      events,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + events.length < total,
+      },
+    });
+  });
+}
+
+module.exports = new RoutingController();
@@ -0,0 +1,19 @@
+const searchService = require('../services/searchService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class SearchController {
+  /**
+   * Search messages, notes and customers across the tenant's chats
+   */
+  search = asyncHandler(async (req, res) => {
+    const { results, facets, nextCursor } = await searchService.search(req.user, req.query);
+
+    res.json({
+      results,
+      facets,
+      pagination: { nextCursor },
+    });
+  });
+}
+
+module.exports = new SearchController();
@@ -0,0 +1,62 @@
+const slaService = require('../services/slaService');
+const logger = require('../utils/logger');
+const { HTTP_STATUS } = require('../utils/constants');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class SlaController {
+  /**
+   * List the tenant's SLA policies
+   */
+  getPolicies = asyncHandler(async (req, res) => {
+    const policies = await slaService.listPolicies(req.tenantId);
+
+    res.json({ policies });
+  });
+
+  /**
+   * Create an SLA policy
+   */
+  createPolicy = asyncHandler(async (req, res) => {
+    const policy = await slaService.createPolicy(req.tenantId, req.body);
+
+    logger.info('SLA policy created', {
+      policyId: policy.id,
+      tenantId: req.tenantId,
+      userId: req.user.id,
+    });
+
+    res.status(HTTP_STATUS.CREATED).json({
+      message: 'SLA policy created successfully',
+      policy,
+    });
+  });
+
+  /**
+   * Update an SLA policy
+   */
+  updatePolicy = asyncHandler(async (req, res) => {
+    const policy = await slaService.updatePolicy(req.params.id, req.tenantId, req.body);
+
+    res.json({
+      message: 'SLA policy updated successfully',
+      policy,
+    });
+  });
+
+  /**
+   * Delete an SLA policy
+   */
+  deletePolicy = asyncHandler(async (req, res) => {
+    await slaService.deletePolicy(req.params.id, req.tenantId);
+
+    logger.info('SLA policy deleted', {
+      policyId: req.params.id,
+      tenantId: req.tenantId,
+      userId: req.user.id,
+    });
+
+    res.json({ message: 'SLA policy deleted successfully' });
+  });
+}
+
+module.exports = new SlaController();
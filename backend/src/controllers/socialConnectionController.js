@@ -36,7 +36,7 @@ const getConnectionListSchema = z.object({
 const createConnection = async (req, res, next) => {
   try {
     const validatedData = validateInput(createConnectionSchema, req.body);
-    const { tenantId, userId } = req.user;
+    const { tenantId, id: userId } = req.user;
 
     // Check if connection already exists for this page
     const existingConnection = await db.findOne(
@@ -258,7 +258,7 @@ const updateConnection = async (req, res, next) => {
   try {
     const { connectionId } = req.params;
     const validatedData = validateInput(updateConnectionSchema, req.body);
-    const { tenantId, userId } = req.user;
+    const { tenantId, id: userId } = req.user;
 
     // Check if connection exists and belongs to tenant
     const existingConnection = await db.findOne(
@@ -320,7 +320,7 @@ const updateConnection = async (req, res, next) => {
 const deleteConnection = async (req, res, next) => {
   try {
     const { connectionId } = req.params;
-    const { tenantId, userId } = req.user;
+    const { tenantId, id: userId } = req.user;
 
     // Check if connection exists and belongs to tenant
     const existingConnection = await db.findOne(
@@ -372,7 +372,7 @@ const deleteConnection = async (req, res, next) => {
 const refreshToken = async (req, res, next) => {
   try {
     const { connectionId } = req.params;
-    const { tenantId, userId } = req.user;
+    const { tenantId, id: userId } = req.user;
 
     // Get connection with encrypted tokens
     const connection = await db.findOne(
@@ -447,7 +447,7 @@ const refreshToken = async (req, res, next) => {
 const testConnection = async (req, res, next) => {
   try {
     const { connectionId } = req.params;
-    const { tenantId, userId } = req.user;
+    const { tenantId, id: userId } = req.user;
 
     // Get connection with encrypted token
     const connection = await db.findOne(
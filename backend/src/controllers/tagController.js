@@ -0,0 +1,62 @@
+const tagService = require('../services/tagService');
+const logger = require('../utils/logger');
+const { HTTP_STATUS } = require('../utils/constants');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class TagController {
+  /**
+   * List the tenant's tags
+   */
+  getTags = asyncHandler(async (req, res) => {
+    const tags = await tagService.listTags(req.tenantId);
+
+    res.json({ tags });
+  });
+
+  /**
+   * Create a tag
+   */
+  createTag = asyncHandler(async (req, res) => {
+    const tag = await tagService.createTag(req.tenantId, req.body);
+
+    logger.info('Tag created', {
+      tagId: tag.id,
+      tenantId: req.tenantId,
+      userId: req.user.id,
+    });
+
+    res.status(HTTP_STATUS.CREATED).json({
+      message: 'Tag created successfully',
+      tag,
+    });
+  });
+
+  /**
+   * Update a tag
+   */
+  updateTag = asyncHandler(async (req, res) => {
+    const tag = await tagService.updateTag(req.params.id, req.tenantId, req.body);
+
+    res.json({
+      message: 'Tag updated successfully',
+      tag,
+    });
+  });
+
+  /**
+   * Delete a tag
+   */
+  deleteTag = asyncHandler(async (req, res) => {
+    await tagService.deleteTag(req.params.id, req.tenantId);
+
+    logger.info('Tag deleted', {
+      tagId: req.params.id,
+      tenantId: req.tenantId,
+      userId: req.user.id,
+    });
+
+    res.json({ message: 'Tag deleted successfully' });
+  });
+}
+
+module.exports = new TagController();
@@ -0,0 +1,135 @@
+const teamService = require('../services/teamService');
+const logger = require('../utils/logger');
+const { HTTP_STATUS } = require('../utils/constants');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class TeamController {
+  /**
+   * List the tenant's teams with members and inboxes
+   */
+  getTeams = asyncHandler(async (req, res) => {
+    const teams = await teamService.listTeams(req.tenantId);
+
+    res.json({ teams });
+  });
+
+  /**
+   * Create a team
+   */
+  createTeam = asyncHandler(async (req, res) => {
+    const team = await teamService.createTeam(req.tenantId, req.body);
+
+    logger.info('Team created', {
+      teamId: team.id,
+      tenantId: req.tenantId,
+      userId: req.user.id,
+    });
+
+    res.status(HTTP_STATUS.CREATED).json({
+      message: 'Team created successfully',
+      team,
+    });
+  });
+
+  /**
+   * Update a team
+   */
+  updateTeam = asyncHandler(async (req, res) => {
+    const team = await teamService.updateTeam(req.params.id, req.tenantId, req.body);
+
+    res.json({
+      message: 'Team updated successfully',
+      team,
+    });
+  });
+
+  /**
+   * Delete a team
+   */
+  deleteTeam = asyncHandler(async (req, res) => {
+    await teamService.deleteTeam(req.params.id, req.tenantId);
+
+    logger.info('Team deleted', {
+      teamId: req.params.id,
+      tenantId: req.tenantId,
+      userId: req.user.id,
+    });
+
+    res.json({ message: 'Team deleted successfully' });
+  });
+
+  /**
+   * Add a user to a team
+   */
+  addMember = asyncHandler(async (req, res) => {
+    await teamService.addMember(req.params.id, req.body.userId, req.tenantId);
+
+    res.status(HTTP_STATUS.CREATED).json({ message: 'Team member added successfully' });
+  });
+
+  /**
+   * Remove a user from a team
+   */
+  removeMember = asyncHandler(async (req, res) => {
+    await teamService.removeMember(req.params.id, req.params.userId, req.tenantId);
+
+    res.json({ message: 'Team member removed successfully' });
+  });
+
+  /**
+   * List the tenant's inboxes with their team and connections
+   */
+  getInboxes = asyncHandler(async (req, res) => {
+    const inboxes = await teamService.listInboxes(req.tenantId);
+
+    res.json({ inboxes });
+  });
+
+  /**
+   * Create an inbox
+   */
+  createInbox = asyncHandler(async (req, res) => {
+    const inbox = await teamService.createInbox(req.tenantId, req.body);
+
+    logger.info('Inbox created', {
+      inboxId: inbox.id,
+      teamId: inbox.team_id,
+      tenantId: req.tenantId,
+      userId: req.user.id,
+    });
+
+    res.status(HTTP_STATUS.CREATED).json({
+      message: 'Inbox created successfully',
+      inbox,
+    });
+  });
+
+  /**
+   * Update an inbox
+   */
+  updateInbox = asyncHandler(async (req, res) => {
+    const inbox = await teamService.updateInbox(req.params.id, req.tenantId, req.body);
+
+    res.json({
+      message: 'Inbox updated successfully',
+      inbox,
+    });
+  });
+
+  /**
+   * Delete an inbox
+   */
+  deleteInbox = asyncHandler(async (req, res) => {
+    await teamService.deleteInbox(req.params.id, req.tenantId);
+
+    logger.info('Inbox deleted', {
+      inboxId: req.params.id,
+      tenantId: req.tenantId,
+      userId: req.user.id,
+    });
+
+    res.json({ message: 'Inbox deleted successfully' });
+  });
+}
+
+module.exports = new TeamController();
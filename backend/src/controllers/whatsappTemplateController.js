@@ -0,0 +1,45 @@
+const whatsappTemplateService = require('../services/whatsappTemplateService');
+const logger = require('../utils/logger');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class WhatsAppTemplateController {
+  /**
+   * List the tenant's WhatsApp templates with their review status
+   */
+  getTemplates = asyncHandler(async (req, res) => {
+    const templates = await whatsappTemplateService.listTemplates(req.tenantId, req.query);
+
+    res.json({ templates });
+  });
+
+  /**
+   * Get a WhatsApp template with its placeholders
+   */
+  getTemplate = asyncHandler(async (req, res) => {
+    const template = await whatsappTemplateService.getTemplate(req.params.id, req.tenantId);
+
+    res.json({ template });
+  });
+
+  /**
+   * Sync templates from the WhatsApp Business Account
+   */
+  syncTemplates = asyncHandler(async (req, res) => {
+    const results = await whatsappTemplateService.syncTemplates(
+      req.tenantId,
+      req.body.socialConnectionId
+    );
+
+    logger.info('WhatsApp template sync requested', {
+      tenantId: req.tenantId,
+      userId: req.user.id,
+    });
+
+    res.json({
+      message: 'WhatsApp templates synced successfully',
+      results,
+    });
+  });
+}
+
+module.exports = new WhatsAppTemplateController();
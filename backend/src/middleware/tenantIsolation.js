@@ -235,26 +235,28 @@ function checkTenantLimits(limitType) {
 
       // Check current usage
       let currentUsage = 0;
-      let tableName;
+      let usageQuery;
 
       switch (limitType) {
         case 'users':
-          tableName = 'users';
+          usageQuery = 'SELECT COUNT(*) as count FROM users WHERE tenant_id = $1';
           break;
         case 'chats':
-          tableName = 'chats';
+          usageQuery = 'SELECT COUNT(*) as count FROM chats WHERE tenant_id = $1';
           break;
         case 'social_connections':
-          tableName = 'social_connections';
+          usageQuery = 'SELECT COUNT(*) as count FROM social_connections WHERE tenant_id = $1';
+          break;
+        case 'storage_mb':
+          // Stored media, inbound and uploaded, in whole megabytes
+          usageQuery = `SELECT CEIL(COALESCE(SUM(size), 0) / 1048576.0) as count
+                        FROM media_assets WHERE tenant_id = $1`;
           break;
         default:
           return next(); // Unknown limit type
       }
 
-      const usageResult = await query(
-        `SELECT COUNT(*) as count FROM ${tableName} WHERE tenant_id = $1`,
-        [req.tenantId]
-      );
+      const usageResult = await query(usageQuery, [req.tenantId]);
 
       currentUsage = parseInt(usageResult.rows[0].count);
 
@@ -0,0 +1,36 @@
+const multer = require('multer');
+const { APP_CONSTANTS, ERROR_CODES, HTTP_STATUS } = require('../utils/constants');
+const { AppError } = require('./errorHandler');
+
+// Files are kept in memory and written to media storage by the controller
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: APP_CONSTANTS.MAX_FILE_SIZE,
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    if (!APP_CONSTANTS.ALLOWED_FILE_TYPES.includes(file.mimetype)) {
+      return cb(new AppError(
+        'File type not allowed',
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.INVALID_FILE_TYPE,
+        {
+          mimeType: file.mimetype,
+          allowedTypes: APP_CONSTANTS.ALLOWED_FILE_TYPES,
+        }
+      ));
+    }
+
+    cb(null, true);
+  },
+});
+
+// Middleware accepting a single file in the given form field
+function uploadSingle(fieldName = 'file') {
+  return upload.single(fieldName);
+}
+
+module.exports = {
+  uploadSingle,
+};
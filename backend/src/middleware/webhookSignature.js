@@ -0,0 +1,139 @@
+const metaApiService = require('../services/metaApiService');
+const metaAppService = require('../services/metaAppService');
+const webhookEventService = require('../services/webhookEventService');
+const { incrementRateLimit } = require('../utils/redis');
+const logger = require('../utils/logger');
+const { ERROR_CODES, HTTP_STATUS, REDIS_KEYS, WEBHOOK_SIGNATURE, ENVIRONMENT } = require('../utils/constants');
+
+const { REJECTION_REASONS } = WEBHOOK_SIGNATURE;
+
+// Keep the exact request bytes for webhook routes, used as express.json's verify option
+function captureRawBody(req, res, buf) {
+  if (req.originalUrl.startsWith('/api/webhooks')) {
+    req.rawBody = buf;
+  }
+}
+
+// Keep an audit record of a rejected payload, limited per sender IP
+async function recordRejection(req, payload, reason) {
+  try {
+    const { current } = await incrementRateLimit(
+      `${REDIS_KEYS.WEBHOOK_REJECTIONS}${req.ip}`,
+      WEBHOOK_SIGNATURE.REJECTED_RECORD_WINDOW,
+      WEBHOOK_SIGNATURE.REJECTED_RECORD_LIMIT
+    );
+
+    if (current > WEBHOOK_SIGNATURE.REJECTED_RECORD_LIMIT) return;
+
+    await webhookEventService.recordRejectedEvent(payload, reason, req.ip);
+  } catch (error) {
+    logger.error('Failed to record rejected webhook:', error);
+  }
+}
+
+// Reject the webhook and keep an audit record of it
+async function rejectWebhook(req, res, reason) {
+  logger.logSecurity('Webhook rejected', {
+    reason,
+    path: req.originalUrl,
+    ip: req.ip,
+    signature: req.headers[WEBHOOK_SIGNATURE.HEADER_NAME] ? 'provided' : 'missing',
+  });
+
+  await recordRejection(req, req.body, reason);
+
+  return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+    error: ERROR_CODES.WEBHOOK_VERIFICATION_FAILED,
+    message: 'Invalid webhook signature',
+  });
+}
+
+// Verify the X-Hub-Signature-256 header against the platform secret or the
+// app secrets of the tenants owning the referenced accounts. A tenant's
+// secret only vouches for the entries of that tenant's accounts.
+async function verifyWebhookSignature(req, res, next) {
+  try {
+    const signature = req.headers[WEBHOOK_SIGNATURE.HEADER_NAME];
+    const isProduction = process.env.NODE_ENV === ENVIRONMENT.PRODUCTION;
+    const payload = req.body || {};
+    const platformSecret = metaApiService.getWebhookSecret();
+
+    // Tenants bringing their own Meta app sign with that app's secret
+    const secretsByAccount = await metaAppService.getSecretsByAccount(
+      webhookEventService.extractAccountIds(payload)
+    );
+    const tenantSecrets = [...new Set([...secretsByAccount.values()].flat())];
+
+    if (!platformSecret && tenantSecrets.length === 0) {
+      if (isProduction) {
+        return rejectWebhook(req, res, REJECTION_REASONS.NO_SECRET_CONFIGURED);
+      }
+
+      logger.warn('Webhook secret not configured, skipping signature verification');
+      return next();
+    }
+
+    if (!req.rawBody) {
+      return rejectWebhook(req, res, REJECTION_REASONS.MISSING_RAW_BODY);
+    }
+
+    if (!signature) {
+      return rejectWebhook(req, res, REJECTION_REASONS.MISSING_SIGNATURE);
+    }
+
+    // Meta signs with the platform app's secret for every connected account
+    if (platformSecret && metaApiService.verifyWebhookSignature(req.rawBody, signature, platformSecret)) {
+      return next();
+    }
+
+    const signingSecrets = tenantSecrets.filter(secret =>
+      metaApiService.verifyWebhookSignature(req.rawBody, signature, secret)
+    );
+
+    if (signingSecrets.length === 0) {
+      return rejectWebhook(req, res, REJECTION_REASONS.INVALID_SIGNATURE);
+    }
+
+    // Every account of an entry must belong to a tenant whose secret signed
+    const entries = Array.isArray(payload.entry) ? payload.entry : [];
+    const isSigned = (entry) => {
+      const accountIds = webhookEventService.extractAccountIds({ entry: [entry] });
+
+      return accountIds.length > 0 && accountIds.every(accountId =>
+        (secretsByAccount.get(accountId) || []).some(secret => signingSecrets.includes(secret))
+      );
+    };
+
+    const signedEntries = entries.filter(isSigned);
+    const unsignedEntries = entries.filter(entry => !isSigned(entry));
+
+    if (signedEntries.length === 0) {
+      return rejectWebhook(req, res, REJECTION_REASONS.UNSIGNED_ENTRIES);
+    }
+
+    if (unsignedEntries.length > 0) {
+      logger.logSecurity('Webhook entries dropped', {
+        reason: REJECTION_REASONS.UNSIGNED_ENTRIES,
+        path: req.originalUrl,
+        ip: req.ip,
+        dropped: unsignedEntries.length,
+      });
+
+      await recordRejection(
+        req,
+        { object: payload.object, entry: unsignedEntries },
+        REJECTION_REASONS.UNSIGNED_ENTRIES
+      );
+    }
+
+    req.body = { ...payload, entry: signedEntries };
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  captureRawBody,
+  verifyWebhookSignature,
+};
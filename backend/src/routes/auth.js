@@ -8,6 +8,7 @@ const {
   refreshTokenSchema,
   updateUserSchema,
   idParamSchema,
+  whatsappEmbeddedSignupSchema,
 } = require('../utils/validation');
 
 const router = express.Router();
@@ -57,6 +58,13 @@ router.get('/facebook/callback', authController.facebookCallback);
  */
 router.get('/instagram/callback', authController.instagramCallback);
 
+/**
+ * @route   GET /api/auth/whatsapp/callback
+ * @desc    Handle WhatsApp Business OAuth callback
+ * @access  Public
+ */
+router.get('/whatsapp/callback', authController.whatsappCallback);
+
 // Protected routes (authentication required)
 
 /**
@@ -160,14 +168,18 @@ router.get('/instagram',
  */
 router.get('/whatsapp',
   authenticateToken,
-  (req, res) => {
-    // WhatsApp Business API uses the same Facebook OAuth flow
-    // but with different scopes and handling
-    res.status(501).json({
-      error: 'NOT_IMPLEMENTED',
-      message: 'WhatsApp Business OAuth not yet implemented',
-    });
-  }
+  authController.whatsappOAuth
+);
+
+/**
+ * @route   POST /api/auth/whatsapp/embedded-signup
+ * @desc    Connect WhatsApp phone numbers from an Embedded Signup code
+ * @access  Private
+ */
+router.post('/whatsapp/embedded-signup',
+  authenticateToken,
+  validateBody(whatsappEmbeddedSignupSchema),
+  authController.whatsappEmbeddedSignup
 );
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,77 @@
+const express = require('express');
+const cannedResponseController = require('../controllers/cannedResponseController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  validateBody,
+  validateQuery,
+  validateParams,
+  createCannedResponseSchema,
+  updateCannedResponseSchema,
+  renderCannedResponseSchema,
+  cannedResponseQuerySchema,
+  idParamSchema,
+} = require('../utils/validation');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/canned-responses
+ * @desc    List or search tenant-wide and personal canned responses
+ * @access  Private (Agent+)
+ */
+router.get('/',
+  requireRole(['agent', 'admin', 'owner']),
+  validateQuery(cannedResponseQuerySchema),
+  cannedResponseController.getResponses
+);
+
+/**
+ * @route   POST /api/canned-responses
+ * @desc    Create a personal canned response, or a tenant-wide one (admin)
+ * @access  Private (Agent+)
+ */
+router.post('/',
+  requireRole(['agent', 'admin', 'owner']),
+  validateBody(createCannedResponseSchema),
+  cannedResponseController.createResponse
+);
+
+/**
+ * @route   PATCH /api/canned-responses/:id
+ * @desc    Update a canned response
+ * @access  Private (Agent+)
+ */
+router.patch('/:id',
+  requireRole(['agent', 'admin', 'owner']),
+  validateParams(idParamSchema),
+  validateBody(updateCannedResponseSchema),
+  cannedResponseController.updateResponse
+);
+
+/**
+ * @route   DELETE /api/canned-responses/:id
+ * @desc    Delete a canned response
+ * @access  Private (Agent+)
+ */
+router.delete('/:id',
+  requireRole(['agent', 'admin', 'owner']),
+  validateParams(idParamSchema),
+  cannedResponseController.deleteResponse
+);
+
+/**
+ * @route   POST /api/canned-responses/:id/render
+ * @desc    Fill in the placeholders of a canned response for a chat and count the use
+ * @access  Private (Agent+)
+ */
+router.post('/:id/render',
+  requireRole(['agent', 'admin', 'owner']),
+  validateParams(idParamSchema),
+  validateBody(renderCannedResponseSchema),
+  cannedResponseController.renderResponse
+);
+
+module.exports = router;
@@ -22,6 +22,20 @@ const validateChatId = (req, res, next) => {
   }
 };
 
+const validateChatTagParams = (req, res, next) => {
+  const schema = z.object({
+    chatId: z.string().uuid(),
+    tagId: z.string().uuid()
+  });
+  
+  try {
+    req.params = validateInput(schema, req.params);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @route   POST /api/chats
  * @desc    Create a new chat
@@ -42,6 +56,16 @@ router.get('/',
   chatController.getChatList
 );
 
+/**
+ * @route   POST /api/chats/bulk/tags
+ * @desc    Add and remove tags on several chats
+ * @access  Private (Agent+)
+ */
+router.post('/bulk/tags', 
+  requireRole(['agent', 'admin', 'owner']),
+  chatController.bulkTagChats
+);
+
 /**
  * @route   GET /api/chats/:chatId
  * @desc    Get chat by ID
@@ -53,6 +77,17 @@ router.get('/:chatId',
   chatController.getChatById
 );
 
+/**
+ * @route   GET /api/chats/:chatId/conversations
+ * @desc    Get the conversations of a chat
+ * @access  Private (Agent+)
+ */
+router.get('/:chatId/conversations', 
+  validateChatId,
+  requireRole(['agent', 'admin', 'owner']),
+  chatController.getChatConversations
+);
+
 /**
  * @route   PUT /api/chats/:chatId
  * @desc    Update chat
@@ -86,4 +121,26 @@ router.patch('/:chatId/assign',
   chatController.assignChat
 );
 
+/**
+ * @route   POST /api/chats/:chatId/tags
+ * @desc    Add tags to a chat
+ * @access  Private (Agent+)
+ */
+router.post('/:chatId/tags', 
+  validateChatId,
+  requireRole(['agent', 'admin', 'owner']),
+  chatController.addChatTags
+);
+
+/**
+ * @route   DELETE /api/chats/:chatId/tags/:tagId
+ * @desc    Remove a tag from a chat
+ * @access  Private (Agent+)
+ */
+router.delete('/:chatId/tags/:tagId', 
+  validateChatTagParams,
+  requireRole(['agent', 'admin', 'owner']),
+  chatController.removeChatTag
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,100 @@
+const express = require('express');
+const contactController = require('../controllers/contactController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  validateBody,
+  validateQuery,
+  validateParams,
+  contactQuerySchema,
+  createContactSchema,
+  updateContactSchema,
+  mergeContactsSchema,
+  idParamSchema,
+  contactIdentityParamSchema,
+} = require('../utils/validation');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/contacts
+ * @desc    List contacts with their platforms and chat count
+ * @access  Private (Agent+)
+ */
+router.get('/',
+  requireRole(['agent', 'admin', 'owner']),
+  validateQuery(contactQuerySchema),
+  contactController.getContacts
+);
+
+/**
+ * @route   POST /api/contacts
+ * @desc    Create a contact
+ * @access  Private (Agent+)
+ */
+router.post('/',
+  requireRole(['agent', 'admin', 'owner']),
+  validateBody(createContactSchema),
+  contactController.createContact
+);
+
+/**
+ * @route   GET /api/contacts/:id
+ * @desc    Get a contact with its platform identities, chats and notes
+ * @access  Private (Agent+)
+ */
+router.get('/:id',
+  requireRole(['agent', 'admin', 'owner']),
+  validateParams(idParamSchema),
+  contactController.getContact
+);
+
+/**
+ * @route   PATCH /api/contacts/:id
+ * @desc    Update a contact, attributes set to null are removed
+ * @access  Private (Agent+)
+ */
+router.patch('/:id',
+  requireRole(['agent', 'admin', 'owner']),
+  validateParams(idParamSchema),
+  validateBody(updateContactSchema),
+  contactController.updateContact
+);
+
+/**
+ * @route   DELETE /api/contacts/:id
+ * @desc    Delete a contact, its chats are kept
+ * @access  Private (Admin+)
+ */
+router.delete('/:id',
+  requireRole(['admin', 'owner']),
+  validateParams(idParamSchema),
+  contactController.deleteContact
+);
+
+/**
+ * @route   POST /api/contacts/:id/merge
+ * @desc    Merge another contact, with its identities and chats, into this one
+ * @access  Private (Agent+)
+ */
+router.post('/:id/merge',
+  requireRole(['agent', 'admin', 'owner']),
+  validateParams(idParamSchema),
+  validateBody(mergeContactsSchema),
+  contactController.mergeContact
+);
+
+/**
+ * @route   POST /api/contacts/:id/identities/:identityId/split
+ * @desc    Move a platform identity and its chats to a new contact
+ * @access  Private (Agent+)
+ */
+router.post('/:id/identities/:identityId/split',
+  requireRole(['agent', 'admin', 'owner']),
+  validateParams(contactIdentityParamSchema),
+  contactController.splitIdentity
+);
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const teamController = require('../controllers/teamController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  validateBody,
+  validateParams,
+  createInboxSchema,
+  updateInboxSchema,
+  idParamSchema,
+} = require('../utils/validation');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/inboxes
+ * @desc    List inboxes with their team and social connections
+ * @access  Private (Agent+)
+ */
+router.get('/',
+  requireRole(['agent', 'admin', 'owner']),
+  teamController.getInboxes
+);
+
+/**
+ * @route   POST /api/inboxes
+ * @desc    Create an inbox and move social connections into it
+ * @access  Private (Admin+)
+ */
+router.post('/',
+  requireRole(['admin', 'owner']),
+  validateBody(createInboxSchema),
+  teamController.createInbox
+);
+
+/**
+ * @route   PATCH /api/inboxes/:id
+ * @desc    Update an inbox, socialConnectionIds replaces its connections
+ * @access  Private (Admin+)
+ */
+router.patch('/:id',
+  requireRole(['admin', 'owner']),
+  validateParams(idParamSchema),
+  validateBody(updateInboxSchema),
+  teamController.updateInbox
+);
+
+/**
+ * @route   DELETE /api/inboxes/:id
+ * @desc    Delete an inbox, its connections are kept
+ * @access  Private (Admin+)
+ */
+router.delete('/:id',
+  requireRole(['admin', 'owner']),
+  validateParams(idParamSchema),
+  teamController.deleteInbox
+);
+
+module.exports = router;
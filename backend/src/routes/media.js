@@ -0,0 +1,24 @@
+const express = require('express');
+const mediaController = require('../controllers/mediaController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { validateParams, validateQuery, idParamSchema, mediaQuerySchema } = require('../utils/validation');
+const { USER_ROLES } = require('../utils/constants');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/media/:id
+ * @desc    Download a stored media file, or its thumbnail with ?thumbnail=true
+ * @access  Private (Agent+)
+ */
+router.get('/:id',
+  requireRole([USER_ROLES.AGENT, USER_ROLES.MANAGER, USER_ROLES.ADMIN]),
+  validateParams(idParamSchema),
+  validateQuery(mediaQuerySchema),
+  mediaController.downloadMedia
+);
+
+module.exports = router;
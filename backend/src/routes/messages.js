@@ -55,6 +55,27 @@ router.get('/unread-count',
   messageController.getUnreadCount
 );
 
+/**
+ * @route   GET /api/messages/dead-letter
+ * @desc    List messages that exhausted their delivery attempts
+ * @access  Private (Admin+)
+ */
+router.get('/dead-letter', 
+  requireRole(['admin', 'owner']),
+  messageController.getDeadLetterMessages
+);
+
+/**
+ * @route   POST /api/messages/dead-letter/:messageId/replay
+ * @desc    Queue a dead-lettered message for delivery again
+ * @access  Private (Admin+)
+ */
+router.post('/dead-letter/:messageId/replay', 
+  validateMessageId,
+  requireRole(['admin', 'owner']),
+  messageController.replayDeadLetterMessage
+);
+
 /**
  * @route   GET /api/messages/chat/:chatId
  * @desc    Get messages for a chat with pagination
@@ -87,6 +108,50 @@ router.patch('/mark-read',
   messageController.markAsRead
 );
 
+/**
+ * @route   PUT /api/messages/:messageId/reaction
+ * @desc    React to a customer message
+ * @access  Private (Agent+)
+ */
+router.put('/:messageId/reaction', 
+  validateMessageId,
+  requireRole(['agent', 'admin', 'owner']),
+  messageController.reactToMessage
+);
+
+/**
+ * @route   DELETE /api/messages/:messageId/reaction
+ * @desc    Remove the reaction from a customer message
+ * @access  Private (Agent+)
+ */
+router.delete('/:messageId/reaction', 
+  validateMessageId,
+  requireRole(['agent', 'admin', 'owner']),
+  messageController.removeReaction
+);
+
+/**
+ * @route   PATCH /api/messages/:messageId/comment
+ * @desc    Hide or unhide an Instagram comment
+ * @access  Private (Agent+)
+ */
+router.patch('/:messageId/comment', 
+  validateMessageId,
+  requireRole(['agent', 'admin', 'owner']),
+  messageController.updateComment
+);
+
+/**
+ * @route   DELETE /api/messages/:messageId/comment
+ * @desc    Delete an Instagram comment
+ * @access  Private (Agent+)
+ */
+router.delete('/:messageId/comment', 
+  validateMessageId,
+  requireRole(['agent', 'admin', 'owner']),
+  messageController.deleteComment
+);
+
 /**
  * @route   DELETE /api/messages/:messageId
  * @desc    Delete message (only own outbound messages)
@@ -0,0 +1,43 @@
+const express = require('express');
+const metaAppController = require('../controllers/metaAppController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { validateBody, validateParams, createMetaAppSchema, idParamSchema } = require('../utils/validation');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/meta-apps
+ * @desc    List the tenant's own Meta apps
+ * @access  Private (Admin+)
+ */
+router.get('/',
+  requireRole(['admin', 'owner']),
+  metaAppController.getMetaApps
+);
+
+/**
+ * @route   POST /api/meta-apps
+ * @desc    Register a tenant-owned Meta app used to sign webhooks
+ * @access  Private (Admin+)
+ */
+router.post('/',
+  requireRole(['admin', 'owner']),
+  validateBody(createMetaAppSchema),
+  metaAppController.createMetaApp
+);
+
+/**
+ * @route   DELETE /api/meta-apps/:id
+ * @desc    Remove a tenant-owned Meta app
+ * @access  Private (Admin+)
+ */
+router.delete('/:id',
+  requireRole(['admin', 'owner']),
+  validateParams(idParamSchema),
+  metaAppController.deleteMetaApp
+);
+
+module.exports = router;
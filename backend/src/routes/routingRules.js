@@ -0,0 +1,97 @@
+const express = require('express');
+const routingController = require('../controllers/routingController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  validateBody,
+  validateQuery,
+  validateParams,
+  createRoutingRuleSchema,
+  updateRoutingRuleSchema,
+  updateAgentRoutingSchema,
+  assignmentEventQuerySchema,
+  idParamSchema,
+} = require('../utils/validation');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/routing-rules
+ * @desc    List routing rules in evaluation order
+ * @access  Private (Admin+)
+ */
+router.get('/',
+  requireRole(['admin', 'owner']),
+  routingController.getRules
+);
+
+/**
+ * @route   POST /api/routing-rules
+ * @desc    Create a routing rule
+ * @access  Private (Admin+)
+ */
+router.post('/',
+  requireRole(['admin', 'owner']),
+  validateBody(createRoutingRuleSchema),
+  routingController.createRule
+);
+
+/**
+ * @route   GET /api/routing-rules/agents
+ * @desc    List agents with their skills, capacity, open chats and online state
+ * @access  Private (Agent+)
+ */
+router.get('/agents',
+  requireRole(['agent', 'admin', 'owner']),
+  routingController.getAgents
+);
+
+/**
+ * @route   PATCH /api/routing-rules/agents/:id
+ * @desc    Set an agent's skills and capacity cap
+ * @access  Private (Admin+)
+ */
+router.patch('/agents/:id',
+  requireRole(['admin', 'owner']),
+  validateParams(idParamSchema),
+  validateBody(updateAgentRoutingSchema),
+  routingController.updateAgent
+);
+
+/**
+ * @route   GET /api/routing-rules/assignments
+ * @desc    List the audit log of routing decisions
+ * @access  Private (Admin+)
+ */
+router.get('/assignments',
+  requireRole(['admin', 'owner']),
+  validateQuery(assignmentEventQuerySchema),
+  routingController.getAssignmentEvents
+);
+
+/**
+ * @route   PATCH /api/routing-rules/:id
+ * @desc    Update a routing rule
+ * @access  Private (Admin+)
+ */
+router.patch('/:id',
+  requireRole(['admin', 'owner']),
+  validateParams(idParamSchema),
+  validateBody(updateRoutingRuleSchema),
+  routingController.updateRule
+);
+
+/**
+ * @route   DELETE /api/routing-rules/:id
+ * @desc    Delete a routing rule
+ * @access  Private (Admin+)
+ */
+router.delete('/:id',
+  requireRole(['admin', 'owner']),
+  validateParams(idParamSchema),
+  routingController.deleteRule
+);
+
+module.exports = router;
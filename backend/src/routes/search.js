@@ -0,0 +1,22 @@
+const express = require('express');
+const searchController = require('../controllers/searchController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { validateQuery, searchQuerySchema } = require('../utils/validation');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/search
+ * @desc    Full-text search of messages, notes and customers with facets
+ * @access  Private (Agent+)
+ */
+router.get('/',
+  requireRole(['agent', 'admin', 'owner']),
+  validateQuery(searchQuerySchema),
+  searchController.search
+);
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const slaController = require('../controllers/slaController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  validateBody,
+  validateParams,
+  createSlaPolicySchema,
+  updateSlaPolicySchema,
+  idParamSchema,
+} = require('../utils/validation');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/sla-policies
+ * @desc    List SLA policies
+ * @access  Private (Agent+)
+ */
+router.get('/',
+  requireRole(['agent', 'admin', 'owner']),
+  slaController.getPolicies
+);
+
+/**
+ * @route   POST /api/sla-policies
+ * @desc    Create an SLA policy
+ * @access  Private (Admin+)
+ */
+router.post('/',
+  requireRole(['admin', 'owner']),
+  validateBody(createSlaPolicySchema),
+  slaController.createPolicy
+);
+
+/**
+ * @route   PATCH /api/sla-policies/:id
+ * @desc    Update an SLA policy
+ * @access  Private (Admin+)
+ */
+router.patch('/:id',
+  requireRole(['admin', 'owner']),
+  validateParams(idParamSchema),
+  validateBody(updateSlaPolicySchema),
+  slaController.updatePolicy
+);
+
+/**
+ * @route   DELETE /api/sla-policies/:id
+ * @desc    Delete an SLA policy
+ * @access  Private (Admin+)
+ */
+router.delete('/:id',
+  requireRole(['admin', 'owner']),
+  validateParams(idParamSchema),
+  slaController.deletePolicy
+);
+
+module.exports = router;
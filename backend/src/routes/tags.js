@@ -0,0 +1,61 @@
+const express = require('express');
+const tagController = require('../controllers/tagController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  validateBody,
+  validateParams,
+  createTagSchema,
+  updateTagSchema,
+  idParamSchema,
+} = require('../utils/validation');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/tags
+ * @desc    List tags with their chat counts
+ * @access  Private (Agent+)
+ */
+router.get('/',
+  requireRole(['agent', 'admin', 'owner']),
+  tagController.getTags
+);
+
+/**
+ * @route   POST /api/tags
+ * @desc    Create a tag
+ * @access  Private (Admin+)
+ */
+router.post('/',
+  requireRole(['admin', 'owner']),
+  validateBody(createTagSchema),
+  tagController.createTag
+);
+
+/**
+ * @route   PATCH /api/tags/:id
+ * @desc    Update a tag's name, color or description
+ * @access  Private (Admin+)
+ */
+router.patch('/:id',
+  requireRole(['admin', 'owner']),
+  validateParams(idParamSchema),
+  validateBody(updateTagSchema),
+  tagController.updateTag
+);
+
+/**
+ * @route   DELETE /api/tags/:id
+ * @desc    Delete a tag and remove it from all chats
+ * @access  Private (Admin+)
+ */
+router.delete('/:id',
+  requireRole(['admin', 'owner']),
+  validateParams(idParamSchema),
+  tagController.deleteTag
+);
+
+module.exports = router;
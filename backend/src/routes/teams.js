@@ -0,0 +1,86 @@
+const express = require('express');
+const teamController = require('../controllers/teamController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  validateBody,
+  validateParams,
+  createTeamSchema,
+  updateTeamSchema,
+  addTeamMemberSchema,
+  idParamSchema,
+  teamMemberParamSchema,
+} = require('../utils/validation');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/teams
+ * @desc    List teams with their members and inboxes
+ * @access  Private (Agent+)
+ */
+router.get('/',
+  requireRole(['agent', 'admin', 'owner']),
+  teamController.getTeams
+);
+
+/**
+ * @route   POST /api/teams
+ * @desc    Create a team
+ * @access  Private (Admin+)
+ */
+router.post('/',
+  requireRole(['admin', 'owner']),
+  validateBody(createTeamSchema),
+  teamController.createTeam
+);
+
+/**
+ * @route   PATCH /api/teams/:id
+ * @desc    Update a team
+ * @access  Private (Admin+)
+ */
+router.patch('/:id',
+  requireRole(['admin', 'owner']),
+  validateParams(idParamSchema),
+  validateBody(updateTeamSchema),
+  teamController.updateTeam
+);
+
+/**
+ * @route   DELETE /api/teams/:id
+ * @desc    Delete a team, its inboxes become visible to everyone
+ * @access  Private (Admin+)
+ */
+router.delete('/:id',
+  requireRole(['admin', 'owner']),
+  validateParams(idParamSchema),
+  teamController.deleteTeam
+);
+
+/**
+ * @route   POST /api/teams/:id/members
+ * @desc    Add a user to a team
+ * @access  Private (Admin+)
+ */
+router.post('/:id/members',
+  requireRole(['admin', 'owner']),
+  validateParams(idParamSchema),
+  validateBody(addTeamMemberSchema),
+  teamController.addMember
+);
+
+/**
+ * @route   DELETE /api/teams/:id/members/:userId
+ * @desc    Remove a user from a team
+ * @access  Private (Admin+)
+ */
+router.delete('/:id/members/:userId',
+  requireRole(['admin', 'owner']),
+  validateParams(teamMemberParamSchema),
+  teamController.removeMember
+);
+
+module.exports = router;
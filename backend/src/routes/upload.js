@@ -0,0 +1,25 @@
+const express = require('express');
+const mediaController = require('../controllers/mediaController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { checkTenantLimits } = require('../middleware/tenantIsolation');
+const { uploadSingle } = require('../middleware/upload');
+const { USER_ROLES } = require('../utils/constants');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   POST /api/upload
+ * @desc    Upload a file (multipart field "file") to send as a message attachment
+ * @access  Private (Agent+)
+ */
+router.post('/',
+  requireRole([USER_ROLES.AGENT, USER_ROLES.MANAGER, USER_ROLES.ADMIN]),
+  checkTenantLimits('storage_mb'),
+  uploadSingle('file'),
+  mediaController.uploadMedia
+);
+
+module.exports = router;
@@ -1,8 +1,13 @@
 const express = require('express');
 const webhookController = require('../controllers/webhookController');
-const { authenticateToken } = require('../middleware/auth');
-const { validateQuery } = require('../utils/validation');
-const { metaWebhookVerificationSchema } = require('../utils/validation');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { verifyWebhookSignature } = require('../middleware/webhookSignature');
+const { validateQuery, validateParams } = require('../utils/validation');
+const {
+  metaWebhookVerificationSchema,
+  webhookEventQuerySchema,
+  webhookEventIdParamSchema,
+} = require('../utils/validation');
 
 const router = express.Router();
 
@@ -21,7 +26,10 @@ router.get('/meta',
  * @desc    Handle Meta webhook events (Facebook, Instagram)
  * @access  Public (Meta webhooks)
  */
-router.post('/meta', webhookController.handleMetaWebhook);
+router.post('/meta',
+  verifyWebhookSignature,
+  webhookController.handleMetaWebhook
+);
 
 /**
  * @route   GET /api/webhooks/whatsapp
@@ -38,7 +46,10 @@ router.get('/whatsapp',
  * @desc    Handle WhatsApp webhook events
  * @access  Public (WhatsApp webhooks)
  */
-router.post('/whatsapp', webhookController.handleWhatsAppWebhook);
+router.post('/whatsapp',
+  verifyWebhookSignature,
+  webhookController.handleWhatsAppWebhook
+);
 
 /**
  * @route   GET /api/webhooks/status
@@ -50,4 +61,28 @@ router.get('/status',
   webhookController.getWebhookStatus
 );
 
+/**
+ * @route   GET /api/webhooks/events
+ * @desc    List stored webhook events and their processing status
+ * @access  Private (Admin+)
+ */
+router.get('/events',
+  authenticateToken,
+  requireRole(['admin', 'owner']),
+  validateQuery(webhookEventQuerySchema),
+  webhookController.getWebhookEvents
+);
+
+/**
+ * @route   POST /api/webhooks/events/:eventId/replay
+ * @desc    Replay a failed webhook event
+ * @access  Private (Admin+)
+ */
+router.post('/events/:eventId/replay',
+  authenticateToken,
+  requireRole(['admin', 'owner']),
+  validateParams(webhookEventIdParamSchema),
+  webhookController.replayWebhookEvent
+);
+
 module.exports = router;
\ No newline at end of file
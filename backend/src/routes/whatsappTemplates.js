@@ -0,0 +1,51 @@
+const express = require('express');
+const whatsappTemplateController = require('../controllers/whatsappTemplateController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  validateBody,
+  validateQuery,
+  validateParams,
+  templateQuerySchema,
+  syncTemplatesSchema,
+  idParamSchema,
+} = require('../utils/validation');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/whatsapp-templates
+ * @desc    List WhatsApp templates with their approval status and placeholders
+ * @access  Private (Agent+)
+ */
+router.get('/',
+  requireRole(['agent', 'admin', 'owner']),
+  validateQuery(templateQuerySchema),
+  whatsappTemplateController.getTemplates
+);
+
+/**
+ * @route   POST /api/whatsapp-templates/sync
+ * @desc    Sync templates from the WhatsApp Business Account
+ * @access  Private (Admin+)
+ */
+router.post('/sync',
+  requireRole(['admin', 'owner']),
+  validateBody(syncTemplatesSchema),
+  whatsappTemplateController.syncTemplates
+);
+
+/**
+ * @route   GET /api/whatsapp-templates/:id
+ * @desc    Get a WhatsApp template
+ * @access  Private (Agent+)
+ */
+router.get('/:id',
+  requireRole(['agent', 'admin', 'owner']),
+  validateParams(idParamSchema),
+  whatsappTemplateController.getTemplate
+);
+
+module.exports = router;
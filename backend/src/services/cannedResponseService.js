@@ -0,0 +1,291 @@
+const mediaService = require('./mediaService');
+const teamService = require('./teamService');
+const { query } = require('../utils/database');
+const { AppError } = require('../middleware/errorHandler');
+const { ERROR_CODES, HTTP_STATUS, USER_ROLES } = require('../utils/constants');
+
+// Roles that manage the tenant-wide replies
+const MANAGER_ROLES = [USER_ROLES.ADMIN, 'owner'];
+
+// Placeholders a reply can contain and how they are filled in
+const PLACEHOLDERS = {
+  customer_name: ({ chat }) => chat.customer_name,
+  customer_first_name: ({ chat }) => chat.customer_name && chat.customer_name.trim().split(/\s+/)[0],
+  customer_email: ({ chat }) => chat.customer_email,
+  customer_phone: ({ chat }) => chat.customer_phone,
+  agent_first_name: ({ user }) => user.firstName,
+  agent_last_name: ({ user }) => user.lastName,
+  agent_name: ({ user }) => [user.firstName, user.lastName].filter(Boolean).join(' '),
+  agent_email: ({ user }) => user.email,
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+class CannedResponseService {
+  /**
+   * List the replies a user can insert: the tenant-wide ones and their own.
+   * Shortcodes starting with the search term come first, then the most used.
+   * @param {Object} user - User with id and tenantId
+   * @param {Object} options - Search term, scope, limit and offset
+   * @returns {Promise<Array>} - Canned responses
+   */
+  async listResponses(user, { search, scope, limit = 50, offset = 0 } = {}) {
+    const conditions = ['cr.tenant_id = $1', '(cr.user_id IS NULL OR cr.user_id = $2)'];
+    const params = [user.tenantId, user.id];
+
+    if (scope === 'tenant') {
+      conditions.push('cr.user_id IS NULL');
+    } else if (scope === 'personal') {
+      conditions.push('cr.user_id IS NOT NULL');
+    }
+
+    let searchParam = 'NULL';
+
+    if (search) {
+      params.push(search.toLowerCase());
+      searchParam = `$${params.length}`;
+      conditions.push(`(
+        cr.shortcode LIKE ${searchParam} || '%' OR
+        cr.title ILIKE '%' || ${searchParam} || '%' OR
+        cr.content ILIKE '%' || ${searchParam} || '%'
+      )`);
+    }
+
+    params.push(limit, offset);
+
+    const result = await query(
+      `SELECT cr.*, ma.file_name as media_file_name, ma.mime_type as media_mime_type
+       FROM canned_responses cr
+       LEFT JOIN media_assets ma ON cr.media_asset_id = ma.id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY (cr.shortcode LIKE ${searchParam} || '%') DESC NULLS LAST,
+         cr.usage_count DESC, cr.shortcode ASC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    return result.rows.map(response => this.formatResponse(response));
+  }
+
+  /**
+   * Get a reply visible to a user
+   * @param {string} responseId - Canned response ID
+   * @param {Object} user - User with id and tenantId
+   * @returns {Promise<Object>} - Canned response record
+   */
+  async findResponse(responseId, user) {
+    const result = await query(
+      `SELECT * FROM canned_responses
+       WHERE id = $1 AND tenant_id = $2 AND (user_id IS NULL OR user_id = $3)`,
+      [responseId, user.tenantId, user.id]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Canned response not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Create a personal reply, or a tenant-wide one for admins
+   * @param {Object} user - User with id, role and tenantId
+   * @param {Object} data - Validated reply data
+   * @returns {Promise<Object>} - Created canned response
+   */
+  async createResponse(user, { shortcode, title, content, mediaAssetId, scope }) {
+    if (scope === 'tenant') {
+      this.assertCanManageShared(user);
+    }
+
+    if (mediaAssetId) {
+      await mediaService.getAsset(mediaAssetId, user.tenantId);
+    }
+
+    try {
+      const result = await query(
+        `INSERT INTO canned_responses (tenant_id, user_id, shortcode, title, content, media_asset_id, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [
+          user.tenantId,
+          scope === 'tenant' ? null : user.id,
+          shortcode,
+          title,
+          content,
+          mediaAssetId || null,
+          user.id,
+        ]
+      );
+
+      return this.formatResponse(result.rows[0]);
+    } catch (error) {
+      throw this.translateUniqueViolation(error);
+    }
+  }
+
+  /**
+   * Update a reply, tenant-wide replies can only be changed by admins
+   * @param {string} responseId - Canned response ID
+   * @param {Object} user - User with id, role and tenantId
+   * @param {Object} data - Validated fields to change
+   * @returns {Promise<Object>} - Updated canned response
+   */
+  async updateResponse(responseId, user, { shortcode, title, content, mediaAssetId }) {
+    const response = await this.findResponse(responseId, user);
+
+    if (!response.user_id) {
+      this.assertCanManageShared(user);
+    }
+
+    if (mediaAssetId) {
+      await mediaService.getAsset(mediaAssetId, user.tenantId);
+    }
+
+    try {
+      const result = await query(
+        `UPDATE canned_responses
+         SET shortcode = COALESCE($2, shortcode),
+             title = COALESCE($3, title),
+             content = COALESCE($4, content),
+             media_asset_id = CASE WHEN $5 THEN $6 ELSE media_asset_id END
+         WHERE id = $1
+         RETURNING *`,
+        [
+          response.id,
+          shortcode,
+          title,
+          content,
+          mediaAssetId !== undefined,
+          mediaAssetId || null,
+        ]
+      );
+
+      return this.formatResponse(result.rows[0]);
+    } catch (error) {
+      throw this.translateUniqueViolation(error);
+    }
+  }
+
+  /**
+   * Delete a reply, tenant-wide replies can only be deleted by admins
+   * @param {string} responseId - Canned response ID
+   * @param {Object} user - User with id, role and tenantId
+   */
+  async deleteResponse(responseId, user) {
+    const response = await this.findResponse(responseId, user);
+
+    if (!response.user_id) {
+      this.assertCanManageShared(user);
+    }
+
+    await query('DELETE FROM canned_responses WHERE id = $1', [response.id]);
+  }
+
+  /**
+   * Fill in a reply for a chat and count the use. Its attachment is copied to
+   * a new upload the composer sends with the message.
+   * @param {string} responseId - Canned response ID
+   * @param {string} chatId - Chat the reply is inserted in
+   * @param {Object} user - User with id, role, tenantId and names
+   * @returns {Promise<Object>} - Rendered content and attachment
+   */
+  async renderResponse(responseId, chatId, user) {
+    const response = await this.findResponse(responseId, user);
+
+    const accessCondition = teamService.getChatAccessCondition(user, '$3');
+
+    const chatResult = await query(
+      `SELECT c.* FROM chats c
+       WHERE c.id = $1 AND c.tenant_id = $2 AND ${accessCondition || 'TRUE'}`,
+      accessCondition ? [chatId, user.tenantId, user.id] : [chatId, user.tenantId]
+    );
+
+    if (chatResult.rows.length === 0) {
+      throw new AppError('Chat not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+
+    const content = this.fillPlaceholders(response.content, { chat: chatResult.rows[0], user });
+
+    const attachment = response.media_asset_id
+      ? mediaService.formatAsset(await mediaService.copyAsset(response.media_asset_id, user.tenantId, user.id))
+      : null;
+
+    await query(
+      `UPDATE canned_responses
+       SET usage_count = usage_count + 1, last_used_at = NOW()
+       WHERE id = $1`,
+      [response.id]
+    );
+
+    return {
+      id: response.id,
+      shortcode: response.shortcode,
+      content,
+      attachment,
+    };
+  }
+
+  /**
+   * Replace {{placeholders}} with chat and agent values, unknown placeholders
+   * are kept and known ones without a value become empty
+   * @param {string} content - Reply content
+   * @param {Object} context - Chat record and user
+   * @returns {string} - Filled in content
+   */
+  fillPlaceholders(content, context) {
+    return content.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+      if (!PLACEHOLDERS[name]) return placeholder;
+      return PLACEHOLDERS[name](context) || '';
+    });
+  }
+
+  /**
+   * Only admins manage the replies shared with the whole tenant
+   * @param {Object} user - User with role
+   */
+  assertCanManageShared(user) {
+    if (!MANAGER_ROLES.includes(user.role)) {
+      throw new AppError(
+        'Only admins can manage tenant-wide canned responses',
+        HTTP_STATUS.FORBIDDEN,
+        ERROR_CODES.FORBIDDEN
+      );
+    }
+  }
+
+  /**
+   * Shape a canned response for API responses
+   * @param {Object} response - Canned response record
+   * @returns {Object} - Canned response with its scope
+   */
+  formatResponse(response) {
+    return {
+      ...response,
+      scope: response.user_id ? 'personal' : 'tenant',
+    };
+  }
+
+  /**
+   * Turn a unique constraint violation into a conflict error
+   * @param {Error} error - Database error
+   * @returns {Error} - Error to throw
+   */
+  translateUniqueViolation(error) {
+    // Unique violation on the shortcode of the tenant or the agent
+    if (error.code === '23505') {
+      return new AppError(
+        'A canned response with this shortcode already exists',
+        HTTP_STATUS.CONFLICT,
+        ERROR_CODES.RESOURCE_ALREADY_EXISTS
+      );
+    }
+
+    return error;
+  }
+}
+
+// Create singleton instance
+const cannedResponseService = new CannedResponseService();
+
+module.exports = cannedResponseService;
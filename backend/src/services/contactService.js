@@ -0,0 +1,474 @@
+const teamService = require('./teamService');
+const { query, transaction } = require('../utils/database');
+const logger = require('../utils/logger');
+const { PLATFORMS, ERROR_CODES, HTTP_STATUS } = require('../utils/constants');
+const { AppError } = require('../middleware/errorHandler');
+
+class ContactService {
+  /**
+   * List a tenant's contacts
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} options - Search and pagination
+   * @returns {Promise<Object>} - Contacts and total count
+   */
+  async listContacts(tenantId, { search, limit = 50, offset = 0 } = {}) {
+    const conditions = ['ct.tenant_id = $1'];
+    const params = [tenantId];
+
+    if (search) {
+      params.push(`%${search}%`);
+      conditions.push(`(
+        ct.name ILIKE $${params.length} OR
+        ct.email ILIKE $${params.length} OR
+        ct.phone ILIKE $${params.length}
+      )`);
+    }
+
+    const where = conditions.join(' AND ');
+
+    const result = await query(
+      `SELECT ct.*,
+        (SELECT COALESCE(json_agg(DISTINCT ci.platform), '[]')
+         FROM contact_identities ci WHERE ci.contact_id = ct.id) as platforms,
+        (SELECT COUNT(*)::int FROM chats c WHERE c.contact_id = ct.id) as chat_count,
+        (SELECT MAX(c.last_interaction) FROM chats c WHERE c.contact_id = ct.id) as last_interaction
+       FROM contacts ct
+       WHERE ${where}
+       ORDER BY last_interaction DESC NULLS LAST, ct.created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const countResult = await query(
+      `SELECT COUNT(*)::int as total FROM contacts ct WHERE ${where}`,
+      params
+    );
+
+    return {
+      contacts: result.rows,
+      total: countResult.rows[0].total,
+    };
+  }
+
+  /**
+   * Get a contact with its platform identities and the chats and notes the
+   * user may access
+   * @param {string} contactId - Contact ID
+   * @param {Object} user - User with id, role and tenantId, sees their own private notes
+   * @returns {Promise<Object>} - Contact profile
+   */
+  async getContact(contactId, user) {
+    const { tenantId, id: userId } = user;
+    const contact = await this.findContact(contactId, tenantId);
+    const accessCondition = teamService.getChatAccessCondition(user, '$3');
+
+    const [identities, chats, notes] = await Promise.all([
+      query(
+        `SELECT ci.id, ci.platform, ci.platform_user_id, ci.social_connection_id,
+                sc.account_name, ci.created_at
+         FROM contact_identities ci
+         JOIN social_connections sc ON ci.social_connection_id = sc.id
+         WHERE ci.contact_id = $1 AND ci.tenant_id = $2
+         ORDER BY ci.created_at`,
+        [contactId, tenantId]
+      ),
+      query(
+        `SELECT c.id, c.status, c.customer_name, c.platform_chat_id, c.assigned_user_id,
+                c.last_interaction, c.created_at, sc.platform, sc.account_name
+         FROM chats c
+         JOIN social_connections sc ON c.social_connection_id = sc.id
+         WHERE c.contact_id = $1 AND c.tenant_id = $2
+           AND ${accessCondition || 'TRUE'}
+         ORDER BY c.last_interaction DESC`,
+        accessCondition ? [contactId, tenantId, userId] : [contactId, tenantId]
+      ),
+      query(
+        `SELECT n.*, u.first_name as user_first_name, u.last_name as user_last_name
+         FROM notes n
+         JOIN chats c ON n.chat_id = c.id
+         LEFT JOIN users u ON n.user_id = u.id
+         WHERE c.contact_id = $1 AND n.tenant_id = $2
+           AND (n.is_private = false OR n.user_id = $3)
+           AND ${accessCondition || 'TRUE'}
+         ORDER BY n.created_at DESC`,
+        [contactId, tenantId, userId]
+      ),
+    ]);
+
+    return {
+      ...contact,
+      identities: identities.rows,
+      chats: chats.rows,
+      notes: notes.rows,
+    };
+  }
+
+  /**
+   * Get a tenant's contact record
+   * @param {string} contactId - Contact ID
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} [client] - Database client of a running transaction
+   * @returns {Promise<Object>} - Contact record
+   */
+  async findContact(contactId, tenantId, client = null) {
+    const result = await (client || { query }).query(
+      'SELECT * FROM contacts WHERE id = $1 AND tenant_id = $2',
+      [contactId, tenantId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Contact not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Create a contact
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} data - Name, email, phone and attributes
+   * @returns {Promise<Object>} - Contact record
+   */
+  async createContact(tenantId, { name, email, phone, attributes = {} }) {
+    const result = await query(
+      `INSERT INTO contacts (tenant_id, name, email, phone, attributes)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [tenantId, name, email || null, phone || null, JSON.stringify(attributes)]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Update a contact. Attributes are merged, an attribute set to null is removed.
+   * @param {string} contactId - Contact ID
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} - Updated contact record
+   */
+  async updateContact(contactId, tenantId, data) {
+    const contact = await this.findContact(contactId, tenantId);
+    const fields = {};
+
+    for (const field of ['name', 'email', 'phone']) {
+      if (data[field] !== undefined) {
+        fields[field] = data[field];
+      }
+    }
+
+    if (data.attributes) {
+      const attributes = { ...contact.attributes, ...data.attributes };
+
+      for (const [key, value] of Object.entries(data.attributes)) {
+        if (value === null) {
+          delete attributes[key];
+        }
+      }
+
+      fields.attributes = JSON.stringify(attributes);
+    }
+
+    if (Object.keys(fields).length === 0) {
+      return contact;
+    }
+
+    const columns = Object.keys(fields);
+    const assignments = columns.map((column, index) => `${column} = $${index + 3}`);
+
+    const result = await query(
+      `UPDATE contacts SET ${assignments.join(', ')}, updated_at = NOW()
+       WHERE id = $1 AND tenant_id = $2
+       RETURNING *`,
+      [contactId, tenantId, ...columns.map(column => fields[column])]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Delete a contact, its chats are kept without a contact
+   * @param {string} contactId - Contact ID
+   * @param {string} tenantId - Tenant ID
+   */
+  async deleteContact(contactId, tenantId) {
+    const result = await query(
+      'DELETE FROM contacts WHERE id = $1 AND tenant_id = $2 RETURNING id',
+      [contactId, tenantId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Contact not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+  }
+
+  /**
+   * Find the contact of a platform user, creating it on first contact.
+   * WhatsApp users are matched to an existing contact by phone number.
+   * @param {Object} client - Database client of the webhook transaction
+   * @param {Object} connection - Social connection the message arrived on
+   * @param {string} platformUserId - Customer ID on the platform
+   * @param {Object} profile - Name and phone known from the webhook
+   * @returns {Promise<string>} - Contact ID
+   */
+  async findOrCreateForPlatformUser(client, connection, platformUserId, { name, phone } = {}) {
+    const identityResult = await client.query(
+      `SELECT contact_id FROM contact_identities
+       WHERE social_connection_id = $1 AND platform_user_id = $2`,
+      [connection.id, platformUserId]
+    );
+
+    if (identityResult.rows.length > 0) {
+      return identityResult.rows[0].contact_id;
+    }
+
+    let contactId = null;
+
+    if (connection.platform === PLATFORMS.WHATSAPP && phone) {
+      const phoneResult = await client.query(
+        `SELECT id FROM contacts
+         WHERE tenant_id = $1 AND phone = $2
+         ORDER BY created_at
+         LIMIT 1`,
+        [connection.tenant_id, phone]
+      );
+
+      contactId = phoneResult.rows[0]?.id || null;
+    }
+
+    if (!contactId) {
+      const contactResult = await client.query(
+        `INSERT INTO contacts (tenant_id, name, phone)
+         VALUES ($1, $2, $3)
+         RETURNING id`,
+        [connection.tenant_id, name || null, phone || null]
+      );
+
+      contactId = contactResult.rows[0].id;
+    }
+
+    await client.query(
+      `INSERT INTO contact_identities (tenant_id, contact_id, social_connection_id, platform, platform_user_id)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (social_connection_id, platform_user_id) DO NOTHING`,
+      [connection.tenant_id, contactId, connection.id, connection.platform, platformUserId]
+    );
+
+    return contactId;
+  }
+
+  /**
+   * Copy a platform profile onto a contact, without overwriting values an
+   * agent entered
+   * @param {string} contactId - Contact ID
+   * @param {Object} profile - Normalized profile (name, avatarUrl, phone)
+   * @param {string} placeholderName - Name given to the chat before the profile was known
+   */
+  async applyProfile(contactId, profile, placeholderName) {
+    await query(
+      `UPDATE contacts
+       SET name = CASE WHEN name IS NULL OR name = $5 THEN COALESCE($2, name) ELSE name END,
+           avatar_url = COALESCE($3, avatar_url),
+           phone = COALESCE(phone, $4),
+           updated_at = NOW()
+       WHERE id = $1`,
+      [contactId, profile.name || null, profile.avatarUrl || null, profile.phone || null, placeholderName]
+    );
+  }
+
+  /**
+   * Merge a contact into another one. Identities, chats and therefore notes
+   * move to the target, which keeps its own values where both are set.
+   * @param {string} targetId - Contact that is kept
+   * @param {string} sourceId - Contact that is merged and deleted
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Object>} - Merged contact record
+   */
+  async mergeContacts(targetId, sourceId, tenantId) {
+    if (targetId === sourceId) {
+      throw new AppError(
+        'A contact cannot be merged into itself',
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.VALIDATION_ERROR
+      );
+    }
+
+    const contact = await transaction(client => this.moveContact(client, targetId, sourceId, tenantId));
+
+    logger.info('Contacts merged', { targetId, sourceId, tenantId });
+
+    return contact;
+  }
+
+  /**
+   * Move the identities and chats of a contact to another one and delete it
+   * @param {Object} client - Database client of the merging transaction
+   * @param {string} targetId - Contact that is kept
+   * @param {string} sourceId - Contact that is merged and deleted
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Object>} - Merged contact record
+   */
+  async moveContact(client, targetId, sourceId, tenantId) {
+    const target = await this.findContact(targetId, tenantId, client);
+    const source = await this.findContact(sourceId, tenantId, client);
+
+    await client.query(
+      'UPDATE contact_identities SET contact_id = $1 WHERE contact_id = $2',
+      [targetId, sourceId]
+    );
+
+    await client.query(
+      'UPDATE chats SET contact_id = $1, updated_at = NOW() WHERE contact_id = $2',
+      [targetId, sourceId]
+    );
+
+    await client.query('DELETE FROM contacts WHERE id = $1', [sourceId]);
+
+    const result = await client.query(
+      `UPDATE contacts
+       SET name = $2, email = $3, phone = $4, avatar_url = $5, attributes = $6, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [
+        targetId,
+        target.name || source.name,
+        target.email || source.email,
+        target.phone || source.phone,
+        target.avatar_url || source.avatar_url,
+        JSON.stringify({ ...source.attributes, ...target.attributes }),
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Give a platform user's identity the user's other ID on the same account.
+   * A contact that already has the new ID keeps it, the contact of the old
+   * ID is merged into it.
+   * @param {Object} client - Database client of the webhook transaction
+   * @param {Object} connection - Social connection with id, tenant_id and platform
+   * @param {string} previousUserId - Platform user ID the identity had so far
+   * @param {string} platformUserId - Platform user ID the identity gets
+   * @returns {Promise<string|null>} - Contact ID, null if neither ID is known
+   */
+  async moveIdentity(client, connection, previousUserId, platformUserId) {
+    const previousResult = await client.query(
+      `DELETE FROM contact_identities
+       WHERE social_connection_id = $1 AND platform_user_id = $2
+       RETURNING contact_id`,
+      [connection.id, previousUserId]
+    );
+
+    const currentResult = await client.query(
+      `SELECT contact_id FROM contact_identities
+       WHERE social_connection_id = $1 AND platform_user_id = $2`,
+      [connection.id, platformUserId]
+    );
+
+    const previousContactId = previousResult.rows[0]?.contact_id || null;
+    const currentContactId = currentResult.rows[0]?.contact_id || null;
+
+    if (!previousContactId) {
+      return currentContactId;
+    }
+
+    if (!currentContactId) {
+      await client.query(
+        `INSERT INTO contact_identities (tenant_id, contact_id, social_connection_id, platform, platform_user_id)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [connection.tenant_id, previousContactId, connection.id, connection.platform, platformUserId]
+      );
+
+      return previousContactId;
+    }
+
+    if (currentContactId !== previousContactId) {
+      await this.moveContact(client, currentContactId, previousContactId, connection.tenant_id);
+    }
+
+    return currentContactId;
+  }
+
+  /**
+   * Split a platform identity off into a new contact, together with its chats
+   * @param {string} contactId - Contact the identity belongs to
+   * @param {string} identityId - Identity to split off
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Object>} - New contact record
+   */
+  async splitIdentity(contactId, identityId, tenantId) {
+    const contact = await transaction(async (client) => {
+      await this.findContact(contactId, tenantId, client);
+
+      const identityResult = await client.query(
+        'SELECT * FROM contact_identities WHERE id = $1 AND contact_id = $2 AND tenant_id = $3',
+        [identityId, contactId, tenantId]
+      );
+
+      if (identityResult.rows.length === 0) {
+        throw new AppError('Contact identity not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+      }
+
+      const countResult = await client.query(
+        'SELECT COUNT(*)::int as count FROM contact_identities WHERE contact_id = $1',
+        [contactId]
+      );
+
+      if (countResult.rows[0].count < 2) {
+        throw new AppError(
+          'The only identity of a contact cannot be split off',
+          HTTP_STATUS.BAD_REQUEST,
+          ERROR_CODES.VALIDATION_ERROR
+        );
+      }
+
+      const identity = identityResult.rows[0];
+
+      // Name the new contact after the most recent chat of the identity
+      const chatResult = await client.query(
+        `SELECT customer_name, customer_phone, customer_avatar_url FROM chats
+         WHERE social_connection_id = $1 AND platform_chat_id = $2
+         ORDER BY last_interaction DESC
+         LIMIT 1`,
+        [identity.social_connection_id, identity.platform_user_id]
+      );
+      const chat = chatResult.rows[0] || {};
+
+      const newContactResult = await client.query(
+        `INSERT INTO contacts (tenant_id, name, phone, avatar_url)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [tenantId, chat.customer_name || null, chat.customer_phone || null, chat.customer_avatar_url || null]
+      );
+      const newContact = newContactResult.rows[0];
+
+      await client.query(
+        'UPDATE contact_identities SET contact_id = $1 WHERE id = $2',
+        [newContact.id, identityId]
+      );
+
+      await client.query(
+        `UPDATE chats SET contact_id = $1, updated_at = NOW()
+         WHERE social_connection_id = $2 AND platform_chat_id = $3 AND contact_id = $4`,
+        [newContact.id, identity.social_connection_id, identity.platform_user_id, contactId]
+      );
+
+      return newContact;
+    });
+
+    logger.info('Contact identity split off', {
+      contactId,
+      identityId,
+      newContactId: contact.id,
+      tenantId,
+    });
+
+    return contact;
+  }
+}
+
+// Create singleton instance
+const contactService = new ContactService();
+
+module.exports = contactService;
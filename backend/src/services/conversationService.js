@@ -0,0 +1,210 @@
+const slaService = require('./slaService');
+const teamService = require('./teamService');
+const { query } = require('../utils/database');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const {
+  APP_CONSTANTS,
+  CHAT_STATUS,
+  ERROR_CODES,
+  HTTP_STATUS,
+} = require('../utils/constants');
+
+const CONVERSATION_CONFIG = APP_CONSTANTS.CONVERSATIONS;
+
+class ConversationService {
+  /**
+   * Get the latest conversation of a chat
+   * @param {string} chatId - Chat ID
+   * @param {Object} [client] - Database client, locks the conversation when given
+   * @returns {Promise<Object|null>} - Conversation record
+   */
+  async getCurrentConversation(chatId, client = null) {
+    const sql = `SELECT * FROM conversations
+                 WHERE chat_id = $1
+                 ORDER BY opened_at DESC
+                 LIMIT 1${client ? ' FOR UPDATE' : ''}`;
+
+    const result = client
+      ? await client.query(sql, [chatId])
+      : await query(sql, [chatId]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get the conversation outbound messages of a chat belong to, chats created
+   * through the API get their first conversation here
+   * @param {Object} chat - Chat record
+   * @returns {Promise<Object>} - Conversation record
+   */
+  async ensureCurrentConversation(chat) {
+    const current = await this.getCurrentConversation(chat.id);
+    if (current) return current;
+
+    const result = await query(
+      `INSERT INTO conversations (tenant_id, chat_id, status, assigned_user_id)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [chat.tenant_id, chat.id, chat.status || CHAT_STATUS.OPEN, chat.assigned_user_id || null]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Pick the conversation of an inbound message. Open and pending conversations
+   * continue, a closed one is reopened within the reopen window, otherwise a new
+   * unassigned conversation starts and the chat is reset to open.
+   * @param {Object} client - Database client
+   * @param {Object} chat - Chat record
+   * @param {Date} timestamp - Time the customer sent the message
+   * @returns {Promise<Object>} - Conversation, updated chat record and the action taken:
+   * continued, reopened, new_chat or new_conversation
+   */
+  async resolveForInbound(client, chat, timestamp) {
+    const current = await this.getCurrentConversation(chat.id, client);
+
+    if (current && current.status !== CHAT_STATUS.CLOSED) {
+      return { conversation: current, chat, action: 'continued' };
+    }
+
+    if (current && this.isWithinReopenWindow(current, timestamp)) {
+      const reopenedResult = await client.query(
+        `UPDATE conversations
+         SET status = $1, closed_at = NULL, closed_by = NULL, reopen_count = reopen_count + 1
+         WHERE id = $2
+         RETURNING *`,
+        [CHAT_STATUS.OPEN, current.id]
+      );
+
+      const chatResult = await client.query(
+        'UPDATE chats SET status = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+        [CHAT_STATUS.OPEN, chat.id]
+      );
+
+      logger.info('Conversation reopened', {
+        chatId: chat.id,
+        conversationId: current.id,
+        tenantId: chat.tenant_id,
+      });
+
+      return { conversation: reopenedResult.rows[0], chat: chatResult.rows[0], action: 'reopened' };
+    }
+
+    // The first conversation keeps the chat's assignment, later ones start unassigned
+    const assignedUserId = current ? null : chat.assigned_user_id;
+
+    const conversationResult = await client.query(
+      `INSERT INTO conversations (tenant_id, chat_id, status, assigned_user_id, opened_at)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [chat.tenant_id, chat.id, CHAT_STATUS.OPEN, assignedUserId, timestamp]
+    );
+
+    const chatResult = await client.query(
+      `UPDATE chats
+       SET status = $1, assigned_user_id = $2, updated_at = NOW()
+       WHERE id = $3
+       RETURNING *`,
+      [CHAT_STATUS.OPEN, assignedUserId, chat.id]
+    );
+
+    const conversation = conversationResult.rows[0];
+
+    if (current) {
+      logger.info('New conversation started', {
+        chatId: chat.id,
+        conversationId: conversation.id,
+        previousConversationId: current.id,
+        tenantId: chat.tenant_id,
+      });
+    }
+
+    return {
+      conversation,
+      chat: chatResult.rows[0],
+      action: current ? 'new_conversation' : 'new_chat',
+    };
+  }
+
+  /**
+   * Check whether a closed conversation can still be reopened
+   * @param {Object} conversation - Closed conversation record
+   * @param {Date} timestamp - Time of the new customer message
+   * @returns {boolean} - Whether the message falls within the reopen window
+   */
+  isWithinReopenWindow(conversation, timestamp) {
+    if (!conversation.closed_at || CONVERSATION_CONFIG.REOPEN_WINDOW <= 0) {
+      return false;
+    }
+
+    const closedAt = new Date(conversation.closed_at).getTime();
+    return new Date(timestamp).getTime() - closedAt <= CONVERSATION_CONFIG.REOPEN_WINDOW;
+  }
+
+  /**
+   * Mirror chat status and assignment changes on its current conversation,
+   * SLA timers pause while it is pending
+   * @param {Object} chat - Updated chat record
+   * @param {string} userId - User who made the change
+   * @returns {Promise<Object|null>} - Updated conversation record
+   */
+  async syncFromChat(chat, userId) {
+    const current = await this.ensureCurrentConversation(chat);
+
+    const result = await query(
+      `UPDATE conversations
+       SET status = $1,
+           assigned_user_id = $2,
+           closed_at = CASE WHEN $1 = $5 THEN COALESCE(closed_at, NOW()) END,
+           closed_by = CASE WHEN $1 = $5 THEN COALESCE(closed_by, $3) END
+       WHERE id = $4
+       RETURNING *`,
+      [chat.status, chat.assigned_user_id || null, userId, current.id, CHAT_STATUS.CLOSED]
+    );
+
+    await slaService.onStatusChange(current.id, chat.status);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * List the conversations of a chat, newest first
+   * @param {string} chatId - Chat ID
+   * @param {Object} user - User with id, role and tenantId
+   * @returns {Promise<Array>} - Conversations with message counts and resolution time
+   */
+  async listConversations(chatId, user) {
+    const chat = await teamService.findAccessibleChat(user, chatId);
+
+    if (!chat) {
+      throw new AppError('Chat not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+
+    const result = await query(
+      `SELECT
+         cv.*,
+         u.first_name as assigned_user_first_name,
+         u.last_name as assigned_user_last_name,
+         (
+           SELECT COUNT(*)::int
+           FROM messages m
+           WHERE m.conversation_id = cv.id
+         ) as message_count,
+         EXTRACT(EPOCH FROM (cv.closed_at - cv.opened_at))::int as resolution_time_seconds
+       FROM conversations cv
+       LEFT JOIN users u ON cv.assigned_user_id = u.id
+       WHERE cv.chat_id = $1 AND cv.tenant_id = $2
+       ORDER BY cv.opened_at DESC`,
+      [chatId, user.tenantId]
+    );
+
+    return result.rows;
+  }
+}
+
+// Create singleton instance
+const conversationService = new ConversationService();
+
+module.exports = conversationService;
@@ -0,0 +1,274 @@
+const metaApiService = require('./metaApiService');
+const encryptionService = require('./encryptionService');
+const contactService = require('./contactService');
+const { broadcastToTenant } = require('./websocketService');
+const { query } = require('../utils/database');
+const { getCache, setCache } = require('../utils/redis');
+const logger = require('../utils/logger');
+const {
+  APP_CONSTANTS,
+  CHAT_KINDS,
+  PLATFORMS,
+  REDIS_KEYS,
+  WEBSOCKET_EVENTS,
+} = require('../utils/constants');
+
+const PROFILE_CONFIG = APP_CONSTANTS.CUSTOMER_PROFILES;
+
+class CustomerProfileService {
+  constructor() {
+    this.refreshTimer = null;
+    this.isRefreshing = false;
+  }
+
+  /**
+   * Start refreshing stale profiles periodically
+   */
+  start() {
+    if (this.refreshTimer) return;
+
+    this.refreshTimer = setInterval(() => this.refreshStaleProfiles(), PROFILE_CONFIG.REFRESH_INTERVAL);
+    logger.info('Customer profile refresh started', { interval: PROFILE_CONFIG.REFRESH_INTERVAL });
+  }
+
+  /**
+   * Stop the periodic profile refresh
+   */
+  stop() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+      logger.info('Customer profile refresh stopped');
+    }
+  }
+
+  /**
+   * Name given to chats until the customer's profile is known
+   * @param {string} platformChatId - Customer ID on the platform
+   * @returns {string} - Placeholder name
+   */
+  getPlaceholderName(platformChatId) {
+    return `Customer ${platformChatId.slice(-4)}`;
+  }
+
+  /**
+   * Look up the profile of a new customer, or pick up a WhatsApp name change.
+   * Failures are logged, they never fail the processing of the message.
+   * @param {Object} chat - Chat record
+   * @param {Object} connection - Social connection with the encrypted access token
+   * @param {Object} messageData - Processed webhook message
+   * @returns {Promise<Object>} - Updated chat record
+   */
+  async enrichChat(chat, connection, messageData) {
+    try {
+      // WhatsApp sends the profile name with every message, no lookup needed
+      if (connection.platform === PLATFORMS.WHATSAPP) {
+        if (!messageData.senderName || messageData.senderName === chat.customer_profile_name) {
+          return chat;
+        }
+
+        return await this.saveProfile(chat, {
+          name: messageData.senderName,
+          phone: `+${chat.platform_chat_id}`,
+        });
+      }
+
+      // Known customers are kept up to date by the periodic refresh. Comment
+      // chats are keyed and named by the username, there is no profile to look up.
+      if (chat.profile_synced_at || chat.kind === CHAT_KINDS.COMMENTS) {
+        return chat;
+      }
+
+      let profile = {};
+
+      try {
+        profile = await this.getProfile(connection, chat.platform_chat_id);
+      } catch (error) {
+        // Still mark the chat as synced so the customer isn't looked up on
+        // every message, the periodic refresh tries again later
+        logger.warn('Customer profile lookup failed', {
+          chatId: chat.id,
+          platform: connection.platform,
+          error: error.message,
+        });
+      }
+
+      return await this.saveProfile(chat, profile);
+    } catch (error) {
+      logger.error('Customer profile update failed', {
+        chatId: chat.id,
+        error: error.message,
+      });
+      return chat;
+    }
+  }
+
+  /**
+   * Get a Messenger or Instagram customer profile, cached per connection
+   * @param {Object} connection - Social connection with the encrypted access token
+   * @param {string} customerId - Customer ID on the platform
+   * @param {Object} [options] - Lookup options
+   * @param {boolean} [options.refresh] - Skip the cache
+   * @returns {Promise<Object>} - Normalized profile (name, avatarUrl, locale)
+   */
+  async getProfile(connection, customerId, { refresh = false } = {}) {
+    const cacheKey = `${REDIS_KEYS.CUSTOMER_PROFILE}${connection.id}:${customerId}`;
+
+    if (!refresh) {
+      const cached = await getCache(cacheKey);
+      if (cached) return cached;
+    }
+
+    const accessToken = encryptionService.decrypt(connection.encrypted_access_token);
+    const data = await metaApiService.getUserProfile(accessToken, customerId, connection.platform);
+
+    const profile = {
+      name: data.name ||
+        [data.first_name, data.last_name].filter(Boolean).join(' ') ||
+        data.username ||
+        null,
+      avatarUrl: data.profile_pic || null,
+      locale: data.locale || null,
+    };
+
+    try {
+      await setCache(cacheKey, profile, PROFILE_CONFIG.CACHE_TTL);
+    } catch (error) {
+      // The profile is still usable, the next lookup just hits the API again
+    }
+
+    return profile;
+  }
+
+  /**
+   * Store a profile on a chat. The name is only replaced while the chat still
+   * has the placeholder or the previously synced name, agents' renames are kept.
+   * @param {Object} chat - Chat record
+   * @param {Object} profile - Normalized profile
+   * @returns {Promise<Object>} - Updated chat record
+   */
+  async saveProfile(chat, profile) {
+    const result = await query(
+      `UPDATE chats
+       SET customer_name = CASE
+             WHEN $2::varchar IS NOT NULL AND (
+               customer_name IS NULL OR
+               customer_name = $6 OR
+               customer_name = customer_profile_name
+             ) THEN $2
+             ELSE customer_name
+           END,
+           customer_profile_name = COALESCE($2, customer_profile_name),
+           customer_avatar_url = COALESCE($3, customer_avatar_url),
+           customer_locale = COALESCE($4, customer_locale),
+           customer_phone = COALESCE(customer_phone, $5),
+           profile_synced_at = NOW(),
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [
+        chat.id,
+        profile.name || null,
+        profile.avatarUrl || null,
+        profile.locale || null,
+        profile.phone || null,
+        this.getPlaceholderName(chat.platform_chat_id),
+      ]
+    );
+
+    const updated = result.rows[0] || chat;
+
+    if (updated.contact_id) {
+      await contactService.applyProfile(
+        updated.contact_id,
+        profile,
+        this.getPlaceholderName(chat.platform_chat_id)
+      );
+    }
+
+    return updated;
+  }
+
+  /**
+   * Look up Messenger and Instagram profiles that were not synced recently.
+   * Avatar URLs served by Meta expire, so active chats are refreshed first.
+   */
+  async refreshStaleProfiles() {
+    // Skip the tick while the previous batch is still running
+    if (this.isRefreshing) return;
+    this.isRefreshing = true;
+
+    try {
+      const result = await query(
+        `SELECT c.*, sc.platform, sc.encrypted_access_token
+         FROM chats c
+         JOIN social_connections sc ON c.social_connection_id = sc.id
+         WHERE sc.is_active = true
+           AND sc.platform IN ($1, $2)
+           AND c.kind = $5
+           AND (c.profile_synced_at IS NULL OR c.profile_synced_at < $3)
+         ORDER BY c.last_interaction DESC
+         LIMIT $4`,
+        [
+          PLATFORMS.FACEBOOK,
+          PLATFORMS.INSTAGRAM,
+          new Date(Date.now() - PROFILE_CONFIG.REFRESH_AGE),
+          PROFILE_CONFIG.BATCH_SIZE,
+          CHAT_KINDS.DIRECT,
+        ]
+      );
+
+      for (const row of result.rows) {
+        const connection = {
+          id: row.social_connection_id,
+          platform: row.platform,
+          encrypted_access_token: row.encrypted_access_token,
+        };
+
+        try {
+          const profile = await this.getProfile(connection, row.platform_chat_id, { refresh: true });
+          const chat = await this.saveProfile(row, profile);
+          this.broadcastProfile(chat);
+        } catch (error) {
+          logger.warn('Customer profile refresh failed', {
+            chatId: row.id,
+            platform: row.platform,
+            error: error.message,
+          });
+          await this.saveProfile(row, {});
+        }
+      }
+
+      if (result.rows.length > 0) {
+        logger.info('Customer profiles refreshed', { count: result.rows.length });
+      }
+    } catch (error) {
+      logger.error('Customer profile refresh failed:', error);
+    } finally {
+      this.isRefreshing = false;
+    }
+  }
+
+  /**
+   * Notify the tenant's agents about an updated customer profile
+   * @param {Object} chat - Chat record
+   */
+  broadcastProfile(chat) {
+    broadcastToTenant(chat.tenant_id, {
+      type: WEBSOCKET_EVENTS.CHAT_UPDATED,
+      chatId: chat.id,
+      chat: {
+        id: chat.id,
+        customerName: chat.customer_name,
+        customerAvatarUrl: chat.customer_avatar_url,
+        customerLocale: chat.customer_locale,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  }
+}
+
+// Create singleton instance
+const customerProfileService = new CustomerProfileService();
+
+module.exports = customerProfileService;
@@ -0,0 +1,265 @@
+const metaApiService = require('./metaApiService');
+const encryptionService = require('./encryptionService');
+const teamService = require('./teamService');
+const messageChangeService = require('./messageChangeService');
+const contactService = require('./contactService');
+const { query } = require('../utils/database');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  CHAT_KINDS,
+  ERROR_CODES,
+  HTTP_STATUS,
+  PLATFORMS,
+} = require('../utils/constants');
+
+class InstagramCommentService {
+  /**
+   * Complete a mention from the webhook with the mentioning comment or caption
+   * @param {Object} mentionData - Mention from processWebhookComments
+   * @returns {Promise<Object|null>} - Message data for the commenter's comment chat, null if unknown
+   */
+  async resolveMention(mentionData) {
+    const connectionResult = await query(
+      `SELECT id, platform_account_id, encrypted_access_token
+       FROM social_connections
+       WHERE platform = $1 AND platform_account_id = $2 AND is_active = true`,
+      [PLATFORMS.INSTAGRAM, mentionData.pageId]
+    );
+
+    const connection = connectionResult.rows[0];
+
+    if (!connection) {
+      logger.warn('No active social connection found for mention', { accountId: mentionData.pageId });
+      return null;
+    }
+
+    const accessToken = encryptionService.decrypt(connection.encrypted_access_token);
+    const { mediaId, commentId } = mentionData.mention;
+
+    // Mentions in comments carry the comment ID, mentions in captions only the media
+    const mention = commentId
+      ? await metaApiService.getMentionedComment(accessToken, connection.platform_account_id, commentId)
+      : await metaApiService.getMentionedMedia(accessToken, connection.platform_account_id, mediaId);
+
+    const username = commentId ? mention?.from?.username : mention?.username;
+
+    if (!username) {
+      logger.warn('Mention could not be looked up', { accountId: mentionData.pageId, mediaId, commentId });
+      return null;
+    }
+
+    // Mentioning comments carry their author's ID like other comments, captions
+    // only the username, which finds the chat of a user who commented before
+    const senderId = (commentId && mention.from.id)
+      || await this.findCommenterId(connection.id, username)
+      || `@${username}`;
+
+    return {
+      platform: PLATFORMS.INSTAGRAM,
+      pageId: mentionData.pageId,
+      chatKind: CHAT_KINDS.COMMENTS,
+      senderId,
+      senderName: `@${username}`,
+      messageId: mention.id,
+      text: commentId ? mention.text : mention.caption,
+      comment: {
+        type: 'mention',
+        id: commentId,
+        username,
+        mediaId: commentId ? mention.media?.id || mediaId : mediaId,
+        permalink: commentId ? mention.media?.permalink || null : mention.permalink || null,
+      },
+      timestamp: mention.timestamp ? new Date(mention.timestamp) : mentionData.timestamp,
+    };
+  }
+
+  /**
+   * Find the Instagram user ID of a username from their earlier comments
+   * @param {string} connectionId - Social connection ID
+   * @param {string} username - Instagram username, without the @
+   * @returns {Promise<string|null>} - Platform chat ID of the user's comment chat
+   */
+  async findCommenterId(connectionId, username) {
+    const result = await query(
+      `SELECT c.platform_chat_id
+       FROM messages m
+       JOIN chats c ON c.id = m.chat_id
+       WHERE c.social_connection_id = $1 AND c.kind = $2
+         AND m.metadata->'comment'->>'username' = $3
+       ORDER BY m.created_at DESC
+       LIMIT 1`,
+      [connectionId, CHAT_KINDS.COMMENTS, username]
+    );
+
+    return result.rows[0]?.platform_chat_id || null;
+  }
+
+  /**
+   * Move the chat and contact identity a caption mention created under
+   * `@username` to the user's ID, once a comment carrying both arrives. A user
+   * who already has a chat under the ID keeps both chats on one contact.
+   * @param {Object} client - Database client of the webhook transaction
+   * @param {Object} connection - Social connection with id, tenant_id and platform
+   * @param {string} userId - Instagram user ID of the commenter
+   * @param {string} username - Instagram username, without the @
+   */
+  async adoptUsernameChat(client, connection, userId, username) {
+    const usernameKey = `@${username}`;
+
+    const contactId = await contactService.moveIdentity(client, connection, usernameKey, userId);
+
+    const result = await client.query(
+      `UPDATE chats
+       SET platform_chat_id = $3, contact_id = COALESCE($4, contact_id), updated_at = NOW()
+       WHERE social_connection_id = $1 AND platform_chat_id = $2 AND kind = $5
+         AND NOT EXISTS (
+           SELECT 1 FROM chats
+           WHERE social_connection_id = $1 AND platform_chat_id = $3 AND kind = $5
+         )
+       RETURNING id`,
+      [connection.id, usernameKey, userId, contactId, CHAT_KINDS.COMMENTS]
+    );
+
+    if (result.rows.length > 0) {
+      logger.info('Mention chat moved to the commenter ID', {
+        chatId: result.rows[0].id,
+        connectionId: connection.id,
+        username,
+      });
+    }
+  }
+
+  /**
+   * Find the comment an agent's message in a comment chat answers
+   * @param {string} chatId - Comment chat ID
+   * @param {string} [messageId] - Message replied to, defaults to the latest comment
+   * @returns {Promise<Object>} - Comment message
+   */
+  async getReplyTarget(chatId, messageId = null) {
+    const result = await query(
+      `SELECT * FROM messages
+       WHERE chat_id = $1 AND direction = 'inbound' AND metadata->'comment'->>'id' IS NOT NULL
+         AND ($2::uuid IS NULL OR id = $2)
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [chatId, messageId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError(
+        messageId ? 'Only comments can be replied to' : 'The chat has no comment to reply to',
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.INVALID_INPUT
+      );
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Hide or unhide a customer's comment on Instagram
+   * @param {Object} user - User with id, role and tenantId
+   * @param {string} messageId - Message ID of the comment
+   * @param {boolean} hidden - Whether the comment is hidden
+   * @returns {Promise<Object>} - Updated message
+   */
+  async setHidden(user, messageId, hidden) {
+    const comment = await this.getComment(user, messageId);
+
+    await metaApiService.setCommentHidden(comment.accessToken, comment.metadata.comment.id, hidden);
+
+    return this.updateComment(comment, { hidden });
+  }
+
+  /**
+   * Delete a customer's comment on Instagram, the message stays in the chat
+   * @param {Object} user - User with id, role and tenantId
+   * @param {string} messageId - Message ID of the comment
+   * @returns {Promise<Object>} - Updated message
+   */
+  async deleteComment(user, messageId) {
+    const comment = await this.getComment(user, messageId);
+
+    await metaApiService.deleteComment(comment.accessToken, comment.metadata.comment.id);
+
+    return this.updateComment(comment, { deletedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Get a comment message of a chat the user can access
+   * @param {Object} user - User with id, role and tenantId
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object>} - Message with the decrypted access token of its connection
+   */
+  async getComment(user, messageId) {
+    const accessCondition = teamService.getChatAccessCondition(user, '$3');
+
+    const result = await query(
+      `SELECT m.id, m.chat_id, m.metadata,
+              sc.encrypted_access_token,
+              sc.is_active as connection_active
+       FROM messages m
+       JOIN chats c ON m.chat_id = c.id
+       JOIN social_connections sc ON c.social_connection_id = sc.id
+       WHERE m.id = $1 AND m.tenant_id = $2 AND ${accessCondition || 'TRUE'}`,
+      accessCondition ? [messageId, user.tenantId, user.id] : [messageId, user.tenantId]
+    );
+
+    const message = result.rows[0];
+
+    if (!message) {
+      throw new AppError('Message not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+
+    // Caption mentions are the customer's own posts, they cannot be moderated
+    if (!message.metadata?.comment?.id || message.metadata.comment.deletedAt) {
+      throw new AppError(
+        'Only comments can be hidden or deleted',
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.INVALID_INPUT
+      );
+    }
+
+    if (!message.connection_active) {
+      throw new AppError(
+        'Social connection is inactive',
+        HTTP_STATUS.CONFLICT,
+        ERROR_CODES.SOCIAL_CONNECTION_INACTIVE
+      );
+    }
+
+    return {
+      ...message,
+      accessToken: encryptionService.decrypt(message.encrypted_access_token),
+    };
+  }
+
+  /**
+   * Store a moderation change in the comment's metadata and push it to the open chat
+   * @param {Object} message - Comment message
+   * @param {Object} changes - Fields of metadata.comment to update
+   * @returns {Promise<Object>} - Updated message
+   */
+  async updateComment(message, changes) {
+    const result = await query(
+      `UPDATE messages
+       SET metadata = jsonb_set(metadata, '{comment}', (metadata->'comment') || $2::jsonb),
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [message.id, JSON.stringify(changes)]
+    );
+
+    const updated = result.rows[0];
+
+    messageChangeService.broadcastMessageUpdate(updated);
+
+    return updated;
+  }
+}
+
+// Create singleton instance
+const instagramCommentService = new InstagramCommentService();
+
+module.exports = instagramCommentService;
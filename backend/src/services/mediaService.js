@@ -0,0 +1,321 @@
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const metaApiService = require('./metaApiService');
+const storageService = require('./storageService');
+const teamService = require('./teamService');
+const { query } = require('../utils/database');
+const logger = require('../utils/logger');
+const { APP_CONSTANTS, ERROR_CODES, HTTP_STATUS } = require('../utils/constants');
+const { AppError } = require('../middleware/errorHandler');
+
+const MEDIA_CONFIG = APP_CONSTANTS.MEDIA;
+
+// Messenger and Instagram attachment types that carry a downloadable file
+const DOWNLOADABLE_ATTACHMENT_TYPES = ['image', 'video', 'audio', 'file'];
+
+class MediaService {
+  /**
+   * Describe the media of an incoming webhook message, if any
+   * @param {Object} messageData - Processed webhook message
+   * @returns {Object|null} - Media descriptor (mediaId or url, mimeType, fileName)
+   */
+  getInboundMedia(messageData) {
+    // WhatsApp sends a media ID that is resolved with the access token
+    if (messageData.media?.id) {
+      return {
+        mediaId: messageData.media.id,
+        mimeType: messageData.media.mimeType,
+        fileName: messageData.media.fileName,
+      };
+    }
+
+    // Messenger and Instagram send short-lived CDN URLs, only the first one is kept
+    const attachment = messageData.attachments?.find(item =>
+      DOWNLOADABLE_ATTACHMENT_TYPES.includes(item.type) && item.payload?.url
+    );
+
+    if (attachment) {
+      return { url: attachment.payload.url };
+    }
+
+    // Instagram stories a customer mentioned the account in or replied to expire after 24 hours
+    return messageData.story?.url ? { url: messageData.story.url } : null;
+  }
+
+  /**
+   * Download the media of an inbound message into storage and link it to the message
+   * @param {Object} message - Message record
+   * @param {Object} media - Media descriptor from getInboundMedia
+   * @param {string} accessToken - Decrypted access token of the social connection
+   * @returns {Promise<Object>} - Updated message record
+   */
+  async storeInboundMedia(message, media, accessToken) {
+    let url = media.url;
+    let mimeType = media.mimeType;
+
+    if (media.mediaId) {
+      const mediaInfo = await metaApiService.getWhatsAppMediaUrl(accessToken, media.mediaId);
+      url = mediaInfo.url;
+      mimeType = mimeType || mediaInfo.mime_type;
+    }
+
+    const { buffer, contentType } = await metaApiService.downloadMedia(
+      url,
+      media.mediaId ? accessToken : null,
+      MEDIA_CONFIG.MAX_DOWNLOAD_SIZE
+    );
+
+    const asset = await this.saveAsset({
+      tenantId: message.tenant_id,
+      messageId: message.id,
+      buffer,
+      mimeType: (mimeType || contentType || 'application/octet-stream').split(';')[0].trim(),
+      fileName: media.fileName,
+      platformMediaId: media.mediaId,
+    });
+
+    const result = await query(
+      `UPDATE messages
+       SET media_url = $1, media_type = $2, media_size = $3,
+           metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('mediaAssetId', $4::text),
+           updated_at = NOW()
+       WHERE id = $5
+       RETURNING *`,
+      [this.getMediaUrl(asset.id), asset.mime_type, asset.size, asset.id, message.id]
+    );
+
+    logger.info('Inbound media stored', {
+      messageId: message.id,
+      mediaAssetId: asset.id,
+      mimeType: asset.mime_type,
+      size: asset.size,
+    });
+
+    return result.rows[0];
+  }
+
+  /**
+   * Write a file and its thumbnail to storage and record the asset
+   * @param {Object} assetData - Asset data
+   * @returns {Promise<Object>} - Media asset record
+   */
+  async saveAsset({
+    tenantId,
+    messageId = null,
+    buffer,
+    mimeType,
+    fileName = null,
+    platformMediaId = null,
+    uploadedBy = null,
+  }) {
+    const assetId = uuidv4();
+    const storageKey = `${tenantId}/${assetId}`;
+
+    await storageService.put(storageKey, buffer, mimeType);
+
+    const image = mimeType.startsWith('image/')
+      ? await this.createThumbnail(storageKey, buffer)
+      : {};
+
+    const result = await query(
+      `INSERT INTO media_assets (
+        id, tenant_id, message_id, storage_driver, storage_key, thumbnail_key,
+        file_name, mime_type, size, width, height, platform_media_id, uploaded_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      RETURNING *`,
+      [
+        assetId,
+        tenantId,
+        messageId,
+        storageService.driver,
+        storageKey,
+        image.thumbnailKey || null,
+        fileName,
+        mimeType,
+        buffer.length,
+        image.width || null,
+        image.height || null,
+        platformMediaId,
+        uploadedBy,
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Generate and store a JPEG thumbnail of an image
+   * @param {string} storageKey - Storage key of the original image
+   * @param {Buffer} buffer - Image contents
+   * @returns {Promise<Object>} - Thumbnail key and original dimensions
+   */
+  async createThumbnail(storageKey, buffer) {
+    try {
+      const { width, height } = await sharp(buffer).metadata();
+
+      const thumbnail = await sharp(buffer)
+        .rotate()
+        .resize(MEDIA_CONFIG.THUMBNAIL_SIZE, MEDIA_CONFIG.THUMBNAIL_SIZE, {
+          fit: 'inside',
+          withoutEnlargement: true,
+        })
+        .jpeg({ quality: MEDIA_CONFIG.THUMBNAIL_QUALITY })
+        .toBuffer();
+
+      const thumbnailKey = `${storageKey}_thumb.jpg`;
+      await storageService.put(thumbnailKey, thumbnail, 'image/jpeg');
+
+      return { thumbnailKey, width, height };
+    } catch (error) {
+      // Formats sharp cannot decode are still stored, just without a thumbnail
+      logger.warn('Thumbnail generation failed', { storageKey, error: error.message });
+      return {};
+    }
+  }
+
+  /**
+   * Get a tenant's media asset
+   * @param {string} assetId - Media asset ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Object>} - Media asset record
+   */
+  async getAsset(assetId, tenantId) {
+    const result = await query(
+      'SELECT * FROM media_assets WHERE id = $1 AND tenant_id = $2',
+      [assetId, tenantId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Media not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Get a tenant's media asset, if the user may access the chat of its message.
+   * Uploads not sent yet belong to no chat and are open to the tenant.
+   * @param {string} assetId - Media asset ID
+   * @param {Object} user - User with id, role and tenantId
+   * @returns {Promise<Object>} - Media asset record
+   */
+  async getAccessibleAsset(assetId, user) {
+    const accessCondition = teamService.getChatAccessCondition(user, '$3');
+
+    const result = await query(
+      `SELECT ma.* FROM media_assets ma
+       LEFT JOIN messages m ON ma.message_id = m.id
+       LEFT JOIN chats c ON m.chat_id = c.id
+       WHERE ma.id = $1 AND ma.tenant_id = $2
+         AND (ma.message_id IS NULL OR ${accessCondition || 'TRUE'})`,
+      accessCondition ? [assetId, user.tenantId, user.id] : [assetId, user.tenantId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Media not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Link an uploaded asset to the outbound message that sends it
+   * @param {string} assetId - Media asset ID
+   * @param {string} messageId - Message ID
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} [client] - Database client
+   * @returns {Promise<Object>} - Updated media asset record
+   */
+  async attachToMessage(assetId, messageId, tenantId, client = null) {
+    const sql = `UPDATE media_assets SET message_id = $1, updated_at = NOW()
+                 WHERE id = $2 AND tenant_id = $3 AND message_id IS NULL
+                 RETURNING *`;
+
+    const result = client
+      ? await client.query(sql, [messageId, assetId, tenantId])
+      : await query(sql, [messageId, assetId, tenantId]);
+
+    if (result.rows.length === 0) {
+      throw new AppError(
+        'Media is already attached to another message',
+        HTTP_STATUS.CONFLICT,
+        ERROR_CODES.RESOURCE_CONFLICT
+      );
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Create an unattached copy of an asset sharing its stored files, so a saved
+   * attachment can be sent with more than one message
+   * @param {string} assetId - Media asset ID
+   * @param {string} tenantId - Tenant ID
+   * @param {string} uploadedBy - User sending the copy
+   * @returns {Promise<Object>} - New media asset record
+   */
+  async copyAsset(assetId, tenantId, uploadedBy) {
+    const result = await query(
+      `INSERT INTO media_assets (
+        tenant_id, storage_driver, storage_key, thumbnail_key,
+        file_name, mime_type, size, width, height, uploaded_by
+      )
+      SELECT tenant_id, storage_driver, storage_key, thumbnail_key,
+        file_name, mime_type, size, width, height, $3
+      FROM media_assets
+      WHERE id = $1 AND tenant_id = $2
+      RETURNING *`,
+      [assetId, tenantId, uploadedBy]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Media not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Map a MIME type to the message type used to send it
+   * @param {string} mimeType - MIME type
+   * @returns {string} - Message type (image, video, audio or file)
+   */
+  getMessageType(mimeType) {
+    const [category] = mimeType.split('/');
+    return ['image', 'video', 'audio'].includes(category) ? category : 'file';
+  }
+
+  /**
+   * Shape a media asset for API responses
+   * @param {Object} asset - Media asset record
+   * @returns {Object} - Public asset fields
+   */
+  formatAsset(asset) {
+    return {
+      id: asset.id,
+      url: this.getMediaUrl(asset.id),
+      thumbnailUrl: asset.thumbnail_key ? `${this.getMediaUrl(asset.id)}?thumbnail=true` : null,
+      fileName: asset.file_name,
+      mimeType: asset.mime_type,
+      size: asset.size,
+      width: asset.width,
+      height: asset.height,
+      messageType: this.getMessageType(asset.mime_type),
+      createdAt: asset.created_at,
+    };
+  }
+
+  /**
+   * Get the authenticated download URL of a media asset
+   * @param {string} assetId - Media asset ID
+   * @returns {string} - Download URL
+   */
+  getMediaUrl(assetId) {
+    return `/api/media/${assetId}`;
+  }
+}
+
+// Create singleton instance
+const mediaService = new MediaService();
+
+module.exports = mediaService;
@@ -0,0 +1,233 @@
+const metaApiService = require('./metaApiService');
+const encryptionService = require('./encryptionService');
+const teamService = require('./teamService');
+const messagingWindowService = require('./messagingWindowService');
+const { broadcastToChat } = require('./websocketService');
+const { query } = require('../utils/database');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  ERROR_CODES,
+  HTTP_STATUS,
+  META_API,
+  MESSAGE_SENDERS,
+  PLATFORMS,
+  WEBSOCKET_EVENTS,
+} = require('../utils/constants');
+
+// Message of a direct chat by its platform ID, $1 connection, $2 customer, $3 platform message ID
+const TARGET_CONDITION = `m.chat_id = c.id AND c.kind = 'direct'
+  AND c.social_connection_id = $1 AND c.platform_chat_id = $2 AND m.platform_message_id = $3`;
+
+// Emojis with and without their emoji presentation selector are the same reaction
+const withoutPresentationSelector = (emoji) => emoji.replace(/\uFE0F/g, '');
+
+class MessageChangeService {
+  /**
+   * Set or remove the customer's or the agents' reaction on a message.
+   * Each side has at most one reaction, as on the platforms.
+   * @param {Object} target - connectionId, customerId and platformMessageId
+   * @param {string} sender - MESSAGE_SENDERS.CUSTOMER or MESSAGE_SENDERS.AGENT
+   * @param {Object|null} reaction - Emoji, reactedAt and the agent's userId, null to remove
+   * @returns {Promise<Object|null>} - Updated message, null if it is unknown
+   */
+  async applyReaction({ connectionId, customerId, platformMessageId }, sender, reaction) {
+    const result = await query(
+      `UPDATE messages m
+       SET metadata = jsonb_set(
+             COALESCE(m.metadata, '{}'),
+             '{reactions}',
+             CASE WHEN $5::jsonb IS NULL
+               THEN COALESCE(m.metadata->'reactions', '{}') - $4::text
+               ELSE COALESCE(m.metadata->'reactions', '{}') || jsonb_build_object($4::text, $5::jsonb)
+             END
+           ),
+           updated_at = NOW()
+       FROM chats c
+       WHERE ${TARGET_CONDITION}
+       RETURNING m.*`,
+      [connectionId, customerId, platformMessageId, sender, reaction ? JSON.stringify(reaction) : null]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Replace the content of an edited message, the previous content is kept
+   * in metadata.revisions. Edits already applied are skipped.
+   * @param {Object} target - connectionId, customerId and platformMessageId
+   * @param {string} text - New content
+   * @param {number|null} editCount - Number of the edit reported by the platform
+   * @param {Date} editedAt - Time of the edit
+   * @returns {Promise<Object|null>} - Updated message, null if unknown or already applied
+   */
+  async applyEdit({ connectionId, customerId, platformMessageId }, text, editCount, editedAt) {
+    const result = await query(
+      `UPDATE messages m
+       SET content = $4,
+           metadata = jsonb_set(
+             COALESCE(m.metadata, '{}'),
+             '{revisions}',
+             COALESCE(m.metadata->'revisions', '[]') || jsonb_build_array(
+               jsonb_build_object('content', m.content, 'replacedAt', $6::timestamp)
+             )
+           ) || jsonb_build_object(
+             'editCount', COALESCE($5::int, COALESCE((m.metadata->>'editCount')::int, 0) + 1),
+             'editedAt', $6::timestamp
+           ),
+           updated_at = NOW()
+       FROM chats c
+       WHERE ${TARGET_CONDITION}
+         AND ($5::int IS NULL OR COALESCE((m.metadata->>'editCount')::int, 0) < $5::int)
+         AND m.metadata->>'unsentAt' IS NULL
+       RETURNING m.*`,
+      [connectionId, customerId, platformMessageId, text, editCount, editedAt]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Tombstone a message the customer unsent. Its content, media and
+   * revisions are dropped, the row stays so the conversation keeps its order.
+   * @param {Object} target - connectionId, customerId and platformMessageId
+   * @param {Date} unsentAt - Time of the unsend
+   * @returns {Promise<Object|null>} - Updated message, null if unknown or already unsent
+   */
+  async applyUnsend({ connectionId, customerId, platformMessageId }, unsentAt) {
+    const result = await query(
+      `UPDATE messages m
+       SET content = NULL, media_url = NULL, media_type = NULL, media_size = NULL,
+           metadata = (COALESCE(m.metadata, '{}') - 'revisions' - 'attachments' - 'interactiveReply')
+             || jsonb_build_object('unsentAt', $4::timestamp),
+           updated_at = NOW()
+       FROM chats c
+       WHERE ${TARGET_CONDITION}
+         AND m.metadata->>'unsentAt' IS NULL
+       RETURNING m.*`,
+      [connectionId, customerId, platformMessageId, unsentAt]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * React to a customer message on behalf of the agents, or remove the reaction
+   * @param {Object} user - User with id, role and tenantId
+   * @param {string} messageId - Message ID
+   * @param {string|null} emoji - Reaction emoji, null to remove
+   * @returns {Promise<Object>} - Updated message
+   */
+  async react(user, messageId, emoji) {
+    const accessCondition = teamService.getChatAccessCondition(user, '$3');
+
+    const result = await query(
+      `SELECT m.id, m.chat_id, m.direction, m.platform_message_id, m.metadata,
+              c.platform_chat_id,
+              c.last_inbound_at,
+              sc.id as social_connection_id,
+              sc.platform,
+              sc.platform_account_id,
+              sc.encrypted_access_token,
+              sc.is_active as connection_active
+       FROM messages m
+       JOIN chats c ON m.chat_id = c.id
+       JOIN social_connections sc ON c.social_connection_id = sc.id
+       WHERE m.id = $1 AND m.tenant_id = $2 AND ${accessCondition || 'TRUE'}`,
+      accessCondition ? [messageId, user.tenantId, user.id] : [messageId, user.tenantId]
+    );
+
+    const message = result.rows[0];
+
+    if (!message) {
+      throw new AppError('Message not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+
+    if (message.direction !== 'inbound' || !message.platform_message_id || message.metadata?.unsentAt) {
+      throw new AppError(
+        'Only messages from the customer can be reacted to',
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.INVALID_INPUT
+      );
+    }
+
+    if (!message.connection_active) {
+      throw new AppError(
+        'Social connection is inactive',
+        HTTP_STATUS.CONFLICT,
+        ERROR_CODES.SOCIAL_CONNECTION_INACTIVE
+      );
+    }
+
+    // Reactions are sent like replies, Meta refuses them once the messaging window has closed
+    messagingWindowService.assertCanSend(message, message.platform, { messageType: 'reaction' });
+
+    const allowedEmojis = META_API.REACTION_EMOJIS[message.platform];
+    const reactionEmoji = emoji && allowedEmojis
+      ? allowedEmojis.find(allowed => withoutPresentationSelector(allowed) === withoutPresentationSelector(emoji))
+      : emoji;
+
+    if (emoji && !reactionEmoji) {
+      throw new AppError(
+        `Only ${allowedEmojis.join(' ')} reactions can be sent on ${message.platform}`,
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.INVALID_INPUT
+      );
+    }
+
+    const accessToken = encryptionService.decrypt(message.encrypted_access_token);
+
+    if (message.platform === PLATFORMS.WHATSAPP) {
+      await metaApiService.sendWhatsAppMessage(
+        accessToken,
+        message.platform_account_id,
+        message.platform_chat_id,
+        metaApiService.buildWhatsAppReactionMessage(message.platform_message_id, reactionEmoji)
+      );
+    } else {
+      await metaApiService.sendMessengerReaction(
+        accessToken,
+        message.platform_chat_id,
+        message.platform_message_id,
+        Boolean(reactionEmoji)
+      );
+    }
+
+    const updated = await this.applyReaction(
+      {
+        connectionId: message.social_connection_id,
+        customerId: message.platform_chat_id,
+        platformMessageId: message.platform_message_id,
+      },
+      MESSAGE_SENDERS.AGENT,
+      reactionEmoji ? { emoji: reactionEmoji, userId: user.id, reactedAt: new Date().toISOString() } : null
+    );
+
+    this.broadcastMessageUpdate(updated);
+
+    return updated;
+  }
+
+  /**
+   * Send the changed content and metadata of a message to the open chat
+   * @param {Object} message - Message record
+   */
+  broadcastMessageUpdate(message) {
+    broadcastToChat(message.chat_id, {
+      type: WEBSOCKET_EVENTS.MESSAGE_UPDATED,
+      chatId: message.chat_id,
+      messageId: message.id,
+      message: {
+        id: message.id,
+        content: message.content,
+        mediaUrl: message.media_url,
+        metadata: message.metadata || {},
+      },
+      timestamp: new Date().toISOString(),
+    });
+  }
+}
+
+// Create singleton instance
+const messageChangeService = new MessageChangeService();
+
+module.exports = messageChangeService;
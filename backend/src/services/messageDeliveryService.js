@@ -0,0 +1,592 @@
+const metaApiService = require('./metaApiService');
+const encryptionService = require('./encryptionService');
+const mediaService = require('./mediaService');
+const storageService = require('./storageService');
+const slaService = require('./slaService');
+const { query } = require('../utils/database');
+const logger = require('../utils/logger');
+const {
+  PLATFORMS,
+  MESSAGE_TYPES,
+  MESSAGE_STATUS,
+  INTERACTIVE_TYPES,
+  COMMENT_REPLY_VISIBILITY,
+  ERROR_CODES,
+  HTTP_STATUS,
+  APP_CONSTANTS,
+} = require('../utils/constants');
+const { AppError } = require('../middleware/errorHandler');
+
+const DELIVERED_STATUSES = [MESSAGE_STATUS.SENT, MESSAGE_STATUS.DELIVERED, MESSAGE_STATUS.READ];
+const PENDING_RECEIPT_TTL = APP_CONSTANTS.MESSAGE_QUEUE.PENDING_RECEIPT_TTL;
+
+class MessageDeliveryService {
+  /**
+   * Deliver an outbound message through the chat's social connection.
+   * Errors are rethrown so the caller can decide whether to retry.
+   * @param {string} messageId - Message ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Object>} - Updated message record
+   */
+  async deliverMessage(messageId, tenantId) {
+    const result = await query(
+      `SELECT m.*,
+              rm.platform_message_id as reply_to_platform_message_id,
+              c.platform_chat_id,
+              sc.id as social_connection_id,
+              sc.platform,
+              sc.platform_account_id,
+              sc.encrypted_access_token,
+              sc.is_active as connection_active
+       FROM messages m
+       JOIN chats c ON m.chat_id = c.id
+       JOIN social_connections sc ON c.social_connection_id = sc.id
+       LEFT JOIN messages rm ON m.reply_to_message_id = rm.id
+       WHERE m.id = $1 AND m.tenant_id = $2`,
+      [messageId, tenantId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Message not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+
+    const message = result.rows[0];
+
+    if (message.direction !== 'outbound') {
+      throw new AppError(
+        'Only outbound messages can be delivered',
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.INVALID_INPUT
+      );
+    }
+
+    // Replays and retries never send a message the platform already accepted
+    if (DELIVERED_STATUSES.includes(message.status) || message.platform_message_id) {
+      return message;
+    }
+
+    if (!message.connection_active) {
+      throw new AppError(
+        'Social connection is inactive',
+        HTTP_STATUS.CONFLICT,
+        ERROR_CODES.SOCIAL_CONNECTION_INACTIVE
+      );
+    }
+
+    await query(
+      `UPDATE messages
+       SET status = $1, delivery_attempts = delivery_attempts + 1,
+           next_attempt_at = NULL, updated_at = NOW()
+       WHERE id = $2`,
+      [MESSAGE_STATUS.SENDING, message.id]
+    );
+
+    const accessToken = encryptionService.decrypt(message.encrypted_access_token);
+
+    // Answers in Instagram comment chats go to the comment they reply to
+    if (message.metadata?.commentReply) {
+      const response = await this.sendCommentReply(message, accessToken);
+      return this.completeDelivery(message, this.extractPlatformMessageId(response));
+    }
+
+    const attachmentId = await this.uploadAttachment(message, accessToken);
+    const response = await this.sendToPlatform(
+      message.platform,
+      accessToken,
+      message.platform_chat_id,
+      this.buildPlatformMessage(message.platform, message, attachmentId),
+      {
+        tag: message.metadata?.messageTag,
+        phoneNumberId: message.platform_account_id,
+        replyTo: message.reply_to_platform_message_id,
+      }
+    );
+
+    return this.completeDelivery(message, this.extractPlatformMessageId(response));
+  }
+
+  /**
+   * Persist a message the platform accepted. Errors are flagged as raised
+   * after the send, so the message is not sent to the customer again.
+   * @param {Object} message - Message record
+   * @param {string|null} platformMessageId - Platform message ID
+   * @returns {Promise<Object>} - Updated message record
+   */
+  async completeDelivery(message, platformMessageId) {
+    try {
+      return await this.markSent(message, platformMessageId);
+    } catch (error) {
+      error.sentToPlatform = true;
+      error.platformMessageId = platformMessageId;
+      throw error;
+    }
+  }
+
+  /**
+   * Upload the stored file of a message to the platform so it is sent
+   * as a native attachment instead of a link
+   * @param {Object} message - Message record with connection details
+   * @param {string} accessToken - Decrypted access token
+   * @returns {Promise<string|null>} - Platform attachment ID, null without a stored file
+   */
+  async uploadAttachment(message, accessToken) {
+    const assetId = message.metadata?.mediaAssetId;
+
+    if (!assetId || message.message_type === 'text') {
+      return null;
+    }
+
+    const asset = await mediaService.getAsset(assetId, message.tenant_id);
+    const buffer = await storageService.getBuffer(asset.storage_key);
+    const fileName = asset.file_name || asset.id;
+
+    if (message.platform === PLATFORMS.WHATSAPP) {
+      return metaApiService.uploadWhatsAppMedia(
+        accessToken,
+        message.platform_account_id,
+        buffer,
+        asset.mime_type,
+        fileName
+      );
+    }
+
+    return metaApiService.uploadMessageAttachment(
+      accessToken,
+      message.message_type,
+      buffer,
+      asset.mime_type,
+      fileName,
+      message.platform === PLATFORMS.INSTAGRAM ? PLATFORMS.INSTAGRAM : null
+    );
+  }
+
+  /**
+   * Build the platform-specific message payload
+   * @param {string} platform - Platform name
+   * @param {Object} message - Message record
+   * @param {string|null} [attachmentId] - Uploaded platform attachment ID
+   * @returns {Object} - Message payload for the Send API
+   */
+  buildPlatformMessage(platform, message, attachmentId = null) {
+    const isMedia = (attachmentId || message.media_url) && message.message_type !== 'text';
+    const interactive = message.message_type === MESSAGE_TYPES.INTERACTIVE ? message.metadata.interactive : null;
+    const location = message.message_type === MESSAGE_TYPES.LOCATION ? message.metadata.location : null;
+    const contacts = message.message_type === MESSAGE_TYPES.CONTACT ? message.metadata.contacts : null;
+
+    if (platform === PLATFORMS.WHATSAPP) {
+      if (message.message_type === 'template') {
+        return metaApiService.buildTemplateMessage(message.metadata.template);
+      }
+
+      if (interactive) {
+        return metaApiService.buildWhatsAppInteractiveMessage(message.content, interactive);
+      }
+
+      if (location) {
+        return metaApiService.buildWhatsAppLocationMessage(location);
+      }
+
+      if (contacts) {
+        return metaApiService.buildWhatsAppContactsMessage(contacts);
+      }
+
+      if (!isMedia) {
+        return {
+          type: 'text',
+          text: { body: message.content },
+        };
+      }
+
+      const mediaType = message.message_type === 'file' ? 'document' : message.message_type;
+      const media = attachmentId ? { id: attachmentId } : { link: message.media_url };
+
+      if (mediaType === 'document' && message.metadata?.fileName) {
+        media.filename = message.metadata.fileName;
+      }
+
+      // WhatsApp does not support captions on audio messages
+      if (message.content && mediaType !== 'audio') {
+        media.caption = message.content;
+      }
+
+      return {
+        type: mediaType,
+        [mediaType]: media,
+      };
+    }
+
+    // Facebook Messenger and Instagram share the same Send API format
+    if (interactive) {
+      return interactive.type === INTERACTIVE_TYPES.QUICK_REPLIES
+        ? metaApiService.buildQuickRepliesMessage(message.content, interactive.options)
+        : metaApiService.buildButtonTemplateMessage(message.content, interactive.options);
+    }
+
+    // Messenger and Instagram have no location or contact messages, they are sent as text
+    if (location) {
+      return { text: metaApiService.formatLocationText(location) };
+    }
+
+    if (contacts) {
+      return { text: metaApiService.formatContactsText(contacts) };
+    }
+
+    if (!isMedia) {
+      return { text: message.content };
+    }
+
+    return {
+      attachment: {
+        type: message.message_type,
+        payload: attachmentId
+          ? { attachment_id: attachmentId }
+          : { url: message.media_url, is_reusable: true },
+      },
+    };
+  }
+
+  /**
+   * Send a message payload to the given platform
+   * @param {string} platform - Platform name
+   * @param {string} accessToken - Decrypted access token
+   * @param {string} recipientId - Platform recipient ID
+   * @param {Object} payload - Platform message payload
+   * @param {Object} [options] - Messenger message tag, the WhatsApp phone number ID and the replied message
+   * @returns {Promise<Object>} - Send API response
+   */
+  async sendToPlatform(platform, accessToken, recipientId, payload, options = {}) {
+    switch (platform) {
+      case PLATFORMS.FACEBOOK:
+        return metaApiService.sendMessengerMessage(accessToken, recipientId, payload, options);
+      case PLATFORMS.WHATSAPP:
+        return metaApiService.sendWhatsAppMessage(accessToken, options.phoneNumberId, recipientId, payload, options);
+      case PLATFORMS.INSTAGRAM:
+        return metaApiService.sendInstagramMessage(accessToken, recipientId, payload, options);
+      default:
+        throw new AppError(
+          `Unsupported platform: ${platform}`,
+          HTTP_STATUS.BAD_REQUEST,
+          ERROR_CODES.INVALID_INPUT
+        );
+    }
+  }
+
+  /**
+   * Reply to an Instagram comment publicly, or privately with a direct message
+   * @param {Object} message - Message record with metadata.commentReply
+   * @param {string} accessToken - Decrypted access token
+   * @returns {Promise<Object>} - Platform response
+   */
+  async sendCommentReply(message, accessToken) {
+    const { commentId, visibility } = message.metadata.commentReply;
+
+    return visibility === COMMENT_REPLY_VISIBILITY.PRIVATE
+      ? metaApiService.sendPrivateReply(accessToken, commentId, message.content)
+      : metaApiService.replyToComment(accessToken, commentId, message.content);
+  }
+
+  /**
+   * Extract the platform message ID from a Send API response
+   * @param {Object} response - Send API response
+   * @returns {string|null} - Platform message ID
+   */
+  extractPlatformMessageId(response) {
+    if (!response) return null;
+
+    // Messenger and Instagram return message_id, WhatsApp returns messages[].id
+    // and public comment replies the id of the new comment
+    return response.message_id || response.messages?.[0]?.id || response.id || null;
+  }
+
+  /**
+   * Persist a successful delivery. An agent's reply reaching the customer
+   * stops the conversation's response timers, receipts the platform sent
+   * before the delivery was recorded are applied.
+   * @param {Object} message - Message record
+   * @param {string} platformMessageId - Platform message ID
+   * @returns {Promise<Object>} - Updated message record
+   */
+  async markSent(message, platformMessageId) {
+    const result = await query(
+      `UPDATE messages
+       SET status = $1, platform_message_id = $2, sent_at = NOW(),
+           error_code = NULL, error_message = NULL, updated_at = NOW()
+       WHERE id = $3
+       RETURNING *`,
+      [MESSAGE_STATUS.SENT, platformMessageId, message.id]
+    );
+
+    const sent = result.rows[0];
+
+    if (sent && sent.sender_type === 'agent' && sent.conversation_id) {
+      await slaService.onAgentReply(sent.conversation_id);
+    }
+
+    logger.info('Outbound message delivered', {
+      messageId: message.id,
+      chatId: message.chat_id,
+      platform: message.platform,
+      platformMessageId,
+    });
+
+    if (!sent) return sent;
+
+    const updatedMessages = await this.applyPendingReceipts(sent.tenant_id, [platformMessageId]);
+
+    return updatedMessages.length > 0 ? updatedMessages[updatedMessages.length - 1] : sent;
+  }
+
+  /**
+   * Apply a delivery or read receipt reported by the platform. Receipts only
+   * move messages forward (sent -> delivered -> read), so duplicate and
+   * out-of-order webhooks leave the rows untouched. Receipts for platform
+   * message IDs not recorded yet are kept until the send is recorded.
+   * @param {string} tenantId - Tenant ID
+   * @param {string} status - MESSAGE_STATUS.DELIVERED or MESSAGE_STATUS.READ
+   * @param {Object} receipt - Receipt data
+   * @param {Array} [receipt.platformMessageIds] - Platform message IDs covered by the receipt
+   * @param {string} [receipt.chatId] - Chat ID, used with the watermark
+   * @param {Date} [receipt.watermark] - Every message sent before this time is covered
+   * @param {Date} receipt.timestamp - When the receipt happened
+   * @returns {Promise<Array>} - Updated message records
+   */
+  async applyReceipt(tenantId, status, { platformMessageIds = [], chatId = null, watermark = null, timestamp }) {
+    const isRead = status === MESSAGE_STATUS.READ;
+    const previousStatuses = isRead
+      ? [MESSAGE_STATUS.SENT, MESSAGE_STATUS.DELIVERED]
+      : [MESSAGE_STATUS.SENT];
+
+    const params = [status, timestamp, isRead ? timestamp : null, tenantId, previousStatuses];
+    let condition;
+
+    if (platformMessageIds.length > 0) {
+      params.push(platformMessageIds);
+      condition = 'platform_message_id = ANY($6)';
+    } else if (chatId && watermark) {
+      params.push(chatId, watermark);
+      condition = `chat_id = $6 AND direction = 'outbound' AND sent_at <= $7`;
+    } else {
+      return [];
+    }
+
+    const result = await query(
+      `UPDATE messages
+       SET status = $1, delivered_at = COALESCE(delivered_at, $2),
+           read_at = COALESCE(read_at, $3), updated_at = NOW()
+       WHERE tenant_id = $4 AND status = ANY($5) AND ${condition}
+       RETURNING *`,
+      params
+    );
+
+    if (platformMessageIds.length === 0) {
+      return result.rows;
+    }
+
+    const pendingMessages = await this.keepPendingReceipts(tenantId, platformMessageIds, {
+      status,
+      occurredAt: timestamp,
+    });
+
+    return [...result.rows, ...pendingMessages];
+  }
+
+  /**
+   * Persist a failure the platform reported after accepting a message
+   * @param {string} tenantId - Tenant ID
+   * @param {string} platformMessageId - Platform message ID
+   * @param {string} errorCode - Platform error code
+   * @param {string} errorMessage - Platform error message
+   * @param {Date} [timestamp] - When the failure happened
+   * @returns {Promise<Object|null>} - Updated message record
+   */
+  async applyPlatformFailure(tenantId, platformMessageId, errorCode, errorMessage, timestamp = new Date()) {
+    const result = await query(
+      `UPDATE messages
+       SET status = $1, error_code = $2, error_message = $3, updated_at = NOW()
+       WHERE tenant_id = $4 AND platform_message_id = $5 AND status = $6
+       RETURNING *`,
+      [MESSAGE_STATUS.FAILED, errorCode, errorMessage, tenantId, platformMessageId, MESSAGE_STATUS.SENT]
+    );
+
+    if (result.rows.length > 0) {
+      logger.error('Platform reported outbound message failure', {
+        messageId: result.rows[0].id,
+        chatId: result.rows[0].chat_id,
+        platformMessageId,
+        errorCode,
+        error: errorMessage,
+      });
+
+      return result.rows[0];
+    }
+
+    const [pendingMessage] = await this.keepPendingReceipts(tenantId, [platformMessageId], {
+      status: MESSAGE_STATUS.FAILED,
+      errorCode,
+      errorMessage,
+      occurredAt: timestamp,
+    });
+
+    return pendingMessage || null;
+  }
+
+  /**
+   * Keep receipts for platform message IDs no message carries yet. The
+   * platform can report a message before the send that returned its ID is
+   * recorded, markSent applies the kept receipts.
+   * @param {string} tenantId - Tenant ID
+   * @param {Array} platformMessageIds - Platform message IDs covered by the receipt
+   * @param {Object} receipt - Receipt data
+   * @param {string} receipt.status - MESSAGE_STATUS.DELIVERED, MESSAGE_STATUS.READ or MESSAGE_STATUS.FAILED
+   * @param {Date} receipt.occurredAt - When the receipt happened
+   * @param {string} [receipt.errorCode] - Platform error code of a failure
+   * @param {string} [receipt.errorMessage] - Platform error message of a failure
+   * @returns {Promise<Array>} - Messages whose send was recorded in the meantime
+   */
+  async keepPendingReceipts(tenantId, platformMessageIds, receipt) {
+    const knownResult = await query(
+      'SELECT platform_message_id FROM messages WHERE tenant_id = $1 AND platform_message_id = ANY($2)',
+      [tenantId, platformMessageIds]
+    );
+
+    const knownIds = new Set(knownResult.rows.map(row => row.platform_message_id));
+    const pendingIds = platformMessageIds.filter(id => !knownIds.has(id));
+
+    if (pendingIds.length === 0) {
+      return [];
+    }
+
+    // Receipts of messages sent from other apps never find their message
+    await query(
+      `DELETE FROM pending_message_receipts
+       WHERE created_at < NOW() - ($1 * INTERVAL '1 millisecond')`,
+      [PENDING_RECEIPT_TTL]
+    );
+
+    await query(
+      `INSERT INTO pending_message_receipts
+         (tenant_id, platform_message_id, status, error_code, error_message, occurred_at)
+       SELECT $1, platform_message_id, $3, $4, $5, $6
+       FROM unnest($2::text[]) AS platform_message_id`,
+      [
+        tenantId,
+        pendingIds,
+        receipt.status,
+        receipt.errorCode || null,
+        receipt.errorMessage || null,
+        receipt.occurredAt,
+      ]
+    );
+
+    logger.info('Receipt kept until the outbound message is recorded', {
+      tenantId,
+      status: receipt.status,
+      platformMessageIds: pendingIds,
+    });
+
+    // The send may have been recorded between the lookup and the insert
+    return this.applyPendingReceipts(tenantId, pendingIds);
+  }
+
+  /**
+   * Apply kept receipts whose message has been recorded, in the order the
+   * platform reported them
+   * @param {string} tenantId - Tenant ID
+   * @param {Array} platformMessageIds - Platform message IDs
+   * @returns {Promise<Array>} - Updated message records
+   */
+  async applyPendingReceipts(tenantId, platformMessageIds) {
+    const result = await query(
+      `DELETE FROM pending_message_receipts p
+       USING messages m
+       WHERE p.tenant_id = $1 AND p.platform_message_id = ANY($2)
+         AND m.tenant_id = p.tenant_id AND m.platform_message_id = p.platform_message_id
+       RETURNING p.*`,
+      [tenantId, platformMessageIds]
+    );
+
+    const receipts = result.rows.sort((a, b) => new Date(a.occurred_at) - new Date(b.occurred_at));
+    const updatedMessages = [];
+
+    for (const receipt of receipts) {
+      if (receipt.status === MESSAGE_STATUS.FAILED) {
+        const message = await this.applyPlatformFailure(
+          tenantId,
+          receipt.platform_message_id,
+          receipt.error_code,
+          receipt.error_message,
+          receipt.occurred_at
+        );
+
+        if (message) updatedMessages.push(message);
+      } else {
+        updatedMessages.push(...await this.applyReceipt(tenantId, receipt.status, {
+          platformMessageIds: [receipt.platform_message_id],
+          timestamp: receipt.occurred_at,
+        }));
+      }
+    }
+
+    return updatedMessages;
+  }
+
+  /**
+   * Mark a message as waiting in the outbound queue
+   * @param {string} messageId - Message ID
+   * @param {Error} [error] - Error of the previous attempt, if this is a retry
+   * @param {Date} [nextAttemptAt] - When the retry is scheduled
+   * @returns {Promise<Object>} - Updated message record
+   */
+  async markQueued(messageId, error = null, nextAttemptAt = null) {
+    const result = await query(
+      `UPDATE messages
+       SET status = $1, error_code = $2, error_message = $3,
+           next_attempt_at = $4, updated_at = NOW()
+       WHERE id = $5
+       RETURNING *`,
+      [
+        MESSAGE_STATUS.QUEUED,
+        error ? error.errorCode || ERROR_CODES.MESSAGE_DELIVERY_FAILED : null,
+        error ? error.message : null,
+        nextAttemptAt,
+        messageId,
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Persist a failed delivery
+   * @param {string} messageId - Message ID
+   * @param {Error} error - Delivery error
+   * @returns {Promise<Object>} - Updated message record
+   */
+  async markFailed(messageId, error) {
+    const errorCode = error.errorCode || ERROR_CODES.MESSAGE_DELIVERY_FAILED;
+
+    const result = await query(
+      `UPDATE messages
+       SET status = $1, error_code = $2, error_message = $3,
+           next_attempt_at = NULL, updated_at = NOW()
+       WHERE id = $4
+       RETURNING *`,
+      [MESSAGE_STATUS.FAILED, errorCode, error.message, messageId]
+    );
+
+    logger.error('Outbound message delivery failed', {
+      messageId,
+      chatId: result.rows[0]?.chat_id,
+      errorCode,
+      error: error.message,
+      details: error.details,
+    });
+
+    return result.rows[0];
+  }
+}
+
+// Create singleton instance
+const messageDeliveryService = new MessageDeliveryService();
+
+module.exports = messageDeliveryService;
@@ -0,0 +1,346 @@
+const messageDeliveryService = require('./messageDeliveryService');
+const {
+  enqueueJob,
+  dequeueJob,
+  acknowledgeJob,
+  scheduleJob,
+  promoteDueJobs,
+  requeueProcessingJobs,
+  getQueueItems,
+  removeQueueItem,
+} = require('../utils/redis');
+const { broadcastToChat } = require('./websocketService');
+const logger = require('../utils/logger');
+const {
+  APP_CONSTANTS,
+  META_API,
+  REDIS_KEYS,
+  ERROR_CODES,
+  HTTP_STATUS,
+  WEBSOCKET_EVENTS,
+} = require('../utils/constants');
+const { AppError } = require('../middleware/errorHandler');
+
+const QUEUE_CONFIG = APP_CONSTANTS.MESSAGE_QUEUE;
+
+class MessageQueueService {
+  constructor() {
+    this.pollTimer = null;
+    this.isProcessing = false;
+  }
+
+  /**
+   * Start the queue worker. Jobs left in the processing list by a previous
+   * run are put back on the queue first, so a crash never loses a message.
+   */
+  async start() {
+    if (this.pollTimer) return;
+
+    const requeued = await requeueProcessingJobs(
+      REDIS_KEYS.MESSAGE_QUEUE_PROCESSING,
+      REDIS_KEYS.MESSAGE_QUEUE
+    );
+
+    if (requeued > 0) {
+      logger.warn('Requeued interrupted outbound messages', { count: requeued });
+    }
+
+    this.pollTimer = setInterval(() => this.poll(), QUEUE_CONFIG.POLL_INTERVAL);
+    logger.info('Message queue worker started', { pollInterval: QUEUE_CONFIG.POLL_INTERVAL });
+  }
+
+  /**
+   * Stop the queue worker
+   */
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+      logger.info('Message queue worker stopped');
+    }
+  }
+
+  /**
+   * Add an outbound message to the delivery queue
+   * @param {string} messageId - Message ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Object>} - Updated message record
+   */
+  async enqueueMessage(messageId, tenantId) {
+    const message = await messageDeliveryService.markQueued(messageId);
+
+    await enqueueJob(REDIS_KEYS.MESSAGE_QUEUE, {
+      messageId,
+      tenantId,
+      attempt: 0,
+      enqueuedAt: new Date().toISOString(),
+    });
+
+    logger.debug('Outbound message queued', { messageId, tenantId });
+
+    return message;
+  }
+
+  /**
+   * Process due and pending jobs, one batch per tick
+   */
+  async poll() {
+    // Skip the tick while the previous batch is still being delivered
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      await promoteDueJobs(REDIS_KEYS.MESSAGE_QUEUE_DELAYED, REDIS_KEYS.MESSAGE_QUEUE);
+
+      for (let i = 0; i < QUEUE_CONFIG.BATCH_SIZE; i++) {
+        const entry = await dequeueJob(REDIS_KEYS.MESSAGE_QUEUE, REDIS_KEYS.MESSAGE_QUEUE_PROCESSING);
+        if (!entry) break;
+
+        try {
+          await this.processJob(entry.job);
+        } catch (error) {
+          // Bookkeeping failed (e.g. database unavailable), try the same attempt again later
+          logger.error('Outbound message job failed:', error);
+          await scheduleJob(
+            REDIS_KEYS.MESSAGE_QUEUE_DELAYED,
+            entry.job,
+            Date.now() + QUEUE_CONFIG.BASE_RETRY_DELAY
+          );
+        }
+
+        await acknowledgeJob(REDIS_KEYS.MESSAGE_QUEUE_PROCESSING, entry.raw);
+      }
+    } catch (error) {
+      logger.error('Message queue poll failed:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Attempt delivery of a queued message and schedule a retry or
+   * dead-letter it when the attempt fails
+   * @param {Object} job - Queue job
+   */
+  async processJob(job) {
+    const attempt = job.attempt + 1;
+
+    // The platform accepted the message on an earlier attempt, only recording it is left
+    if (job.sentToPlatform) {
+      const message = await messageDeliveryService.markSent({ id: job.messageId }, job.platformMessageId);
+      if (message) this.broadcastStatus(message, WEBSOCKET_EVENTS.MESSAGE_SENT);
+      return;
+    }
+
+    try {
+      const message = await messageDeliveryService.deliverMessage(job.messageId, job.tenantId);
+      this.broadcastStatus(message, WEBSOCKET_EVENTS.MESSAGE_SENT);
+    } catch (error) {
+      // Sending again would give the customer the message twice
+      if (error.sentToPlatform) {
+        await this.scheduleRecording(job, error);
+        return;
+      }
+
+      if (this.isRetryable(error) && attempt < QUEUE_CONFIG.MAX_ATTEMPTS) {
+        await this.scheduleRetry(job, attempt, error);
+        return;
+      }
+
+      await this.deadLetter(job, attempt, error);
+    }
+  }
+
+  /**
+   * Put a job back on the delayed queue with exponential backoff
+   * @param {Object} job - Queue job
+   * @param {number} attempt - Number of attempts made so far
+   * @param {Error} error - Error of the last attempt
+   */
+  async scheduleRetry(job, attempt, error) {
+    const delay = this.getRetryDelay(attempt, error);
+    const nextAttemptAt = new Date(Date.now() + delay);
+
+    const message = await messageDeliveryService.markQueued(job.messageId, error, nextAttemptAt);
+    await scheduleJob(
+      REDIS_KEYS.MESSAGE_QUEUE_DELAYED,
+      { ...job, attempt },
+      nextAttemptAt.getTime()
+    );
+
+    logger.warn('Outbound message delivery will be retried', {
+      messageId: job.messageId,
+      attempt,
+      delay,
+      rateLimited: this.isRateLimited(error),
+      error: error.message,
+    });
+
+    if (message) {
+      this.broadcastStatus(message, WEBSOCKET_EVENTS.MESSAGE_STATUS_UPDATED);
+    }
+  }
+
+  /**
+   * Retry recording a message the platform accepted, without sending it again
+   * @param {Object} job - Queue job
+   * @param {Error} error - Error raised while recording the delivery
+   */
+  async scheduleRecording(job, error) {
+    logger.error('Delivered message could not be recorded, retrying without resending:', error);
+
+    await scheduleJob(
+      REDIS_KEYS.MESSAGE_QUEUE_DELAYED,
+      { ...job, sentToPlatform: true, platformMessageId: error.platformMessageId },
+      Date.now() + QUEUE_CONFIG.BASE_RETRY_DELAY
+    );
+  }
+
+  /**
+   * Mark a message as failed and keep its job on the dead-letter list
+   * @param {Object} job - Queue job
+   * @param {number} attempt - Number of attempts made
+   * @param {Error} error - Error of the last attempt
+   */
+  async deadLetter(job, attempt, error) {
+    const message = await messageDeliveryService.markFailed(job.messageId, error);
+
+    // Messages that no longer exist cannot be replayed
+    if (!message) return;
+
+    await enqueueJob(`${REDIS_KEYS.MESSAGE_DEAD_LETTER}${job.tenantId}`, {
+      messageId: job.messageId,
+      tenantId: job.tenantId,
+      chatId: message.chat_id,
+      attempts: attempt,
+      errorCode: error.errorCode || ERROR_CODES.MESSAGE_DELIVERY_FAILED,
+      errorMessage: error.message,
+      failedAt: new Date().toISOString(),
+    });
+
+    this.broadcastStatus(message, WEBSOCKET_EVENTS.MESSAGE_STATUS_UPDATED);
+  }
+
+  /**
+   * Check whether a failed attempt is worth retrying
+   * @param {Error} error - Delivery error
+   * @returns {boolean} - True for transient failures
+   */
+  isRetryable(error) {
+    if (error.errorCode === ERROR_CODES.CONNECTION_ERROR) {
+      return true;
+    }
+
+    if (error.errorCode !== ERROR_CODES.META_API_ERROR) {
+      return false;
+    }
+
+    const { originalStatus, details } = error.details || {};
+
+    return this.isRateLimited(error) ||
+      originalStatus >= 500 ||
+      details?.error?.is_transient === true;
+  }
+
+  /**
+   * Check whether Meta rejected the request because of throttling
+   * @param {Error} error - Delivery error
+   * @returns {boolean} - True if rate limited
+   */
+  isRateLimited(error) {
+    if (error.errorCode !== ERROR_CODES.META_API_ERROR) {
+      return false;
+    }
+
+    const { originalStatus, originalError } = error.details || {};
+
+    return originalStatus === HTTP_STATUS.TOO_MANY_REQUESTS ||
+      META_API.RATE_LIMIT_ERROR_CODES.includes(Number(originalError));
+  }
+
+  /**
+   * Calculate the delay before the next attempt
+   * @param {number} attempt - Number of attempts made so far
+   * @param {Error} error - Error of the last attempt
+   * @returns {number} - Delay in milliseconds
+   */
+  getRetryDelay(attempt, error) {
+    const baseDelay = this.isRateLimited(error)
+      ? QUEUE_CONFIG.RATE_LIMIT_DELAY
+      : QUEUE_CONFIG.BASE_RETRY_DELAY;
+
+    const delay = Math.min(baseDelay * Math.pow(2, attempt - 1), QUEUE_CONFIG.MAX_RETRY_DELAY);
+
+    // Add jitter so throttled messages don't all retry at once
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  /**
+   * List dead-lettered messages of a tenant
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Array>} - Dead-letter entries, newest first
+   */
+  async getDeadLetters(tenantId) {
+    return getQueueItems(`${REDIS_KEYS.MESSAGE_DEAD_LETTER}${tenantId}`);
+  }
+
+  /**
+   * Move a dead-lettered message back onto the delivery queue
+   * @param {string} messageId - Message ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Object>} - Updated message record
+   */
+  async replayDeadLetter(messageId, tenantId) {
+    const entries = await this.getDeadLetters(tenantId);
+    const entry = entries.find(item => item.messageId === messageId);
+
+    if (!entry) {
+      throw new AppError(
+        'Dead-lettered message not found',
+        HTTP_STATUS.NOT_FOUND,
+        ERROR_CODES.RESOURCE_NOT_FOUND
+      );
+    }
+
+    const removed = await removeQueueItem(`${REDIS_KEYS.MESSAGE_DEAD_LETTER}${tenantId}`, entry);
+
+    // Another request replayed it in the meantime
+    if (removed === 0) {
+      throw new AppError(
+        'Dead-lettered message not found',
+        HTTP_STATUS.NOT_FOUND,
+        ERROR_CODES.RESOURCE_NOT_FOUND
+      );
+    }
+
+    const message = await this.enqueueMessage(messageId, tenantId);
+
+    logger.info('Dead-lettered message replayed', { messageId, tenantId });
+    this.broadcastStatus(message, WEBSOCKET_EVENTS.MESSAGE_STATUS_UPDATED);
+
+    return message;
+  }
+
+  /**
+   * Notify agents viewing the chat about a delivery status change
+   * @param {Object} message - Message record
+   * @param {string} type - WebSocket event type
+   */
+  broadcastStatus(message, type) {
+    broadcastToChat(message.chat_id, {
+      type,
+      chatId: message.chat_id,
+      messageId: message.id,
+      status: message.status,
+      platformMessageId: message.platform_message_id,
+      errorCode: message.error_code,
+      errorMessage: message.error_message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+}
+
+// Create singleton instance
+const messageQueueService = new MessageQueueService();
+
+module.exports = messageQueueService;
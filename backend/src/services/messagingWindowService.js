@@ -0,0 +1,88 @@
+const { APP_CONSTANTS, META_API, PLATFORMS, ERROR_CODES, HTTP_STATUS } = require('../utils/constants');
+const { AppError } = require('../middleware/errorHandler');
+
+const WINDOW = APP_CONSTANTS.MESSAGING_WINDOW;
+
+class MessagingWindowService {
+  /**
+   * Describe the messaging window of a chat
+   * @param {Object} chat - Chat record with last_inbound_at
+   * @param {string} platform - Platform of the chat's social connection
+   * @param {Date} [now] - Reference time
+   * @returns {Object} - Window expiry, whether it is open and the allowed escape hatches
+   */
+  getWindow(chat, platform, now = new Date()) {
+    const lastInboundAt = chat.last_inbound_at ? new Date(chat.last_inbound_at) : null;
+    const expiresAt = lastInboundAt ? new Date(lastInboundAt.getTime() + WINDOW.STANDARD) : null;
+    const humanAgentExpiresAt = lastInboundAt && platform !== PLATFORMS.WHATSAPP
+      ? new Date(lastInboundAt.getTime() + WINDOW.HUMAN_AGENT)
+      : null;
+
+    return {
+      lastInboundAt,
+      expiresAt,
+      isOpen: Boolean(expiresAt && expiresAt > now),
+      humanAgentExpiresAt,
+      allowedTags: META_API.MESSAGE_TAGS[platform] || [],
+      templatesAllowed: platform === PLATFORMS.WHATSAPP,
+    };
+  }
+
+  /**
+   * Reject an outbound message the platform would refuse because the
+   * messaging window is closed
+   * @param {Object} chat - Chat record with last_inbound_at
+   * @param {string} platform - Platform of the chat's social connection
+   * @param {Object} message - Message type and optional message tag
+   */
+  assertCanSend(chat, platform, { messageType, messageTag = null }) {
+    const window = this.getWindow(chat, platform);
+
+    if (messageTag) {
+      if (!window.allowedTags.includes(messageTag)) {
+        throw new AppError(
+          `Message tag ${messageTag} is not supported on ${platform}`,
+          HTTP_STATUS.BAD_REQUEST,
+          ERROR_CODES.INVALID_INPUT,
+          { allowedTags: window.allowedTags }
+        );
+      }
+
+      // HUMAN_AGENT only extends the window to 7 days, the other tags have no time limit
+      if (messageTag === 'HUMAN_AGENT' && !(window.humanAgentExpiresAt > new Date())) {
+        throw this.windowClosedError(window, 'The HUMAN_AGENT window of 7 days has expired');
+      }
+
+      return;
+    }
+
+    // Templates are the only way to reach a WhatsApp customer outside the window
+    if (window.isOpen || (platform === PLATFORMS.WHATSAPP && messageType === 'template')) {
+      return;
+    }
+
+    throw this.windowClosedError(window, platform === PLATFORMS.WHATSAPP
+      ? 'The 24-hour messaging window has expired, send an approved template instead'
+      : 'The 24-hour messaging window has expired, send the message with a message tag instead');
+  }
+
+  /**
+   * Build the error returned for a closed messaging window
+   * @param {Object} window - Messaging window
+   * @param {string} message - Error message
+   * @returns {AppError} - Application error
+   */
+  windowClosedError(window, message) {
+    return new AppError(message, HTTP_STATUS.FORBIDDEN, ERROR_CODES.MESSAGING_WINDOW_CLOSED, {
+      lastInboundAt: window.lastInboundAt,
+      expiresAt: window.expiresAt,
+      allowedTags: window.allowedTags,
+      templatesAllowed: window.templatesAllowed,
+    });
+  }
+}
+
+// Create singleton instance
+const messagingWindowService = new MessagingWindowService();
+
+module.exports = messagingWindowService;
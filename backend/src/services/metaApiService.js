@@ -1,7 +1,15 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
 const encryptionService = require('./encryptionService');
-const { META_API, WHATSAPP_API, ERROR_CODES, HTTP_STATUS } = require('../utils/constants');
+const {
+  APP_CONSTANTS,
+  META_API,
+  WHATSAPP_API,
+  PLATFORMS,
+  CHAT_KINDS,
+  ERROR_CODES,
+  HTTP_STATUS,
+} = require('../utils/constants');
 const { AppError } = require('../middleware/errorHandler');
 
 class MetaApiService {
@@ -10,10 +18,13 @@ class MetaApiService {
     this.appId = process.env.META_APP_ID;
     this.appSecret = process.env.META_APP_SECRET;
     this.webhookVerifyToken = process.env.META_WEBHOOK_VERIFY_TOKEN;
-    this.webhookSecret = process.env.META_WEBHOOK_SECRET;
+    // Meta signs webhooks with the app secret unless a dedicated secret is configured
+    this.webhookSecret = process.env.META_WEBHOOK_SECRET || process.env.META_APP_SECRET;
 
+    // Sending with stored tokens works without app credentials, only the
+    // OAuth flows need them (see assertCredentials)
     if (!this.appId || !this.appSecret) {
-      throw new Error('Meta API credentials must be configured');
+      logger.warn('META_APP_ID or META_APP_SECRET is not configured, Meta OAuth is disabled');
     }
 
     // Create axios instance with default config
@@ -99,6 +110,19 @@ class MetaApiService {
     );
   }
 
+  /**
+   * Ensure the app credentials required by OAuth requests are configured
+   */
+  assertCredentials() {
+    if (!this.appId || !this.appSecret) {
+      throw new AppError(
+        'Meta API credentials must be configured',
+        HTTP_STATUS.SERVICE_UNAVAILABLE,
+        ERROR_CODES.SERVICE_UNAVAILABLE
+      );
+    }
+  }
+
   /**
    * Generate OAuth URL for Facebook login
    * @param {string} redirectUri - Redirect URI after OAuth
@@ -107,6 +131,8 @@ class MetaApiService {
    * @returns {string} - OAuth URL
    */
   generateFacebookOAuthURL(redirectUri, state, scopes = META_API.FACEBOOK_SCOPES) {
+    this.assertCredentials();
+
     const params = new URLSearchParams({
       client_id: this.appId,
       redirect_uri: redirectUri,
@@ -115,7 +141,7 @@ class MetaApiService {
       state,
     });
 
-    return `https://www.facebook.com/v18.0/dialog/oauth?${params.toString()}`;
+    return `${META_API.OAUTH_DIALOG_URL}?${params.toString()}`;
   }
 
   /**
@@ -126,6 +152,8 @@ class MetaApiService {
    * @returns {string} - OAuth URL
    */
   generateInstagramOAuthURL(redirectUri, state, scopes = META_API.INSTAGRAM_SCOPES) {
+    this.assertCredentials();
+
     const params = new URLSearchParams({
       client_id: this.appId,
       redirect_uri: redirectUri,
@@ -134,7 +162,36 @@ class MetaApiService {
       state,
     });
 
-    return `https://api.instagram.com/oauth/authorize?${params.toString()}`;
+    return `${META_API.INSTAGRAM_OAUTH_URL}?${params.toString()}`;
+  }
+
+  /**
+   * Generate OAuth URL for WhatsApp Business onboarding. With
+   * META_WHATSAPP_CONFIG_ID set the dialog runs Embedded Signup, which
+   * also lets the customer create a Business Account and register a number.
+   * @param {string} redirectUri - Redirect URI after OAuth
+   * @param {string} state - State parameter for CSRF protection
+   * @returns {string} - OAuth URL
+   */
+  generateWhatsAppOAuthURL(redirectUri, state) {
+    this.assertCredentials();
+
+    const params = new URLSearchParams({
+      client_id: this.appId,
+      redirect_uri: redirectUri,
+      response_type: 'code',
+      state,
+    });
+
+    if (process.env.META_WHATSAPP_CONFIG_ID) {
+      params.set('config_id', process.env.META_WHATSAPP_CONFIG_ID);
+      params.set('override_default_response_type', 'true');
+      params.set('extras', JSON.stringify({ setup: {} }));
+    } else {
+      params.set('scope', [...META_API.WHATSAPP_SCOPES, 'business_management'].join(','));
+    }
+
+    return `${META_API.OAUTH_DIALOG_URL}?${params.toString()}`;
   }
 
   /**
@@ -144,6 +201,8 @@ class MetaApiService {
    * @returns {Promise<Object>} - Token response
    */
   async exchangeCodeForToken(code, redirectUri) {
+    this.assertCredentials();
+
     try {
       const response = await this.api.post('/oauth/access_token', {
         client_id: this.appId,
@@ -165,6 +224,8 @@ class MetaApiService {
    * @returns {Promise<Object>} - Long-lived token response
    */
   async getLongLivedToken(shortLivedToken) {
+    this.assertCredentials();
+
     try {
       const response = await this.api.get('/oauth/access_token', {
         params: {
@@ -203,6 +264,77 @@ class MetaApiService {
     }
   }
 
+  /**
+   * Get the WhatsApp Business Accounts a token was granted access to
+   * @param {string} accessToken - Access token from the WhatsApp onboarding
+   * @returns {Promise<Array<string>>} - WhatsApp Business Account IDs
+   */
+  async getGrantedWhatsAppAccounts(accessToken) {
+    this.assertCredentials();
+
+    try {
+      const response = await this.api.get('/debug_token', {
+        params: {
+          input_token: accessToken,
+          access_token: `${this.appId}|${this.appSecret}`,
+        },
+      });
+
+      const granularScopes = response.data.data?.granular_scopes || [];
+      const scope = granularScopes.find(item => item.scope === 'whatsapp_business_management');
+
+      return scope?.target_ids || [];
+    } catch (error) {
+      logger.error('Get granted WhatsApp accounts failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the phone numbers of a WhatsApp Business Account
+   * @param {string} accessToken - WhatsApp Business access token
+   * @param {string} businessAccountId - WhatsApp Business Account ID
+   * @returns {Promise<Array>} - Phone numbers
+   */
+  async getWhatsAppPhoneNumbers(accessToken, businessAccountId) {
+    try {
+      const response = await this.api.get(`/${businessAccountId}/phone_numbers`, {
+        params: {
+          fields: 'id,display_phone_number,verified_name,quality_rating',
+        },
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+        },
+      });
+
+      return response.data.data || [];
+    } catch (error) {
+      logger.error('Get WhatsApp phone numbers failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Subscribe the app to the webhooks of a WhatsApp Business Account
+   * @param {string} accessToken - WhatsApp Business access token
+   * @param {string} businessAccountId - WhatsApp Business Account ID
+   * @returns {Promise<Object>} - Subscription response
+   */
+  async subscribeWhatsAppWebhooks(accessToken, businessAccountId) {
+    try {
+      const response = await this.api.post(`/${businessAccountId}/subscribed_apps`, {}, {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+        },
+      });
+
+      return response.data;
+    } catch (error) {
+      logger.error('WhatsApp webhook subscription failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get user's Facebook pages
    * @param {string} accessToken - User access token
@@ -258,13 +390,38 @@ class MetaApiService {
   }
 
   /**
-   * Subscribe to webhooks for a page
-   * @param {string} pageId - Facebook page ID
+   * Get the profile of a Messenger or Instagram user who messaged the page
+   * @param {string} pageAccessToken - Page access token
+   * @param {string} userId - Page-scoped ID (PSID) or Instagram-scoped ID (IGSID)
+   * @param {string} platform - facebook or instagram
+   * @returns {Promise<Object>} - User profile
+   */
+  async getUserProfile(pageAccessToken, userId, platform) {
+    try {
+      const response = await this.api.get(`/${userId}`, {
+        params: {
+          access_token: pageAccessToken,
+          fields: platform === 'instagram'
+            ? 'name,username,profile_pic'
+            : 'first_name,last_name,name,profile_pic,locale',
+        },
+      });
+
+      return response.data;
+    } catch (error) {
+      logger.error('Get user profile failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Subscribe to webhooks for a page or Instagram account
+   * @param {string} pageId - Facebook page ID or Instagram account ID
    * @param {string} pageAccessToken - Page access token
    * @param {Array} subscriptions - Webhook subscriptions
    * @returns {Promise<Object>} - Subscription response
    */
-  async subscribeToWebhooks(pageId, pageAccessToken, subscriptions = ['messages', 'messaging_postbacks']) {
+  async subscribeToWebhooks(pageId, pageAccessToken, subscriptions = META_API.WEBHOOK_FIELDS.facebook) {
     try {
       const response = await this.api.post(`/${pageId}/subscribed_apps`, {
         subscribed_fields: subscriptions.join(','),
@@ -283,13 +440,19 @@ class MetaApiService {
    * @param {string} pageAccessToken - Page access token
    * @param {string} recipientId - Recipient PSID
    * @param {Object} message - Message object
+   * @param {Object} [options] - Send options
+   * @param {string} [options.tag] - Message tag for sends outside the 24-hour window
+   * @param {string} [options.replyTo] - Platform ID of the message replied to
    * @returns {Promise<Object>} - Send response
    */
-  async sendMessengerMessage(pageAccessToken, recipientId, message) {
+  async sendMessengerMessage(pageAccessToken, recipientId, message, options = {}) {
     try {
       const response = await this.api.post('/me/messages', {
         recipient: { id: recipientId },
         message,
+        messaging_type: options.tag ? 'MESSAGE_TAG' : 'RESPONSE',
+        ...(options.tag && { tag: options.tag }),
+        ...(options.replyTo && { reply_to: { mid: options.replyTo } }),
         access_token: pageAccessToken,
       });
 
@@ -303,17 +466,19 @@ class MetaApiService {
   /**
    * Send WhatsApp message
    * @param {string} accessToken - WhatsApp Business access token
+   * @param {string} phoneNumberId - Phone number ID the message is sent from
    * @param {string} to - Recipient phone number
    * @param {Object} message - Message object
+   * @param {Object} [options] - Send options
+   * @param {string} [options.replyTo] - WhatsApp ID of the message replied to
    * @returns {Promise<Object>} - Send response
    */
-  async sendWhatsAppMessage(accessToken, to, message) {
+  async sendWhatsAppMessage(accessToken, phoneNumberId, to, message, options = {}) {
     try {
-      const phoneNumberId = WHATSAPP_API.PHONE_NUMBER_ID;
-      
       const response = await this.api.post(`/${phoneNumberId}/messages`, {
         messaging_product: 'whatsapp',
         to,
+        ...(options.replyTo && { context: { message_id: options.replyTo } }),
         ...message,
       }, {
         headers: {
@@ -328,18 +493,426 @@ class MetaApiService {
     }
   }
 
+  /**
+   * React to a Messenger or Instagram message, or remove the page's reaction
+   * @param {string} pageAccessToken - Page access token
+   * @param {string} recipientId - Customer PSID or Instagram user ID
+   * @param {string} messageId - Platform ID of the message
+   * @param {boolean} react - False to remove the reaction
+   * @returns {Promise<Object>} - Send response
+   */
+  async sendMessengerReaction(pageAccessToken, recipientId, messageId, react) {
+    try {
+      const response = await this.api.post('/me/messages', {
+        recipient: { id: recipientId },
+        sender_action: react ? 'react' : 'unreact',
+        payload: {
+          message_id: messageId,
+          ...(react && { reaction: 'love' }),
+        },
+        access_token: pageAccessToken,
+      });
+
+      return response.data;
+    } catch (error) {
+      logger.error('Send Messenger reaction failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build a WhatsApp reaction, an empty emoji removes it
+   * @param {string} messageId - WhatsApp ID of the message
+   * @param {string|null} emoji - Reaction emoji
+   * @returns {Object} - Message object for sendWhatsAppMessage
+   */
+  buildWhatsAppReactionMessage(messageId, emoji) {
+    return {
+      type: WHATSAPP_API.MESSAGE_TYPES.REACTION,
+      reaction: {
+        message_id: messageId,
+        emoji: emoji || '',
+      },
+    };
+  }
+
+  /**
+   * Get one page of message templates of a WhatsApp Business Account
+   * @param {string} accessToken - WhatsApp Business access token
+   * @param {string} businessAccountId - WhatsApp Business Account ID
+   * @param {string} [after] - Paging cursor of the next page
+   * @returns {Promise<Object>} - Templates and the cursor of the next page
+   */
+  async getWhatsAppTemplates(accessToken, businessAccountId, after = null) {
+    try {
+      const response = await this.api.get(`/${businessAccountId}/message_templates`, {
+        params: {
+          fields: 'id,name,language,status,category,components,parameter_format,rejected_reason',
+          limit: WHATSAPP_API.TEMPLATE_PAGE_SIZE,
+          ...(after && { after }),
+        },
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+        },
+      });
+
+      return {
+        templates: response.data.data || [],
+        after: response.data.paging?.next ? response.data.paging.cursors?.after : null,
+      };
+    } catch (error) {
+      logger.error('Get WhatsApp templates failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the Send API payload of a template message
+   * @param {Object} template - Template name, language and filled components
+   * @returns {Object} - Message object for sendWhatsAppMessage
+   */
+  buildTemplateMessage(template) {
+    return {
+      type: WHATSAPP_API.MESSAGE_TYPES.TEMPLATE,
+      template: {
+        name: template.name,
+        language: { code: template.language },
+        components: template.components,
+      },
+    };
+  }
+
+  /**
+   * Build a Messenger or Instagram message with quick replies
+   * @param {string} text - Message text
+   * @param {Array} options - Options with id and title
+   * @returns {Object} - Message object for the Send API
+   */
+  buildQuickRepliesMessage(text, options) {
+    return {
+      text,
+      quick_replies: options.map(option => ({
+        content_type: 'text',
+        title: option.title,
+        payload: option.id,
+      })),
+    };
+  }
+
+  /**
+   * Build a Messenger or Instagram button template, each button sends a postback
+   * @param {string} text - Message text
+   * @param {Array} options - Options with id and title
+   * @returns {Object} - Message object for the Send API
+   */
+  buildButtonTemplateMessage(text, options) {
+    return {
+      attachment: {
+        type: 'template',
+        payload: {
+          template_type: 'button',
+          text,
+          buttons: options.map(option => ({
+            type: 'postback',
+            title: option.title,
+            payload: option.id,
+          })),
+        },
+      },
+    };
+  }
+
+  /**
+   * Build a WhatsApp interactive reply button or list message
+   * @param {string} text - Message body
+   * @param {Object} interactive - Validated interactive message (buttons or list)
+   * @returns {Object} - Message object for sendWhatsAppMessage
+   */
+  buildWhatsAppInteractiveMessage(text, interactive) {
+    const action = interactive.type === 'list'
+      ? {
+        button: interactive.buttonText,
+        sections: interactive.sections.map(section => ({
+          ...(section.title && { title: section.title }),
+          rows: section.rows.map(row => ({
+            id: row.id,
+            title: row.title,
+            ...(row.description && { description: row.description }),
+          })),
+        })),
+      }
+      : {
+        buttons: interactive.options.map(option => ({
+          type: 'reply',
+          reply: { id: option.id, title: option.title },
+        })),
+      };
+
+    return {
+      type: WHATSAPP_API.MESSAGE_TYPES.INTERACTIVE,
+      interactive: {
+        type: interactive.type === 'list' ? 'list' : 'button',
+        body: { text },
+        action,
+      },
+    };
+  }
+
+  /**
+   * Build a WhatsApp location message
+   * @param {Object} location - Latitude, longitude, name and address
+   * @returns {Object} - Message object for sendWhatsAppMessage
+   */
+  buildWhatsAppLocationMessage(location) {
+    return {
+      type: WHATSAPP_API.MESSAGE_TYPES.LOCATION,
+      location: {
+        latitude: location.latitude,
+        longitude: location.longitude,
+        ...(location.name && { name: location.name }),
+        ...(location.address && { address: location.address }),
+      },
+    };
+  }
+
+  /**
+   * Build a WhatsApp contacts message
+   * @param {Array} contacts - Contact cards with name, phones, emails and organization
+   * @returns {Object} - Message object for sendWhatsAppMessage
+   */
+  buildWhatsAppContactsMessage(contacts) {
+    return {
+      type: WHATSAPP_API.MESSAGE_TYPES.CONTACTS,
+      contacts: contacts.map(contact => ({
+        // WhatsApp requires one of the name parts next to the formatted name
+        name: { formatted_name: contact.name, first_name: contact.name },
+        phones: contact.phones.map(item => ({ phone: item.phone, ...(item.type && { type: item.type }) })),
+        emails: contact.emails.map(item => ({ email: item.email, ...(item.type && { type: item.type }) })),
+        ...(contact.organization && { org: { company: contact.organization } }),
+      })),
+    };
+  }
+
+  /**
+   * Format a location as text with a map link, Messenger and Instagram
+   * cannot send native location messages
+   * @param {Object} location - Latitude, longitude, name and address
+   * @returns {string} - Message text
+   */
+  formatLocationText(location) {
+    return [
+      location.name,
+      location.address,
+      `${APP_CONSTANTS.LOCATION_MAP_URL}${location.latitude},${location.longitude}`,
+    ].filter(Boolean).join('\n');
+  }
+
+  /**
+   * Format contact cards as text, Messenger and Instagram have no contact messages
+   * @param {Array} contacts - Contact cards with name, phones, emails and organization
+   * @returns {string} - Message text
+   */
+  formatContactsText(contacts) {
+    return contacts.map(contact => [
+      contact.name,
+      contact.organization,
+      ...contact.phones.map(item => item.phone),
+      ...contact.emails.map(item => item.email),
+    ].filter(Boolean).join('\n')).join('\n\n');
+  }
+
+  /**
+   * Fill the header, body and button parameters of a template
+   * @param {Object} variables - Template placeholders (see whatsappTemplateService)
+   * @param {Object} parameters - Values for the placeholders
+   * @param {string} parameterFormat - POSITIONAL or NAMED
+   * @returns {Array} - Template components for the Send API
+   */
+  buildTemplateComponents(variables, parameters, parameterFormat) {
+    const components = [];
+    const toTextParameters = (placeholders, values) => placeholders.map((name, index) => ({
+      type: 'text',
+      ...(parameterFormat === 'NAMED' && { parameter_name: name }),
+      text: Array.isArray(values) ? values[index] : values[name],
+    }));
+
+    const header = variables.header;
+
+    if (header?.format === 'TEXT' && header.placeholders.length > 0) {
+      components.push({
+        type: 'header',
+        parameters: toTextParameters(header.placeholders, [parameters.header]),
+      });
+    } else if (header && ['IMAGE', 'VIDEO', 'DOCUMENT'].includes(header.format)) {
+      const mediaType = header.format.toLowerCase();
+      components.push({
+        type: 'header',
+        parameters: [{
+          type: mediaType,
+          [mediaType]: {
+            link: parameters.header.link,
+            ...(parameters.header.filename && { filename: parameters.header.filename }),
+          },
+        }],
+      });
+    }
+
+    if (variables.body.length > 0) {
+      components.push({
+        type: 'body',
+        parameters: toTextParameters(variables.body, parameters.body),
+      });
+    }
+
+    for (const button of variables.buttons) {
+      const value = parameters.buttons.find(item => item.index === button.index)?.text;
+
+      components.push({
+        type: 'button',
+        sub_type: button.type.toLowerCase(),
+        index: String(button.index),
+        parameters: [button.type === 'COPY_CODE'
+          ? { type: 'coupon_code', coupon_code: value }
+          : { type: 'text', text: value }],
+      });
+    }
+
+    return components;
+  }
+
+  /**
+   * Look up the download URL of a WhatsApp media object
+   * @param {string} accessToken - Access token
+   * @param {string} mediaId - WhatsApp media ID
+   * @returns {Promise<Object>} - Media info (url, mime_type, file_size, sha256)
+   */
+  async getWhatsAppMediaUrl(accessToken, mediaId) {
+    try {
+      const response = await this.api.get(`/${mediaId}`, {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+        },
+      });
+
+      return response.data;
+    } catch (error) {
+      logger.error('Get WhatsApp media URL failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Download a media file from a Meta CDN URL
+   * @param {string} url - Media URL
+   * @param {string|null} accessToken - Access token, required for WhatsApp media
+   * @param {number} maxSize - Maximum accepted size in bytes
+   * @returns {Promise<Object>} - Media buffer and content type
+   */
+  async downloadMedia(url, accessToken, maxSize) {
+    try {
+      const response = await this.api.get(url, {
+        responseType: 'arraybuffer',
+        maxContentLength: maxSize,
+        headers: accessToken ? { 'Authorization': `Bearer ${accessToken}` } : {},
+      });
+
+      return {
+        buffer: Buffer.from(response.data),
+        contentType: response.headers['content-type'],
+      };
+    } catch (error) {
+      logger.error('Media download failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload a file to WhatsApp so it can be sent by media ID
+   * @param {string} accessToken - WhatsApp Business access token
+   * @param {string} phoneNumberId - Phone number ID the media is sent from
+   * @param {Buffer} buffer - File contents
+   * @param {string} mimeType - MIME type
+   * @param {string} fileName - File name
+   * @returns {Promise<string>} - WhatsApp media ID
+   */
+  async uploadWhatsAppMedia(accessToken, phoneNumberId, buffer, mimeType, fileName) {
+    try {
+      const formData = new FormData();
+      formData.append('messaging_product', 'whatsapp');
+      formData.append('type', mimeType);
+      formData.append('file', new Blob([buffer], { type: mimeType }), fileName);
+
+      const response = await this.api.post(`/${phoneNumberId}/media`, formData, {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'multipart/form-data',
+        },
+      });
+
+      return response.data.id;
+    } catch (error) {
+      logger.error('WhatsApp media upload failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload a file with the Attachment Upload API so it can be sent
+   * to Messenger or Instagram by attachment ID
+   * @param {string} pageAccessToken - Page access token
+   * @param {string} type - Attachment type (image, video, audio or file)
+   * @param {Buffer} buffer - File contents
+   * @param {string} mimeType - MIME type
+   * @param {string} fileName - File name
+   * @param {string} [platform] - Set to 'instagram' for Instagram attachments
+   * @returns {Promise<string>} - Attachment ID
+   */
+  async uploadMessageAttachment(pageAccessToken, type, buffer, mimeType, fileName, platform = null) {
+    try {
+      const formData = new FormData();
+      formData.append('message', JSON.stringify({
+        attachment: {
+          type,
+          payload: { is_reusable: true },
+        },
+      }));
+      formData.append('filedata', new Blob([buffer], { type: mimeType }), fileName);
+
+      const response = await this.api.post('/me/message_attachments', formData, {
+        params: {
+          access_token: pageAccessToken,
+          ...(platform && { platform }),
+        },
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+      });
+
+      return response.data.attachment_id;
+    } catch (error) {
+      logger.error('Message attachment upload failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * Send Instagram direct message
    * @param {string} pageAccessToken - Page access token
    * @param {string} recipientId - Recipient Instagram user ID
    * @param {Object} message - Message object
+   * @param {Object} [options] - Send options
+   * @param {string} [options.tag] - Message tag for sends outside the 24-hour window
+   * @param {string} [options.replyTo] - Platform ID of the message replied to
    * @returns {Promise<Object>} - Send response
    */
-  async sendInstagramMessage(pageAccessToken, recipientId, message) {
+  async sendInstagramMessage(pageAccessToken, recipientId, message, options = {}) {
     try {
       const response = await this.api.post('/me/messages', {
         recipient: { id: recipientId },
         message,
+        messaging_type: options.tag ? 'MESSAGE_TAG' : 'RESPONSE',
+        ...(options.tag && { tag: options.tag }),
+        ...(options.replyTo && { reply_to: { mid: options.replyTo } }),
         access_token: pageAccessToken,
       });
 
@@ -350,16 +923,146 @@ class MetaApiService {
     }
   }
 
+  /**
+   * Reply publicly to an Instagram comment
+   * @param {string} accessToken - Instagram account access token
+   * @param {string} commentId - Comment ID
+   * @param {string} text - Reply text
+   * @returns {Promise<Object>} - ID of the reply comment
+   */
+  async replyToComment(accessToken, commentId, text) {
+    try {
+      const response = await this.api.post(`/${commentId}/replies`, {
+        message: text,
+        access_token: accessToken,
+      });
+
+      return response.data;
+    } catch (error) {
+      logger.error('Reply to comment failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Answer an Instagram comment with a direct message. Meta allows one
+   * private reply per comment, within 7 days of the comment.
+   * @param {string} accessToken - Instagram account access token
+   * @param {string} commentId - Comment ID
+   * @param {string} text - Message text
+   * @returns {Promise<Object>} - Send response
+   */
+  async sendPrivateReply(accessToken, commentId, text) {
+    try {
+      const response = await this.api.post('/me/messages', {
+        recipient: { comment_id: commentId },
+        message: { text },
+        access_token: accessToken,
+      });
+
+      return response.data;
+    } catch (error) {
+      logger.error('Send private reply failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Hide or unhide an Instagram comment, hidden comments are only visible to their author
+   * @param {string} accessToken - Instagram account access token
+   * @param {string} commentId - Comment ID
+   * @param {boolean} hidden - Whether the comment is hidden
+   * @returns {Promise<Object>} - Update response
+   */
+  async setCommentHidden(accessToken, commentId, hidden) {
+    try {
+      const response = await this.api.post(`/${commentId}`, {
+        hide: hidden,
+        access_token: accessToken,
+      });
+
+      return response.data;
+    } catch (error) {
+      logger.error('Hide comment failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an Instagram comment
+   * @param {string} accessToken - Instagram account access token
+   * @param {string} commentId - Comment ID
+   * @returns {Promise<Object>} - Delete response
+   */
+  async deleteComment(accessToken, commentId) {
+    try {
+      const response = await this.api.delete(`/${commentId}`, {
+        params: { access_token: accessToken },
+      });
+
+      return response.data;
+    } catch (error) {
+      logger.error('Delete comment failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a comment that mentions an Instagram account
+   * @param {string} accessToken - Instagram account access token
+   * @param {string} accountId - Instagram account ID
+   * @param {string} commentId - Comment ID from the mentions webhook
+   * @returns {Promise<Object|null>} - Comment with text, author, timestamp and media
+   */
+  async getMentionedComment(accessToken, accountId, commentId) {
+    try {
+      const response = await this.api.get(`/${accountId}`, {
+        params: {
+          fields: `mentioned_comment.comment_id(${commentId}){id,text,from{id,username},timestamp,media{id,permalink}}`,
+          access_token: accessToken,
+        },
+      });
+
+      return response.data.mentioned_comment || null;
+    } catch (error) {
+      logger.error('Get mentioned comment failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a post or story whose caption mentions an Instagram account
+   * @param {string} accessToken - Instagram account access token
+   * @param {string} accountId - Instagram account ID
+   * @param {string} mediaId - Media ID from the mentions webhook
+   * @returns {Promise<Object|null>} - Media with caption, username, timestamp and permalink
+   */
+  async getMentionedMedia(accessToken, accountId, mediaId) {
+    try {
+      const response = await this.api.get(`/${accountId}`, {
+        params: {
+          fields: `mentioned_media.media_id(${mediaId}){id,caption,username,timestamp,media_type,media_url,permalink}`,
+          access_token: accessToken,
+        },
+      });
+
+      return response.data.mentioned_media || null;
+    } catch (error) {
+      logger.error('Get mentioned media failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * Verify webhook signature
-   * @param {string} payload - Raw webhook payload
+   * @param {Buffer|string} payload - Raw webhook payload, exactly as received
    * @param {string} signature - X-Hub-Signature-256 header
+   * @param {string} [secret] - App secret, defaults to the platform secret
    * @returns {boolean} - True if signature is valid
    */
-  verifyWebhookSignature(payload, signature) {
-    if (!this.webhookSecret) {
-      logger.warn('Webhook secret not configured, skipping signature verification');
-      return true;
+  verifyWebhookSignature(payload, signature, secret = this.webhookSecret) {
+    if (!secret || !signature) {
+      return false;
     }
 
     try {
@@ -369,7 +1072,7 @@ class MetaApiService {
       return encryptionService.verifyHMACSignature(
         payload,
         cleanSignature,
-        this.webhookSecret
+        secret
       );
     } catch (error) {
       logger.error('Webhook signature verification failed:', error);
@@ -391,39 +1094,69 @@ class MetaApiService {
     return null;
   }
 
+  /**
+   * Platform of Messenger-style webhook entries, Instagram sends the same
+   * format under its own object
+   * @param {string} [object] - Webhook object
+   * @returns {string} - Platform name
+   */
+  getMessagingPlatform(object) {
+    return object === PLATFORMS.INSTAGRAM ? PLATFORMS.INSTAGRAM : PLATFORMS.FACEBOOK;
+  }
+
   /**
    * Process incoming webhook message
    * @param {Object} entry - Webhook entry
+   * @param {string} [object] - Webhook object, 'instagram' for Instagram accounts
    * @returns {Array} - Array of processed messages
    */
-  processWebhookMessages(entry) {
+  processWebhookMessages(entry, object) {
     const messages = [];
+    const messagingPlatform = this.getMessagingPlatform(object);
 
     if (entry.messaging) {
       // Facebook Messenger messages
       for (const messagingEvent of entry.messaging) {
-        if (messagingEvent.message) {
+        // Unsent messages are changes to an earlier message
+        if (messagingEvent.message && !messagingEvent.message.is_deleted) {
+          const quickReply = messagingEvent.message.quick_reply;
+          const shared = this.getMessengerSharedContent(messagingEvent.message);
+
           messages.push({
-            platform: 'facebook',
+            platform: messagingPlatform,
             pageId: entry.id,
             senderId: messagingEvent.sender.id,
             recipientId: messagingEvent.recipient.id,
             messageId: messagingEvent.message.mid,
             text: messagingEvent.message.text,
             attachments: messagingEvent.message.attachments,
+            replyToId: messagingEvent.message.reply_to?.mid || null,
+            ...shared,
+            reply: quickReply ? {
+              type: 'quick_reply',
+              id: quickReply.payload,
+              title: messagingEvent.message.text,
+            } : null,
             timestamp: new Date(messagingEvent.timestamp),
             type: 'message',
           });
         }
 
+        // Button template clicks arrive as postbacks
         if (messagingEvent.postback) {
           messages.push({
-            platform: 'facebook',
+            platform: messagingPlatform,
             pageId: entry.id,
             senderId: messagingEvent.sender.id,
             recipientId: messagingEvent.recipient.id,
+            messageId: messagingEvent.postback.mid,
             payload: messagingEvent.postback.payload,
             title: messagingEvent.postback.title,
+            reply: {
+              type: 'postback',
+              id: messagingEvent.postback.payload,
+              title: messagingEvent.postback.title,
+            },
             timestamp: new Date(messagingEvent.timestamp),
             type: 'postback',
           });
@@ -435,14 +1168,34 @@ class MetaApiService {
       // WhatsApp messages
       for (const change of entry.changes) {
         if (change.field === 'messages' && change.value.messages) {
+          const contacts = change.value.contacts || [];
+
           for (const message of change.value.messages) {
+            // Reactions are changes to an earlier message
+            if (message.type === WHATSAPP_API.MESSAGE_TYPES.REACTION) continue;
+
+            // Media messages carry an ID that has to be resolved to a download URL
+            const media = message[message.type];
+            const contact = contacts.find(item => item.wa_id === message.from);
+            const reply = this.getWhatsAppReply(message);
+            const shared = this.getWhatsAppSharedContent(message);
+
             messages.push({
               platform: 'whatsapp',
               phoneNumberId: change.value.metadata.phone_number_id,
               senderId: message.from,
+              senderName: contact?.profile?.name,
               messageId: message.id,
-              text: message.text?.body,
+              text: message.text?.body || media?.caption || reply?.title,
+              reply,
+              replyToId: message.context?.id || null,
+              ...shared,
               type: message.type,
+              media: media?.id ? {
+                id: media.id,
+                mimeType: media.mime_type,
+                fileName: media.filename,
+              } : null,
               timestamp: new Date(parseInt(message.timestamp) * 1000),
             });
           }
@@ -453,6 +1206,293 @@ class MetaApiService {
     return messages;
   }
 
+  /**
+   * Process reactions, edits and unsends of earlier messages in a webhook entry
+   * @param {Object} entry - Webhook entry
+   * @param {string} [object] - Webhook object, 'instagram' for Instagram accounts
+   * @returns {Array} - Array of processed message changes
+   */
+  processWebhookMessageChanges(entry, object) {
+    const changes = [];
+    const messagingPlatform = this.getMessagingPlatform(object);
+
+    if (entry.messaging) {
+      // Facebook Messenger and Instagram, the sender is the customer
+      for (const messagingEvent of entry.messaging) {
+        const base = {
+          platform: messagingPlatform,
+          pageId: entry.id,
+          customerId: messagingEvent.sender.id,
+          timestamp: new Date(messagingEvent.timestamp),
+        };
+
+        if (messagingEvent.reaction) {
+          changes.push({
+            ...base,
+            change: 'reaction',
+            messageId: messagingEvent.reaction.mid,
+            emoji: messagingEvent.reaction.action === 'unreact'
+              ? null
+              : messagingEvent.reaction.emoji || messagingEvent.reaction.reaction,
+          });
+        }
+
+        if (messagingEvent.message_edit) {
+          changes.push({
+            ...base,
+            change: 'edit',
+            messageId: messagingEvent.message_edit.mid,
+            text: messagingEvent.message_edit.text,
+            editCount: messagingEvent.message_edit.num_edit,
+          });
+        }
+
+        if (messagingEvent.message?.is_deleted) {
+          changes.push({
+            ...base,
+            change: 'unsend',
+            messageId: messagingEvent.message.mid,
+          });
+        }
+      }
+    }
+
+    if (entry.changes) {
+      // WhatsApp reactions arrive as messages, an empty emoji removes the reaction
+      for (const change of entry.changes) {
+        if (change.field === 'messages' && change.value.messages) {
+          for (const message of change.value.messages) {
+            if (message.type !== WHATSAPP_API.MESSAGE_TYPES.REACTION) continue;
+
+            changes.push({
+              platform: 'whatsapp',
+              phoneNumberId: change.value.metadata.phone_number_id,
+              customerId: message.from,
+              timestamp: new Date(parseInt(message.timestamp) * 1000),
+              change: 'reaction',
+              messageId: message.reaction.message_id,
+              emoji: message.reaction.emoji || null,
+            });
+          }
+        }
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Process Instagram comments and mentions of a webhook entry. Comments are
+   * returned as messages of the commenter's comment chat, mentions only carry
+   * IDs and are completed with getMentionedComment or getMentionedMedia.
+   * @param {Object} entry - Webhook entry
+   * @param {string} [object] - Webhook object
+   * @returns {Array} - Array of processed comments and mentions
+   */
+  processWebhookComments(entry, object) {
+    const comments = [];
+
+    if (object !== PLATFORMS.INSTAGRAM || !entry.changes) {
+      return comments;
+    }
+
+    // Changes carry no time of their own, the entry time is in seconds
+    const timestamp = entry.time ? new Date(entry.time * 1000) : new Date();
+
+    for (const change of entry.changes) {
+      const value = change.value || {};
+
+      // Replies posted by the account itself come back as comments
+      if (change.field === 'comments' && value.from && value.from.id && value.from.id !== entry.id) {
+        comments.push({
+          platform: PLATFORMS.INSTAGRAM,
+          pageId: entry.id,
+          chatKind: CHAT_KINDS.COMMENTS,
+          senderId: value.from.id,
+          senderName: `@${value.from.username}`,
+          messageId: value.id,
+          text: value.text,
+          comment: {
+            type: 'comment',
+            id: value.id,
+            fromId: value.from.id,
+            username: value.from.username,
+            mediaId: value.media?.id || null,
+            mediaProductType: value.media?.media_product_type || null,
+            parentId: value.parent_id || null,
+          },
+          timestamp,
+        });
+      }
+
+      if (change.field === 'mentions') {
+        comments.push({
+          platform: PLATFORMS.INSTAGRAM,
+          pageId: entry.id,
+          mention: {
+            mediaId: value.media_id,
+            commentId: value.comment_id || null,
+          },
+          timestamp,
+        });
+      }
+    }
+
+    return comments;
+  }
+
+  /**
+   * Extract the option a customer picked from a WhatsApp reply message
+   * @param {Object} message - WhatsApp webhook message
+   * @returns {Object|null} - Reply type, option ID, title and description
+   */
+  getWhatsAppReply(message) {
+    // Quick reply buttons of templates
+    if (message.type === 'button' && message.button) {
+      return { type: 'button', id: message.button.payload, title: message.button.text };
+    }
+
+    if (message.type !== WHATSAPP_API.MESSAGE_TYPES.INTERACTIVE || !message.interactive) {
+      return null;
+    }
+
+    const selected = message.interactive[message.interactive.type];
+
+    if (!selected) {
+      return null;
+    }
+
+    return {
+      type: message.interactive.type,
+      id: selected.id,
+      title: selected.title,
+      ...(selected.description && { description: selected.description }),
+    };
+  }
+
+  /**
+   * Extract a shared location, sticker or Instagram story from a Messenger or Instagram message
+   * @param {Object} message - Messenger webhook message
+   * @returns {Object} - Location, sticker and story, null when not shared
+   */
+  getMessengerSharedContent(message) {
+    const attachment = message.attachments?.[0];
+    const coordinates = attachment?.type === 'location' ? attachment.payload?.coordinates : null;
+    // Stickers arrive as image attachments with the sticker ID
+    const stickerId = message.sticker_id || attachment?.payload?.sticker_id;
+    // Story URLs expire after 24 hours, the media is downloaded like attachments
+    let story = null;
+
+    if (attachment?.type === 'story_mention') {
+      story = { type: 'mention', id: attachment.payload?.id || null, url: attachment.payload?.url || null };
+    } else if (message.reply_to?.story) {
+      story = { type: 'reply', id: message.reply_to.story.id || null, url: message.reply_to.story.url || null };
+    }
+
+    return {
+      location: coordinates ? {
+        latitude: coordinates.lat,
+        longitude: coordinates.long,
+        name: attachment.title || null,
+        url: attachment.url || null,
+      } : null,
+      contacts: null,
+      sticker: stickerId ? { id: String(stickerId) } : null,
+      story,
+    };
+  }
+
+  /**
+   * Extract a shared location, contact cards or sticker from a WhatsApp message
+   * @param {Object} message - WhatsApp webhook message
+   * @returns {Object} - Location, contacts and sticker, null when not shared
+   */
+  getWhatsAppSharedContent(message) {
+    const { location, contacts, sticker } = message;
+
+    return {
+      location: message.type === WHATSAPP_API.MESSAGE_TYPES.LOCATION && location ? {
+        latitude: location.latitude,
+        longitude: location.longitude,
+        name: location.name || null,
+        address: location.address || null,
+        url: location.url || null,
+      } : null,
+      contacts: message.type === WHATSAPP_API.MESSAGE_TYPES.CONTACTS && contacts ? contacts.map(contact => ({
+        name: contact.name?.formatted_name || null,
+        phones: (contact.phones || []).map(item => ({ phone: item.phone, type: item.type || null, waId: item.wa_id || null })),
+        emails: (contact.emails || []).map(item => ({ email: item.email, type: item.type || null })),
+        organization: contact.org?.company || null,
+      })) : null,
+      // The sticker image is downloaded like other media
+      sticker: message.type === WHATSAPP_API.MESSAGE_TYPES.STICKER && sticker ? {
+        id: sticker.id,
+        animated: Boolean(sticker.animated),
+      } : null,
+    };
+  }
+
+  /**
+   * Process delivery and read receipts of a webhook entry
+   * @param {Object} entry - Webhook entry
+   * @param {string} [object] - Webhook object, 'instagram' for Instagram accounts
+   * @returns {Array} - Array of processed status updates
+   */
+  processWebhookStatuses(entry, object) {
+    const statuses = [];
+    const messagingPlatform = this.getMessagingPlatform(object);
+
+    if (entry.messaging) {
+      // Facebook Messenger receipts, the sender is the customer
+      for (const messagingEvent of entry.messaging) {
+        if (messagingEvent.delivery) {
+          statuses.push({
+            platform: messagingPlatform,
+            pageId: entry.id,
+            customerId: messagingEvent.sender.id,
+            status: 'delivered',
+            messageIds: messagingEvent.delivery.mids || [],
+            watermark: new Date(messagingEvent.delivery.watermark),
+            timestamp: new Date(messagingEvent.timestamp),
+          });
+        }
+
+        if (messagingEvent.read) {
+          statuses.push({
+            platform: messagingPlatform,
+            pageId: entry.id,
+            customerId: messagingEvent.sender.id,
+            status: 'read',
+            messageIds: [],
+            watermark: new Date(messagingEvent.read.watermark),
+            timestamp: new Date(messagingEvent.timestamp),
+          });
+        }
+      }
+    }
+
+    if (entry.changes) {
+      // WhatsApp message statuses
+      for (const change of entry.changes) {
+        if (change.field === 'messages' && change.value.statuses) {
+          for (const status of change.value.statuses) {
+            statuses.push({
+              platform: 'whatsapp',
+              phoneNumberId: change.value.metadata.phone_number_id,
+              customerId: status.recipient_id,
+              status: status.status,
+              messageIds: [status.id],
+              errors: status.errors || [],
+              timestamp: new Date(parseInt(status.timestamp) * 1000),
+            });
+          }
+        }
+      }
+    }
+
+    return statuses;
+  }
+
   /**
    * Refresh access token if needed
    * @param {Object} tokenData - Current token data
@@ -496,6 +1536,14 @@ class MetaApiService {
     return this.webhookVerifyToken;
   }
 
+  /**
+   * Get the platform-wide webhook signing secret
+   * @returns {string|undefined} - Webhook secret
+   */
+  getWebhookSecret() {
+    return this.webhookSecret;
+  }
+
   /**
    * Test API connection
    * @param {string} accessToken - Access token to test
@@ -0,0 +1,119 @@
+const encryptionService = require('./encryptionService');
+const { query } = require('../utils/database');
+const logger = require('../utils/logger');
+const { ERROR_CODES, HTTP_STATUS } = require('../utils/constants');
+const { AppError } = require('../middleware/errorHandler');
+
+class MetaAppService {
+  /**
+   * List the Meta apps registered by a tenant
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Array>} - Meta apps without their secrets
+   */
+  async listApps(tenantId) {
+    const result = await query(
+      `SELECT id, app_id, name, is_active, created_at, updated_at
+       FROM tenant_meta_apps
+       WHERE tenant_id = $1
+       ORDER BY created_at DESC`,
+      [tenantId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Register a tenant-owned Meta app
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} appData - App ID, name and secret
+   * @returns {Promise<Object>} - Created Meta app without its secret
+   */
+  async createApp(tenantId, { appId, name, appSecret }) {
+    try {
+      const result = await query(
+        `INSERT INTO tenant_meta_apps (tenant_id, app_id, name, encrypted_app_secret)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id, app_id, name, is_active, created_at, updated_at`,
+        [tenantId, appId, name || null, encryptionService.encrypt(appSecret)]
+      );
+
+      logger.info('Meta app registered', { tenantId, appId });
+
+      return result.rows[0];
+    } catch (error) {
+      // Unique violation on (tenant_id, app_id)
+      if (error.code === '23505') {
+        throw new AppError(
+          'Meta app is already registered',
+          HTTP_STATUS.CONFLICT,
+          ERROR_CODES.RESOURCE_ALREADY_EXISTS
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a tenant-owned Meta app
+   * @param {string} tenantId - Tenant ID
+   * @param {string} id - Meta app record ID
+   */
+  async deleteApp(tenantId, id) {
+    const result = await query(
+      'DELETE FROM tenant_meta_apps WHERE id = $1 AND tenant_id = $2 RETURNING app_id',
+      [id, tenantId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Meta app not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+
+    logger.info('Meta app removed', { tenantId, appId: result.rows[0].app_id });
+  }
+
+  /**
+   * Get the app secrets of the tenants owning each of the given platform accounts
+   * @param {Array<string>} accountIds - Page, Instagram, WhatsApp phone number or Business Account IDs
+   * @returns {Promise<Map<string, Array<string>>>} - Decrypted app secrets by account ID
+   */
+  async getSecretsByAccount(accountIds) {
+    const secretsByAccount = new Map();
+
+    if (accountIds.length === 0) return secretsByAccount;
+
+    const result = await query(
+      `SELECT DISTINCT tam.id, tam.encrypted_app_secret, sc.platform_account_id, sc.business_account_id
+       FROM tenant_meta_apps tam
+       JOIN social_connections sc ON sc.tenant_id = tam.tenant_id
+       WHERE tam.is_active = true
+         AND (sc.platform_account_id = ANY($1) OR sc.business_account_id = ANY($1))`,
+      [accountIds]
+    );
+
+    for (const row of result.rows) {
+      let secret;
+
+      try {
+        secret = encryptionService.decrypt(row.encrypted_app_secret);
+      } catch (error) {
+        logger.error('Failed to decrypt Meta app secret', { metaAppId: row.id });
+        continue;
+      }
+
+      for (const accountId of [row.platform_account_id, row.business_account_id]) {
+        if (!accountId || !accountIds.includes(accountId)) continue;
+
+        const secrets = secretsByAccount.get(accountId) || [];
+        if (!secrets.includes(secret)) secrets.push(secret);
+        secretsByAccount.set(accountId, secrets);
+      }
+    }
+
+    return secretsByAccount;
+  }
+}
+
+// Create singleton instance
+const metaAppService = new MetaAppService();
+
+module.exports = metaAppService;
@@ -0,0 +1,529 @@
+const { query } = require('../utils/database');
+const { AppError } = require('../middleware/errorHandler');
+const { broadcastToTenant, isUserOnline } = require('./websocketService');
+const teamService = require('./teamService');
+const logger = require('../utils/logger');
+const {
+  APP_CONSTANTS,
+  CHAT_STATUS,
+  ERROR_CODES,
+  HTTP_STATUS,
+  WEBSOCKET_EVENTS,
+} = require('../utils/constants');
+
+const ROUTING_CONFIG = APP_CONSTANTS.ROUTING;
+
+// Request fields and the routing_rules columns they are stored in
+const RULE_FIELDS = {
+  name: 'name',
+  strategy: 'strategy',
+  priority: 'priority',
+  isActive: 'is_active',
+  socialConnectionId: 'social_connection_id',
+  platform: 'platform',
+  teamId: 'team_id',
+  agentIds: 'agent_ids',
+  requiredSkills: 'required_skills',
+  onlyOnline: 'only_online',
+};
+
+class RoutingService {
+  /**
+   * List the tenant's routing rules in evaluation order
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Array>} - Routing rules
+   */
+  async listRules(tenantId) {
+    const result = await query(
+      `SELECT rr.*, sc.account_name, t.name as team_name
+       FROM routing_rules rr
+       LEFT JOIN social_connections sc ON rr.social_connection_id = sc.id
+       LEFT JOIN teams t ON rr.team_id = t.id
+       WHERE rr.tenant_id = $1
+       ORDER BY rr.priority ASC, rr.created_at ASC`,
+      [tenantId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Get a routing rule of the tenant
+   * @param {string} ruleId - Routing rule ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Object>} - Routing rule
+   */
+  async findRule(ruleId, tenantId) {
+    const result = await query(
+      'SELECT * FROM routing_rules WHERE id = $1 AND tenant_id = $2',
+      [ruleId, tenantId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Routing rule not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Create a routing rule
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} data - Validated rule data
+   * @returns {Promise<Object>} - Created routing rule
+   */
+  async createRule(tenantId, data) {
+    await this.assertRuleReferences(tenantId, data);
+
+    const columns = Object.keys(RULE_FIELDS).filter(field => data[field] !== undefined);
+
+    const result = await query(
+      `INSERT INTO routing_rules (tenant_id, ${columns.map(field => RULE_FIELDS[field]).join(', ')})
+       VALUES ($1, ${columns.map((field, index) => `$${index + 2}`).join(', ')})
+       RETURNING *`,
+      [tenantId, ...columns.map(field => data[field])]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Update a routing rule
+   * @param {string} ruleId - Routing rule ID
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} data - Validated fields to change
+   * @returns {Promise<Object>} - Updated routing rule
+   */
+  async updateRule(ruleId, tenantId, data) {
+    const rule = await this.findRule(ruleId, tenantId);
+
+    const strategy = data.strategy || rule.strategy;
+    const requiredSkills = data.requiredSkills || rule.required_skills;
+
+    if (strategy === 'skill_based' && requiredSkills.length === 0) {
+      throw new AppError(
+        'Skill-based rules need at least one required skill',
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.VALIDATION_ERROR
+      );
+    }
+
+    await this.assertRuleReferences(tenantId, data);
+
+    const columns = Object.keys(RULE_FIELDS).filter(field => data[field] !== undefined);
+
+    if (columns.length === 0) {
+      return rule;
+    }
+
+    const assignments = columns.map((field, index) => `${RULE_FIELDS[field]} = $${index + 3}`);
+
+    const result = await query(
+      `UPDATE routing_rules SET ${assignments.join(', ')}
+       WHERE id = $1 AND tenant_id = $2
+       RETURNING *`,
+      [ruleId, tenantId, ...columns.map(field => data[field])]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Delete a routing rule, past assignment events are kept
+   * @param {string} ruleId - Routing rule ID
+   * @param {string} tenantId - Tenant ID
+   */
+  async deleteRule(ruleId, tenantId) {
+    const result = await query(
+      'DELETE FROM routing_rules WHERE id = $1 AND tenant_id = $2 RETURNING id',
+      [ruleId, tenantId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Routing rule not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+  }
+
+  /**
+   * Make sure the connection, team and agents a rule refers to belong to the tenant
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} data - Rule data
+   */
+  async assertRuleReferences(tenantId, data) {
+    if (data.teamId) {
+      await teamService.findTeam(data.teamId, tenantId);
+    }
+
+    if (data.socialConnectionId) {
+      const result = await query(
+        'SELECT id FROM social_connections WHERE id = $1 AND tenant_id = $2',
+        [data.socialConnectionId, tenantId]
+      );
+
+      if (result.rows.length === 0) {
+        throw new AppError('Social connection not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+      }
+    }
+
+    if (data.agentIds && data.agentIds.length > 0) {
+      const result = await query(
+        'SELECT COUNT(*)::int as count FROM users WHERE id = ANY($1::uuid[]) AND tenant_id = $2',
+        [data.agentIds, tenantId]
+      );
+
+      if (result.rows[0].count !== new Set(data.agentIds).size) {
+        throw new AppError('Agent not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+      }
+    }
+  }
+
+  /**
+   * List the tenant's users with their routing profile, load and online state
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Array>} - Agents
+   */
+  async listAgents(tenantId) {
+    const result = await query(
+      `SELECT u.id, u.first_name, u.last_name, u.email, u.role, u.skills, u.max_open_chats,
+        (
+          SELECT COUNT(*)::int
+          FROM chats c
+          WHERE c.assigned_user_id = u.id AND c.status <> $2
+        ) as open_chats
+       FROM users u
+       WHERE u.tenant_id = $1 AND u.is_active = true
+       ORDER BY u.first_name, u.last_name`,
+      [tenantId, CHAT_STATUS.CLOSED]
+    );
+
+    return Promise.all(result.rows.map(async agent => ({
+      ...agent,
+      effective_max_open_chats: agent.max_open_chats || ROUTING_CONFIG.DEFAULT_MAX_OPEN_CHATS,
+      online: await isUserOnline(agent.id),
+    })));
+  }
+
+  /**
+   * Set the skills and capacity cap of an agent
+   * @param {string} userId - User ID
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} data - Skills and max open chats
+   * @returns {Promise<Object>} - Updated routing profile
+   */
+  async updateAgent(userId, tenantId, { skills, maxOpenChats }) {
+    const result = await query(
+      `UPDATE users
+       SET skills = COALESCE($3, skills),
+           max_open_chats = CASE WHEN $4 THEN $5 ELSE max_open_chats END,
+           updated_at = NOW()
+       WHERE id = $1 AND tenant_id = $2
+       RETURNING id, first_name, last_name, email, role, skills, max_open_chats`,
+      [userId, tenantId, skills || null, maxOpenChats !== undefined, maxOpenChats ?? null]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('User not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * List recorded routing decisions, newest first
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} [filters] - Chat, assigned user and pagination
+   * @returns {Promise<Object>} - Assignment events and total count
+   */
+  async listAssignmentEvents(tenantId, { chatId, userId, limit = 50, offset = 0 } = {}) {
+    const conditions = ['ae.tenant_id = $1'];
+    const params = [tenantId];
+
+    if (chatId) {
+      params.push(chatId);
+      conditions.push(`ae.chat_id = $${params.length}`);
+    }
+
+    if (userId) {
+      params.push(userId);
+      conditions.push(`ae.assigned_user_id = $${params.length}`);
+    }
+
+    const where = conditions.join(' AND ');
+
+    const result = await query(
+      `SELECT ae.*, rr.name as routing_rule_name,
+        u.first_name as assigned_user_first_name,
+        u.last_name as assigned_user_last_name
+       FROM assignment_events ae
+       LEFT JOIN routing_rules rr ON ae.routing_rule_id = rr.id
+       LEFT JOIN users u ON ae.assigned_user_id = u.id
+       WHERE ${where}
+       ORDER BY ae.created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const countResult = await query(
+      `SELECT COUNT(*)::int as total FROM assignment_events ae WHERE ${where}`,
+      params
+    );
+
+    return {
+      events: result.rows,
+      total: countResult.rows[0].total,
+    };
+  }
+
+  /**
+   * Auto-assign an unassigned chat. Matching rules are tried in priority order,
+   * the first one with an available agent assigns the chat. Chats of tenants
+   * without matching rules stay unassigned and no decision is recorded.
+   * @param {Object} client - Database client of the webhook transaction
+   * @param {Object} chat - Chat record
+   * @param {Object} conversation - Current conversation of the chat
+   * @param {Object} connection - Social connection the message arrived on
+   * @param {string} trigger - new_chat, reopened or new_conversation
+   * @returns {Promise<Object|null>} - Updated chat and the recorded assignment event
+   */
+  async routeChat(client, chat, conversation, connection, trigger) {
+    const rulesSql = `SELECT * FROM routing_rules
+       WHERE tenant_id = $1 AND is_active = true
+         AND (social_connection_id IS NULL OR social_connection_id = $2)
+         AND (platform IS NULL OR platform = $3)
+       ORDER BY priority ASC, created_at ASC`;
+    const rulesParams = [chat.tenant_id, connection.id, connection.platform];
+
+    const matchingResult = await client.query(rulesSql, rulesParams);
+
+    if (matchingResult.rows.length === 0) {
+      return null;
+    }
+
+    // Presence is read from Redis before the rules are locked, the lock is
+    // only held for the database work of the decision
+    const onlineUserIds = await this.getOnlineUserIds(client, chat.tenant_id);
+
+    // Locking the rules serializes concurrent decisions, keeping the rotation fair
+    const rulesResult = await client.query(`${rulesSql} FOR UPDATE`, rulesParams);
+
+    if (rulesResult.rows.length === 0) {
+      return null;
+    }
+
+    // Chats of an inbox owned by a team only go to its members
+    const inboxTeamId = await teamService.getConnectionTeamId(connection.id, client);
+    const considered = [];
+
+    for (const rule of rulesResult.rows) {
+      const candidates = await this.getCandidates(client, rule, chat.tenant_id, inboxTeamId, onlineUserIds);
+      considered.push(...candidates.map(candidate => ({ ...candidate, ruleId: rule.id })));
+
+      const agent = this.pickAgent(rule, candidates);
+      if (!agent) continue;
+
+      const chatResult = await client.query(
+        'UPDATE chats SET assigned_user_id = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+        [agent.userId, chat.id]
+      );
+
+      await client.query(
+        'UPDATE conversations SET assigned_user_id = $1 WHERE id = $2',
+        [agent.userId, conversation.id]
+      );
+
+      await client.query(
+        'UPDATE routing_rules SET last_assigned_user_id = $1 WHERE id = $2',
+        [agent.userId, rule.id]
+      );
+
+      const assignment = await this.recordDecision(client, {
+        chat,
+        conversation,
+        rule,
+        trigger,
+        assignedUserId: agent.userId,
+        candidates,
+      });
+
+      logger.info('Chat auto-assigned', {
+        chatId: chat.id,
+        assignedUserId: agent.userId,
+        ruleId: rule.id,
+        strategy: rule.strategy,
+        tenantId: chat.tenant_id,
+      });
+
+      return { chat: chatResult.rows[0], assignment };
+    }
+
+    const assignment = await this.recordDecision(client, {
+      chat,
+      conversation,
+      rule: null,
+      trigger,
+      assignedUserId: null,
+      candidates: considered,
+      reason: 'No agent online with free capacity',
+    });
+
+    logger.warn('No agent available for chat', {
+      chatId: chat.id,
+      rules: rulesResult.rows.length,
+      tenantId: chat.tenant_id,
+    });
+
+    return { chat, assignment };
+  }
+
+  /**
+   * Get the active users of a tenant that are connected right now
+   * @param {Object} client - Database client
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Set>} - Online user IDs
+   */
+  async getOnlineUserIds(client, tenantId) {
+    const result = await client.query(
+      'SELECT id FROM users WHERE tenant_id = $1 AND is_active = true',
+      [tenantId]
+    );
+
+    const online = await Promise.all(result.rows.map(row => isUserOnline(row.id)));
+
+    return new Set(result.rows.filter((row, index) => online[index]).map(row => row.id));
+  }
+
+  /**
+   * Get the agents a rule can assign with their load and availability
+   * @param {Object} client - Database client
+   * @param {Object} rule - Routing rule
+   * @param {string} tenantId - Tenant ID
+   * @param {string|null} inboxTeamId - Team owning the inbox of the chat
+   * @param {Set} onlineUserIds - Users connected right now
+   * @returns {Promise<Array>} - Candidates ordered by user ID
+   */
+  async getCandidates(client, rule, tenantId, inboxTeamId, onlineUserIds) {
+    // Without an explicit agent list every agent of the tenant takes part
+    const result = await client.query(
+      `SELECT u.id,
+        COALESCE(u.max_open_chats, $4) as max_open_chats,
+        (
+          SELECT COUNT(*)::int
+          FROM chats c
+          WHERE c.assigned_user_id = u.id AND c.status <> $5
+        ) as open_chats
+       FROM users u
+       WHERE u.tenant_id = $1 AND u.is_active = true
+         AND (
+           (cardinality($2::uuid[]) = 0 AND u.role = 'agent') OR
+           u.id = ANY($2::uuid[])
+         )
+         AND u.skills @> $3::text[]
+         AND ($6::uuid IS NULL OR EXISTS (
+           SELECT 1 FROM team_members tm WHERE tm.team_id = $6 AND tm.user_id = u.id
+         ))
+         AND ($7::uuid IS NULL OR u.role = 'admin' OR EXISTS (
+           SELECT 1 FROM team_members tm WHERE tm.team_id = $7 AND tm.user_id = u.id
+         ))
+       ORDER BY u.id`,
+      [
+        tenantId,
+        rule.agent_ids,
+        rule.required_skills,
+        ROUTING_CONFIG.DEFAULT_MAX_OPEN_CHATS,
+        CHAT_STATUS.CLOSED,
+        rule.team_id,
+        inboxTeamId,
+      ]
+    );
+
+    return result.rows.map(row => {
+      const online = onlineUserIds.has(row.id);
+
+      return {
+        userId: row.id,
+        openChats: row.open_chats,
+        maxOpenChats: row.max_open_chats,
+        online,
+        available: row.open_chats < row.max_open_chats && (online || !rule.only_online),
+      };
+    });
+  }
+
+  /**
+   * Pick the agent to assign among a rule's candidates. Round-robin continues
+   * the rotation after the last assigned agent, least_open and skill_based take
+   * the agent with the fewest open chats and rotate between equally loaded ones.
+   * @param {Object} rule - Routing rule
+   * @param {Array} candidates - Candidates ordered by user ID
+   * @returns {Object|null} - Chosen candidate
+   */
+  pickAgent(rule, candidates) {
+    const available = candidates.filter(candidate => candidate.available);
+    if (available.length === 0) return null;
+
+    const next = rule.last_assigned_user_id
+      ? available.findIndex(candidate => candidate.userId > rule.last_assigned_user_id)
+      : 0;
+    const rotation = next > 0
+      ? [...available.slice(next), ...available.slice(0, next)]
+      : available;
+
+    if (rule.strategy === 'round_robin') {
+      return rotation[0];
+    }
+
+    // Array.prototype.sort is stable, equally loaded agents keep the rotation order
+    return [...rotation].sort((a, b) => a.openChats - b.openChats)[0];
+  }
+
+  /**
+   * Store a routing decision in the audit log
+   * @param {Object} client - Database client
+   * @param {Object} decision - Chat, rule, assigned agent and candidates
+   * @returns {Promise<Object>} - Assignment event
+   */
+  async recordDecision(client, { chat, conversation, rule, trigger, assignedUserId, candidates, reason = null }) {
+    const result = await client.query(
+      `INSERT INTO assignment_events (
+        tenant_id, chat_id, conversation_id, routing_rule_id, assigned_user_id,
+        strategy, trigger, candidates, reason
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *`,
+      [
+        chat.tenant_id,
+        chat.id,
+        conversation.id,
+        rule ? rule.id : null,
+        assignedUserId,
+        rule ? rule.strategy : null,
+        trigger,
+        JSON.stringify(candidates),
+        reason,
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Notify the tenant's agents about an automatic assignment
+   * @param {Object} assignment - Assignment event
+   */
+  broadcastAssignment(assignment) {
+    broadcastToTenant(assignment.tenant_id, {
+      type: WEBSOCKET_EVENTS.CHAT_ASSIGNED,
+      chatId: assignment.chat_id,
+      conversationId: assignment.conversation_id,
+      assignedUserId: assignment.assigned_user_id,
+      routingRuleId: assignment.routing_rule_id,
+      strategy: assignment.strategy,
+      trigger: assignment.trigger,
+      timestamp: new Date().toISOString(),
+    });
+  }
+}
+
+// Create singleton instance
+const routingService = new RoutingService();
+
+module.exports = routingService;
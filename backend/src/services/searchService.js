@@ -0,0 +1,238 @@
+const teamService = require('./teamService');
+const { query } = require('../utils/database');
+const { AppError } = require('../middleware/errorHandler');
+const { ERROR_CODES, HTTP_STATUS } = require('../utils/constants');
+
+// Vector expressions, they match the indexes of migration 026
+const MESSAGE_VECTOR = "to_tsvector('simple', COALESCE(m.content, ''))";
+const NOTE_VECTOR = "to_tsvector('simple', n.content)";
+const CUSTOMER_VECTOR = `to_tsvector('simple',
+  COALESCE(cc.customer_name, '') || ' ' ||
+  COALESCE(cc.customer_profile_name, '') || ' ' ||
+  COALESCE(cc.customer_email, '') || ' ' ||
+  COALESCE(cc.customer_phone, '')
+)`;
+
+// Matching documents of each searchable type
+const SOURCES = {
+  messages: `
+    SELECT 'message' as type, m.id, m.chat_id, m.created_at, m.content as text,
+      ts_rank(${MESSAGE_VECTOR}, q.query) as score,
+      jsonb_build_object('direction', m.direction, 'senderType', m.sender_type, 'conversationId', m.conversation_id) as details
+    FROM messages m, q
+    WHERE m.tenant_id = $1 AND ${MESSAGE_VECTOR} @@ q.query`,
+  // Private notes are only found by their author, as in notes_private_access
+  notes: `
+    SELECT 'note' as type, n.id, n.chat_id, n.created_at, n.content as text,
+      ts_rank(${NOTE_VECTOR}, q.query) as score,
+      jsonb_build_object('noteType', n.note_type, 'isPrivate', n.is_private, 'userId', n.user_id) as details
+    FROM notes n, q
+    WHERE n.tenant_id = $1 AND ${NOTE_VECTOR} @@ q.query
+      AND (n.is_private = false OR n.user_id = q.user_id)`,
+  customers: `
+    SELECT 'customer' as type, cc.id, cc.id as chat_id, cc.created_at,
+      concat_ws(' ', cc.customer_name, cc.customer_email, cc.customer_phone) as text,
+      ts_rank(${CUSTOMER_VECTOR}, q.query) as score,
+      '{}'::jsonb as details
+    FROM chats cc, q
+    WHERE cc.tenant_id = $1 AND ${CUSTOMER_VECTOR} @@ q.query`,
+};
+
+// Marks around matched words in snippets, replaced by <mark> after escaping
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+const HEADLINE_OPTIONS = `StartSel=${MATCH_START}, StopSel=${MATCH_END}, MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "`;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+class SearchService {
+  /**
+   * Search the messages, notes and customers of the chats a user can access.
+   * Results are ranked by relevance and paged with an opaque cursor, facets
+   * are counted over all matches on the first page.
+   * @param {Object} user - User with id, role and tenantId
+   * @param {Object} options - Validated search options
+   * @returns {Promise<Object>} - Results, facets and the next cursor
+   */
+  async search(user, { q, types, platform, assignedUserId, dateFrom, dateTo, limit, cursor }) {
+    const params = [user.tenantId, q, user.id];
+    const conditions = [];
+
+    const accessCondition = teamService.getChatAccessCondition(user, '$3');
+    if (accessCondition) conditions.push(accessCondition);
+
+    if (platform) {
+      params.push(platform);
+      conditions.push(`sc.platform = $${params.length}`);
+    }
+
+    if (assignedUserId) {
+      params.push(assignedUserId);
+      conditions.push(`c.assigned_user_id = $${params.length}`);
+    }
+
+    if (dateFrom) {
+      params.push(dateFrom);
+      conditions.push(`r.created_at >= $${params.length}`);
+    }
+
+    if (dateTo) {
+      params.push(dateTo);
+      conditions.push(`r.created_at <= $${params.length}`);
+    }
+
+    const matches = `
+      WITH q AS (SELECT websearch_to_tsquery('simple', $2) as query, $3::uuid as user_id),
+      matches AS (
+        SELECT r.*, ROUND(r.score::numeric, 6) as rank,
+          c.customer_name, c.status as chat_status, c.assigned_user_id, sc.platform
+        FROM (${types.map(type => SOURCES[type]).join(' UNION ALL ')}) r
+        JOIN chats c ON r.chat_id = c.id
+        LEFT JOIN social_connections sc ON c.social_connection_id = sc.id
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      )`;
+
+    const pageParams = [...params];
+    let cursorCondition = '';
+
+    if (cursor) {
+      const position = this.decodeCursor(cursor);
+      pageParams.push(position.rank, position.createdAt, position.id);
+      const index = pageParams.length;
+      cursorCondition = `WHERE (rank, created_at, id) < ($${index - 2}::numeric, $${index - 1}::timestamp, $${index}::uuid)`;
+    }
+
+    pageParams.push(limit + 1);
+
+    const pageResult = await query(
+      `${matches}
+       SELECT page.*, page.created_at::text as cursor_created_at,
+         ts_headline('simple', page.text, q.query, $${pageParams.length + 1}) as headline
+       FROM (
+         SELECT * FROM matches
+         ${cursorCondition}
+         ORDER BY rank DESC, created_at DESC, id DESC
+         LIMIT $${pageParams.length}
+       ) page, q
+       ORDER BY page.rank DESC, page.created_at DESC, page.id DESC`,
+      [...pageParams, HEADLINE_OPTIONS]
+    );
+
+    const rows = pageResult.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+
+    return {
+      results: rows.map(row => this.formatResult(row)),
+      facets: cursor ? null : await this.getFacets(matches, params),
+      nextCursor: pageResult.rows.length > limit
+        ? this.encodeCursor({ rank: last.rank, createdAt: last.cursor_created_at, id: last.id })
+        : null,
+    };
+  }
+
+  /**
+   * Count all matches by type, platform, assignee and month
+   * @param {string} matches - SQL defining the matches CTE
+   * @param {Array} params - Query parameters of the matches
+   * @returns {Promise<Object>} - Facet counts
+   */
+  async getFacets(matches, params) {
+    const result = await query(
+      `${matches}
+       SELECT type, platform, assigned_user_id,
+         to_char(date_trunc('month', created_at), 'YYYY-MM') as month,
+         GROUPING(type) as no_type, GROUPING(platform) as no_platform,
+         GROUPING(assigned_user_id) as no_assignee, GROUPING(date_trunc('month', created_at)) as no_month,
+         COUNT(*)::int as count
+       FROM matches
+       GROUP BY GROUPING SETS ((type), (platform), (assigned_user_id), (date_trunc('month', created_at)))
+       ORDER BY count DESC`,
+      params
+    );
+
+    const facets = { types: [], platforms: [], assignees: [], months: [] };
+
+    for (const row of result.rows) {
+      if (!row.no_type) facets.types.push({ value: row.type, count: row.count });
+      else if (!row.no_platform) facets.platforms.push({ value: row.platform, count: row.count });
+      else if (!row.no_assignee) facets.assignees.push({ value: row.assigned_user_id, count: row.count });
+      else if (!row.no_month) facets.months.push({ value: row.month, count: row.count });
+    }
+
+    facets.months.sort((a, b) => b.value.localeCompare(a.value));
+
+    return facets;
+  }
+
+  /**
+   * Shape a search result for API responses
+   * @param {Object} row - Result row
+   * @returns {Object} - Search result with an HTML-escaped snippet
+   */
+  formatResult(row) {
+    return {
+      type: row.type,
+      id: row.id,
+      chatId: row.chat_id,
+      rank: Number(row.rank),
+      snippet: this.formatSnippet(row.headline),
+      createdAt: row.created_at,
+      chat: {
+        customerName: row.customer_name,
+        status: row.chat_status,
+        platform: row.platform,
+        assignedUserId: row.assigned_user_id,
+      },
+      ...row.details,
+    };
+  }
+
+  /**
+   * Escape a headline and mark the matched words with <mark>
+   * @param {string} headline - Headline with the match markers
+   * @returns {string} - HTML snippet
+   */
+  formatSnippet(headline) {
+    return (headline || '')
+      .replace(/[&<>"']/g, character => HTML_ESCAPES[character])
+      .split(MATCH_START).join('<mark>')
+      .split(MATCH_END).join('</mark>');
+  }
+
+  /**
+   * Encode the position of the last result of a page
+   * @param {Object} position - Rank, creation time and ID
+   * @returns {string} - Opaque cursor
+   */
+  encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+  }
+
+  /**
+   * Decode a cursor from a previous page
+   * @param {string} cursor - Opaque cursor
+   * @returns {Object} - Rank, creation time and ID
+   */
+  decodeCursor(cursor) {
+    try {
+      const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+      if (
+        typeof position.rank !== 'string' ||
+        typeof position.createdAt !== 'string' ||
+        !/^[0-9a-f-]{36}$/i.test(position.id)
+      ) {
+        throw new Error('Incomplete cursor');
+      }
+
+      return position;
+    } catch (error) {
+      throw new AppError('Invalid search cursor', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR);
+    }
+  }
+}
+
+// Create singleton instance
+const searchService = new SearchService();
+
+module.exports = searchService;
@@ -0,0 +1,495 @@
+const cron = require('node-cron');
+const { query } = require('../utils/database');
+const { AppError } = require('../middleware/errorHandler');
+const { broadcastToTenant } = require('./websocketService');
+const logger = require('../utils/logger');
+const {
+  APP_CONSTANTS,
+  CHAT_STATUS,
+  ERROR_CODES,
+  HTTP_STATUS,
+  WEBSOCKET_EVENTS,
+} = require('../utils/constants');
+
+const SLA_CONFIG = APP_CONSTANTS.SLA;
+
+// Request fields and the sla_policies columns they are stored in
+const POLICY_FIELDS = {
+  name: 'name',
+  inboxId: 'inbox_id',
+  priority: 'priority',
+  firstResponseMinutes: 'first_response_minutes',
+  nextResponseMinutes: 'next_response_minutes',
+  resolutionMinutes: 'resolution_minutes',
+  warningMinutes: 'warning_minutes',
+  isActive: 'is_active',
+};
+
+const TIMER_LABELS = {
+  first_response: 'First response',
+  next_response: 'Next response',
+  resolution: 'Resolution',
+};
+
+class SlaService {
+  constructor() {
+    this.task = null;
+    this.isChecking = false;
+  }
+
+  /**
+   * Start checking deadlines on the configured cron schedule
+   */
+  start() {
+    if (this.task) return;
+
+    if (!cron.validate(SLA_CONFIG.CHECK_SCHEDULE)) {
+      logger.error('Invalid SLA check schedule, SLA checks disabled', {
+        schedule: SLA_CONFIG.CHECK_SCHEDULE,
+      });
+      return;
+    }
+
+    this.task = cron.schedule(SLA_CONFIG.CHECK_SCHEDULE, () => this.checkDeadlines());
+    logger.info('SLA checks started', { schedule: SLA_CONFIG.CHECK_SCHEDULE });
+  }
+
+  /**
+   * Stop the SLA checks
+   */
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+      logger.info('SLA checks stopped');
+    }
+  }
+
+  /**
+   * List the tenant's SLA policies
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Array>} - SLA policies
+   */
+  async listPolicies(tenantId) {
+    const result = await query(
+      `SELECT sp.*, i.name as inbox_name
+       FROM sla_policies sp
+       LEFT JOIN inboxes i ON sp.inbox_id = i.id
+       WHERE sp.tenant_id = $1
+       ORDER BY sp.name`,
+      [tenantId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Create an SLA policy
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} data - Validated policy data
+   * @returns {Promise<Object>} - Created policy
+   */
+  async createPolicy(tenantId, data) {
+    await this.assertInbox(tenantId, data.inboxId);
+
+    const fields = Object.keys(POLICY_FIELDS).filter(field => data[field] !== undefined);
+
+    const result = await query(
+      `INSERT INTO sla_policies (tenant_id, ${fields.map(field => POLICY_FIELDS[field]).join(', ')})
+       VALUES ($1, ${fields.map((field, index) => `$${index + 2}`).join(', ')})
+       RETURNING *`,
+      [tenantId, ...fields.map(field => data[field])]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Update an SLA policy, running conversations keep their deadlines
+   * @param {string} policyId - Policy ID
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} data - Validated fields to change
+   * @returns {Promise<Object>} - Updated policy
+   */
+  async updatePolicy(policyId, tenantId, data) {
+    await this.assertInbox(tenantId, data.inboxId);
+
+    const fields = Object.keys(POLICY_FIELDS).filter(field => data[field] !== undefined);
+
+    if (fields.length === 0) {
+      const result = await query(
+        'SELECT * FROM sla_policies WHERE id = $1 AND tenant_id = $2',
+        [policyId, tenantId]
+      );
+
+      if (result.rows.length === 0) {
+        throw new AppError('SLA policy not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+      }
+
+      return result.rows[0];
+    }
+
+    const assignments = fields.map((field, index) => `${POLICY_FIELDS[field]} = $${index + 3}`);
+
+    const result = await query(
+      `UPDATE sla_policies SET ${assignments.join(', ')}
+       WHERE id = $1 AND tenant_id = $2
+       RETURNING *`,
+      [policyId, tenantId, ...fields.map(field => data[field])]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('SLA policy not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Delete an SLA policy, its conversations stop being tracked
+   * @param {string} policyId - Policy ID
+   * @param {string} tenantId - Tenant ID
+   */
+  async deletePolicy(policyId, tenantId) {
+    const result = await query(
+      'DELETE FROM sla_policies WHERE id = $1 AND tenant_id = $2 RETURNING id',
+      [policyId, tenantId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('SLA policy not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+  }
+
+  /**
+   * Make sure the inbox a policy targets belongs to the tenant
+   * @param {string} tenantId - Tenant ID
+   * @param {string|null} inboxId - Inbox ID
+   */
+  async assertInbox(tenantId, inboxId) {
+    if (!inboxId) return;
+
+    const result = await query(
+      'SELECT id FROM inboxes WHERE id = $1 AND tenant_id = $2',
+      [inboxId, tenantId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Inbox not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+  }
+
+  /**
+   * Start or continue the timers of a conversation for a customer message.
+   * The first message picks the policy, later ones after a reply set the
+   * next-response deadline.
+   * @param {Object} client - Database client of the webhook transaction
+   * @param {Object} chat - Chat record with priority
+   * @param {Object} conversation - Conversation of the message
+   * @param {Object} connection - Social connection with inbox_id
+   * @param {Date} timestamp - Time the customer sent the message
+   * @returns {Promise<Object>} - Updated conversation
+   */
+  async onInboundMessage(client, chat, conversation, connection, timestamp) {
+    if (!conversation.sla_policy_id) {
+      const policy = await this.findPolicy(chat.tenant_id, connection.inbox_id, chat.priority, client);
+      if (!policy) return conversation;
+
+      return this.applyPolicy(conversation, policy, client);
+    }
+
+    // Only the first unanswered message of a turn starts the clock
+    if (!conversation.first_responded_at || conversation.next_response_due_at) {
+      return conversation;
+    }
+
+    const result = await client.query(
+      `UPDATE conversations cv
+       SET next_response_due_at = $2::timestamp + sp.next_response_minutes * INTERVAL '1 minute'
+       FROM sla_policies sp
+       WHERE cv.id = $1 AND sp.id = cv.sla_policy_id AND sp.next_response_minutes IS NOT NULL
+       RETURNING cv.*`,
+      [conversation.id, timestamp]
+    );
+
+    return result.rows[0] || conversation;
+  }
+
+  /**
+   * Stop the response timers when an agent answers
+   * @param {string} conversationId - Conversation ID
+   */
+  async onAgentReply(conversationId) {
+    await query(
+      `UPDATE conversations
+       SET first_responded_at = COALESCE(first_responded_at, NOW()),
+           next_response_due_at = NULL
+       WHERE id = $1`,
+      [conversationId]
+    );
+  }
+
+  /**
+   * Pause the timers while a conversation is pending and move the deadlines
+   * by the paused time once it is open again
+   * @param {string} conversationId - Conversation ID
+   * @param {string} status - New conversation status
+   */
+  async onStatusChange(conversationId, status) {
+    if (status === CHAT_STATUS.PENDING) {
+      await query(
+        'UPDATE conversations SET sla_paused_at = COALESCE(sla_paused_at, NOW()) WHERE id = $1',
+        [conversationId]
+      );
+      return;
+    }
+
+    await query(
+      `UPDATE conversations
+       SET first_response_due_at = first_response_due_at + (NOW() - sla_paused_at),
+           next_response_due_at = next_response_due_at + (NOW() - sla_paused_at),
+           resolution_due_at = resolution_due_at + (NOW() - sla_paused_at),
+           sla_paused_at = NULL
+       WHERE id = $1 AND sla_paused_at IS NOT NULL`,
+      [conversationId]
+    );
+  }
+
+  /**
+   * Apply the policy matching a chat's new priority to its current conversation
+   * @param {Object} chat - Updated chat record
+   * @param {Object} conversation - Current conversation
+   */
+  async onPriorityChange(chat, conversation) {
+    const connectionResult = await query(
+      'SELECT inbox_id FROM social_connections WHERE id = $1',
+      [chat.social_connection_id]
+    );
+
+    const policy = await this.findPolicy(
+      chat.tenant_id,
+      connectionResult.rows[0]?.inbox_id || null,
+      chat.priority
+    );
+
+    if (policy && policy.id !== conversation.sla_policy_id) {
+      await this.applyPolicy(conversation, policy);
+    }
+  }
+
+  /**
+   * Find the most specific active policy: inbox and priority, inbox only,
+   * priority only, then the tenant default
+   * @param {string} tenantId - Tenant ID
+   * @param {string|null} inboxId - Inbox of the chat's connection
+   * @param {string} priority - Chat priority
+   * @param {Object} [client] - Database client
+   * @returns {Promise<Object|null>} - SLA policy
+   */
+  async findPolicy(tenantId, inboxId, priority, client = null) {
+    const sql = `SELECT * FROM sla_policies
+                 WHERE tenant_id = $1 AND is_active = true
+                   AND (inbox_id IS NULL OR inbox_id = $2)
+                   AND (priority IS NULL OR priority = $3)
+                 ORDER BY (inbox_id IS NOT NULL) DESC, (priority IS NOT NULL) DESC, created_at ASC
+                 LIMIT 1`;
+    const params = [tenantId, inboxId || null, priority];
+
+    const result = client
+      ? await client.query(sql, params)
+      : await query(sql, params);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Set a conversation's deadlines from a policy, counted from its opening
+   * @param {Object} conversation - Conversation record
+   * @param {Object} policy - SLA policy
+   * @param {Object} [client] - Database client
+   * @returns {Promise<Object>} - Updated conversation
+   */
+  async applyPolicy(conversation, policy, client = null) {
+    const sql = `UPDATE conversations
+                 SET sla_policy_id = $2,
+                     first_response_due_at = opened_at + $3 * INTERVAL '1 minute',
+                     resolution_due_at = opened_at + $4 * INTERVAL '1 minute'
+                 WHERE id = $1
+                 RETURNING *`;
+    const params = [conversation.id, policy.id, policy.first_response_minutes, policy.resolution_minutes];
+
+    const result = client
+      ? await client.query(sql, params)
+      : await query(sql, params);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Describe the SLA timers of a chat's current conversation
+   * @param {Object} row - Chat row with the current conversation's SLA columns
+   * @param {Date} [now] - Reference time
+   * @returns {Object|null} - Timers with remaining time, null without a policy
+   */
+  getStatus(row, now = new Date()) {
+    if (!row.sla_policy_id) return null;
+
+    const paused = Boolean(row.sla_paused_at);
+    const closed = row.conversation_status === CHAT_STATUS.CLOSED;
+
+    // Remaining time is frozen while the conversation is pending
+    const reference = paused ? new Date(row.sla_paused_at) : now;
+
+    const timers = closed ? [] : [
+      ['first_response', row.first_responded_at ? null : row.first_response_due_at],
+      ['next_response', row.next_response_due_at],
+      ['resolution', row.resolution_due_at],
+    ]
+      .filter(([, dueAt]) => dueAt)
+      .map(([timer, dueAt]) => {
+        const remainingSeconds = Math.round((new Date(dueAt).getTime() - reference.getTime()) / 1000);
+
+        return {
+          timer,
+          dueAt: new Date(dueAt),
+          remainingSeconds,
+          breached: remainingSeconds < 0,
+        };
+      })
+      .sort((a, b) => a.remainingSeconds - b.remainingSeconds);
+
+    return {
+      policyId: row.sla_policy_id,
+      paused,
+      timers,
+      next: timers[0] || null,
+    };
+  }
+
+  /**
+   * Notify deadlines that are about to pass or have passed. Each warning and
+   * breach is recorded once, so overlapping runs on several instances are safe.
+   */
+  async checkDeadlines() {
+    // Skip the tick while the previous check is still running
+    if (this.isChecking) return;
+    this.isChecking = true;
+
+    try {
+      const result = await query(
+        `WITH deadlines AS (
+           SELECT cv.id, 'first_response' as timer, cv.first_response_due_at as due_at
+           FROM conversations cv
+           WHERE cv.first_responded_at IS NULL AND cv.first_response_due_at IS NOT NULL
+           UNION ALL
+           SELECT cv.id, 'next_response', cv.next_response_due_at
+           FROM conversations cv
+           WHERE cv.next_response_due_at IS NOT NULL
+           UNION ALL
+           SELECT cv.id, 'resolution', cv.resolution_due_at
+           FROM conversations cv
+           WHERE cv.resolution_due_at IS NOT NULL
+         )
+         SELECT d.timer, d.due_at, d.due_at <= NOW() as is_breached,
+           cv.id as conversation_id, cv.chat_id, cv.tenant_id, cv.assigned_user_id, cv.sla_policy_id,
+           c.customer_name
+         FROM deadlines d
+         JOIN conversations cv ON d.id = cv.id
+         JOIN sla_policies sp ON cv.sla_policy_id = sp.id
+         JOIN chats c ON cv.chat_id = c.id
+         WHERE cv.status = $1 AND cv.sla_paused_at IS NULL
+           AND d.due_at <= NOW() + sp.warning_minutes * INTERVAL '1 minute'
+           AND NOT EXISTS (
+             SELECT 1 FROM sla_events e
+             WHERE e.conversation_id = cv.id AND e.timer = d.timer AND e.due_at = d.due_at
+               AND e.kind = CASE WHEN d.due_at <= NOW() THEN 'breach' ELSE 'warning' END
+           )
+         ORDER BY d.due_at ASC
+         LIMIT $2`,
+        [CHAT_STATUS.OPEN, SLA_CONFIG.BATCH_SIZE]
+      );
+
+      for (const deadline of result.rows) {
+        try {
+          await this.notify(deadline);
+        } catch (error) {
+          logger.error('SLA notification failed', {
+            conversationId: deadline.conversation_id,
+            timer: deadline.timer,
+            error: error.message,
+          });
+        }
+      }
+    } catch (error) {
+      logger.error('SLA check failed:', error);
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Record a warning or breach, add an escalation note and notify the tenant
+   * @param {Object} deadline - Deadline row found by checkDeadlines
+   */
+  async notify(deadline) {
+    const kind = deadline.is_breached ? 'breach' : 'warning';
+
+    const eventResult = await query(
+      `INSERT INTO sla_events (tenant_id, conversation_id, chat_id, sla_policy_id, timer, kind, due_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (conversation_id, timer, kind, due_at) DO NOTHING
+       RETURNING *`,
+      [
+        deadline.tenant_id,
+        deadline.conversation_id,
+        deadline.chat_id,
+        deadline.sla_policy_id,
+        deadline.timer,
+        kind,
+        deadline.due_at,
+      ]
+    );
+
+    // Another instance notified this deadline already
+    if (eventResult.rows.length === 0) return;
+
+    const dueAt = new Date(deadline.due_at);
+    const message = kind === 'breach'
+      ? `SLA breached: ${TIMER_LABELS[deadline.timer]} was due at ${dueAt.toISOString()}`
+      : `SLA at risk: ${TIMER_LABELS[deadline.timer]} is due at ${dueAt.toISOString()}`;
+
+    await query(
+      `INSERT INTO notes (chat_id, tenant_id, user_id, content, note_type, is_private)
+       VALUES ($1, $2, NULL, $3, 'escalation', false)`,
+      [deadline.chat_id, deadline.tenant_id, message]
+    );
+
+    broadcastToTenant(deadline.tenant_id, {
+      type: WEBSOCKET_EVENTS.SYSTEM_NOTIFICATION,
+      category: 'sla',
+      level: kind === 'breach' ? 'error' : 'warning',
+      kind,
+      timer: deadline.timer,
+      chatId: deadline.chat_id,
+      conversationId: deadline.conversation_id,
+      assignedUserId: deadline.assigned_user_id,
+      customerName: deadline.customer_name,
+      dueAt,
+      message,
+      timestamp: new Date().toISOString(),
+    });
+
+    logger.warn('SLA deadline notified', {
+      kind,
+      timer: deadline.timer,
+      chatId: deadline.chat_id,
+      conversationId: deadline.conversation_id,
+      tenantId: deadline.tenant_id,
+    });
+  }
+}
+
+// Create singleton instance
+const slaService = new SlaService();
+
+module.exports = slaService;
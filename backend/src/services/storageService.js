@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { STORAGE_DRIVERS, ERROR_CODES, HTTP_STATUS } = require('../utils/constants');
+const { AppError } = require('../middleware/errorHandler');
+
+class LocalStorageProvider {
+  constructor() {
+    this.rootPath = path.resolve(process.env.STORAGE_LOCAL_PATH || 'uploads');
+  }
+
+  /**
+   * Resolve a storage key to a path inside the storage root
+   * @param {string} key - Storage key
+   * @returns {string} - Absolute file path
+   */
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootPath, key);
+
+    if (!filePath.startsWith(this.rootPath + path.sep)) {
+      throw new AppError('Invalid storage key', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.INVALID_INPUT);
+    }
+
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  }
+
+  async getStream(key) {
+    const filePath = this.resolvePath(key);
+
+    try {
+      await fs.promises.access(filePath);
+    } catch (error) {
+      throw new AppError('Stored file not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+
+    return fs.createReadStream(filePath);
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolvePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+class S3StorageProvider {
+  constructor() {
+    // Loaded lazily so local-disk deployments don't need the SDK configured
+    const { S3Client } = require('@aws-sdk/client-s3');
+
+    this.bucket = process.env.S3_BUCKET;
+
+    if (!this.bucket) {
+      throw new Error('S3_BUCKET must be configured for the s3 storage driver');
+    }
+
+    this.client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      credentials: process.env.S3_ACCESS_KEY_ID ? {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      } : undefined,
+    });
+  }
+
+  async put(key, buffer, contentType) {
+    const { PutObjectCommand } = require('@aws-sdk/client-s3');
+
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType,
+    }));
+  }
+
+  async getStream(key) {
+    const { GetObjectCommand } = require('@aws-sdk/client-s3');
+
+    try {
+      const response = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+      }));
+
+      return response.Body;
+    } catch (error) {
+      if (error.name === 'NoSuchKey') {
+        throw new AppError('Stored file not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+    }));
+  }
+}
+
+class StorageService {
+  constructor() {
+    this.driver = process.env.STORAGE_DRIVER || STORAGE_DRIVERS.LOCAL;
+    this.provider = null;
+  }
+
+  /**
+   * Get the configured storage provider
+   * @returns {LocalStorageProvider|S3StorageProvider} - Storage provider
+   */
+  getProvider() {
+    if (!this.provider) {
+      switch (this.driver) {
+        case STORAGE_DRIVERS.LOCAL:
+          this.provider = new LocalStorageProvider();
+          break;
+        case STORAGE_DRIVERS.S3:
+          this.provider = new S3StorageProvider();
+          break;
+        default:
+          throw new Error(`Unsupported storage driver: ${this.driver}`);
+      }
+
+      logger.info('Storage provider initialized', { driver: this.driver });
+    }
+
+    return this.provider;
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File contents
+   * @param {string} contentType - MIME type
+   */
+  async put(key, buffer, contentType) {
+    await this.getProvider().put(key, buffer, contentType);
+  }
+
+  /**
+   * Open a stored file for reading
+   * @param {string} key - Storage key
+   * @returns {Promise<ReadableStream>} - File stream
+   */
+  async getStream(key) {
+    return this.getProvider().getStream(key);
+  }
+
+  /**
+   * Read a stored file into memory
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer>} - File contents
+   */
+  async getBuffer(key) {
+    const stream = await this.getStream(key);
+    const chunks = [];
+
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Delete a stored file
+   * @param {string} key - Storage key
+   */
+  async delete(key) {
+    await this.getProvider().delete(key);
+  }
+}
+
+// Create singleton instance
+const storageService = new StorageService();
+
+module.exports = storageService;
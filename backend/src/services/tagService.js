@@ -0,0 +1,250 @@
+const teamService = require('./teamService');
+const { broadcastToTenant } = require('./websocketService');
+const { query, transaction } = require('../utils/database');
+const { AppError } = require('../middleware/errorHandler');
+const { ERROR_CODES, HTTP_STATUS, WEBSOCKET_EVENTS } = require('../utils/constants');
+
+class TagService {
+  /**
+   * List the tenant's tags with the number of chats carrying them
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Array>} - Tags
+   */
+  async listTags(tenantId) {
+    const result = await query(
+      `SELECT t.*, COUNT(ct.chat_id)::int as chat_count
+       FROM tags t
+       LEFT JOIN chat_tags ct ON ct.tag_id = t.id
+       WHERE t.tenant_id = $1
+       GROUP BY t.id
+       ORDER BY t.name`,
+      [tenantId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Create a tag
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} data - Validated tag data
+   * @returns {Promise<Object>} - Created tag
+   */
+  async createTag(tenantId, { name, color, description }) {
+    try {
+      const result = await query(
+        `INSERT INTO tags (tenant_id, name, color, description)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [tenantId, name, color, description || null]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      throw this.translateUniqueViolation(error);
+    }
+  }
+
+  /**
+   * Update a tag, the chats carrying it are broadcast with the new name and color
+   * @param {string} tagId - Tag ID
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} data - Validated fields to change
+   * @returns {Promise<Object>} - Updated tag
+   */
+  async updateTag(tagId, tenantId, { name, color, description }) {
+    let tag;
+
+    try {
+      const result = await query(
+        `UPDATE tags
+         SET name = COALESCE($3, name),
+             color = COALESCE($4, color),
+             description = CASE WHEN $5 THEN $6 ELSE description END
+         WHERE id = $1 AND tenant_id = $2
+         RETURNING *`,
+        [tagId, tenantId, name, color, description !== undefined, description || null]
+      );
+
+      tag = result.rows[0];
+    } catch (error) {
+      throw this.translateUniqueViolation(error);
+    }
+
+    if (!tag) {
+      throw new AppError('Tag not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+
+    if (name !== undefined || color !== undefined) {
+      const chatsResult = await query('SELECT chat_id FROM chat_tags WHERE tag_id = $1', [tagId]);
+      await this.broadcastChatTags(tenantId, chatsResult.rows.map(row => row.chat_id));
+    }
+
+    return tag;
+  }
+
+  /**
+   * Delete a tag and remove it from every chat
+   * @param {string} tagId - Tag ID
+   * @param {string} tenantId - Tenant ID
+   */
+  async deleteTag(tagId, tenantId) {
+    const chatIds = await transaction(async (client) => {
+      const chatsResult = await client.query('SELECT chat_id FROM chat_tags WHERE tag_id = $1', [tagId]);
+
+      const result = await client.query(
+        'DELETE FROM tags WHERE id = $1 AND tenant_id = $2 RETURNING id',
+        [tagId, tenantId]
+      );
+
+      if (result.rows.length === 0) {
+        throw new AppError('Tag not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+      }
+
+      return chatsResult.rows.map(row => row.chat_id);
+    });
+
+    await this.broadcastChatTags(tenantId, chatIds);
+  }
+
+  /**
+   * Add and remove tags on one or more chats the user can access
+   * @param {Object} user - User with id, role and tenantId
+   * @param {Array<string>} chatIds - Chat IDs
+   * @param {Object} changes - addTagIds and removeTagIds
+   * @returns {Promise<Map>} - Tags of each chat after the change
+   */
+  async tagChats(user, chatIds, { addTagIds = [], removeTagIds = [] }) {
+    const uniqueChatIds = [...new Set(chatIds)];
+
+    await transaction(async (client) => {
+      await this.assertChats(client, user, uniqueChatIds);
+      await this.assertTags(client, user.tenantId, [...addTagIds, ...removeTagIds]);
+
+      if (removeTagIds.length > 0) {
+        await client.query(
+          'DELETE FROM chat_tags WHERE chat_id = ANY($1::uuid[]) AND tag_id = ANY($2::uuid[])',
+          [uniqueChatIds, removeTagIds]
+        );
+      }
+
+      if (addTagIds.length > 0) {
+        await client.query(
+          `INSERT INTO chat_tags (chat_id, tag_id, tenant_id, created_by)
+           SELECT chat_id, tag_id, $3, $4
+           FROM unnest($1::uuid[]) chat_id
+           CROSS JOIN unnest($2::uuid[]) tag_id
+           ON CONFLICT (chat_id, tag_id) DO NOTHING`,
+          [uniqueChatIds, addTagIds, user.tenantId, user.id]
+        );
+      }
+    });
+
+    return this.broadcastChatTags(user.tenantId, uniqueChatIds);
+  }
+
+  /**
+   * Get the tags of chats
+   * @param {Array<string>} chatIds - Chat IDs
+   * @returns {Promise<Map>} - Tags of each chat, ordered by name
+   */
+  async getChatTags(chatIds) {
+    const tagsByChat = new Map(chatIds.map(chatId => [chatId, []]));
+    if (chatIds.length === 0) return tagsByChat;
+
+    const result = await query(
+      `SELECT ct.chat_id, t.id, t.name, t.color
+       FROM chat_tags ct
+       JOIN tags t ON ct.tag_id = t.id
+       WHERE ct.chat_id = ANY($1::uuid[])
+       ORDER BY t.name`,
+      [chatIds]
+    );
+
+    for (const { chat_id: chatId, ...tag } of result.rows) {
+      tagsByChat.get(chatId).push(tag);
+    }
+
+    return tagsByChat;
+  }
+
+  /**
+   * Send the current tags of chats to the tenant's dashboards
+   * @param {string} tenantId - Tenant ID
+   * @param {Array<string>} chatIds - Chat IDs
+   * @returns {Promise<Map>} - Tags of each chat
+   */
+  async broadcastChatTags(tenantId, chatIds) {
+    const tagsByChat = await this.getChatTags(chatIds);
+
+    for (const [chatId, tags] of tagsByChat) {
+      broadcastToTenant(tenantId, {
+        type: WEBSOCKET_EVENTS.CHAT_UPDATED,
+        chatId,
+        chat: { id: chatId, tags },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    return tagsByChat;
+  }
+
+  /**
+   * Make sure every chat belongs to the tenant and is accessible to the user
+   * @param {Object} client - Database client
+   * @param {Object} user - User with id, role and tenantId
+   * @param {Array<string>} chatIds - Chat IDs
+   */
+  async assertChats(client, user, chatIds) {
+    const accessCondition = teamService.getChatAccessCondition(user, '$3');
+
+    const result = await client.query(
+      `SELECT COUNT(*)::int as count FROM chats c
+       WHERE c.id = ANY($1::uuid[]) AND c.tenant_id = $2 AND ${accessCondition || 'TRUE'}`,
+      accessCondition ? [chatIds, user.tenantId, user.id] : [chatIds, user.tenantId]
+    );
+
+    if (result.rows[0].count !== chatIds.length) {
+      throw new AppError('Chat not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+  }
+
+  /**
+   * Make sure every tag belongs to the tenant
+   * @param {Object} client - Database client
+   * @param {string} tenantId - Tenant ID
+   * @param {Array<string>} tagIds - Tag IDs
+   */
+  async assertTags(client, tenantId, tagIds) {
+    const uniqueTagIds = [...new Set(tagIds)];
+    if (uniqueTagIds.length === 0) return;
+
+    const result = await client.query(
+      'SELECT COUNT(*)::int as count FROM tags WHERE id = ANY($1::uuid[]) AND tenant_id = $2',
+      [uniqueTagIds, tenantId]
+    );
+
+    if (result.rows[0].count !== uniqueTagIds.length) {
+      throw new AppError('Tag not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+  }
+
+  /**
+   * Turn a unique constraint violation into a conflict error
+   * @param {Error} error - Database error
+   * @returns {Error} - Error to throw
+   */
+  translateUniqueViolation(error) {
+    // Unique violation on (tenant_id, name)
+    if (error.code === '23505') {
+      return new AppError('A tag with this name already exists', HTTP_STATUS.CONFLICT, ERROR_CODES.RESOURCE_ALREADY_EXISTS);
+    }
+
+    return error;
+  }
+}
+
+// Create singleton instance
+const tagService = new TagService();
+
+module.exports = tagService;
@@ -0,0 +1,424 @@
+const { query, transaction } = require('../utils/database');
+const { AppError } = require('../middleware/errorHandler');
+const { ERROR_CODES, HTTP_STATUS, USER_ROLES } = require('../utils/constants');
+
+// Roles that see every chat of the tenant regardless of teams
+const UNRESTRICTED_ROLES = [USER_ROLES.ADMIN];
+
+class TeamService {
+  /**
+   * SQL condition limiting chats (aliased c) to those a user may access: chats
+   * assigned to them, of connections they created, of inboxes without a team
+   * or of inboxes owned by one of their teams. Chats of inboxes owned by other
+   * teams are not found.
+   * @param {Object} user - User with id and role
+   * @param {string} userParam - Query placeholder holding the user ID, e.g. $3
+   * @returns {string|null} - SQL condition, null when the user sees every chat
+   */
+  getChatAccessCondition(user, userParam) {
+    if (UNRESTRICTED_ROLES.includes(user.role)) {
+      return null;
+    }
+
+    return `(
+      c.assigned_user_id = ${userParam} OR
+      EXISTS (
+        SELECT 1
+        FROM social_connections access_sc
+        LEFT JOIN inboxes access_i ON access_sc.inbox_id = access_i.id
+        WHERE access_sc.id = c.social_connection_id AND (
+          access_sc.user_id = ${userParam} OR
+          access_i.team_id IS NULL OR
+          EXISTS (
+            SELECT 1 FROM team_members access_tm
+            WHERE access_tm.team_id = access_i.team_id AND access_tm.user_id = ${userParam}
+          )
+        )
+      )
+    )`;
+  }
+
+  /**
+   * Get a chat of the user's tenant, if the user may access it
+   * @param {Object} user - User with id, role and tenantId
+   * @param {string} chatId - Chat ID
+   * @returns {Promise<Object|null>} - Chat record, null when not found or not accessible
+   */
+  async findAccessibleChat(user, chatId) {
+    const accessCondition = this.getChatAccessCondition(user, '$3');
+
+    const result = await query(
+      `SELECT c.* FROM chats c
+       WHERE c.id = $1 AND c.tenant_id = $2 AND ${accessCondition || 'TRUE'}`,
+      accessCondition ? [chatId, user.tenantId, user.id] : [chatId, user.tenantId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get the team owning the inbox of a social connection
+   * @param {string} socialConnectionId - Social connection ID
+   * @param {Object} [client] - Database client
+   * @returns {Promise<string|null>} - Team ID
+   */
+  async getConnectionTeamId(socialConnectionId, client = null) {
+    const sql = `SELECT i.team_id
+                 FROM social_connections sc
+                 JOIN inboxes i ON sc.inbox_id = i.id
+                 WHERE sc.id = $1`;
+
+    const result = client
+      ? await client.query(sql, [socialConnectionId])
+      : await query(sql, [socialConnectionId]);
+
+    return result.rows[0]?.team_id || null;
+  }
+
+  /**
+   * List the tenant's teams with their members and inboxes
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Array>} - Teams
+   */
+  async listTeams(tenantId) {
+    const result = await query(
+      `SELECT t.*,
+        (
+          SELECT COALESCE(json_agg(json_build_object(
+            'id', u.id,
+            'first_name', u.first_name,
+            'last_name', u.last_name,
+            'email', u.email,
+            'role', u.role
+          ) ORDER BY u.first_name, u.last_name), '[]')
+          FROM team_members tm
+          JOIN users u ON tm.user_id = u.id
+          WHERE tm.team_id = t.id
+        ) as members,
+        (
+          SELECT COALESCE(json_agg(json_build_object('id', i.id, 'name', i.name) ORDER BY i.name), '[]')
+          FROM inboxes i
+          WHERE i.team_id = t.id
+        ) as inboxes
+       FROM teams t
+       WHERE t.tenant_id = $1
+       ORDER BY t.name`,
+      [tenantId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Get a team of the tenant
+   * @param {string} teamId - Team ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Object>} - Team
+   */
+  async findTeam(teamId, tenantId) {
+    const result = await query(
+      'SELECT * FROM teams WHERE id = $1 AND tenant_id = $2',
+      [teamId, tenantId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Team not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Create a team
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} data - Name, description and initial member IDs
+   * @returns {Promise<Object>} - Created team
+   */
+  async createTeam(tenantId, { name, description = null, memberIds = [] }) {
+    await this.assertUsers(tenantId, memberIds);
+
+    try {
+      return await transaction(async (client) => {
+        const result = await client.query(
+          `INSERT INTO teams (tenant_id, name, description)
+           VALUES ($1, $2, $3)
+           RETURNING *`,
+          [tenantId, name, description]
+        );
+
+        const team = result.rows[0];
+
+        if (memberIds.length > 0) {
+          await client.query(
+            `INSERT INTO team_members (team_id, user_id, tenant_id)
+             SELECT $1, user_id, $2 FROM unnest($3::uuid[]) AS user_id
+             ON CONFLICT DO NOTHING`,
+            [team.id, tenantId, memberIds]
+          );
+        }
+
+        return team;
+      });
+    } catch (error) {
+      throw this.translateUniqueViolation(error, 'A team with this name already exists');
+    }
+  }
+
+  /**
+   * Update a team's name and description
+   * @param {string} teamId - Team ID
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} - Updated team
+   */
+  async updateTeam(teamId, tenantId, { name, description }) {
+    const team = await this.findTeam(teamId, tenantId);
+
+    if (name === undefined && description === undefined) {
+      return team;
+    }
+
+    try {
+      const result = await query(
+        `UPDATE teams
+         SET name = COALESCE($3, name),
+             description = CASE WHEN $4 THEN $5 ELSE description END
+         WHERE id = $1 AND tenant_id = $2
+         RETURNING *`,
+        [teamId, tenantId, name || null, description !== undefined, description ?? null]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      throw this.translateUniqueViolation(error, 'A team with this name already exists');
+    }
+  }
+
+  /**
+   * Delete a team, its inboxes become visible to the whole tenant
+   * @param {string} teamId - Team ID
+   * @param {string} tenantId - Tenant ID
+   */
+  async deleteTeam(teamId, tenantId) {
+    const result = await query(
+      'DELETE FROM teams WHERE id = $1 AND tenant_id = $2 RETURNING id',
+      [teamId, tenantId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Team not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+  }
+
+  /**
+   * Add a user to a team
+   * @param {string} teamId - Team ID
+   * @param {string} userId - User ID
+   * @param {string} tenantId - Tenant ID
+   */
+  async addMember(teamId, userId, tenantId) {
+    await this.findTeam(teamId, tenantId);
+    await this.assertUsers(tenantId, [userId]);
+
+    await query(
+      `INSERT INTO team_members (team_id, user_id, tenant_id)
+       VALUES ($1, $2, $3)
+       ON CONFLICT DO NOTHING`,
+      [teamId, userId, tenantId]
+    );
+  }
+
+  /**
+   * Remove a user from a team
+   * @param {string} teamId - Team ID
+   * @param {string} userId - User ID
+   * @param {string} tenantId - Tenant ID
+   */
+  async removeMember(teamId, userId, tenantId) {
+    const result = await query(
+      'DELETE FROM team_members WHERE team_id = $1 AND user_id = $2 AND tenant_id = $3 RETURNING user_id',
+      [teamId, userId, tenantId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Team member not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+  }
+
+  /**
+   * List the tenant's inboxes with their team and connections
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Array>} - Inboxes
+   */
+  async listInboxes(tenantId) {
+    const result = await query(
+      `SELECT i.*, t.name as team_name,
+        (
+          SELECT COALESCE(json_agg(json_build_object(
+            'id', sc.id,
+            'platform', sc.platform,
+            'account_name', sc.account_name
+          ) ORDER BY sc.account_name), '[]')
+          FROM social_connections sc
+          WHERE sc.inbox_id = i.id
+        ) as social_connections
+       FROM inboxes i
+       LEFT JOIN teams t ON i.team_id = t.id
+       WHERE i.tenant_id = $1
+       ORDER BY i.name`,
+      [tenantId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Create an inbox and move connections into it
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} data - Name, owning team and social connection IDs
+   * @returns {Promise<Object>} - Created inbox
+   */
+  async createInbox(tenantId, { name, teamId = null, socialConnectionIds = [] }) {
+    if (teamId) {
+      await this.findTeam(teamId, tenantId);
+    }
+
+    try {
+      return await transaction(async (client) => {
+        const result = await client.query(
+          `INSERT INTO inboxes (tenant_id, name, team_id)
+           VALUES ($1, $2, $3)
+           RETURNING *`,
+          [tenantId, name, teamId]
+        );
+
+        const inbox = result.rows[0];
+        await this.setInboxConnections(client, inbox, socialConnectionIds);
+
+        return inbox;
+      });
+    } catch (error) {
+      throw this.translateUniqueViolation(error, 'An inbox with this name already exists');
+    }
+  }
+
+  /**
+   * Update an inbox's name, owning team or connections
+   * @param {string} inboxId - Inbox ID
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} data - Fields to change, socialConnectionIds replaces the connections
+   * @returns {Promise<Object>} - Updated inbox
+   */
+  async updateInbox(inboxId, tenantId, { name, teamId, socialConnectionIds }) {
+    if (teamId) {
+      await this.findTeam(teamId, tenantId);
+    }
+
+    try {
+      return await transaction(async (client) => {
+        const result = await client.query(
+          `UPDATE inboxes
+           SET name = COALESCE($3, name),
+               team_id = CASE WHEN $4 THEN $5::uuid ELSE team_id END
+           WHERE id = $1 AND tenant_id = $2
+           RETURNING *`,
+          [inboxId, tenantId, name || null, teamId !== undefined, teamId ?? null]
+        );
+
+        if (result.rows.length === 0) {
+          throw new AppError('Inbox not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+        }
+
+        const inbox = result.rows[0];
+
+        if (socialConnectionIds) {
+          await client.query(
+            'UPDATE social_connections SET inbox_id = NULL WHERE inbox_id = $1 AND NOT (id = ANY($2::uuid[]))',
+            [inbox.id, socialConnectionIds]
+          );
+          await this.setInboxConnections(client, inbox, socialConnectionIds);
+        }
+
+        return inbox;
+      });
+    } catch (error) {
+      throw this.translateUniqueViolation(error, 'An inbox with this name already exists');
+    }
+  }
+
+  /**
+   * Delete an inbox, its connections are kept outside any inbox
+   * @param {string} inboxId - Inbox ID
+   * @param {string} tenantId - Tenant ID
+   */
+  async deleteInbox(inboxId, tenantId) {
+    const result = await query(
+      'DELETE FROM inboxes WHERE id = $1 AND tenant_id = $2 RETURNING id',
+      [inboxId, tenantId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Inbox not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+  }
+
+  /**
+   * Move social connections into an inbox, a connection belongs to one inbox
+   * @param {Object} client - Database client
+   * @param {Object} inbox - Inbox record
+   * @param {Array<string>} socialConnectionIds - Social connection IDs
+   */
+  async setInboxConnections(client, inbox, socialConnectionIds) {
+    if (socialConnectionIds.length === 0) return;
+
+    const result = await client.query(
+      `UPDATE social_connections
+       SET inbox_id = $1, updated_at = NOW()
+       WHERE id = ANY($2::uuid[]) AND tenant_id = $3
+       RETURNING id`,
+      [inbox.id, socialConnectionIds, inbox.tenant_id]
+    );
+
+    if (result.rows.length !== new Set(socialConnectionIds).size) {
+      throw new AppError('Social connection not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+  }
+
+  /**
+   * Make sure users belong to the tenant
+   * @param {string} tenantId - Tenant ID
+   * @param {Array<string>} userIds - User IDs
+   */
+  async assertUsers(tenantId, userIds) {
+    if (userIds.length === 0) return;
+
+    const result = await query(
+      'SELECT COUNT(*)::int as count FROM users WHERE id = ANY($1::uuid[]) AND tenant_id = $2',
+      [userIds, tenantId]
+    );
+
+    if (result.rows[0].count !== new Set(userIds).size) {
+      throw new AppError('User not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+  }
+
+  /**
+   * Turn a unique constraint violation into a conflict error
+   * @param {Error} error - Database error
+   * @param {string} message - Conflict message
+   * @returns {Error} - Error to throw
+   */
+  translateUniqueViolation(error, message) {
+    // Unique violation on (tenant_id, name)
+    if (error.code === '23505') {
+      return new AppError(message, HTTP_STATUS.CONFLICT, ERROR_CODES.RESOURCE_ALREADY_EXISTS);
+    }
+
+    return error;
+  }
+}
+
+// Create singleton instance
+const teamService = new TeamService();
+
+module.exports = teamService;
@@ -0,0 +1,1122 @@
+const metaApiService = require('./metaApiService');
+const messageDeliveryService = require('./messageDeliveryService');
+const mediaService = require('./mediaService');
+const whatsappTemplateService = require('./whatsappTemplateService');
+const customerProfileService = require('./customerProfileService');
+const contactService = require('./contactService');
+const conversationService = require('./conversationService');
+const routingService = require('./routingService');
+const slaService = require('./slaService');
+const messageChangeService = require('./messageChangeService');
+const instagramCommentService = require('./instagramCommentService');
+const encryptionService = require('./encryptionService');
+const { broadcastToChat, broadcastToTenant } = require('./websocketService');
+const { query, transaction } = require('../utils/database');
+const { publishMessage, claimKey, deleteCache } = require('../utils/redis');
+const logger = require('../utils/logger');
+const {
+  APP_CONSTANTS,
+  CHAT_KINDS,
+  ERROR_CODES,
+  HTTP_STATUS,
+  REDIS_KEYS,
+  WEBSOCKET_EVENTS,
+  MESSAGE_TYPES,
+  MESSAGE_SENDERS,
+  PLATFORMS,
+  MESSAGE_STATUS,
+  WEBHOOK_EVENT_STATUS,
+  WEBHOOK_SIGNATURE,
+} = require('../utils/constants');
+const { AppError } = require('../middleware/errorHandler');
+
+const WORKER_CONFIG = APP_CONSTANTS.WEBHOOK_WORKER;
+
+/**
+ * Condition matching events that refer to a tenant's pages, accounts, phone
+ * numbers or WhatsApp Business Accounts (template updates are sent per WABA)
+ * @param {string} column - Account IDs column
+ * @param {string} param - Parameter placeholder of the tenant ID
+ * @returns {string} - SQL condition
+ */
+const getTenantCondition = (column, param) => `${column} && ARRAY(
+  SELECT platform_account_id FROM social_connections WHERE tenant_id = ${param}
+  UNION
+  SELECT business_account_id FROM social_connections
+  WHERE tenant_id = ${param} AND business_account_id IS NOT NULL
+)::TEXT[]`;
+
+class WebhookEventService {
+  constructor() {
+    this.pollTimer = null;
+    this.isProcessing = false;
+  }
+
+  /**
+   * Persist a raw webhook payload for asynchronous processing
+   * @param {Object} payload - Webhook request body
+   * @returns {Promise<Object>} - Webhook event record
+   */
+  async recordEvent(payload) {
+    const result = await query(
+      `INSERT INTO webhook_events (object, account_ids, payload)
+       VALUES ($1, $2, $3)
+       RETURNING id, object, status, received_at`,
+      [payload.object || null, this.extractAccountIds(payload), JSON.stringify(payload)]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Keep a webhook that failed verification as an audit record. Its body is
+   * not authenticated, so it is not attributed to the accounts it names.
+   * @param {Object} payload - Parsed webhook request body
+   * @param {string} reason - Rejection reason
+   * @param {string} sourceIp - Sender IP address
+   * @returns {Promise<Object>} - Webhook event record
+   */
+  async recordRejectedEvent(payload, reason, sourceIp) {
+    const body = payload && typeof payload === 'object' ? payload : {};
+    const serialized = JSON.stringify(body);
+
+    // Unauthenticated senders must not fill the table, large bodies are
+    // replaced by their size
+    const storedPayload = serialized.length > WEBHOOK_SIGNATURE.MAX_REJECTED_PAYLOAD_SIZE
+      ? JSON.stringify({ truncated: true, size: serialized.length })
+      : serialized;
+
+    const result = await query(
+      `INSERT INTO webhook_events (object, payload, status, rejection_reason, source_ip)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, object, status, rejection_reason, received_at`,
+      [
+        typeof body.object === 'string' ? body.object : null,
+        storedPayload,
+        WEBHOOK_EVENT_STATUS.REJECTED,
+        reason,
+        sourceIp || null,
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Count the webhooks rejected during the last 24 hours per reason. Rejected
+   * webhooks belong to no tenant, the counts cover the whole endpoint.
+   * @returns {Promise<Object>} - Counts per reason
+   */
+  async getRejectionSummary() {
+    const countsResult = await query(
+      `SELECT rejection_reason, COUNT(*)::int as count
+       FROM webhook_events
+       WHERE status = $1 AND received_at > NOW() - INTERVAL '24 hours'
+       GROUP BY rejection_reason`,
+      [WEBHOOK_EVENT_STATUS.REJECTED]
+    );
+
+    return {
+      last24Hours: countsResult.rows,
+    };
+  }
+
+  /**
+   * Collect the page, Instagram and WhatsApp IDs a payload refers to
+   * @param {Object} payload - Webhook request body
+   * @returns {Array<string>} - Account IDs
+   */
+  extractAccountIds(payload) {
+    const accountIds = new Set();
+
+    const entries = Array.isArray(payload.entry) ? payload.entry : [];
+
+    for (const entry of entries) {
+      if (entry?.id) {
+        accountIds.add(String(entry.id));
+      }
+
+      for (const change of Array.isArray(entry?.changes) ? entry.changes : []) {
+        const phoneNumberId = change?.value?.metadata?.phone_number_id;
+        if (phoneNumberId) {
+          accountIds.add(String(phoneNumberId));
+        }
+      }
+    }
+
+    return [...accountIds];
+  }
+
+  /**
+   * Start the webhook worker
+   */
+  start() {
+    if (this.pollTimer) return;
+
+    this.pollTimer = setInterval(() => this.poll(), WORKER_CONFIG.POLL_INTERVAL);
+    logger.info('Webhook worker started', { pollInterval: WORKER_CONFIG.POLL_INTERVAL });
+  }
+
+  /**
+   * Stop the webhook worker
+   */
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+      logger.info('Webhook worker stopped');
+    }
+  }
+
+  /**
+   * Process a batch of pending webhook events
+   */
+  async poll() {
+    // Skip the tick while the previous batch is still being processed
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      await this.releaseStaleEvents();
+
+      const events = await this.claimPendingEvents();
+
+      for (const event of events) {
+        await this.processEvent(event);
+      }
+    } catch (error) {
+      logger.error('Webhook worker poll failed:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Put events back to pending when the worker that claimed them died
+   */
+  async releaseStaleEvents() {
+    const result = await query(
+      `UPDATE webhook_events
+       SET status = $1
+       WHERE status = $2 AND updated_at < NOW() - ($3 * INTERVAL '1 millisecond')`,
+      [WEBHOOK_EVENT_STATUS.PENDING, WEBHOOK_EVENT_STATUS.PROCESSING, WORKER_CONFIG.STALE_PROCESSING_TIMEOUT]
+    );
+
+    if (result.rowCount > 0) {
+      logger.warn('Released stale webhook events', { count: result.rowCount });
+    }
+  }
+
+  /**
+   * Claim the oldest pending events, skipping those claimed by other instances
+   * @returns {Promise<Array>} - Claimed webhook events
+   */
+  async claimPendingEvents() {
+    const result = await query(
+      `UPDATE webhook_events
+       SET status = $1, attempts = attempts + 1
+       WHERE id IN (
+         SELECT id FROM webhook_events
+         WHERE status = $2 AND (next_attempt_at IS NULL OR next_attempt_at <= NOW())
+         ORDER BY received_at
+         LIMIT $3
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [WEBHOOK_EVENT_STATUS.PROCESSING, WEBHOOK_EVENT_STATUS.PENDING, WORKER_CONFIG.BATCH_SIZE]
+    );
+
+    return result.rows.sort((a, b) => new Date(a.received_at) - new Date(b.received_at));
+  }
+
+  /**
+   * Process a stored webhook event and record the outcome
+   * @param {Object} event - Webhook event record
+   */
+  async processEvent(event) {
+    try {
+      for (const entry of event.payload.entry || []) {
+        await this.processWebhookEntry(entry, event.object);
+      }
+
+      await query(
+        `UPDATE webhook_events
+         SET status = $1, error_message = NULL, processed_at = NOW()
+         WHERE id = $2`,
+        [WEBHOOK_EVENT_STATUS.PROCESSED, event.id]
+      );
+
+      logger.logWebhook('Meta', 'Webhook event processed', {
+        eventId: event.id,
+        object: event.object,
+        attempts: event.attempts,
+      });
+    } catch (error) {
+      // Temporary database or Redis errors are retried with backoff, events
+      // failing every attempt wait for a manual replay
+      if (event.attempts < WORKER_CONFIG.MAX_ATTEMPTS) {
+        const delay = this.getRetryDelay(event.attempts);
+
+        await query(
+          `UPDATE webhook_events
+           SET status = $1, error_message = $2,
+               next_attempt_at = NOW() + ($3 * INTERVAL '1 millisecond')
+           WHERE id = $4`,
+          [WEBHOOK_EVENT_STATUS.PENDING, error.message, delay, event.id]
+        );
+
+        logger.warn('Webhook event processing will be retried', {
+          eventId: event.id,
+          object: event.object,
+          attempts: event.attempts,
+          delay,
+          error: error.message,
+        });
+        return;
+      }
+
+      await query(
+        'UPDATE webhook_events SET status = $1, error_message = $2, next_attempt_at = NULL WHERE id = $3',
+        [WEBHOOK_EVENT_STATUS.FAILED, error.message, event.id]
+      );
+
+      logger.error('Webhook event processing failed', {
+        eventId: event.id,
+        object: event.object,
+        attempts: event.attempts,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Calculate the delay before an event is processed again
+   * @param {number} attempts - Number of attempts made so far
+   * @returns {number} - Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    return Math.min(
+      WORKER_CONFIG.BASE_RETRY_DELAY * Math.pow(2, attempts - 1),
+      WORKER_CONFIG.MAX_RETRY_DELAY
+    );
+  }
+
+  /**
+   * List webhook events that refer to a tenant's social connections. A
+   * delivery of the shared platform app can carry entries of several
+   * tenants, only the tenant's own entries are returned.
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} filters - Status and pagination filters
+   * @returns {Promise<Object>} - Events and total count
+   */
+  async listEvents(tenantId, { status, limit = 50, offset = 0 } = {}) {
+    const params = [tenantId];
+    let statusCondition = '';
+
+    if (status) {
+      params.push(status);
+      statusCondition = `AND we.status = $${params.length}`;
+    }
+
+    const tenantCondition = getTenantCondition('we.account_ids', '$1');
+
+    const countResult = await query(
+      `SELECT COUNT(*) FROM webhook_events we
+       WHERE ${tenantCondition} ${statusCondition}`,
+      params
+    );
+
+    const eventsResult = await query(
+      `SELECT we.id, we.object, we.account_ids, we.status, we.attempts,
+              we.error_message, we.received_at, we.processed_at, we.payload
+       FROM webhook_events we
+       WHERE ${tenantCondition} ${statusCondition}
+       ORDER BY we.received_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const tenantAccountIds = await this.getTenantAccountIds(tenantId);
+
+    return {
+      events: eventsResult.rows.map(event => this.scopeEventToTenant(event, tenantAccountIds)),
+      total: parseInt(countResult.rows[0].count),
+    };
+  }
+
+  /**
+   * Get the page, account, phone number and WhatsApp Business Account IDs of a tenant
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Set<string>>} - Account IDs
+   */
+  async getTenantAccountIds(tenantId) {
+    const result = await query(
+      `SELECT platform_account_id as account_id FROM social_connections WHERE tenant_id = $1
+       UNION
+       SELECT business_account_id FROM social_connections
+       WHERE tenant_id = $1 AND business_account_id IS NOT NULL`,
+      [tenantId]
+    );
+
+    return new Set(result.rows.map(row => row.account_id));
+  }
+
+  /**
+   * Strip the entries and account IDs of other tenants from a webhook event
+   * @param {Object} event - Webhook event record
+   * @param {Set<string>} tenantAccountIds - Account IDs of the tenant
+   * @returns {Object} - Webhook event with the tenant's entries only
+   */
+  scopeEventToTenant(event, tenantAccountIds) {
+    const { payload } = event;
+
+    // An entry is the tenant's when every account it refers to is
+    const entry = Array.isArray(payload?.entry)
+      ? payload.entry.filter(item => {
+        const accountIds = this.extractAccountIds({ entry: [item] });
+        return accountIds.length > 0 && accountIds.every(accountId => tenantAccountIds.has(accountId));
+      })
+      : payload?.entry;
+
+    return {
+      ...event,
+      account_ids: event.account_ids.filter(accountId => tenantAccountIds.has(accountId)),
+      payload: entry === undefined ? payload : { ...payload, entry },
+    };
+  }
+
+  /**
+   * Queue a failed webhook event for processing again
+   * @param {string} eventId - Webhook event ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Object>} - Updated webhook event
+   */
+  async replayEvent(eventId, tenantId) {
+    const result = await query(
+      `UPDATE webhook_events we
+       SET status = $1, error_message = NULL, next_attempt_at = NULL
+       WHERE we.id = $2
+         AND we.status = $3
+         AND ${getTenantCondition('we.account_ids', '$4')}
+       RETURNING we.id, we.object, we.status, we.attempts, we.received_at`,
+      [WEBHOOK_EVENT_STATUS.PENDING, eventId, WEBHOOK_EVENT_STATUS.FAILED, tenantId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError(
+        'Failed webhook event not found',
+        HTTP_STATUS.NOT_FOUND,
+        ERROR_CODES.RESOURCE_NOT_FOUND
+      );
+    }
+
+    logger.logWebhook('Meta', 'Webhook event replay requested', { eventId, tenantId });
+
+    return result.rows[0];
+  }
+
+  /**
+   * Process individual webhook entry
+   * @param {Object} entry - Webhook entry
+   */
+  async processWebhookEntry(entry, object) {
+    // Extract messages from the entry
+    const messages = metaApiService.processWebhookMessages(entry, object);
+
+    for (const messageData of messages) {
+      await this.processIncomingMessage(messageData);
+    }
+
+    // Extract delivery and read receipts from the entry
+    const statuses = metaApiService.processWebhookStatuses(entry, object);
+
+    for (const statusData of statuses) {
+      await this.processStatusUpdate(statusData);
+    }
+
+    // Extract reactions, edits and unsends of earlier messages
+    const changes = metaApiService.processWebhookMessageChanges(entry, object);
+
+    for (const changeData of changes) {
+      await this.processMessageChange(changeData);
+    }
+
+    // Instagram comments and mentions go to the comment chat of their author
+    const comments = metaApiService.processWebhookComments(entry, object);
+
+    for (const commentData of comments) {
+      const messageData = commentData.mention
+        ? await instagramCommentService.resolveMention(commentData)
+        : commentData;
+
+      if (messageData) {
+        await this.processIncomingMessage(messageData);
+      }
+    }
+
+    // WhatsApp reports template reviews on the Business Account entry
+    for (const change of entry.changes || []) {
+      if (change.field === 'message_template_status_update') {
+        await whatsappTemplateService.applyStatusUpdate(entry.id, change.value);
+      }
+    }
+  }
+
+  /**
+   * Process incoming message from webhook
+   * @param {Object} messageData - Processed message data
+   */
+  async processIncomingMessage(messageData) {
+    const dedupeKey = messageData.messageId
+      ? `${REDIS_KEYS.WEBHOOK_PROCESSING}${messageData.platform}:${messageData.messageId}`
+      : null;
+
+    // Meta redelivers webhooks, skip messages another delivery already claimed
+    if (dedupeKey && !(await claimKey(dedupeKey, WORKER_CONFIG.DEDUPE_TTL))) {
+      logger.logWebhook(messageData.platform, 'Duplicate message skipped', {
+        platformMessageId: messageData.messageId,
+      });
+      return;
+    }
+
+    let processed;
+
+    try {
+      processed = await transaction(async (client) => {
+        // Find the social connection for this platform account
+        const connectionResult = await client.query(
+          `SELECT sc.*, t.is_active as tenant_active
+           FROM social_connections sc
+           JOIN tenants t ON sc.tenant_id = t.id
+           WHERE sc.platform = $1 AND sc.platform_account_id = $2 AND sc.is_active = true`,
+          [messageData.platform, messageData.pageId || messageData.phoneNumberId]
+        );
+
+        if (connectionResult.rows.length === 0) {
+          logger.warn('No active social connection found for message', {
+            platform: messageData.platform,
+            accountId: messageData.pageId || messageData.phoneNumberId,
+          });
+          return null;
+        }
+
+        const connection = connectionResult.rows[0];
+
+        if (!connection.tenant_active) {
+          logger.warn('Message received for inactive tenant', {
+            tenantId: connection.tenant_id,
+            platform: messageData.platform,
+          });
+          return null;
+        }
+
+        // Caption mentions only know the username, their chat moves to the ID with the first comment
+        if (messageData.comment?.username && !messageData.senderId.startsWith('@')) {
+          await instagramCommentService.adoptUsernameChat(
+            client,
+            connection,
+            messageData.senderId,
+            messageData.comment.username
+          );
+        }
+
+        // Find or create chat
+        let chat = await this.findOrCreateChat(client, connection, messageData);
+
+        // The claim expires, so also check for a stored copy of the message
+        if (messageData.messageId) {
+          const existingResult = await client.query(
+            'SELECT id FROM messages WHERE chat_id = $1 AND platform_message_id = $2',
+            [chat.id, messageData.messageId]
+          );
+
+          if (existingResult.rows.length > 0) {
+            logger.logWebhook(messageData.platform, 'Duplicate message skipped', {
+              chatId: chat.id,
+              platformMessageId: messageData.messageId,
+            });
+            return null;
+          }
+        }
+
+        // A customer writing to a closed chat reopens or starts a conversation
+        const resolved = await conversationService.resolveForInbound(client, chat, messageData.timestamp);
+        chat = resolved.chat;
+
+        // New and reopened conversations nobody handles go through the tenant's routing rules
+        let assignment = null;
+
+        if (resolved.action !== 'continued' && !chat.assigned_user_id) {
+          const routed = await routingService.routeChat(
+            client,
+            chat,
+            resolved.conversation,
+            connection,
+            resolved.action
+          );
+
+          if (routed) {
+            chat = routed.chat;
+            assignment = routed.assignment;
+          }
+        }
+
+        // Start the SLA timers waiting for an agent's answer
+        const conversation = await slaService.onInboundMessage(
+          client,
+          chat,
+          resolved.conversation,
+          connection,
+          messageData.timestamp
+        );
+
+        // Create message record
+        const message = await this.createMessage(client, chat, messageData, conversation);
+
+        // Update chat last interaction, a customer message also reopens the messaging window
+        await client.query(
+          `UPDATE chats
+           SET last_interaction = $1,
+               last_inbound_at = GREATEST(COALESCE(last_inbound_at, $1), $1),
+               updated_at = NOW()
+           WHERE id = $2`,
+          [messageData.timestamp, chat.id]
+        );
+
+        return { connection, chat, message, assignment };
+      });
+    } catch (error) {
+      // Release the claim so a replay can process the message again
+      if (dedupeKey) {
+        await deleteCache(dedupeKey);
+      }
+
+      logger.error('Message processing error:', error);
+      throw error;
+    }
+
+    if (!processed) return;
+
+    const { connection, assignment } = processed;
+    let { chat, message } = processed;
+
+    if (assignment && assignment.assigned_user_id) {
+      routingService.broadcastAssignment(assignment);
+    }
+
+    // Look up who the customer is outside the transaction, like the media below
+    chat = await customerProfileService.enrichChat(chat, connection, messageData);
+
+    // Download media outside the transaction, the message is kept even
+    // when the platform URL has expired or the download fails
+    const media = mediaService.getInboundMedia(messageData);
+
+    if (media) {
+      try {
+        const accessToken = encryptionService.decrypt(connection.encrypted_access_token);
+        message = await mediaService.storeInboundMedia(message, media, accessToken);
+      } catch (error) {
+        logger.error('Inbound media download failed', {
+          messageId: message.id,
+          platform: messageData.platform,
+          error: error.message,
+        });
+      }
+    }
+
+    // Broadcast message via WebSocket, with the snippet of the message it replies to
+    const replyTo = message.reply_to_message_id
+      ? await this.getQuotedMessage(message.reply_to_message_id)
+      : null;
+
+    this.broadcastNewMessage(chat, message, connection.tenant_id, replyTo);
+
+    logger.logWebhook(messageData.platform, 'Message processed', {
+      chatId: chat.id,
+      messageId: message.id,
+      tenantId: connection.tenant_id,
+    });
+  }
+
+  /**
+   * Find existing chat or create new one
+   * @param {Object} client - Database client
+   * @param {Object} connection - Social connection
+   * @param {Object} messageData - Message data
+   * @returns {Object} - Chat record
+   */
+  async findOrCreateChat(client, connection, messageData) {
+    const platformChatId = messageData.senderId; // Customer ID becomes chat ID
+    const customerName = messageData.senderName || customerProfileService.getPlaceholderName(platformChatId);
+    // Comments of a customer get a chat of their own next to the direct messages
+    const kind = messageData.chatKind || CHAT_KINDS.DIRECT;
+
+    // Try to find existing chat
+    let chatResult = await client.query(
+      'SELECT * FROM chats WHERE social_connection_id = $1 AND platform_chat_id = $2 AND kind = $3',
+      [connection.id, platformChatId, kind]
+    );
+
+    if (chatResult.rows.length > 0 && chatResult.rows[0].contact_id) {
+      return chatResult.rows[0];
+    }
+
+    // Every customer belongs to a contact, shared by their chats on other platforms
+    const contactId = await contactService.findOrCreateForPlatformUser(client, connection, platformChatId, {
+      name: customerName,
+      phone: connection.platform === PLATFORMS.WHATSAPP ? `+${platformChatId}` : null,
+    });
+
+    // Chats created before contacts existed, or whose contact was deleted
+    if (chatResult.rows.length > 0) {
+      const linkedResult = await client.query(
+        'UPDATE chats SET contact_id = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+        [contactId, chatResult.rows[0].id]
+      );
+
+      return linkedResult.rows[0];
+    }
+
+    // Create new chat
+    const newChatResult = await client.query(
+      `INSERT INTO chats (
+        social_connection_id,
+        tenant_id,
+        contact_id,
+        platform_chat_id,
+        kind,
+        status,
+        customer_name,
+        last_interaction
+      ) VALUES ($1, $2, $3, $4, $5, 'open', $6, $7)
+      RETURNING *`,
+      [
+        connection.id,
+        connection.tenant_id,
+        contactId,
+        platformChatId,
+        kind,
+        customerName,
+        messageData.timestamp,
+      ]
+    );
+
+    const newChat = newChatResult.rows[0];
+
+    logger.info('New chat created from webhook', {
+      chatId: newChat.id,
+      platform: messageData.platform,
+      customerId: platformChatId,
+      contactId,
+      tenantId: connection.tenant_id,
+    });
+
+    return newChat;
+  }
+
+  /**
+   * Create message record
+   * @param {Object} client - Database client
+   * @param {Object} chat - Chat record
+   * @param {Object} messageData - Message data
+   * @param {Object} conversation - Conversation the message belongs to
+   * @returns {Object} - Message record
+   */
+  async createMessage(client, chat, messageData, conversation) {
+    const metadata = {};
+
+    if (messageData.attachments && messageData.attachments.length > 0) {
+      metadata.attachments = messageData.attachments;
+    }
+
+    // The option the customer picked from a quick reply, button or list
+    if (messageData.reply) {
+      metadata.interactiveReply = messageData.reply;
+    }
+
+    // Shared locations, contact cards, stickers and Instagram comments and
+    // stories are rendered from their metadata
+    for (const key of ['location', 'contacts', 'sticker', 'comment', 'story']) {
+      if (messageData[key]) {
+        metadata[key] = messageData[key];
+      }
+    }
+
+    // Kept even when the quoted message is not stored, e.g. older than the connection
+    if (messageData.replyToId) {
+      metadata.replyToPlatformMessageId = messageData.replyToId;
+    }
+
+    const messageResult = await client.query(
+      `INSERT INTO messages (
+        chat_id,
+        conversation_id,
+        tenant_id,
+        platform_message_id,
+        message_type,
+        direction,
+        sender_type,
+        content,
+        media_url,
+        metadata,
+        created_at,
+        reply_to_message_id
+      ) VALUES (
+        $1, $2, $3, $4, $5, 'inbound', $6, $7, $8, $9, $10,
+        (SELECT id FROM messages WHERE chat_id = $1 AND platform_message_id = $11 ORDER BY created_at LIMIT 1)
+      )
+      RETURNING *`,
+      [
+        chat.id,
+        conversation.id,
+        chat.tenant_id,
+        messageData.messageId || null,
+        this.getMessageType(messageData),
+        MESSAGE_SENDERS.CUSTOMER,
+        messageData.text || messageData.title || null,
+        messageData.attachments?.[0]?.payload?.url || null,
+        JSON.stringify(metadata),
+        messageData.timestamp,
+        messageData.replyToId || null,
+      ]
+    );
+
+    return messageResult.rows[0];
+  }
+
+  /**
+   * Determine the stored message type of an incoming message
+   * @param {Object} messageData - Message data
+   * @returns {string} - Message type
+   */
+  getMessageType(messageData) {
+    if (messageData.reply) {
+      return MESSAGE_TYPES.INTERACTIVE;
+    }
+
+    // Checked before the attachments, Messenger sends locations and stickers as attachments
+    if (messageData.location) {
+      return MESSAGE_TYPES.LOCATION;
+    }
+
+    if (messageData.contacts) {
+      return MESSAGE_TYPES.CONTACT;
+    }
+
+    if (messageData.sticker) {
+      return MESSAGE_TYPES.STICKER;
+    }
+
+    if (messageData.attachments && messageData.attachments.length > 0) {
+      return this.getMessageTypeFromAttachments(messageData.attachments);
+    }
+
+    // WhatsApp calls files documents
+    if (messageData.type === 'document') {
+      return MESSAGE_TYPES.FILE;
+    }
+
+    if (Object.values(MESSAGE_TYPES).includes(messageData.type)) {
+      return messageData.type;
+    }
+
+    return MESSAGE_TYPES.TEXT;
+  }
+
+  /**
+   * Determine message type from attachments
+   * @param {Array} attachments - Message attachments
+   * @returns {string} - Message type
+   */
+  getMessageTypeFromAttachments(attachments) {
+    if (!attachments || attachments.length === 0) {
+      return MESSAGE_TYPES.TEXT;
+    }
+
+    const firstAttachment = attachments[0];
+    const type = firstAttachment.type?.toLowerCase();
+
+    switch (type) {
+      case 'image':
+        return MESSAGE_TYPES.IMAGE;
+      case 'audio':
+        return MESSAGE_TYPES.AUDIO;
+      case 'video':
+        return MESSAGE_TYPES.VIDEO;
+      case 'file':
+        return MESSAGE_TYPES.FILE;
+      // Instagram story mentions, the downloaded media tells whether it is a video
+      case 'story_mention':
+        return MESSAGE_TYPES.IMAGE;
+      default:
+        return MESSAGE_TYPES.TEXT;
+    }
+  }
+
+  /**
+   * Get the snippet of a quoted message
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object|null>} - Quoted message as returned in reply_to of message lists
+   */
+  async getQuotedMessage(messageId) {
+    const result = await query(
+      `SELECT id, LEFT(content, $2) as content, message_type as "messageType",
+              direction, sender_type as "senderType", metadata ? 'unsentAt' as unsent
+       FROM messages
+       WHERE id = $1`,
+      [messageId, APP_CONSTANTS.QUOTED_MESSAGE_LENGTH]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Broadcast new message via WebSocket
+   * @param {Object} chat - Chat record
+   * @param {Object} message - Message record
+   * @param {string} tenantId - Tenant ID
+   * @param {Object|null} [replyTo] - Snippet of the message replied to
+   */
+  broadcastNewMessage(chat, message, tenantId, replyTo = null) {
+    const messagePayload = {
+      type: WEBSOCKET_EVENTS.NEW_MESSAGE,
+      chatId: chat.id,
+      message: {
+        id: message.id,
+        text: message.content,
+        content: message.content,
+        type: message.message_type,
+        direction: message.direction,
+        sender: message.sender_type,
+        senderId: message.sender_id,
+        conversationId: message.conversation_id,
+        timestamp: message.created_at,
+        createdAt: message.created_at,
+        attachments: message.metadata?.attachments || null,
+        metadata: message.metadata || {},
+        replyTo,
+        mediaUrl: message.media_url,
+        mediaType: message.media_type,
+        mediaSize: message.media_size,
+      },
+      chat: {
+        id: chat.id,
+        status: chat.status,
+        customerName: chat.customer_name,
+        customerAvatarUrl: chat.customer_avatar_url,
+        lastInteraction: chat.last_interaction,
+      },
+      timestamp: new Date().toISOString(),
+    };
+
+    // Broadcast to chat participants
+    broadcastToChat(chat.id, messagePayload);
+
+    // Also broadcast to tenant for dashboard updates
+    broadcastToTenant(tenantId, {
+      type: WEBSOCKET_EVENTS.CHAT_UPDATED,
+      chatId: chat.id,
+      lastMessage: messagePayload.message,
+      timestamp: new Date().toISOString(),
+    });
+
+    // Publish to Redis for background processing (notifications, etc.)
+    publishMessage('new_message', {
+      chatId: chat.id,
+      messageId: message.id,
+      tenantId,
+      platform: chat.platform,
+      isFromCustomer: true,
+    });
+  }
+
+  /**
+   * Process delivery, read or failure status of outbound messages
+   * @param {Object} statusData - Processed status data
+   */
+  async processStatusUpdate(statusData) {
+    const accountId = statusData.pageId || statusData.phoneNumberId;
+
+    const connectionResult = await query(
+      `SELECT id, tenant_id
+       FROM social_connections
+       WHERE platform = $1 AND platform_account_id = $2 AND is_active = true`,
+      [statusData.platform, accountId]
+    );
+
+    if (connectionResult.rows.length === 0) {
+      logger.warn('No active social connection found for status update', {
+        platform: statusData.platform,
+        accountId,
+      });
+      return;
+    }
+
+    const connection = connectionResult.rows[0];
+
+    switch (statusData.status) {
+      case MESSAGE_STATUS.DELIVERED:
+      case MESSAGE_STATUS.READ: {
+        let chatId = null;
+
+        // Messenger receipts without message IDs only carry a watermark for the conversation
+        if (statusData.messageIds.length === 0) {
+          const chatResult = await query(
+            'SELECT id FROM chats WHERE social_connection_id = $1 AND platform_chat_id = $2 AND kind = $3',
+            [connection.id, statusData.customerId, CHAT_KINDS.DIRECT]
+          );
+
+          if (chatResult.rows.length === 0) return;
+          chatId = chatResult.rows[0].id;
+        }
+
+        const updatedMessages = await messageDeliveryService.applyReceipt(
+          connection.tenant_id,
+          statusData.status,
+          {
+            platformMessageIds: statusData.messageIds,
+            chatId,
+            watermark: statusData.watermark,
+            timestamp: statusData.timestamp,
+          }
+        );
+
+        this.broadcastReceipt(statusData.status, updatedMessages);
+        break;
+      }
+
+      case MESSAGE_STATUS.FAILED: {
+        const [error] = statusData.errors;
+        const message = await messageDeliveryService.applyPlatformFailure(
+          connection.tenant_id,
+          statusData.messageIds[0],
+          error ? String(error.code) : ERROR_CODES.MESSAGE_DELIVERY_FAILED,
+          error?.error_data?.details || error?.title || 'Message delivery failed',
+          statusData.timestamp
+        );
+
+        if (message) {
+          broadcastToChat(message.chat_id, {
+            type: WEBSOCKET_EVENTS.MESSAGE_STATUS_UPDATED,
+            chatId: message.chat_id,
+            messageId: message.id,
+            status: message.status,
+            platformMessageId: message.platform_message_id,
+            errorCode: message.error_code,
+            errorMessage: message.error_message,
+            timestamp: new Date().toISOString(),
+          });
+        }
+        break;
+      }
+
+      default:
+        // 'sent' is already recorded when the Send API accepts the message
+        break;
+    }
+  }
+
+  /**
+   * Apply a customer's reaction, edit or unsend to the message it refers to
+   * @param {Object} changeData - Processed message change
+   */
+  async processMessageChange(changeData) {
+    const accountId = changeData.pageId || changeData.phoneNumberId;
+
+    const connectionResult = await query(
+      `SELECT id, tenant_id
+       FROM social_connections
+       WHERE platform = $1 AND platform_account_id = $2 AND is_active = true`,
+      [changeData.platform, accountId]
+    );
+
+    if (connectionResult.rows.length === 0) {
+      logger.warn('No active social connection found for message change', {
+        platform: changeData.platform,
+        accountId,
+      });
+      return;
+    }
+
+    const target = {
+      connectionId: connectionResult.rows[0].id,
+      customerId: changeData.customerId,
+      platformMessageId: changeData.messageId,
+    };
+    let message = null;
+
+    switch (changeData.change) {
+      case 'reaction':
+        message = await messageChangeService.applyReaction(
+          target,
+          MESSAGE_SENDERS.CUSTOMER,
+          changeData.emoji ? { emoji: changeData.emoji, reactedAt: changeData.timestamp } : null
+        );
+        break;
+      case 'edit':
+        message = await messageChangeService.applyEdit(
+          target,
+          changeData.text,
+          changeData.editCount ?? null,
+          changeData.timestamp
+        );
+        break;
+      case 'unsend':
+        message = await messageChangeService.applyUnsend(target, changeData.timestamp);
+        break;
+      default:
+        break;
+    }
+
+    // Unknown messages (e.g. sent before the page was connected) and
+    // changes that were already applied are skipped
+    if (!message) {
+      logger.logWebhook(changeData.platform, 'Message change skipped', {
+        change: changeData.change,
+        platformMessageId: changeData.messageId,
+      });
+      return;
+    }
+
+    messageChangeService.broadcastMessageUpdate(message);
+
+    logger.logWebhook(changeData.platform, 'Message change applied', {
+      change: changeData.change,
+      messageId: message.id,
+      chatId: message.chat_id,
+    });
+  }
+
+  /**
+   * Broadcast delivery or read receipts to the affected chats
+   * @param {string} status - MESSAGE_STATUS.DELIVERED or MESSAGE_STATUS.READ
+   * @param {Array} messages - Updated message records
+   */
+  broadcastReceipt(status, messages) {
+    const messageIdsByChat = new Map();
+
+    for (const message of messages) {
+      if (!messageIdsByChat.has(message.chat_id)) {
+        messageIdsByChat.set(message.chat_id, []);
+      }
+      messageIdsByChat.get(message.chat_id).push(message.id);
+    }
+
+    for (const [chatId, messageIds] of messageIdsByChat) {
+      broadcastToChat(chatId, {
+        type: status === MESSAGE_STATUS.READ
+          ? WEBSOCKET_EVENTS.MESSAGE_READ
+          : WEBSOCKET_EVENTS.MESSAGE_DELIVERED,
+        chatId,
+        messageIds,
+        status,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+}
+
+// Create singleton instance
+const webhookEventService = new WebhookEventService();
+
+module.exports = webhookEventService;
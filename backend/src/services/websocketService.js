@@ -1,12 +1,19 @@
 const jwt = require('jsonwebtoken');
 const { query } = require('../utils/database');
-const { addWebSocketConnection, removeWebSocketConnection, subscribeToChannel, publishMessage } = require('../utils/redis');
+const {
+  addWebSocketConnection,
+  removeWebSocketConnection,
+  getUserWebSocketConnections,
+  subscribeToChannel,
+  publishMessage,
+} = require('../utils/redis');
+const teamService = require('./teamService');
 const logger = require('../utils/logger');
 const { WEBSOCKET_EVENTS, ERROR_CODES, APP_CONSTANTS } = require('../utils/constants');
 
 class WebSocketService {
   constructor() {
-    this.connections = new Map(); // connectionId -> { ws, userId, tenantId, lastPing }
+    this.connections = new Map(); // connectionId -> { ws, userId, tenantId, role, lastPing }
     this.userConnections = new Map(); // userId -> Set of connectionIds
     this.tenantConnections = new Map(); // tenantId -> Set of connectionIds
     this.heartbeatInterval = null;
@@ -182,6 +189,7 @@ class WebSocketService {
         ws,
         userId,
         tenantId: user.tenant_id,
+        role: user.role,
         lastPing: Date.now(),
         chatRooms: new Set(),
       });
@@ -247,16 +255,18 @@ class WebSocketService {
     if (!chatId) return;
 
     try {
-      // Verify user has access to this chat
+      // Verify user has access to this chat, inboxes owned by a team are limited to its members
+      const accessCondition = teamService.getChatAccessCondition(
+        { id: connection.userId, role: connection.role },
+        '$3'
+      );
+
       const chatResult = await query(
         `SELECT c.id FROM chats c
-         JOIN social_connections sc ON c.social_connection_id = sc.id
-         WHERE c.id = $1 AND c.tenant_id = $2 AND (
-           c.assigned_user_id = $3 OR 
-           sc.user_id = $3 OR
-           EXISTS(SELECT 1 FROM users WHERE id = $3 AND role IN ('admin', 'manager'))
-         )`,
-        [chatId, connection.tenantId, connection.userId]
+         WHERE c.id = $1 AND c.tenant_id = $2 AND ${accessCondition || 'TRUE'}`,
+        accessCondition
+          ? [chatId, connection.tenantId, connection.userId]
+          : [chatId, connection.tenantId]
       );
 
       if (chatResult.rows.length === 0) {
@@ -560,6 +570,18 @@ class WebSocketService {
     return connections ? connections.size : 0;
   }
 
+  /**
+   * Check whether a user is connected to this or any other instance
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} - Whether the user is online
+   */
+  async isUserOnline(userId) {
+    if (this.getUserConnectionCount(userId) > 0) return true;
+
+    const connections = await getUserWebSocketConnections(userId);
+    return connections.length > 0;
+  }
+
   /**
    * Get total connection count
    * @returns {number} - Total connections
@@ -602,5 +624,6 @@ module.exports = {
   sendToUser: (userId, message) => webSocketService.sendToUser(userId, message),
   getTotalConnectionCount: () => webSocketService.getTotalConnectionCount(),
   getUserConnectionCount: (userId) => webSocketService.getUserConnectionCount(userId),
+  isUserOnline: (userId) => webSocketService.isUserOnline(userId),
   shutdown: () => webSocketService.shutdown(),
 };
\ No newline at end of file
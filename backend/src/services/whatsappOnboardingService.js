@@ -0,0 +1,133 @@
+const metaApiService = require('./metaApiService');
+const encryptionService = require('./encryptionService');
+const { transaction } = require('../utils/database');
+const logger = require('../utils/logger');
+const { META_API, PLATFORMS, ERROR_CODES, HTTP_STATUS } = require('../utils/constants');
+const { AppError } = require('../middleware/errorHandler');
+
+class WhatsAppOnboardingService {
+  /**
+   * Connect the phone numbers of the WhatsApp Business Accounts shared
+   * during onboarding, one social connection per phone number
+   * @param {Object} options - Onboarding options
+   * @param {string} options.userId - User completing the onboarding
+   * @param {string} options.tenantId - Tenant ID
+   * @param {string} options.code - Authorization code
+   * @param {string} [options.redirectUri] - Redirect URI, omitted for the JavaScript SDK flow
+   * @param {Array<string>} [options.businessAccountIds] - Only connect these Business Accounts
+   * @returns {Promise<Array>} - Connected phone numbers
+   */
+  async connect({ userId, tenantId, code, redirectUri = null, businessAccountIds = [] }) {
+    const tokenResponse = await metaApiService.exchangeCodeForToken(code, redirectUri || undefined);
+    const accessToken = tokenResponse.access_token;
+    const expiresAt = tokenResponse.expires_in
+      ? new Date(Date.now() + tokenResponse.expires_in * 1000)
+      : null;
+
+    // The token itself lists the Business Accounts the customer granted access to
+    const grantedAccountIds = await metaApiService.getGrantedWhatsAppAccounts(accessToken);
+    const accountIds = businessAccountIds.length > 0
+      ? grantedAccountIds.filter(id => businessAccountIds.includes(id))
+      : grantedAccountIds;
+
+    if (accountIds.length === 0) {
+      throw new AppError(
+        'No WhatsApp Business Account was shared during onboarding',
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.WHATSAPP_ACCOUNT_NOT_SHARED
+      );
+    }
+
+    const phoneNumbers = [];
+
+    for (const businessAccountId of accountIds) {
+      const numbers = await metaApiService.getWhatsAppPhoneNumbers(accessToken, businessAccountId);
+      phoneNumbers.push(...numbers.map(number => ({ ...number, businessAccountId })));
+
+      // Webhooks of a Business Account cover all of its phone numbers
+      try {
+        await metaApiService.subscribeWhatsAppWebhooks(accessToken, businessAccountId);
+      } catch (webhookError) {
+        logger.warn('Failed to subscribe to WhatsApp webhooks:', webhookError);
+      }
+    }
+
+    if (phoneNumbers.length === 0) {
+      throw new AppError(
+        'The shared WhatsApp Business Account has no phone numbers',
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.WHATSAPP_NO_PHONE_NUMBERS
+      );
+    }
+
+    const encryptedTokens = encryptionService.encryptSocialTokens({ access_token: accessToken });
+
+    const connections = await transaction(async (client) => {
+      const rows = [];
+
+      for (const phoneNumber of phoneNumbers) {
+        const result = await client.query(
+          `INSERT INTO social_connections
+           (user_id, tenant_id, platform, platform_account_id, business_account_id, account_name,
+            encrypted_access_token, scopes, expires_at, is_active)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, true)
+           ON CONFLICT (tenant_id, platform, platform_account_id)
+           DO UPDATE SET
+             business_account_id = EXCLUDED.business_account_id,
+             account_name = EXCLUDED.account_name,
+             encrypted_access_token = EXCLUDED.encrypted_access_token,
+             scopes = EXCLUDED.scopes,
+             expires_at = EXCLUDED.expires_at,
+             updated_at = NOW(),
+             is_active = true
+           RETURNING id, platform_account_id, business_account_id, account_name`,
+          [
+            userId,
+            tenantId,
+            PLATFORMS.WHATSAPP,
+            phoneNumber.id,
+            phoneNumber.businessAccountId,
+            this.getAccountName(phoneNumber),
+            encryptedTokens.encrypted_access_token,
+            META_API.WHATSAPP_SCOPES,
+            expiresAt,
+          ]
+        );
+
+        rows.push(result.rows[0]);
+      }
+
+      return rows;
+    });
+
+    logger.info('WhatsApp phone numbers connected', {
+      tenantId,
+      userId,
+      businessAccountIds: accountIds,
+      phoneNumbers: connections.length,
+    });
+
+    return connections.map(connection => ({
+      id: connection.id,
+      phoneNumberId: connection.platform_account_id,
+      businessAccountId: connection.business_account_id,
+      accountName: connection.account_name,
+    }));
+  }
+
+  /**
+   * Build the display name of a phone number connection
+   * @param {Object} phoneNumber - Graph API phone number
+   * @returns {string} - Verified name and number
+   */
+  getAccountName(phoneNumber) {
+    return phoneNumber.verified_name
+      ? `${phoneNumber.verified_name} (${phoneNumber.display_phone_number})`
+      : phoneNumber.display_phone_number;
+  }
+}
+
+// Create singleton instance
+const whatsappOnboardingService = new WhatsAppOnboardingService();
+
+module.exports = whatsappOnboardingService;
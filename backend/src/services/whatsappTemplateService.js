@@ -0,0 +1,389 @@
+const metaApiService = require('./metaApiService');
+const encryptionService = require('./encryptionService');
+const { query } = require('../utils/database');
+const logger = require('../utils/logger');
+const { PLATFORMS, WHATSAPP_API, ERROR_CODES, HTTP_STATUS } = require('../utils/constants');
+const { AppError } = require('../middleware/errorHandler');
+
+// Matches {{1}} and {{customer_name}} placeholders
+const PLACEHOLDER_PATTERN = /{{\s*(\w+)\s*}}/g;
+
+class WhatsAppTemplateService {
+  /**
+   * Sync the message templates of a tenant's WhatsApp connections
+   * @param {string} tenantId - Tenant ID
+   * @param {string} [socialConnectionId] - Only sync this connection
+   * @returns {Promise<Array>} - Sync result per connection
+   */
+  async syncTemplates(tenantId, socialConnectionId = null) {
+    const params = [tenantId, PLATFORMS.WHATSAPP];
+    let connectionFilter = '';
+
+    if (socialConnectionId) {
+      params.push(socialConnectionId);
+      connectionFilter = 'AND id = $3';
+    }
+
+    // Templates are shared by all phone numbers of a Business Account, sync each account once
+    const connectionResult = await query(
+      `SELECT DISTINCT ON (business_account_id) id, business_account_id, encrypted_access_token
+       FROM social_connections
+       WHERE tenant_id = $1 AND platform = $2 AND is_active = true
+         AND business_account_id IS NOT NULL ${connectionFilter}
+       ORDER BY business_account_id, created_at`,
+      params
+    );
+
+    if (connectionResult.rows.length === 0) {
+      throw new AppError(
+        'No active WhatsApp connection found',
+        HTTP_STATUS.NOT_FOUND,
+        ERROR_CODES.RESOURCE_NOT_FOUND
+      );
+    }
+
+    const results = [];
+
+    for (const connection of connectionResult.rows) {
+      results.push(await this.syncConnectionTemplates(tenantId, connection));
+    }
+
+    return results;
+  }
+
+  /**
+   * Fetch all templates of a connection's Business Account and store them,
+   * templates deleted on WhatsApp are removed
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} connection - Social connection record
+   * @returns {Promise<Object>} - Number of synced and removed templates
+   */
+  async syncConnectionTemplates(tenantId, connection) {
+    const businessAccountId = connection.business_account_id;
+    const accessToken = encryptionService.decrypt(connection.encrypted_access_token);
+    const templateIds = [];
+    let after = null;
+
+    do {
+      const page = await metaApiService.getWhatsAppTemplates(accessToken, businessAccountId, after);
+
+      for (const template of page.templates) {
+        await this.upsertTemplate(tenantId, connection.id, businessAccountId, template);
+        templateIds.push(template.id);
+      }
+
+      after = page.after;
+    } while (after);
+
+    const removed = await query(
+      `DELETE FROM whatsapp_templates
+       WHERE tenant_id = $1 AND business_account_id = $2 AND NOT (template_id = ANY($3))`,
+      [tenantId, businessAccountId, templateIds]
+    );
+
+    logger.info('WhatsApp templates synced', {
+      tenantId,
+      socialConnectionId: connection.id,
+      synced: templateIds.length,
+      removed: removed.rowCount,
+    });
+
+    return {
+      socialConnectionId: connection.id,
+      businessAccountId,
+      synced: templateIds.length,
+      removed: removed.rowCount,
+    };
+  }
+
+  /**
+   * Insert or update a template returned by the Graph API
+   * @param {string} tenantId - Tenant ID
+   * @param {string} socialConnectionId - Social connection ID
+   * @param {string} businessAccountId - WhatsApp Business Account ID
+   * @param {Object} template - Graph API template
+   */
+  async upsertTemplate(tenantId, socialConnectionId, businessAccountId, template) {
+    const components = template.components || [];
+
+    await query(
+      `INSERT INTO whatsapp_templates (
+        tenant_id, social_connection_id, business_account_id, template_id, name, language,
+        category, status, parameter_format, components, variables, rejected_reason, last_synced_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW())
+      ON CONFLICT (tenant_id, business_account_id, template_id) DO UPDATE SET
+        social_connection_id = EXCLUDED.social_connection_id,
+        name = EXCLUDED.name,
+        language = EXCLUDED.language,
+        category = EXCLUDED.category,
+        status = EXCLUDED.status,
+        parameter_format = EXCLUDED.parameter_format,
+        components = EXCLUDED.components,
+        variables = EXCLUDED.variables,
+        rejected_reason = EXCLUDED.rejected_reason,
+        last_synced_at = NOW(),
+        updated_at = NOW()`,
+      [
+        tenantId,
+        socialConnectionId,
+        businessAccountId,
+        template.id,
+        template.name,
+        template.language,
+        template.category || null,
+        template.status,
+        template.parameter_format || 'POSITIONAL',
+        JSON.stringify(components),
+        JSON.stringify(this.extractVariables(components)),
+        template.rejected_reason && template.rejected_reason !== 'NONE' ? template.rejected_reason : null,
+      ]
+    );
+  }
+
+  /**
+   * Apply a message_template_status_update webhook
+   * @param {string} businessAccountId - WhatsApp Business Account ID
+   * @param {Object} update - Webhook change value
+   */
+  async applyStatusUpdate(businessAccountId, update) {
+    const result = await query(
+      `UPDATE whatsapp_templates
+       SET status = $1, rejected_reason = $2, updated_at = NOW()
+       WHERE business_account_id = $3 AND template_id = $4`,
+      [
+        update.event,
+        update.reason && update.reason !== 'NONE' ? update.reason : null,
+        businessAccountId,
+        String(update.message_template_id),
+      ]
+    );
+
+    logger.logWebhook('whatsapp', 'Template status updated', {
+      businessAccountId,
+      templateId: update.message_template_id,
+      status: update.event,
+      updated: result.rowCount,
+    });
+  }
+
+  /**
+   * List a tenant's templates
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} filters - Status, social connection and name search
+   * @returns {Promise<Array>} - Template records
+   */
+  async listTemplates(tenantId, { status, socialConnectionId, search } = {}) {
+    const conditions = ['tenant_id = $1'];
+    const params = [tenantId];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+
+    // Templates usable by a phone number are those of its Business Account
+    if (socialConnectionId) {
+      params.push(socialConnectionId);
+      conditions.push(`business_account_id = (
+        SELECT business_account_id FROM social_connections
+        WHERE id = $${params.length} AND tenant_id = $1
+      )`);
+    }
+
+    if (search) {
+      params.push(`%${search}%`);
+      conditions.push(`name ILIKE $${params.length}`);
+    }
+
+    const result = await query(
+      `SELECT * FROM whatsapp_templates
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY name, language`,
+      params
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Get a tenant's template
+   * @param {string} templateId - Template record ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Object>} - Template record
+   */
+  async getTemplate(templateId, tenantId) {
+    const result = await query(
+      'SELECT * FROM whatsapp_templates WHERE id = $1 AND tenant_id = $2',
+      [templateId, tenantId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Template not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Validate template parameters for a chat and build the message fields
+   * @param {string} templateId - Template record ID
+   * @param {string} tenantId - Tenant ID
+   * @param {string} socialConnectionId - Social connection of the chat
+   * @param {Object} parameters - Header, body and button values
+   * @returns {Promise<Object>} - Message content and template metadata
+   */
+  async prepareTemplateMessage(templateId, tenantId, socialConnectionId, parameters) {
+    const template = await this.getTemplate(templateId, tenantId);
+
+    const connectionResult = await query(
+      'SELECT business_account_id FROM social_connections WHERE id = $1 AND tenant_id = $2',
+      [socialConnectionId, tenantId]
+    );
+
+    if (connectionResult.rows[0]?.business_account_id !== template.business_account_id) {
+      throw new AppError(
+        'Template belongs to a different WhatsApp Business Account',
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.INVALID_INPUT
+      );
+    }
+
+    if (template.status !== WHATSAPP_API.TEMPLATE_STATUS.APPROVED) {
+      throw new AppError(
+        `Template is not approved (${template.status})`,
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.INVALID_INPUT
+      );
+    }
+
+    this.validateParameters(template, parameters);
+
+    return {
+      content: this.renderBody(template, parameters),
+      template: {
+        id: template.id,
+        templateId: template.template_id,
+        name: template.name,
+        language: template.language,
+        category: template.category,
+        parameters,
+        components: metaApiService.buildTemplateComponents(
+          template.variables,
+          parameters,
+          template.parameter_format
+        ),
+      },
+    };
+  }
+
+  /**
+   * Check that every placeholder of the template has a value
+   * @param {Object} template - Template record
+   * @param {Object} parameters - Header, body and button values
+   */
+  validateParameters(template, parameters) {
+    const { header, body, buttons } = template.variables;
+    const missing = [];
+
+    if (header?.format === 'TEXT' && header.placeholders.length > 0 && !parameters.header) {
+      missing.push('header');
+    }
+
+    if (header && ['IMAGE', 'VIDEO', 'DOCUMENT'].includes(header.format) && !parameters.header?.link) {
+      missing.push(`header (${header.format.toLowerCase()} link)`);
+    }
+
+    body.forEach((name, index) => {
+      const value = Array.isArray(parameters.body) ? parameters.body[index] : parameters.body[name];
+      if (!value) missing.push(`body {{${name}}}`);
+    });
+
+    for (const button of buttons) {
+      if (!parameters.buttons.some(item => item.index === button.index && item.text)) {
+        missing.push(`button ${button.index}`);
+      }
+    }
+
+    if (missing.length > 0) {
+      throw new AppError(
+        'Template parameters are missing',
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.VALIDATION_ERROR,
+        { missing }
+      );
+    }
+  }
+
+  /**
+   * Render the template body with its parameters, stored as message content
+   * @param {Object} template - Template record
+   * @param {Object} parameters - Header, body and button values
+   * @returns {string} - Body text
+   */
+  renderBody(template, parameters) {
+    const body = template.components.find(component => component.type === 'BODY');
+    const placeholders = template.variables.body;
+
+    return (body?.text || template.name).replace(PLACEHOLDER_PATTERN, (match, name) => {
+      const value = Array.isArray(parameters.body)
+        ? parameters.body[placeholders.indexOf(name)]
+        : parameters.body[name];
+      return value ?? match;
+    });
+  }
+
+  /**
+   * Collect the placeholders a template needs values for
+   * @param {Array} components - Graph API template components
+   * @returns {Object} - Header, body and button placeholders
+   */
+  extractVariables(components) {
+    const variables = { header: null, body: [], buttons: [] };
+
+    for (const component of components) {
+      switch (component.type) {
+        case 'HEADER':
+          variables.header = {
+            format: component.format,
+            placeholders: component.format === 'TEXT' ? this.findPlaceholders(component.text) : [],
+          };
+          break;
+        case 'BODY':
+          variables.body = this.findPlaceholders(component.text);
+          break;
+        case 'BUTTONS':
+          (component.buttons || []).forEach((button, index) => {
+            if (button.type === 'URL' && this.findPlaceholders(button.url).length > 0) {
+              variables.buttons.push({ index, type: 'URL', text: button.text });
+            } else if (button.type === 'COPY_CODE') {
+              variables.buttons.push({ index, type: 'COPY_CODE', text: button.text });
+            }
+          });
+          break;
+        default:
+          break;
+      }
+    }
+
+    return variables;
+  }
+
+  /**
+   * Find the unique placeholders of a text in order of appearance
+   * @param {string} text - Template text
+   * @returns {Array<string>} - Placeholder names
+   */
+  findPlaceholders(text) {
+    const names = [...new Set([...(text || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))];
+
+    // Positional parameters are sent in numeric order
+    return names.every(name => /^\d+$/.test(name))
+      ? names.sort((a, b) => Number(a) - Number(b))
+      : names;
+  }
+}
+
+// Create singleton instance
+const whatsappTemplateService = new WhatsAppTemplateService();
+
+module.exports = whatsappTemplateService;
@@ -16,8 +16,10 @@ const APP_CONSTANTS = {
   MAX_PAGE_SIZE: 100,
   
   // File upload limits
-  MAX_FILE_SIZE: 10 * 1024 * 1024, // 10MB
-  ALLOWED_FILE_TYPES: ['image/jpeg', 'image/png', 'image/gif', 'application/pdf', 'text/plain'],
+  MAX_FILE_SIZE: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
+  ALLOWED_FILE_TYPES: process.env.ALLOWED_FILE_TYPES
+    ? process.env.ALLOWED_FILE_TYPES.split(',').map(type => type.trim())
+    : ['image/jpeg', 'image/png', 'image/gif', 'application/pdf', 'text/plain'],
   
   // Cache TTL (Time To Live) in seconds
   CACHE_TTL: {
@@ -35,6 +37,77 @@ const APP_CONSTANTS = {
   DB_POOL_MAX: 20,
   DB_POOL_IDLE_TIMEOUT: 30000,
   DB_CONNECTION_TIMEOUT: 2000,
+  
+  // Outbound message queue
+  MESSAGE_QUEUE: {
+    MAX_ATTEMPTS: parseInt(process.env.MESSAGE_QUEUE_MAX_ATTEMPTS) || 5,
+    BASE_RETRY_DELAY: 2000, // 2 seconds, doubled on every attempt
+    MAX_RETRY_DELAY: 5 * 60 * 1000, // 5 minutes
+    RATE_LIMIT_DELAY: 60 * 1000, // 1 minute, doubled on every attempt
+    POLL_INTERVAL: parseInt(process.env.MESSAGE_QUEUE_POLL_INTERVAL) || 1000,
+    BATCH_SIZE: parseInt(process.env.QUEUE_CONCURRENCY) || 5,
+    PENDING_RECEIPT_TTL: 24 * 60 * 60 * 1000, // 1 day, receipts of messages not sent from here are dropped
+  },
+  
+  // Webhook ingestion worker
+  WEBHOOK_WORKER: {
+    POLL_INTERVAL: parseInt(process.env.WEBHOOK_WORKER_POLL_INTERVAL) || 1000,
+    BATCH_SIZE: 10,
+    STALE_PROCESSING_TIMEOUT: 5 * 60 * 1000, // 5 minutes
+    DEDUPE_TTL: 7 * 24 * 60 * 60, // 7 days, in seconds
+    MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_WORKER_MAX_ATTEMPTS) || 5,
+    BASE_RETRY_DELAY: 30 * 1000, // 30 seconds, doubled on every attempt
+    MAX_RETRY_DELAY: 30 * 60 * 1000, // 30 minutes
+  },
+  
+  // Media storage
+  MEDIA: {
+    MAX_DOWNLOAD_SIZE: parseInt(process.env.MEDIA_MAX_DOWNLOAD_SIZE) || 100 * 1024 * 1024, // 100MB
+    THUMBNAIL_SIZE: 320,
+    THUMBNAIL_QUALITY: 80,
+  },
+  
+  // Characters of a quoted message returned with replies
+  QUOTED_MESSAGE_LENGTH: 200,
+
+  // Map link of shared locations on platforms without native location messages
+  LOCATION_MAP_URL: 'https://www.google.com/maps/search/?api=1&query=',
+
+  // Meta messaging windows, counted from the customer's last inbound message
+  MESSAGING_WINDOW: {
+    STANDARD: 24 * 60 * 60 * 1000, // 24 hours
+    HUMAN_AGENT: 7 * 24 * 60 * 60 * 1000, // 7 days
+  },
+  
+  // Customer profile enrichment
+  CUSTOMER_PROFILES: {
+    CACHE_TTL: 24 * 60 * 60, // 1 day, in seconds
+    REFRESH_AGE: 7 * 24 * 60 * 60 * 1000, // 7 days
+    REFRESH_INTERVAL: parseInt(process.env.CUSTOMER_PROFILE_REFRESH_INTERVAL) || 60 * 60 * 1000, // 1 hour
+    BATCH_SIZE: 50,
+  },
+  
+  // Conversation threading within a chat
+  CONVERSATIONS: {
+    // A closed conversation is reopened when the customer writes again within
+    // this time, later messages start a new conversation. 0 always starts a new one.
+    REOPEN_WINDOW: process.env.CONVERSATION_REOPEN_WINDOW !== undefined
+      ? parseInt(process.env.CONVERSATION_REOPEN_WINDOW) || 0
+      : 24 * 60 * 60 * 1000, // 24 hours
+  },
+  
+  // Auto-assignment of chats
+  ROUTING: {
+    // Open chats an agent can hold when no personal max_open_chats is set
+    DEFAULT_MAX_OPEN_CHATS: parseInt(process.env.ROUTING_DEFAULT_MAX_OPEN_CHATS) || 10,
+    STRATEGIES: ['round_robin', 'least_open', 'skill_based'],
+  },
+  
+  // SLA deadline checks
+  SLA: {
+    CHECK_SCHEDULE: process.env.SLA_CHECK_SCHEDULE || '* * * * *', // Every minute
+    BATCH_SIZE: 100,
+  },
 };
 
 // Platform-specific constants
@@ -44,6 +117,18 @@ const PLATFORMS = {
   INSTAGRAM: 'instagram',
 };
 
+// Kinds of chats, Instagram comments and mentions are kept apart from direct messages
+const CHAT_KINDS = {
+  DIRECT: 'direct',
+  COMMENTS: 'comments',
+};
+
+// How agents answer an Instagram comment
+const COMMENT_REPLY_VISIBILITY = {
+  PUBLIC: 'public',
+  PRIVATE: 'private',
+};
+
 // Chat status constants
 const CHAT_STATUS = {
   OPEN: 'open',
@@ -51,6 +136,14 @@ const CHAT_STATUS = {
   PENDING: 'pending',
 };
 
+// Chat priorities
+const CHAT_PRIORITY = {
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high',
+  URGENT: 'urgent',
+};
+
 // Message types
 const MESSAGE_TYPES = {
   TEXT: 'text',
@@ -58,6 +151,23 @@ const MESSAGE_TYPES = {
   FILE: 'file',
   AUDIO: 'audio',
   VIDEO: 'video',
+  INTERACTIVE: 'interactive',
+  LOCATION: 'location',
+  CONTACT: 'contact',
+  STICKER: 'sticker',
+};
+
+// Interactive message kinds and the platforms that can display them
+const INTERACTIVE_TYPES = {
+  QUICK_REPLIES: 'quick_replies',
+  BUTTONS: 'buttons',
+  LIST: 'list',
+};
+
+const INTERACTIVE_PLATFORMS = {
+  [INTERACTIVE_TYPES.QUICK_REPLIES]: [PLATFORMS.FACEBOOK, PLATFORMS.INSTAGRAM],
+  [INTERACTIVE_TYPES.BUTTONS]: [PLATFORMS.FACEBOOK, PLATFORMS.INSTAGRAM, PLATFORMS.WHATSAPP],
+  [INTERACTIVE_TYPES.LIST]: [PLATFORMS.WHATSAPP],
 };
 
 // Message senders
@@ -66,6 +176,31 @@ const MESSAGE_SENDERS = {
   AGENT: 'agent',
 };
 
+// Media storage drivers
+const STORAGE_DRIVERS = {
+  LOCAL: 'local',
+  S3: 's3',
+};
+
+// Webhook event processing status
+const WEBHOOK_EVENT_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  PROCESSED: 'processed',
+  FAILED: 'failed',
+  REJECTED: 'rejected',
+};
+
+// Outbound message delivery status
+const MESSAGE_STATUS = {
+  QUEUED: 'queued',
+  SENDING: 'sending',
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  READ: 'read',
+  FAILED: 'failed',
+};
+
 // User roles
 const USER_ROLES = {
   ADMIN: 'admin',
@@ -81,9 +216,15 @@ const TENANT_PLANS = {
   ENTERPRISE: 'enterprise',
 };
 
+// Graph API host and version, point META_GRAPH_API_URL at the local emulator to work offline
+const META_GRAPH_API_URL = process.env.META_GRAPH_API_URL || 'https://graph.facebook.com';
+const META_API_VERSION = process.env.META_API_VERSION || 'v18.0';
+
 // Meta API constants
 const META_API = {
-  BASE_URL: 'https://graph.facebook.com/v18.0',
+  BASE_URL: `${META_GRAPH_API_URL}/${META_API_VERSION}`,
+  OAUTH_DIALOG_URL: process.env.META_OAUTH_DIALOG_URL || `https://www.facebook.com/${META_API_VERSION}/dialog/oauth`,
+  INSTAGRAM_OAUTH_URL: process.env.META_INSTAGRAM_OAUTH_URL || 'https://api.instagram.com/oauth/authorize',
   WEBHOOK_VERIFY_TOKEN: process.env.META_WEBHOOK_VERIFY_TOKEN,
   
   // OAuth scopes
@@ -96,6 +237,7 @@ const META_API = {
   INSTAGRAM_SCOPES: [
     'instagram_basic',
     'instagram_manage_messages',
+    'instagram_manage_comments',
   ],
   
   WHATSAPP_SCOPES: [
@@ -103,6 +245,28 @@ const META_API = {
     'whatsapp_business_management',
   ],
   
+  // Message tags allowed outside the 24-hour window, per platform
+  MESSAGE_TAGS: {
+    facebook: ['HUMAN_AGENT', 'CONFIRMED_EVENT_UPDATE', 'POST_PURCHASE_UPDATE', 'ACCOUNT_UPDATE'],
+    instagram: ['HUMAN_AGENT'],
+  },
+
+  // Webhook fields subscribed when an account is connected
+  WEBHOOK_FIELDS: {
+    facebook: ['messages', 'messaging_postbacks'],
+    instagram: ['messages', 'messaging_postbacks', 'message_reactions', 'comments', 'mentions'],
+  },
+
+  // Emojis pages can react with, Messenger and Instagram pages only with a
+  // heart. Platforms missing here take any emoji.
+  REACTION_EMOJIS: {
+    facebook: ['❤️'],
+    instagram: ['❤️'],
+  },
+  
+  // Error codes returned when an app, page or phone number is throttled
+  RATE_LIMIT_ERROR_CODES: [4, 17, 32, 613, 80001, 80002, 80004, 80006, 80007, 130429, 131048, 131056],
+  
   // API endpoints
   ENDPOINTS: {
     ME: '/me',
@@ -114,10 +278,7 @@ const META_API = {
 
 // WhatsApp Business API constants
 const WHATSAPP_API = {
-  BASE_URL: 'https://graph.facebook.com/v18.0',
-  PHONE_NUMBER_ID: process.env.WHATSAPP_PHONE_NUMBER_ID,
-  BUSINESS_ACCOUNT_ID: process.env.WHATSAPP_BUSINESS_ACCOUNT_ID,
-  
+  BASE_URL: `${META_GRAPH_API_URL}/${META_API_VERSION}`,
   MESSAGE_TYPES: {
     TEXT: 'text',
     TEMPLATE: 'template',
@@ -129,7 +290,18 @@ const WHATSAPP_API = {
     AUDIO: 'audio',
     VIDEO: 'video',
     DOCUMENT: 'document',
+    REACTION: 'reaction',
   },
+
+  TEMPLATE_STATUS: {
+    APPROVED: 'APPROVED',
+    PENDING: 'PENDING',
+    REJECTED: 'REJECTED',
+    PAUSED: 'PAUSED',
+    DISABLED: 'DISABLED',
+  },
+
+  TEMPLATE_PAGE_SIZE: 100,
 };
 
 // Error codes
@@ -160,6 +332,11 @@ const ERROR_CODES = {
   EXTERNAL_API_ERROR: 'EXTERNAL_API_ERROR',
   META_API_ERROR: 'META_API_ERROR',
   WEBHOOK_VERIFICATION_FAILED: 'WEBHOOK_VERIFICATION_FAILED',
+  MESSAGE_DELIVERY_FAILED: 'MESSAGE_DELIVERY_FAILED',
+  SOCIAL_CONNECTION_INACTIVE: 'SOCIAL_CONNECTION_INACTIVE',
+  MESSAGING_WINDOW_CLOSED: 'MESSAGING_WINDOW_CLOSED',
+  WHATSAPP_ACCOUNT_NOT_SHARED: 'WHATSAPP_ACCOUNT_NOT_SHARED',
+  WHATSAPP_NO_PHONE_NUMBERS: 'WHATSAPP_NO_PHONE_NUMBERS',
   
   // Rate limiting
   RATE_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED',
@@ -223,6 +400,8 @@ const WEBSOCKET_EVENTS = {
   // Message events
   NEW_MESSAGE: 'new_message',
   MESSAGE_SENT: 'message_sent',
+  MESSAGE_STATUS_UPDATED: 'message_status_updated',
+  MESSAGE_UPDATED: 'message_updated',
   MESSAGE_DELIVERED: 'message_delivered',
   MESSAGE_READ: 'message_read',
   TYPING_START: 'typing_start',
@@ -248,12 +427,18 @@ const REDIS_KEYS = {
   USER_WEBSOCKET: 'ws:user:',
   CHAT_PARTICIPANTS: 'chat:participants:',
   RATE_LIMIT: 'rate_limit:',
+  WEBHOOK_REJECTIONS: 'rate_limit:webhook_rejections:',
   CACHE_USER: 'cache:user:',
   CACHE_CHAT: 'cache:chat:',
   CACHE_MESSAGES: 'cache:messages:',
   CACHE_SOCIAL_CONNECTIONS: 'cache:social_connections:',
   WEBHOOK_PROCESSING: 'webhook:processing:',
   MESSAGE_QUEUE: 'queue:messages',
+  MESSAGE_QUEUE_PROCESSING: 'queue:messages:processing',
+  MESSAGE_QUEUE_DELAYED: 'queue:messages:delayed',
+  // Followed by the tenant ID
+  MESSAGE_DEAD_LETTER: 'queue:messages:dead:',
+  CUSTOMER_PROFILE: 'cache:customer_profile:',
 };
 
 // Encryption constants
@@ -269,6 +454,21 @@ const ENCRYPTION = {
 const WEBHOOK_SIGNATURE = {
   HEADER_NAME: 'x-hub-signature-256',
   ALGORITHM: 'sha256',
+  
+  // Reasons recorded for rejected webhooks
+  REJECTION_REASONS: {
+    MISSING_RAW_BODY: 'missing_raw_body',
+    MISSING_SIGNATURE: 'missing_signature',
+    INVALID_SIGNATURE: 'invalid_signature',
+    NO_SECRET_CONFIGURED: 'no_secret_configured',
+    // Entries of accounts whose tenant did not sign the payload
+    UNSIGNED_ENTRIES: 'unsigned_entries',
+  },
+
+  // Anonymous bodies are stored truncated, and only so many per sender IP
+  MAX_REJECTED_PAYLOAD_SIZE: 16 * 1024, // 16KB
+  REJECTED_RECORD_LIMIT: 30,
+  REJECTED_RECORD_WINDOW: 15 * 60, // 15 minutes, in seconds
 };
 
 // Environment-specific configurations
@@ -301,9 +501,17 @@ const HEALTH_CHECK = {
 module.exports = {
   APP_CONSTANTS,
   PLATFORMS,
+  CHAT_KINDS,
+  COMMENT_REPLY_VISIBILITY,
   CHAT_STATUS,
+  CHAT_PRIORITY,
   MESSAGE_TYPES,
+  INTERACTIVE_TYPES,
+  INTERACTIVE_PLATFORMS,
   MESSAGE_SENDERS,
+  MESSAGE_STATUS,
+  WEBHOOK_EVENT_STATUS,
+  STORAGE_DRIVERS,
   USER_ROLES,
   TENANT_PLANS,
   META_API,
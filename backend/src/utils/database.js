@@ -85,6 +85,83 @@ function buildPaginationQuery(baseQuery, limit = 50, offset = 0) {
   return `${baseQuery} LIMIT $${arguments.length} OFFSET $${arguments.length + 1}`;
 }
 
+/**
+ * Build a WHERE clause matching every condition, null values match NULL
+ * @param {Object} conditions - Column values
+ * @param {Array} params - Query parameters, the condition values are appended
+ * @returns {string} - Conditions joined with AND
+ */
+function buildConditions(conditions, params) {
+  return Object.entries(conditions)
+    .map(([column, value]) => {
+      if (value === null) return `${column} IS NULL`;
+      params.push(value);
+      return `${column} = $${params.length}`;
+    })
+    .join(' AND ');
+}
+
+// Table helpers of the controllers. Table and column names come from code,
+// never from requests. Pass a transaction client to run inside a transaction.
+const db = {
+  query: (text, params = [], client = null) => (client ? client.query(text, params) : query(text, params)),
+
+  async findOne(table, conditions, client = null) {
+    const params = [];
+    const result = await db.query(
+      `SELECT * FROM ${table} WHERE ${buildConditions(conditions, params)} LIMIT 1`,
+      params,
+      client
+    );
+    return result.rows[0] || null;
+  },
+
+  async findMany(table, conditions, client = null) {
+    const params = [];
+    const result = await db.query(
+      `SELECT * FROM ${table} WHERE ${buildConditions(conditions, params)}`,
+      params,
+      client
+    );
+    return result.rows;
+  },
+
+  async create(table, data, client = null) {
+    // Undefined values fall back to the column defaults
+    const entries = Object.entries(data).filter(([, value]) => value !== undefined);
+    const result = await db.query(
+      `INSERT INTO ${table} (${entries.map(([column]) => column).join(', ')})
+       VALUES (${entries.map((_, index) => `$${index + 1}`).join(', ')})
+       RETURNING *`,
+      entries.map(([, value]) => value),
+      client
+    );
+    return result.rows[0];
+  },
+
+  async update(table, data, conditions, client = null) {
+    const entries = Object.entries(data).filter(([, value]) => value !== undefined);
+    const params = entries.map(([, value]) => value);
+    const assignments = entries.map(([column], index) => `${column} = $${index + 1}`).join(', ');
+    const result = await db.query(
+      `UPDATE ${table} SET ${assignments} WHERE ${buildConditions(conditions, params)} RETURNING *`,
+      params,
+      client
+    );
+    return result.rows[0] || null;
+  },
+
+  async delete(table, conditions, client = null) {
+    const params = [];
+    const result = await db.query(
+      `DELETE FROM ${table} WHERE ${buildConditions(conditions, params)}`,
+      params,
+      client
+    );
+    return result.rowCount;
+  },
+};
+
 // Database health check
 async function healthCheck() {
   try {
@@ -109,6 +186,7 @@ module.exports = {
   query,
   getClient,
   transaction,
+  db,
   buildTenantQuery,
   buildPaginationQuery,
   healthCheck,
@@ -101,6 +101,12 @@ async function deleteCachePattern(pattern) {
   }
 }
 
+// Set a key only if it does not exist yet, used to claim work across instances
+async function claimKey(key, expireInSeconds = 3600) {
+  const result = await redisClient.set(key, '1', { NX: true, EX: expireInSeconds });
+  return result === 'OK';
+}
+
 // Session operations
 async function setSession(sessionId, sessionData, expireInSeconds = 86400) {
   const key = `session:${sessionId}`;
@@ -194,6 +200,69 @@ async function incrementRateLimit(key, windowSeconds = 900, maxRequests = 100) {
   }
 }
 
+// Queue operations
+async function enqueueJob(queueKey, job) {
+  const serializedJob = JSON.stringify(job);
+  await redisClient.lPush(queueKey, serializedJob);
+  logger.debug(`Job enqueued: ${queueKey}`);
+}
+
+// Atomically moves the oldest job into the processing list so it survives a crash
+async function dequeueJob(queueKey, processingKey) {
+  const serializedJob = await redisClient.rPopLPush(queueKey, processingKey);
+  if (!serializedJob) return null;
+
+  try {
+    return { job: JSON.parse(serializedJob), raw: serializedJob };
+  } catch (error) {
+    logger.error('Error parsing queued job:', error);
+    await redisClient.lRem(processingKey, 1, serializedJob);
+    return null;
+  }
+}
+
+async function acknowledgeJob(processingKey, raw) {
+  await redisClient.lRem(processingKey, 1, raw);
+}
+
+async function scheduleJob(delayedKey, job, runAt) {
+  await redisClient.zAdd(delayedKey, { score: runAt, value: JSON.stringify(job) });
+  logger.debug(`Job scheduled: ${delayedKey} at ${new Date(runAt).toISOString()}`);
+}
+
+async function promoteDueJobs(delayedKey, queueKey, now = Date.now()) {
+  const dueJobs = await redisClient.zRangeByScore(delayedKey, 0, now);
+  let promoted = 0;
+
+  for (const serializedJob of dueJobs) {
+    // Only the instance that removes the job may enqueue it
+    const removed = await redisClient.zRem(delayedKey, serializedJob);
+    if (removed === 1) {
+      await redisClient.lPush(queueKey, serializedJob);
+      promoted++;
+    }
+  }
+
+  return promoted;
+}
+
+async function requeueProcessingJobs(processingKey, queueKey) {
+  let requeued = 0;
+  while (await redisClient.rPopLPush(processingKey, queueKey)) {
+    requeued++;
+  }
+  return requeued;
+}
+
+async function getQueueItems(key, start = 0, stop = -1) {
+  const items = await redisClient.lRange(key, start, stop);
+  return items.map(item => JSON.parse(item));
+}
+
+async function removeQueueItem(key, item) {
+  return redisClient.lRem(key, 1, JSON.stringify(item));
+}
+
 // Health check
 async function healthCheck() {
   try {
@@ -223,6 +292,7 @@ module.exports = {
   getCache,
   deleteCache,
   deleteCachePattern,
+  claimKey,
   setSession,
   getSession,
   deleteSession,
@@ -232,6 +302,14 @@ module.exports = {
   publishMessage,
   subscribeToChannel,
   incrementRateLimit,
+  enqueueJob,
+  dequeueJob,
+  acknowledgeJob,
+  scheduleJob,
+  promoteDueJobs,
+  requeueProcessingJobs,
+  getQueueItems,
+  removeQueueItem,
   healthCheck,
   closeRedis,
   getClients: () => ({ redisClient, pubClient, subClient }),
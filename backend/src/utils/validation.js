@@ -19,6 +19,10 @@ const chatStatusSchema = z.enum(['open', 'closed', 'pending'], {
   errorMap: () => ({ message: 'Status must be open, closed, or pending' })
 });
 
+const chatPrioritySchema = z.enum(['low', 'medium', 'high', 'urgent'], {
+  errorMap: () => ({ message: 'Priority must be low, medium, high, or urgent' })
+});
+
 const messageTypeSchema = z.enum(['text', 'image', 'file', 'audio', 'video'], {
   errorMap: () => ({ message: 'Message type must be text, image, file, audio, or video' })
 });
@@ -68,6 +72,7 @@ const createChatSchema = z.object({
 
 const updateChatSchema = z.object({
   status: chatStatusSchema.optional(),
+  priority: chatPrioritySchema.optional(),
   customerName: z.string().max(255).optional(),
   customerPhone: phoneSchema,
   customerEmail: emailSchema.optional(),
@@ -78,6 +83,162 @@ const assignChatSchema = z.object({
   userId: uuidSchema,
 });
 
+// Contact schemas
+const contactAttributesSchema = z.record(
+  z.union([z.string().max(1000), z.number(), z.boolean(), z.null()])
+).refine(attributes => Object.keys(attributes).length <= 50, 'At most 50 attributes are allowed');
+
+const createContactSchema = z.object({
+  name: z.string().min(1).max(255),
+  email: emailSchema.optional(),
+  phone: phoneSchema,
+  attributes: contactAttributesSchema.default({}),
+});
+
+const updateContactSchema = z.object({
+  name: z.string().min(1).max(255).optional(),
+  email: emailSchema.nullable().optional(),
+  phone: z.string().regex(/^\+?[1-9]\d{1,14}$/, 'Invalid phone number format').nullable().optional(),
+  attributes: contactAttributesSchema.optional(),
+});
+
+const mergeContactsSchema = z.object({
+  sourceContactId: uuidSchema,
+});
+
+// Team schemas
+const createTeamSchema = z.object({
+  name: z.string().min(1).max(255),
+  description: z.string().max(1000).optional(),
+  memberIds: z.array(uuidSchema).max(500).default([]),
+});
+
+const updateTeamSchema = z.object({
+  name: z.string().min(1).max(255).optional(),
+  description: z.string().max(1000).nullable().optional(),
+});
+
+const addTeamMemberSchema = z.object({
+  userId: uuidSchema,
+});
+
+const createInboxSchema = z.object({
+  name: z.string().min(1).max(255),
+  teamId: uuidSchema.nullable().optional(),
+  socialConnectionIds: z.array(uuidSchema).max(100).default([]),
+});
+
+const updateInboxSchema = z.object({
+  name: z.string().min(1).max(255).optional(),
+  teamId: uuidSchema.nullable().optional(),
+  socialConnectionIds: z.array(uuidSchema).max(100).optional(),
+});
+
+// Routing schemas
+const routingStrategySchema = z.enum(['round_robin', 'least_open', 'skill_based'], {
+  errorMap: () => ({ message: 'Strategy must be round_robin, least_open, or skill_based' })
+});
+
+const skillsSchema = z.array(z.string().trim().toLowerCase().min(1).max(50)).max(50);
+
+const routingRuleFields = {
+  name: z.string().min(1).max(255),
+  strategy: routingStrategySchema,
+  priority: z.number().int().min(0),
+  isActive: z.boolean(),
+  socialConnectionId: uuidSchema.nullable(),
+  platform: platformSchema.nullable(),
+  teamId: uuidSchema.nullable(),
+  agentIds: z.array(uuidSchema).max(500),
+  requiredSkills: skillsSchema,
+  onlyOnline: z.boolean(),
+};
+
+const createRoutingRuleSchema = z.object({
+  ...routingRuleFields,
+  priority: routingRuleFields.priority.default(0),
+  isActive: routingRuleFields.isActive.default(true),
+  socialConnectionId: routingRuleFields.socialConnectionId.optional(),
+  platform: routingRuleFields.platform.optional(),
+  teamId: routingRuleFields.teamId.optional(),
+  agentIds: routingRuleFields.agentIds.default([]),
+  requiredSkills: routingRuleFields.requiredSkills.default([]),
+  onlyOnline: routingRuleFields.onlyOnline.default(true),
+}).refine(rule => rule.strategy !== 'skill_based' || rule.requiredSkills.length > 0, {
+  message: 'Skill-based rules need at least one required skill',
+  path: ['requiredSkills'],
+});
+
+const updateRoutingRuleSchema = z.object(routingRuleFields).partial();
+
+const updateAgentRoutingSchema = z.object({
+  skills: skillsSchema.optional(),
+  maxOpenChats: z.number().int().min(1).max(1000).nullable().optional(),
+});
+
+// SLA schemas
+const slaMinutesSchema = z.number().int().min(1).max(525600);
+
+const slaPolicyFields = {
+  name: z.string().min(1).max(255),
+  inboxId: uuidSchema.nullable(),
+  priority: chatPrioritySchema.nullable(),
+  firstResponseMinutes: slaMinutesSchema,
+  nextResponseMinutes: slaMinutesSchema.nullable(),
+  resolutionMinutes: slaMinutesSchema.nullable(),
+  warningMinutes: z.number().int().min(0).max(1440),
+  isActive: z.boolean(),
+};
+
+const createSlaPolicySchema = z.object({
+  ...slaPolicyFields,
+  inboxId: slaPolicyFields.inboxId.optional(),
+  priority: slaPolicyFields.priority.optional(),
+  nextResponseMinutes: slaPolicyFields.nextResponseMinutes.optional(),
+  resolutionMinutes: slaPolicyFields.resolutionMinutes.optional(),
+  warningMinutes: slaPolicyFields.warningMinutes.default(5),
+  isActive: slaPolicyFields.isActive.default(true),
+});
+
+const updateSlaPolicySchema = z.object(slaPolicyFields).partial();
+
+// Tag schemas
+const tagColorSchema = z.string().trim().toLowerCase()
+  .regex(/^#[0-9a-f]{6}$/, 'Color must be a hex color such as #2563eb');
+
+const createTagSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  color: tagColorSchema.default('#6b7280'),
+  description: z.string().max(500).optional(),
+});
+
+const updateTagSchema = z.object({
+  name: z.string().trim().min(1).max(100).optional(),
+  color: tagColorSchema.optional(),
+  description: z.string().max(500).nullable().optional(),
+});
+
+// Canned response schemas
+const cannedResponseFields = {
+  shortcode: z.string().trim().toLowerCase().min(1).max(50)
+    .regex(/^[a-z0-9_-]+$/, 'Shortcode can only contain letters, numbers, dashes and underscores'),
+  title: z.string().min(1).max(255),
+  content: z.string().min(1).max(4000),
+  mediaAssetId: uuidSchema.nullable(),
+};
+
+const createCannedResponseSchema = z.object({
+  ...cannedResponseFields,
+  mediaAssetId: cannedResponseFields.mediaAssetId.optional(),
+  scope: z.enum(['personal', 'tenant']).default('personal'),
+});
+
+const updateCannedResponseSchema = z.object(cannedResponseFields).partial();
+
+const renderCannedResponseSchema = z.object({
+  chatId: uuidSchema,
+});
+
 // Message schemas
 const createMessageSchema = z.object({
   platformMessageId: z.string().optional(),
@@ -127,6 +288,17 @@ const updateSocialConnectionSchema = z.object({
   isActive: z.boolean().optional(),
 });
 
+const whatsappEmbeddedSignupSchema = z.object({
+  code: z.string().min(1, 'Authorization code is required'),
+  businessAccountId: z.string().regex(/^\d+$/, 'Invalid WhatsApp Business Account ID').optional(),
+});
+
+const createMetaAppSchema = z.object({
+  appId: z.string().regex(/^\d+$/, 'Meta app ID must be numeric'),
+  name: z.string().max(255).optional(),
+  appSecret: z.string().min(1, 'App secret is required'),
+});
+
 // Webhook schemas
 const metaWebhookVerificationSchema = z.object({
   'hub.mode': z.literal('subscribe'),
@@ -167,6 +339,7 @@ const paginationSchema = z.object({
 
 const chatQuerySchema = paginationSchema.extend({
   status: chatStatusSchema.optional(),
+  priority: chatPrioritySchema.optional(),
   assignedUserId: uuidSchema.optional(),
   search: z.string().max(255).optional(),
 });
@@ -176,6 +349,128 @@ const messageQuerySchema = paginationSchema.extend({
   after: z.string().datetime().optional(),
 });
 
+const webhookEventQuerySchema = paginationSchema.extend({
+  status: z.enum(['pending', 'processing', 'processed', 'failed', 'rejected']).optional(),
+});
+
+const templateQuerySchema = z.object({
+  status: z.enum(['APPROVED', 'PENDING', 'REJECTED', 'PAUSED', 'DISABLED']).optional(),
+  socialConnectionId: uuidSchema.optional(),
+  search: z.string().max(100).optional(),
+});
+
+const syncTemplatesSchema = z.object({
+  socialConnectionId: uuidSchema.optional(),
+});
+
+const templateParametersSchema = z.object({
+  header: z.union([
+    z.string().min(1),
+    z.object({
+      link: z.string().url('Invalid header media URL'),
+      filename: z.string().max(255).optional(),
+    }),
+  ]).optional(),
+  body: z.union([z.array(z.string().min(1)), z.record(z.string().min(1))]).default([]),
+  buttons: z.array(z.object({
+    index: z.number().int().min(0).max(9),
+    text: z.string().min(1),
+  })).default([]),
+});
+
+// Limits are the strictest of Messenger, Instagram and WhatsApp. The option
+// ID is sent back as the payload of the customer's reply, the title is used
+// when it is left out.
+const interactiveOptionSchema = z.object({
+  id: z.string().min(1).max(256).optional(),
+  title: z.string().trim().min(1, 'Option title is required').max(20, 'Option title too long'),
+}).transform(option => ({ id: option.id || option.title, title: option.title }));
+
+const interactiveMessageSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('quick_replies'),
+    options: z.array(interactiveOptionSchema).min(1).max(13, 'At most 13 quick replies are allowed'),
+  }),
+  z.object({
+    type: z.literal('buttons'),
+    options: z.array(interactiveOptionSchema).min(1).max(3, 'At most 3 buttons are allowed'),
+  }),
+  z.object({
+    type: z.literal('list'),
+    buttonText: z.string().trim().min(1).max(20, 'List button text too long'),
+    sections: z.array(z.object({
+      title: z.string().trim().max(24, 'Section title too long').optional(),
+      rows: z.array(z.object({
+        id: z.string().min(1).max(200).optional(),
+        title: z.string().trim().min(1, 'Row title is required').max(24, 'Row title too long'),
+        description: z.string().trim().max(72, 'Row description too long').optional(),
+      }).transform(row => ({ ...row, id: row.id || row.title }))).min(1),
+    })).min(1).max(10).refine(
+      sections => sections.reduce((count, section) => count + section.rows.length, 0) <= 10,
+      'A list can have at most 10 rows'
+    ),
+  }),
+]);
+
+// Locations and contact cards shared by agents
+const sharedLocationSchema = z.object({
+  latitude: z.number().min(-90).max(90),
+  longitude: z.number().min(-180).max(180),
+  name: z.string().trim().max(1000).optional(),
+  address: z.string().trim().max(1000).optional(),
+});
+
+const contactCardSchema = z.object({
+  name: z.string().trim().min(1, 'Contact name is required').max(255),
+  phones: z.array(z.object({
+    phone: z.string().trim().min(1).max(50),
+    type: z.string().trim().max(20).optional(),
+  })).max(10).default([]),
+  emails: z.array(z.object({
+    email: z.string().email(),
+    type: z.string().trim().max(20).optional(),
+  })).max(10).default([]),
+  organization: z.string().trim().max(255).optional(),
+}).refine(
+  contact => contact.phones.length > 0 || contact.emails.length > 0,
+  'A contact card needs a phone number or an email'
+);
+
+const contactQuerySchema = paginationSchema.extend({
+  search: z.string().max(255).optional(),
+});
+
+const cannedResponseQuerySchema = paginationSchema.extend({
+  search: z.string().max(255).optional(),
+  scope: z.enum(['personal', 'tenant']).optional(),
+});
+
+const SEARCH_TYPES = ['messages', 'notes', 'customers'];
+
+const searchQuerySchema = z.object({
+  q: z.string().trim().min(2, 'Search term must be at least 2 characters').max(200),
+  // Comma-separated types to search, all by default
+  types: z.string()
+    .transform(value => [...new Set(value.split(',').map(type => type.trim()).filter(Boolean))])
+    .pipe(z.array(z.enum(SEARCH_TYPES)).min(1))
+    .default(SEARCH_TYPES.join(',')),
+  platform: platformSchema.optional(),
+  assignedUserId: uuidSchema.optional(),
+  dateFrom: z.string().datetime().optional(),
+  dateTo: z.string().datetime().optional(),
+  limit: z.string().regex(/^\d+$/).transform(Number).refine(n => n > 0 && n <= 50, 'Limit must be between 1 and 50').default('20'),
+  cursor: z.string().max(500).optional(),
+});
+
+const assignmentEventQuerySchema = paginationSchema.extend({
+  chatId: uuidSchema.optional(),
+  userId: uuidSchema.optional(),
+});
+
+const mediaQuerySchema = z.object({
+  thumbnail: z.enum(['true', 'false']).transform(value => value === 'true').default('false'),
+});
+
 // Validation middleware factory
 function validateBody(schema) {
   return (req, res, next) => {
@@ -237,6 +532,11 @@ function validateParams(schema) {
   };
 }
 
+// Parse data inside a handler, the error handler turns a ZodError into a 400
+function validateInput(schema, data) {
+  return schema.parse(data);
+}
+
 // Common parameter schemas
 const idParamSchema = z.object({
   id: uuidSchema,
@@ -250,10 +550,24 @@ const messageIdParamSchema = z.object({
   messageId: uuidSchema,
 });
 
+const contactIdentityParamSchema = z.object({
+  id: uuidSchema,
+  identityId: uuidSchema,
+});
+
+const teamMemberParamSchema = z.object({
+  id: uuidSchema,
+  userId: uuidSchema,
+});
+
 const noteIdParamSchema = z.object({
   noteId: uuidSchema,
 });
 
+const webhookEventIdParamSchema = z.object({
+  eventId: uuidSchema,
+});
+
 module.exports = {
   // Schemas
   uuidSchema,
@@ -262,6 +576,7 @@ module.exports = {
   phoneSchema,
   platformSchema,
   chatStatusSchema,
+  chatPrioritySchema,
   messageTypeSchema,
   senderSchema,
   roleSchema,
@@ -276,12 +591,32 @@ module.exports = {
   createChatSchema,
   updateChatSchema,
   assignChatSchema,
+  createContactSchema,
+  updateContactSchema,
+  mergeContactsSchema,
+  createTeamSchema,
+  updateTeamSchema,
+  addTeamMemberSchema,
+  createInboxSchema,
+  updateInboxSchema,
+  createRoutingRuleSchema,
+  updateRoutingRuleSchema,
+  updateAgentRoutingSchema,
+  createSlaPolicySchema,
+  updateSlaPolicySchema,
+  createTagSchema,
+  updateTagSchema,
+  createCannedResponseSchema,
+  updateCannedResponseSchema,
+  renderCannedResponseSchema,
   createMessageSchema,
   markMessagesReadSchema,
   createNoteSchema,
   updateNoteSchema,
   createSocialConnectionSchema,
   updateSocialConnectionSchema,
+  createMetaAppSchema,
+  whatsappEmbeddedSignupSchema,
   
   // Webhook schemas
   metaWebhookVerificationSchema,
@@ -291,15 +626,31 @@ module.exports = {
   paginationSchema,
   chatQuerySchema,
   messageQuerySchema,
+  webhookEventQuerySchema,
+  contactQuerySchema,
+  assignmentEventQuerySchema,
+  cannedResponseQuerySchema,
+  searchQuerySchema,
+  mediaQuerySchema,
+  templateQuerySchema,
+  syncTemplatesSchema,
+  templateParametersSchema,
+  interactiveMessageSchema,
+  sharedLocationSchema,
+  contactCardSchema,
   
   // Parameter schemas
   idParamSchema,
   chatIdParamSchema,
   messageIdParamSchema,
+  contactIdentityParamSchema,
+  teamMemberParamSchema,
   noteIdParamSchema,
+  webhookEventIdParamSchema,
   
   // Middleware
   validateBody,
   validateQuery,
   validateParams,
+  validateInput,
 };
\ No newline at end of file
@@ -0,0 +1,128 @@
+jest.mock('../src/utils/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+}));
+jest.mock('../src/services/mediaService', () => ({
+  getAsset: jest.fn(),
+  copyAsset: jest.fn(),
+  formatAsset: jest.fn(asset => ({ id: asset.id, url: `/api/media/${asset.id}` })),
+}));
+
+const cannedResponseService = require('../src/services/cannedResponseService');
+const mediaService = require('../src/services/mediaService');
+const { query } = require('../src/utils/database');
+const { ERROR_CODES } = require('../src/utils/constants');
+
+const agent = {
+  id: 'user-1',
+  role: 'agent',
+  tenantId: 'tenant-1',
+  firstName: 'Sam',
+  lastName: 'Lee',
+  email: 'sam@example.com',
+};
+
+const chat = {
+  id: 'chat-1',
+  customer_name: '  Jane   Doe ',
+  customer_email: null,
+  customer_phone: '+15551234567',
+};
+
+describe('cannedResponseService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockReset();
+  });
+
+  describe('fillPlaceholders', () => {
+    it('fills in chat and agent values', () => {
+      const content = cannedResponseService.fillPlaceholders(
+        'Hi {{customer_first_name}}, {{ agent_name }} here. We will call {{customer_phone}}.',
+        { chat, user: agent }
+      );
+
+      expect(content).toBe('Hi Jane, Sam Lee here. We will call +15551234567.');
+    });
+
+    it('empties known placeholders without a value and keeps unknown ones', () => {
+      const content = cannedResponseService.fillPlaceholders(
+        'Mail: {{customer_email}} Order: {{order_id}}',
+        { chat, user: agent }
+      );
+
+      expect(content).toBe('Mail:  Order: {{order_id}}');
+    });
+  });
+
+  describe('renderResponse', () => {
+    const response = {
+      id: 'response-1',
+      shortcode: 'thanks',
+      content: 'Thanks {{customer_first_name}}!',
+      media_asset_id: null,
+    };
+
+    it('renders a reply for a chat the agent can access and counts the use', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [response] })
+        .mockResolvedValueOnce({ rows: [chat] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const rendered = await cannedResponseService.renderResponse('response-1', 'chat-1', agent);
+
+      expect(rendered).toEqual({ id: 'response-1', shortcode: 'thanks', content: 'Thanks Jane!', attachment: null });
+
+      const [chatSql, chatParams] = query.mock.calls[1];
+      expect(chatSql).toContain('c.assigned_user_id = $3');
+      expect(chatParams).toEqual(['chat-1', 'tenant-1', 'user-1']);
+      expect(query.mock.calls[2][0]).toContain('usage_count = usage_count + 1');
+    });
+
+    it('sends a copy of the reply\'s attachment', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ ...response, media_asset_id: 'asset-1' }] })
+        .mockResolvedValueOnce({ rows: [chat] })
+        .mockResolvedValueOnce({ rows: [] });
+      mediaService.copyAsset.mockResolvedValue({ id: 'asset-2' });
+
+      const rendered = await cannedResponseService.renderResponse('response-1', 'chat-1', agent);
+
+      expect(mediaService.copyAsset).toHaveBeenCalledWith('asset-1', 'tenant-1', 'user-1');
+      expect(rendered.attachment).toEqual({ id: 'asset-2', url: '/api/media/asset-2' });
+    });
+
+    it('does not render replies into chats the agent cannot access', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [response] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await expect(cannedResponseService.renderResponse('response-1', 'chat-2', agent))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.RESOURCE_NOT_FOUND, statusCode: 404 });
+      expect(query).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('scopes', () => {
+    it('lets only admins create tenant-wide replies', async () => {
+      await expect(cannedResponseService.createResponse(agent, { shortcode: 'hi', content: 'Hi', scope: 'tenant' }))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.FORBIDDEN, statusCode: 403 });
+
+      query.mockResolvedValueOnce({ rows: [{ id: 'response-1', user_id: null }] });
+      const created = await cannedResponseService.createResponse(
+        { ...agent, role: 'admin' },
+        { shortcode: 'hi', content: 'Hi', scope: 'tenant' }
+      );
+
+      expect(created.scope).toBe('tenant');
+      expect(query.mock.calls[0][1][1]).toBeNull();
+    });
+
+    it('turns a duplicate shortcode into a conflict', async () => {
+      query.mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: '23505' }));
+
+      await expect(cannedResponseService.createResponse(agent, { shortcode: 'hi', content: 'Hi', scope: 'personal' }))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.RESOURCE_ALREADY_EXISTS, statusCode: 409 });
+    });
+  });
+});
@@ -0,0 +1,72 @@
+jest.mock('../src/utils/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  db: { query: jest.fn() },
+}));
+jest.mock('../src/services/tagService', () => ({
+  getChatTags: jest.fn(async chatIds => new Map(chatIds.map(chatId => [chatId, []]))),
+}));
+
+const chatController = require('../src/controllers/chatController');
+const { db } = require('../src/utils/database');
+const { handleValidationError } = require('../src/middleware/errorHandler');
+const { ERROR_CODES } = require('../src/utils/constants');
+
+const admin = { id: 'user-1', role: 'admin', tenantId: 'tenant-1' };
+const urgentTag = '00000000-0000-4000-8000-000000000001';
+const vipTag = '00000000-0000-4000-8000-000000000002';
+
+// Run getChatList and resolve with the chat query, or reject with the error passed on
+const listChats = (query) => new Promise((resolve, reject) => {
+  const res = { json: () => resolve(db.query.mock.calls[0]) };
+  chatController.getChatList({ query, user: admin }, res, reject);
+});
+
+describe('chatController', () => {
+  describe('getChatList', () => {
+    beforeEach(() => {
+      db.query.mockReset();
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ total: 0 }] });
+    });
+
+    it('lists chats with any of the tags by default', async () => {
+      const [sql, params] = await listChats({ tagIds: `${urgentTag},${vipTag}` });
+
+      expect(sql).toContain('AND EXISTS (\n          SELECT 1 FROM chat_tags fct');
+      expect(sql).not.toContain('cardinality');
+      expect(params).toContainEqual([urgentTag, vipTag]);
+    });
+
+    it('lists chats with all of the tags', async () => {
+      const [sql, params] = await listChats({ tagIds: `${urgentTag},${vipTag}`, tagMatch: 'all' });
+
+      expect(sql).toMatch(/\) = cardinality\(\$2::uuid\[\]\)/);
+      expect(params[1]).toEqual([urgentTag, vipTag]);
+    });
+
+    it('ignores repeated and empty tag IDs so all-matching still counts right', async () => {
+      const [, params] = await listChats({ tagIds: `${urgentTag}, ,${urgentTag}`, tagMatch: 'all' });
+
+      expect(params[1]).toEqual([urgentTag]);
+    });
+
+    it('filters the total with the same tags', async () => {
+      await listChats({ tagIds: urgentTag, tagMatch: 'all' });
+
+      const [countSql, countParams] = db.query.mock.calls[1];
+      expect(countSql).toContain('cardinality($2::uuid[])');
+      expect(countParams).toEqual(['tenant-1', [urgentTag]]);
+    });
+
+    it('rejects tag IDs that are not UUIDs', async () => {
+      for (const query of [{ tagIds: 'urgent' }, { tagIds: urgentTag, tagMatch: 'some' }]) {
+        const error = await listChats(query).catch(rejection => rejection);
+
+        expect(handleValidationError(error)).toMatchObject({ errorCode: ERROR_CODES.VALIDATION_ERROR, statusCode: 400 });
+      }
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+});
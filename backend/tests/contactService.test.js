@@ -0,0 +1,155 @@
+jest.mock('../src/utils/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+}));
+
+const contactService = require('../src/services/contactService');
+const { transaction } = require('../src/utils/database');
+const { ERROR_CODES } = require('../src/utils/constants');
+
+const whatsapp = { id: 'connection-1', tenant_id: 'tenant-1', platform: 'whatsapp' };
+
+const contacts = {
+  'contact-1': {
+    id: 'contact-1',
+    name: 'Jane Doe',
+    email: null,
+    phone: '+15551234567',
+    avatar_url: null,
+    attributes: { plan: 'pro', vip: true },
+  },
+  'contact-2': {
+    id: 'contact-2',
+    name: 'jane.doe',
+    email: 'jane@example.com',
+    phone: null,
+    avatar_url: 'https://cdn.example.com/jane.jpg',
+    attributes: { plan: 'free', city: 'Oslo' },
+  },
+};
+
+// Client of a transaction answering by the SQL it runs, contacts by their ID
+const buildClient = (answers = {}) => ({
+  query: jest.fn(async (sql, params) => {
+    if (sql.startsWith('SELECT * FROM contacts')) {
+      return { rows: contacts[params[0]] ? [contacts[params[0]]] : [] };
+    }
+    const match = Object.keys(answers).find(fragment => sql.includes(fragment));
+    return { rows: match ? answers[match] : [] };
+  }),
+});
+
+const findCall = (client, fragment) => client.query.mock.calls.find(([sql]) => sql.includes(fragment));
+
+describe('contactService', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transaction.mockImplementation(async callback => callback(client));
+  });
+
+  describe('findOrCreateForPlatformUser', () => {
+    it('returns the contact of a known identity', async () => {
+      client = buildClient({ 'FROM contact_identities': [{ contact_id: 'contact-1' }] });
+
+      await expect(contactService.findOrCreateForPlatformUser(client, whatsapp, '15551234567'))
+        .resolves.toBe('contact-1');
+      expect(client.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('matches new WhatsApp users to a contact by phone number', async () => {
+      client = buildClient({ 'SELECT id FROM contacts': [{ id: 'contact-1' }] });
+
+      const contactId = await contactService.findOrCreateForPlatformUser(
+        client, whatsapp, '15551234567', { name: 'Jane', phone: '+15551234567' }
+      );
+
+      expect(contactId).toBe('contact-1');
+      expect(findCall(client, 'INSERT INTO contacts')).toBeUndefined();
+      expect(findCall(client, 'INSERT INTO contact_identities')[1])
+        .toEqual(['tenant-1', 'contact-1', 'connection-1', 'whatsapp', '15551234567']);
+    });
+
+    it('creates a contact for new Messenger users without matching phones', async () => {
+      client = buildClient({ 'INSERT INTO contacts': [{ id: 'contact-3' }] });
+
+      const contactId = await contactService.findOrCreateForPlatformUser(
+        client, { ...whatsapp, platform: 'facebook' }, 'psid-1', { name: 'Jane', phone: '+15551234567' }
+      );
+
+      expect(contactId).toBe('contact-3');
+      expect(findCall(client, 'SELECT id FROM contacts')).toBeUndefined();
+    });
+  });
+
+  describe('mergeContacts', () => {
+    it('moves identities and chats and keeps the target\'s values', async () => {
+      client = buildClient({ 'UPDATE contacts': [{ id: 'contact-1' }] });
+
+      await contactService.mergeContacts('contact-1', 'contact-2', 'tenant-1');
+
+      expect(findCall(client, 'UPDATE contact_identities')[1]).toEqual(['contact-1', 'contact-2']);
+      expect(findCall(client, 'UPDATE chats')[1]).toEqual(['contact-1', 'contact-2']);
+      expect(findCall(client, 'DELETE FROM contacts')[1]).toEqual(['contact-2']);
+
+      const [, params] = findCall(client, 'UPDATE contacts');
+      expect(params).toEqual([
+        'contact-1',
+        'Jane Doe',
+        'jane@example.com',
+        '+15551234567',
+        'https://cdn.example.com/jane.jpg',
+        JSON.stringify({ plan: 'pro', city: 'Oslo', vip: true }),
+      ]);
+    });
+
+    it('refuses to merge a contact into itself or into another tenant\'s contact', async () => {
+      client = buildClient();
+
+      await expect(contactService.mergeContacts('contact-1', 'contact-1', 'tenant-1'))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.VALIDATION_ERROR, statusCode: 400 });
+      await expect(contactService.mergeContacts('contact-9', 'contact-2', 'tenant-1'))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.RESOURCE_NOT_FOUND, statusCode: 404 });
+      expect(findCall(client, 'DELETE FROM contacts')).toBeUndefined();
+    });
+  });
+
+  describe('splitIdentity', () => {
+    const identity = { id: 'identity-2', social_connection_id: 'connection-2', platform_user_id: 'igsid-1' };
+
+    it('moves the identity and its chats to a new contact named after the chat', async () => {
+      client = buildClient({
+        'SELECT * FROM contact_identities': [identity],
+        'COUNT(*)': [{ count: 2 }],
+        'SELECT customer_name': [{ customer_name: 'jane.doe', customer_phone: null, customer_avatar_url: null }],
+        'INSERT INTO contacts': [{ id: 'contact-3', name: 'jane.doe' }],
+      });
+
+      const contact = await contactService.splitIdentity('contact-1', 'identity-2', 'tenant-1');
+
+      expect(contact).toEqual({ id: 'contact-3', name: 'jane.doe' });
+      expect(findCall(client, 'INSERT INTO contacts')[1]).toEqual(['tenant-1', 'jane.doe', null, null]);
+      expect(findCall(client, 'UPDATE contact_identities')[1]).toEqual(['contact-3', 'identity-2']);
+      expect(findCall(client, 'UPDATE chats')[1]).toEqual(['contact-3', 'connection-2', 'igsid-1', 'contact-1']);
+    });
+
+    it('keeps the only identity of a contact', async () => {
+      client = buildClient({
+        'SELECT * FROM contact_identities': [identity],
+        'COUNT(*)': [{ count: 1 }],
+      });
+
+      await expect(contactService.splitIdentity('contact-1', 'identity-2', 'tenant-1'))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.VALIDATION_ERROR, statusCode: 400 });
+      expect(findCall(client, 'INSERT INTO contacts')).toBeUndefined();
+    });
+
+    it('does not find identities of other contacts', async () => {
+      client = buildClient();
+
+      await expect(contactService.splitIdentity('contact-1', 'identity-9', 'tenant-1'))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.RESOURCE_NOT_FOUND, statusCode: 404 });
+    });
+  });
+});
@@ -0,0 +1,112 @@
+jest.mock('../src/utils/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+}));
+jest.mock('../src/services/slaService', () => ({
+  onStatusChange: jest.fn(),
+}));
+
+const conversationService = require('../src/services/conversationService');
+const slaService = require('../src/services/slaService');
+const { query } = require('../src/utils/database');
+const { APP_CONSTANTS } = require('../src/utils/constants');
+
+const HOUR = 60 * 60 * 1000;
+const closedAt = new Date('2026-03-01T10:00:00Z');
+
+const chat = { id: 'chat-1', tenant_id: 'tenant-1', status: 'closed', assigned_user_id: 'user-1' };
+
+// Client locking the given current conversation and echoing the writes
+const buildClient = (current) => ({
+  query: jest.fn(async (sql, params) => {
+    if (sql.includes('FROM conversations')) return { rows: current ? [current] : [] };
+    if (sql.includes('UPDATE conversations')) return { rows: [{ ...current, status: params[0] }] };
+    if (sql.includes('INSERT INTO conversations')) return { rows: [{ id: 'conversation-2', assigned_user_id: params[3] }] };
+    if (sql.includes('UPDATE chats')) {
+      // Reopening keeps the assignment, a new conversation sets it
+      const assignedUserId = params.length > 2 ? params[1] : chat.assigned_user_id;
+      return { rows: [{ ...chat, status: params[0], assigned_user_id: assignedUserId }] };
+    }
+    return { rows: [] };
+  }),
+});
+
+const closed = { id: 'conversation-1', status: 'closed', closed_at: closedAt };
+
+describe('conversationService', () => {
+  const reopenWindow = APP_CONSTANTS.CONVERSATIONS.REOPEN_WINDOW;
+
+  afterEach(() => {
+    APP_CONSTANTS.CONVERSATIONS.REOPEN_WINDOW = reopenWindow;
+  });
+
+  describe('resolveForInbound', () => {
+    it('continues open and pending conversations', async () => {
+      for (const status of ['open', 'pending']) {
+        const client = buildClient({ id: 'conversation-1', status });
+
+        const result = await conversationService.resolveForInbound(client, chat, new Date());
+
+        expect(result).toMatchObject({ action: 'continued', conversation: { id: 'conversation-1' }, chat });
+        expect(client.query).toHaveBeenCalledTimes(1);
+      }
+    });
+
+    it('reopens a closed conversation within the reopen window', async () => {
+      APP_CONSTANTS.CONVERSATIONS.REOPEN_WINDOW = 24 * HOUR;
+      const client = buildClient(closed);
+
+      const result = await conversationService.resolveForInbound(client, chat, new Date(closedAt.getTime() + 23 * HOUR));
+
+      expect(result).toMatchObject({ action: 'reopened', conversation: { id: 'conversation-1', status: 'open' } });
+      expect(result.chat).toMatchObject({ status: 'open', assigned_user_id: 'user-1' });
+      expect(client.query.mock.calls[1][0]).toContain('reopen_count = reopen_count + 1');
+    });
+
+    it('starts a new unassigned conversation after the reopen window', async () => {
+      APP_CONSTANTS.CONVERSATIONS.REOPEN_WINDOW = 24 * HOUR;
+      const client = buildClient(closed);
+      const timestamp = new Date(closedAt.getTime() + 25 * HOUR);
+
+      const result = await conversationService.resolveForInbound(client, chat, timestamp);
+
+      expect(result).toMatchObject({ action: 'new_conversation', conversation: { id: 'conversation-2' } });
+      expect(result.chat).toMatchObject({ status: 'open', assigned_user_id: null });
+
+      const [, params] = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO conversations'));
+      expect(params).toEqual(['tenant-1', 'chat-1', 'open', null, timestamp]);
+    });
+
+    it('gives the first conversation the chat\'s assignment', async () => {
+      const client = buildClient(null);
+
+      const result = await conversationService.resolveForInbound(client, chat, new Date());
+
+      expect(result).toMatchObject({ action: 'new_chat', conversation: { assigned_user_id: 'user-1' } });
+    });
+
+    it('never reopens when the reopen window is 0', async () => {
+      APP_CONSTANTS.CONVERSATIONS.REOPEN_WINDOW = 0;
+      const client = buildClient(closed);
+
+      const result = await conversationService.resolveForInbound(client, chat, closedAt);
+
+      expect(result.action).toBe('new_conversation');
+    });
+  });
+
+  describe('syncFromChat', () => {
+    it('closes the current conversation and tells the SLA timers', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ id: 'conversation-1', status: 'open' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'conversation-1', status: 'closed' }] });
+
+      await conversationService.syncFromChat({ ...chat, status: 'closed' }, 'user-2');
+
+      const [sql, params] = query.mock.calls[1];
+      expect(sql).toContain('closed_at = CASE WHEN $1 = $5 THEN COALESCE(closed_at, NOW()) END');
+      expect(params).toEqual(['closed', 'user-1', 'user-2', 'conversation-1', 'closed']);
+      expect(slaService.onStatusChange).toHaveBeenCalledWith('conversation-1', 'closed');
+    });
+  });
+});
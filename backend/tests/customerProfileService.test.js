@@ -0,0 +1,156 @@
+jest.mock('../src/utils/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+}));
+jest.mock('../src/utils/redis', () => ({
+  getCache: jest.fn(),
+  setCache: jest.fn(),
+}));
+jest.mock('../src/services/metaApiService', () => ({
+  getUserProfile: jest.fn(),
+}));
+jest.mock('../src/services/encryptionService', () => ({
+  decrypt: jest.fn(() => 'access-token'),
+}));
+jest.mock('../src/services/contactService', () => ({
+  applyProfile: jest.fn(),
+}));
+jest.mock('../src/services/websocketService', () => ({
+  broadcastToTenant: jest.fn(),
+}));
+
+const customerProfileService = require('../src/services/customerProfileService');
+const metaApiService = require('../src/services/metaApiService');
+const contactService = require('../src/services/contactService');
+const { broadcastToTenant } = require('../src/services/websocketService');
+const { getCache, setCache } = require('../src/utils/redis');
+const { query } = require('../src/utils/database');
+
+const connection = (platform) => ({ id: 'connection-1', platform, encrypted_access_token: 'encrypted' });
+
+const chat = (overrides = {}) => ({
+  id: 'chat-1',
+  tenant_id: 'tenant-1',
+  contact_id: 'contact-1',
+  platform_chat_id: '15551234567',
+  kind: 'direct',
+  customer_name: 'Customer 4567',
+  customer_profile_name: null,
+  profile_synced_at: null,
+  ...overrides,
+});
+
+const savedProfile = () => {
+  const [, params] = query.mock.calls.find(([sql]) => sql.includes('UPDATE chats'));
+  return { name: params[1], avatarUrl: params[2], locale: params[3], phone: params[4], placeholder: params[5] };
+};
+
+describe('customerProfileService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockReset();
+    query.mockImplementation(async (sql, params) => ({ rows: [chat({ customer_name: params[1] })] }));
+    getCache.mockResolvedValue(null);
+  });
+
+  describe('enrichChat', () => {
+    it('takes the WhatsApp profile name from the message without a lookup', async () => {
+      await customerProfileService.enrichChat(chat(), connection('whatsapp'), { senderName: 'Jane Doe' });
+
+      expect(metaApiService.getUserProfile).not.toHaveBeenCalled();
+      expect(savedProfile()).toMatchObject({ name: 'Jane Doe', phone: '+15551234567', placeholder: 'Customer 4567' });
+      expect(contactService.applyProfile).toHaveBeenCalledWith(
+        'contact-1',
+        { name: 'Jane Doe', phone: '+15551234567' },
+        'Customer 4567'
+      );
+    });
+
+    it('does not write unchanged WhatsApp names', async () => {
+      const known = chat({ customer_profile_name: 'Jane Doe' });
+
+      const result = await customerProfileService.enrichChat(known, connection('whatsapp'), { senderName: 'Jane Doe' });
+
+      expect(result).toBe(known);
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('looks up new Messenger customers and caches their profile', async () => {
+      metaApiService.getUserProfile.mockResolvedValue({
+        first_name: 'Jane',
+        last_name: 'Doe',
+        profile_pic: 'https://cdn.example.com/jane.jpg',
+        locale: 'en_US',
+      });
+
+      await customerProfileService.enrichChat(chat(), connection('facebook'), {});
+
+      expect(metaApiService.getUserProfile).toHaveBeenCalledWith('access-token', '15551234567', 'facebook');
+      expect(savedProfile()).toMatchObject({
+        name: 'Jane Doe',
+        avatarUrl: 'https://cdn.example.com/jane.jpg',
+        locale: 'en_US',
+      });
+      expect(setCache).toHaveBeenCalledWith(
+        'cache:customer_profile:connection-1:15551234567',
+        { name: 'Jane Doe', avatarUrl: 'https://cdn.example.com/jane.jpg', locale: 'en_US' },
+        expect.any(Number)
+      );
+    });
+
+    it('skips synced chats and comment chats', async () => {
+      await customerProfileService.enrichChat(chat({ profile_synced_at: new Date() }), connection('instagram'), {});
+      await customerProfileService.enrichChat(chat({ kind: 'comments' }), connection('instagram'), {});
+
+      expect(metaApiService.getUserProfile).not.toHaveBeenCalled();
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('marks the chat as synced when the lookup fails', async () => {
+      metaApiService.getUserProfile.mockRejectedValue(new Error('User consent is required'));
+
+      await customerProfileService.enrichChat(chat(), connection('instagram'), {});
+
+      expect(savedProfile()).toMatchObject({ name: null, avatarUrl: null });
+    });
+
+    it('never fails the message when the profile cannot be saved', async () => {
+      const original = chat();
+      query.mockRejectedValue(new Error('Database unavailable'));
+
+      await expect(customerProfileService.enrichChat(original, connection('whatsapp'), { senderName: 'Jane' }))
+        .resolves.toBe(original);
+    });
+  });
+
+  describe('saveProfile', () => {
+    it('only replaces placeholder or previously synced names', async () => {
+      await customerProfileService.saveProfile(chat(), { name: 'Jane Doe' });
+
+      const [sql] = query.mock.calls[0];
+      expect(sql).toContain('customer_name = $6 OR');
+      expect(sql).toContain('customer_name = customer_profile_name');
+      expect(savedProfile().placeholder).toBe('Customer 4567');
+    });
+  });
+
+  describe('refreshStaleProfiles', () => {
+    it('refreshes profiles past the cache and broadcasts them', async () => {
+      query
+        .mockResolvedValueOnce({
+          rows: [chat({ social_connection_id: 'connection-1', platform: 'instagram', encrypted_access_token: 'encrypted' })],
+        });
+      getCache.mockResolvedValue({ name: 'Stale' });
+      metaApiService.getUserProfile.mockResolvedValue({ username: 'jane.doe' });
+
+      await customerProfileService.refreshStaleProfiles();
+
+      expect(getCache).not.toHaveBeenCalled();
+      expect(savedProfile().name).toBe('jane.doe');
+      expect(broadcastToTenant).toHaveBeenCalledWith('tenant-1', expect.objectContaining({
+        chatId: 'chat-1',
+        chat: expect.objectContaining({ customerName: 'jane.doe' }),
+      }));
+    });
+  });
+});
@@ -0,0 +1,220 @@
+jest.mock('../src/utils/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+}));
+jest.mock('../src/services/encryptionService', () => ({
+  decrypt: jest.fn(() => 'access-token'),
+}));
+jest.mock('../src/services/websocketService', () => ({
+  broadcastToChat: jest.fn(),
+}));
+
+const instagramCommentService = require('../src/services/instagramCommentService');
+const metaApiService = require('../src/services/metaApiService');
+const contactService = require('../src/services/contactService');
+const { query } = require('../src/utils/database');
+const { ERROR_CODES } = require('../src/utils/constants');
+
+const admin = { id: 'user-1', role: 'admin', tenantId: 'tenant-1' };
+const connection = { id: 'connection-1', tenant_id: 'tenant-1', platform: 'instagram' };
+
+const commentChange = (from, field = 'comments') => ({
+  field,
+  value: { id: 'comment-1', text: 'Love it', from, media: { id: 'media-1' } },
+});
+
+// Client of a transaction answering by the SQL it runs
+const buildClient = (answers) => ({
+  query: jest.fn(async (sql) => {
+    const match = Object.keys(answers).find(fragment => sql.includes(fragment));
+    return { rows: match ? answers[match] : [] };
+  }),
+});
+
+describe('instagramCommentService', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    query.mockReset();
+  });
+
+  describe('comment ingestion', () => {
+    it('turns comments into messages of the commenter\'s comment chat', () => {
+      const [comment] = metaApiService.processWebhookComments({
+        id: 'account-1',
+        time: 1700000000,
+        changes: [commentChange({ id: 'igsid-1', username: 'jane.doe' })],
+      }, 'instagram');
+
+      expect(comment).toMatchObject({
+        chatKind: 'comments',
+        senderId: 'igsid-1',
+        senderName: '@jane.doe',
+        messageId: 'comment-1',
+        comment: { type: 'comment', id: 'comment-1', username: 'jane.doe', mediaId: 'media-1' },
+        timestamp: new Date(1700000000000),
+      });
+    });
+
+    it('skips the account\'s own replies and completes mentions later', () => {
+      const comments = metaApiService.processWebhookComments({
+        id: 'account-1',
+        changes: [
+          commentChange({ id: 'account-1', username: 'shop' }),
+          { field: 'mentions', value: { media_id: 'media-2', comment_id: 'comment-2' } },
+        ],
+      }, 'instagram');
+
+      expect(comments).toHaveLength(1);
+      expect(comments[0].mention).toEqual({ mediaId: 'media-2', commentId: 'comment-2' });
+    });
+  });
+
+  describe('resolveMention', () => {
+    const mentionData = (mention) => ({ pageId: 'account-1', mention, timestamp: new Date() });
+
+    beforeEach(() => {
+      query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM social_connections')) {
+          return { rows: [{ id: 'connection-1', platform_account_id: 'account-1', encrypted_access_token: 'x' }] };
+        }
+        return { rows: [] };
+      });
+    });
+
+    it('keys mentioning comments by their author\'s ID', async () => {
+      jest.spyOn(metaApiService, 'getMentionedComment').mockResolvedValue({
+        id: 'comment-2',
+        text: '@shop look',
+        from: { id: 'igsid-2', username: 'john' },
+        media: { id: 'media-2', permalink: 'https://instagram.com/p/2' },
+      });
+
+      const messageData = await instagramCommentService.resolveMention(
+        mentionData({ mediaId: 'media-2', commentId: 'comment-2' })
+      );
+
+      expect(messageData).toMatchObject({
+        senderId: 'igsid-2',
+        text: '@shop look',
+        comment: { type: 'mention', id: 'comment-2', username: 'john', permalink: 'https://instagram.com/p/2' },
+      });
+    });
+
+    it('keys caption mentions of unknown users by their username', async () => {
+      jest.spyOn(metaApiService, 'getMentionedMedia').mockResolvedValue({
+        id: 'media-3',
+        caption: 'Thanks @shop',
+        username: 'john',
+      });
+
+      const messageData = await instagramCommentService.resolveMention(mentionData({ mediaId: 'media-3' }));
+
+      expect(messageData).toMatchObject({
+        senderId: '@john',
+        text: 'Thanks @shop',
+        comment: { type: 'mention', username: 'john' },
+      });
+    });
+
+    it('sends caption mentions to the chat of the user\'s earlier comments', async () => {
+      jest.spyOn(metaApiService, 'getMentionedMedia').mockResolvedValue({ id: 'media-3', username: 'john' });
+      query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM social_connections')) {
+          return { rows: [{ id: 'connection-1', platform_account_id: 'account-1', encrypted_access_token: 'x' }] };
+        }
+        return { rows: [{ platform_chat_id: 'igsid-2' }] };
+      });
+
+      const messageData = await instagramCommentService.resolveMention(mentionData({ mediaId: 'media-3' }));
+
+      expect(messageData.senderId).toBe('igsid-2');
+    });
+  });
+
+  describe('adoptUsernameChat', () => {
+    it('moves the @username chat and identity to the commenter ID', async () => {
+      const client = buildClient({
+        'DELETE FROM contact_identities': [{ contact_id: 'contact-1' }],
+        'UPDATE chats': [{ id: 'chat-1' }],
+      });
+
+      await instagramCommentService.adoptUsernameChat(client, connection, 'igsid-2', 'john');
+
+      expect(client.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO contact_identities'),
+        ['tenant-1', 'contact-1', 'connection-1', 'instagram', 'igsid-2']
+      );
+      expect(client.query).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE chats'),
+        ['connection-1', '@john', 'igsid-2', 'contact-1', 'comments']
+      );
+    });
+
+    it('merges the mention contact into the contact known by ID', async () => {
+      const client = buildClient({
+        'DELETE FROM contact_identities': [{ contact_id: 'contact-1' }],
+        'SELECT contact_id FROM contact_identities': [{ contact_id: 'contact-2' }],
+      });
+      jest.spyOn(contactService, 'moveContact').mockResolvedValue({ id: 'contact-2' });
+
+      await instagramCommentService.adoptUsernameChat(client, connection, 'igsid-2', 'john');
+
+      expect(contactService.moveContact).toHaveBeenCalledWith(client, 'contact-2', 'contact-1', 'tenant-1');
+      expect(client.query).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE chats'),
+        ['connection-1', '@john', 'igsid-2', 'contact-2', 'comments']
+      );
+    });
+  });
+
+  describe('moderation', () => {
+    const commentMessage = (comment) => ({
+      id: 'message-1',
+      chat_id: 'chat-1',
+      metadata: { comment },
+      encrypted_access_token: 'x',
+      connection_active: true,
+    });
+
+    // Answer the comment lookup, then echo the metadata change
+    const mockComment = (message) => {
+      query
+        .mockResolvedValueOnce({ rows: [message] })
+        .mockImplementationOnce(async (sql, params) => ({
+          rows: [{ ...message, metadata: { comment: { ...message.metadata.comment, ...JSON.parse(params[1]) } } }],
+        }));
+    };
+
+    it('hides a comment on Instagram and records it', async () => {
+      jest.spyOn(metaApiService, 'setCommentHidden').mockResolvedValue(true);
+      mockComment(commentMessage({ id: 'comment-1', hidden: false }));
+
+      const updated = await instagramCommentService.setHidden(admin, 'message-1', true);
+
+      expect(metaApiService.setCommentHidden).toHaveBeenCalledWith('access-token', 'comment-1', true);
+      expect(updated.metadata.comment.hidden).toBe(true);
+    });
+
+    it('deletes a comment and keeps the message', async () => {
+      jest.spyOn(metaApiService, 'deleteComment').mockResolvedValue(true);
+      mockComment(commentMessage({ id: 'comment-1' }));
+
+      const updated = await instagramCommentService.deleteComment(admin, 'message-1');
+
+      expect(metaApiService.deleteComment).toHaveBeenCalledWith('access-token', 'comment-1');
+      expect(updated.metadata.comment.deletedAt).toEqual(expect.any(String));
+    });
+
+    it('refuses caption mentions and deleted comments', async () => {
+      const setHidden = jest.spyOn(metaApiService, 'setCommentHidden');
+
+      for (const comment of [{ id: null, type: 'mention' }, { id: 'comment-1', deletedAt: '2026-03-01' }]) {
+        query.mockResolvedValueOnce({ rows: [commentMessage(comment)] });
+
+        await expect(instagramCommentService.setHidden(admin, 'message-1', true))
+          .rejects.toMatchObject({ errorCode: ERROR_CODES.INVALID_INPUT, statusCode: 400 });
+      }
+      expect(setHidden).not.toHaveBeenCalled();
+    });
+  });
+});
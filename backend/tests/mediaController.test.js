@@ -0,0 +1,72 @@
+jest.mock('../src/services/mediaService', () => ({
+  getAccessibleAsset: jest.fn(),
+}));
+jest.mock('../src/services/storageService', () => ({
+  getStream: jest.fn(),
+}));
+
+const { PassThrough } = require('stream');
+const mediaController = require('../src/controllers/mediaController');
+const mediaService = require('../src/services/mediaService');
+const storageService = require('../src/services/storageService');
+const { ERROR_CODES } = require('../src/utils/constants');
+
+const asset = (mimeType, fileName) => ({
+  id: 'asset-1',
+  storage_key: 'tenant-1/asset-1',
+  thumbnail_key: null,
+  file_name: fileName,
+  mime_type: mimeType,
+  size: 42,
+});
+
+// Run the handler and resolve with the response headers once it is streaming
+const download = (query = {}) => new Promise((resolve, reject) => {
+  const headers = {};
+  const res = new PassThrough();
+  res.setHeader = (name, value) => { headers[name] = value; };
+
+  res.on('pipe', () => resolve(headers));
+
+  storageService.getStream.mockResolvedValue(new PassThrough());
+  mediaController.downloadMedia({ params: { id: 'asset-1' }, query, user: { id: 'user-1' } }, res, reject);
+});
+
+describe('mediaController', () => {
+  describe('downloadMedia', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    it('renders images inline', async () => {
+      mediaService.getAccessibleAsset.mockResolvedValue(asset('image/png', 'photo.png'));
+
+      const headers = await download();
+
+      expect(headers).toMatchObject({
+        'Content-Type': 'image/png',
+        'Content-Disposition': 'inline; filename="photo.png"',
+        'X-Content-Type-Options': 'nosniff',
+        'Content-Length': 42,
+      });
+    });
+
+    it('serves HTML and SVG as downloads with a sanitized file name', async () => {
+      for (const mimeType of ['text/html; charset=utf-8', 'image/svg+xml']) {
+        mediaService.getAccessibleAsset.mockResolvedValue(asset(mimeType, 'page"\r\n.html'));
+
+        const headers = await download();
+
+        expect(headers['Content-Disposition']).toBe('attachment; filename="page.html"');
+      }
+    });
+
+    it('does not find a thumbnail of files without one', async () => {
+      mediaService.getAccessibleAsset.mockResolvedValue(asset('application/pdf', 'invoice.pdf'));
+
+      await expect(download({ thumbnail: true }))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.RESOURCE_NOT_FOUND, statusCode: 404 });
+      expect(storageService.getStream).not.toHaveBeenCalled();
+    });
+  });
+});
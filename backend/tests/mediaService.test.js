@@ -0,0 +1,165 @@
+jest.mock('sharp', () => jest.fn(), { virtual: true });
+jest.mock('../src/utils/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+}));
+jest.mock('../src/services/storageService', () => ({
+  driver: 'local',
+  put: jest.fn(),
+}));
+
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+const sharp = require('sharp');
+const mediaService = require('../src/services/mediaService');
+const metaApiService = require('../src/services/metaApiService');
+const storageService = require('../src/services/storageService');
+const { query } = require('../src/utils/database');
+const { ERROR_CODES } = require('../src/utils/constants');
+
+const agent = { id: 'user-1', role: 'agent', tenantId: 'tenant-1' };
+
+// Echo the inserted asset row
+const insertedAsset = (params) => ({
+  id: params[0],
+  tenant_id: params[1],
+  message_id: params[2],
+  storage_key: params[4],
+  thumbnail_key: params[5],
+  file_name: params[6],
+  mime_type: params[7],
+  size: params[8],
+  width: params[9],
+  height: params[10],
+});
+
+describe('mediaService', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    query.mockReset();
+    query.mockImplementation(async (sql, params) => (
+      sql.includes('INSERT INTO media_assets') ? { rows: [insertedAsset(params)] } : { rows: [] }
+    ));
+  });
+
+  describe('getInboundMedia', () => {
+    it('keeps the media ID of WhatsApp messages and the first file URL of Messenger messages', () => {
+      expect(mediaService.getInboundMedia({
+        media: { id: 'media-1', mimeType: 'image/jpeg', fileName: 'photo.jpg' },
+      })).toEqual({ mediaId: 'media-1', mimeType: 'image/jpeg', fileName: 'photo.jpg' });
+
+      expect(mediaService.getInboundMedia({
+        attachments: [
+          { type: 'location', payload: { coordinates: {} } },
+          { type: 'image', payload: { url: 'https://cdn.example.com/1.jpg' } },
+          { type: 'video', payload: { url: 'https://cdn.example.com/2.mp4' } },
+        ],
+      })).toEqual({ url: 'https://cdn.example.com/1.jpg' });
+    });
+
+    it('keeps the story of Instagram story mentions and ignores text messages', () => {
+      expect(mediaService.getInboundMedia({ story: { url: 'https://cdn.example.com/story.mp4' } }))
+        .toEqual({ url: 'https://cdn.example.com/story.mp4' });
+      expect(mediaService.getInboundMedia({ text: 'Hello' })).toBeNull();
+    });
+  });
+
+  describe('storeInboundMedia', () => {
+    const message = { id: 'message-1', tenant_id: 'tenant-1' };
+
+    it('resolves WhatsApp media with the access token and links it to the message', async () => {
+      jest.spyOn(metaApiService, 'getWhatsAppMediaUrl').mockResolvedValue({
+        url: 'https://lookaside.example.com/media-1',
+        mime_type: 'audio/ogg; codecs=opus',
+      });
+      jest.spyOn(metaApiService, 'downloadMedia').mockResolvedValue({
+        buffer: Buffer.from('voice'),
+        contentType: 'application/octet-stream',
+      });
+
+      await mediaService.storeInboundMedia(message, { mediaId: 'media-1' }, 'access-token');
+
+      expect(metaApiService.downloadMedia).toHaveBeenCalledWith(
+        'https://lookaside.example.com/media-1',
+        'access-token',
+        expect.any(Number)
+      );
+      expect(storageService.put).toHaveBeenCalledWith(
+        expect.stringMatching(/^tenant-1\//),
+        Buffer.from('voice'),
+        'audio/ogg'
+      );
+
+      const [, params] = query.mock.calls.find(([sql]) => sql.includes('UPDATE messages'));
+      expect(params).toEqual([expect.stringMatching(/^\/api\/media\//), 'audio/ogg', 5, expect.any(String), 'message-1']);
+    });
+
+    it('downloads Messenger URLs without the access token', async () => {
+      jest.spyOn(metaApiService, 'downloadMedia').mockResolvedValue({
+        buffer: Buffer.from('file'),
+        contentType: 'application/pdf',
+      });
+
+      await mediaService.storeInboundMedia(message, { url: 'https://cdn.example.com/1.pdf' }, 'access-token');
+
+      expect(metaApiService.downloadMedia).toHaveBeenCalledWith('https://cdn.example.com/1.pdf', null, expect.any(Number));
+      expect(storageService.put).toHaveBeenCalledWith(expect.any(String), expect.any(Buffer), 'application/pdf');
+    });
+  });
+
+  describe('saveAsset', () => {
+    it('stores a thumbnail next to images', async () => {
+      const image = {
+        metadata: jest.fn().mockResolvedValue({ width: 1200, height: 800 }),
+        rotate: jest.fn().mockReturnThis(),
+        resize: jest.fn().mockReturnThis(),
+        jpeg: jest.fn().mockReturnThis(),
+        toBuffer: jest.fn().mockResolvedValue(Buffer.from('thumbnail')),
+      };
+      sharp.mockReturnValue(image);
+
+      const asset = await mediaService.saveAsset({
+        tenantId: 'tenant-1',
+        buffer: Buffer.from('image'),
+        mimeType: 'image/png',
+      });
+
+      expect(storageService.put).toHaveBeenCalledWith(`${asset.storage_key}_thumb.jpg`, Buffer.from('thumbnail'), 'image/jpeg');
+      expect(asset).toMatchObject({ thumbnail_key: `${asset.storage_key}_thumb.jpg`, width: 1200, height: 800 });
+    });
+
+    it('stores images sharp cannot decode without a thumbnail', async () => {
+      sharp.mockImplementation(() => {
+        throw new Error('Input buffer contains unsupported image format');
+      });
+
+      const asset = await mediaService.saveAsset({
+        tenantId: 'tenant-1',
+        buffer: Buffer.from('image'),
+        mimeType: 'image/heic',
+      });
+
+      expect(storageService.put).toHaveBeenCalledTimes(1);
+      expect(asset).toMatchObject({ thumbnail_key: null, width: null });
+    });
+  });
+
+  describe('getAccessibleAsset', () => {
+    it('limits agents to media of the chats they can access', async () => {
+      query.mockResolvedValueOnce({ rows: [{ id: 'asset-1' }] });
+
+      await mediaService.getAccessibleAsset('asset-1', agent);
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('ma.message_id IS NULL OR');
+      expect(sql).toContain('c.assigned_user_id = $3');
+      expect(params).toEqual(['asset-1', 'tenant-1', 'user-1']);
+    });
+
+    it('does not find media of other chats', async () => {
+      await expect(mediaService.getAccessibleAsset('asset-1', agent))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.RESOURCE_NOT_FOUND, statusCode: 404 });
+    });
+  });
+});
@@ -0,0 +1,89 @@
+jest.mock('../src/utils/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+}));
+jest.mock('../src/services/metaApiService', () => ({
+  sendMessengerReaction: jest.fn(),
+  sendWhatsAppMessage: jest.fn(),
+  buildWhatsAppReactionMessage: jest.fn((messageId, emoji) => ({ type: 'reaction', reaction: { messageId, emoji } })),
+}));
+jest.mock('../src/services/encryptionService', () => ({
+  decrypt: jest.fn(() => 'access-token'),
+}));
+jest.mock('../src/services/websocketService', () => ({
+  broadcastToChat: jest.fn(),
+}));
+
+const messageChangeService = require('../src/services/messageChangeService');
+const metaApiService = require('../src/services/metaApiService');
+const { query } = require('../src/utils/database');
+const { ERROR_CODES } = require('../src/utils/constants');
+
+const admin = { id: 'user-1', role: 'admin', tenantId: 'tenant-1' };
+
+const customerMessage = (platform) => ({
+  id: 'message-1',
+  chat_id: 'chat-1',
+  direction: 'inbound',
+  platform_message_id: 'm_1',
+  metadata: {},
+  platform_chat_id: 'customer-1',
+  last_inbound_at: new Date().toISOString(),
+  social_connection_id: 'connection-1',
+  platform,
+  platform_account_id: 'account-1',
+  encrypted_access_token: 'encrypted',
+  connection_active: true,
+});
+
+describe('messageChangeService', () => {
+  describe('react', () => {
+    // Answer the message lookup, then echo the reaction written by applyReaction
+    const mockMessage = (message) => {
+      query.mockReset();
+      query
+        .mockResolvedValueOnce({ rows: [message] })
+        .mockImplementationOnce(async (sql, params) => ({
+          rows: [{ id: message.id, chat_id: message.chat_id, metadata: { reactions: { agent: JSON.parse(params[4]) } } }],
+        }));
+    };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    it('sends the plain heart as the heart reaction on Messenger', async () => {
+      mockMessage(customerMessage('facebook'));
+
+      const updated = await messageChangeService.react(admin, 'message-1', '❤');
+
+      expect(metaApiService.sendMessengerReaction).toHaveBeenCalledWith('access-token', 'customer-1', 'm_1', true);
+      expect(updated.metadata.reactions.agent.emoji).toBe('❤️');
+    });
+
+    it('refuses other emojis on Instagram', async () => {
+      mockMessage(customerMessage('instagram'));
+
+      await expect(messageChangeService.react(admin, 'message-1', '😂'))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.INVALID_INPUT, statusCode: 400 });
+      expect(metaApiService.sendMessengerReaction).not.toHaveBeenCalled();
+    });
+
+    it('sends any emoji on WhatsApp', async () => {
+      mockMessage(customerMessage('whatsapp'));
+
+      await messageChangeService.react(admin, 'message-1', '😂');
+
+      expect(metaApiService.buildWhatsAppReactionMessage).toHaveBeenCalledWith('m_1', '😂');
+      expect(metaApiService.sendWhatsAppMessage).toHaveBeenCalled();
+    });
+
+    it('refuses reactions once the messaging window has closed', async () => {
+      mockMessage({ ...customerMessage('facebook'), last_inbound_at: '2026-01-01T00:00:00Z' });
+
+      await expect(messageChangeService.react(admin, 'message-1', '❤️'))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.MESSAGING_WINDOW_CLOSED });
+      expect(metaApiService.sendMessengerReaction).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,86 @@
+jest.mock('sharp', () => jest.fn(), { virtual: true });
+jest.mock('../src/utils/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  db: { findOne: jest.fn() },
+}));
+jest.mock('../src/services/teamService', () => ({
+  findAccessibleChat: jest.fn(),
+  getChatAccessCondition: jest.fn(() => null),
+}));
+
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+const messageController = require('../src/controllers/messageController');
+const teamService = require('../src/services/teamService');
+const { db, transaction } = require('../src/utils/database');
+
+const agent = { id: 'user-1', role: 'agent', tenantId: 'tenant-1' };
+const chatId = '00000000-0000-4000-8000-000000000001';
+
+// Run createMessage and resolve with the error passed on
+const createMessage = (body) => new Promise((resolve) => {
+  const res = { status: () => res, json: () => resolve(null) };
+  messageController.createMessage({ body: { chatId, direction: 'outbound', senderType: 'agent', content: 'Pick one', ...body }, user: agent }, res, resolve);
+});
+
+const buttons = { type: 'buttons', options: [{ title: 'Yes' }, { title: 'No' }] };
+
+describe('messageController', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    teamService.findAccessibleChat.mockResolvedValue({
+      id: chatId,
+      kind: 'direct',
+      social_connection_id: 'connection-1',
+      last_inbound_at: new Date(),
+    });
+  });
+
+  describe('createMessage with an interactive payload', () => {
+    const usePlatform = (platform) => {
+      db.findOne.mockResolvedValue({ id: 'connection-1', platform });
+    };
+
+    it('refuses types the platform does not support', async () => {
+      usePlatform('whatsapp');
+      await expect(createMessage({ interactive: { type: 'quick_replies', options: [{ title: 'Yes' }] } }))
+        .resolves.toMatchObject({ errorCode: 'UNSUPPORTED_MESSAGE_TYPE', statusCode: 400 });
+
+      usePlatform('facebook');
+      await expect(createMessage({
+        interactive: { type: 'list', buttonText: 'Pick', sections: [{ rows: [{ title: 'Small' }] }] },
+      })).resolves.toMatchObject({ errorCode: 'UNSUPPORTED_MESSAGE_TYPE', statusCode: 400 });
+
+      expect(transaction).not.toHaveBeenCalled();
+    });
+
+    it('requires a message text and refuses media', async () => {
+      usePlatform('instagram');
+
+      // A media URL gets past the general content check, interactive messages still need a text
+      await expect(createMessage({ content: undefined, interactive: buttons, mediaUrl: 'https://cdn.example.com/1.jpg' }))
+        .resolves.toMatchObject({ errorCode: 'MESSAGE_CONTENT_REQUIRED', statusCode: 400 });
+      await expect(createMessage({ interactive: buttons, mediaUrl: 'https://cdn.example.com/1.jpg' }))
+        .resolves.toMatchObject({ errorCode: 'INVALID_INPUT', statusCode: 400 });
+      expect(transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createMessage with a reply', () => {
+    it('refuses to quote a message of another chat', async () => {
+      db.findOne
+        .mockResolvedValueOnce({ id: 'connection-1', platform: 'whatsapp' })
+        .mockResolvedValueOnce(null);
+
+      await expect(createMessage({ content: 'Sure', replyToMessageId: '00000000-0000-4000-8000-000000000009' }))
+        .resolves.toMatchObject({ errorCode: 'MESSAGE_NOT_FOUND', statusCode: 404 });
+      expect(db.findOne).toHaveBeenLastCalledWith('messages', {
+        id: '00000000-0000-4000-8000-000000000009',
+        chat_id: chatId,
+        tenant_id: 'tenant-1',
+      });
+      expect(transaction).not.toHaveBeenCalled();
+    });
+  });
+});
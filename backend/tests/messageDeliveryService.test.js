@@ -0,0 +1,209 @@
+jest.mock('sharp', () => jest.fn(), { virtual: true });
+jest.mock('../src/utils/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  db: {},
+}));
+jest.mock('../src/services/slaService', () => ({
+  onAgentReply: jest.fn(),
+}));
+
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+const messageDeliveryService = require('../src/services/messageDeliveryService');
+const { query } = require('../src/utils/database');
+
+const deliveredAt = new Date('2026-03-01T10:00:05Z');
+const readAt = new Date('2026-03-01T10:00:09Z');
+
+describe('messageDeliveryService', () => {
+  describe('receipts arriving before the send is recorded', () => {
+    let message;
+    let pendingReceipts;
+
+    // Answer the receipt queries from one outbound message and the kept receipts
+    beforeEach(() => {
+      message = {
+        id: 'message-1',
+        tenant_id: 'tenant-1',
+        chat_id: 'chat-1',
+        sender_type: 'customer',
+        status: 'sending',
+        platform_message_id: null,
+      };
+      pendingReceipts = [];
+
+      query.mockReset();
+      query.mockImplementation(async (sql, params) => {
+        if (sql.startsWith('SELECT platform_message_id FROM messages')) {
+          return { rows: params[1].includes(message.platform_message_id) ? [message] : [] };
+        }
+        if (sql.includes('INSERT INTO pending_message_receipts')) {
+          for (const platformMessageId of params[1]) {
+            pendingReceipts.push({
+              platform_message_id: platformMessageId,
+              status: params[2],
+              error_code: params[3],
+              error_message: params[4],
+              occurred_at: params[5],
+            });
+          }
+          return { rows: [] };
+        }
+        if (sql.includes('DELETE FROM pending_message_receipts p')) {
+          const applicable = pendingReceipts.filter(
+            receipt => receipt.platform_message_id === message.platform_message_id
+          );
+          pendingReceipts = pendingReceipts.filter(receipt => !applicable.includes(receipt));
+          return { rows: applicable };
+        }
+        if (sql.includes('DELETE FROM pending_message_receipts')) return { rows: [] };
+        if (sql.includes('SET status = $1, platform_message_id = $2')) {
+          Object.assign(message, { status: params[0], platform_message_id: params[1] });
+          return { rows: [{ ...message }] };
+        }
+        if (sql.includes('read_at = COALESCE')) {
+          const matches = params[5].includes(message.platform_message_id) && params[4].includes(message.status);
+          if (!matches) return { rows: [] };
+          Object.assign(message, { status: params[0], delivered_at: message.delivered_at || params[1] });
+          return { rows: [{ ...message }] };
+        }
+        if (sql.includes('error_code = $2, error_message = $3')) {
+          const matches = params[4] === message.platform_message_id && params[5] === message.status;
+          if (!matches) return { rows: [] };
+          Object.assign(message, { status: params[0], error_code: params[1] });
+          return { rows: [{ ...message }] };
+        }
+        return { rows: [] };
+      });
+    });
+
+    it('keeps a delivery receipt and applies it once the send is recorded', async () => {
+      const updated = await messageDeliveryService.applyReceipt('tenant-1', 'delivered', {
+        platformMessageIds: ['wamid.1'],
+        timestamp: deliveredAt,
+      });
+
+      expect(updated).toEqual([]);
+      expect(pendingReceipts).toHaveLength(1);
+
+      const sent = await messageDeliveryService.markSent(message, 'wamid.1');
+
+      expect(sent).toMatchObject({ id: 'message-1', status: 'delivered', delivered_at: deliveredAt });
+      expect(pendingReceipts).toEqual([]);
+    });
+
+    it('applies kept receipts in the order the platform reported them', async () => {
+      await messageDeliveryService.applyReceipt('tenant-1', 'read', {
+        platformMessageIds: ['wamid.1'],
+        timestamp: readAt,
+      });
+      await messageDeliveryService.applyReceipt('tenant-1', 'delivered', {
+        platformMessageIds: ['wamid.1'],
+        timestamp: deliveredAt,
+      });
+
+      const sent = await messageDeliveryService.markSent(message, 'wamid.1');
+
+      expect(sent.status).toBe('read');
+      expect(sent.delivered_at).toBe(deliveredAt);
+    });
+
+    it('keeps a failure reported before the send is recorded', async () => {
+      const failed = await messageDeliveryService.applyPlatformFailure(
+        'tenant-1',
+        'wamid.1',
+        '131026',
+        'Message undeliverable',
+        deliveredAt
+      );
+
+      expect(failed).toBeNull();
+
+      const sent = await messageDeliveryService.markSent(message, 'wamid.1');
+
+      expect(sent).toMatchObject({ status: 'failed', error_code: '131026' });
+    });
+
+    it('does not keep receipts of recorded messages', async () => {
+      Object.assign(message, { status: 'read', platform_message_id: 'wamid.1' });
+
+      const updated = await messageDeliveryService.applyReceipt('tenant-1', 'delivered', {
+        platformMessageIds: ['wamid.1'],
+        timestamp: deliveredAt,
+      });
+
+      expect(updated).toEqual([]);
+      expect(pendingReceipts).toEqual([]);
+    });
+  });
+
+  describe('buildPlatformMessage', () => {
+    it('sends WhatsApp templates with their filled components', () => {
+      const template = {
+        name: 'order_shipped',
+        language: 'en_US',
+        components: [{ type: 'body', parameters: [{ type: 'text', text: 'Jane' }] }],
+      };
+
+      const payload = messageDeliveryService.buildPlatformMessage('whatsapp', {
+        message_type: 'template',
+        content: 'Hi Jane',
+        metadata: { template },
+      });
+
+      expect(payload).toEqual({
+        type: 'template',
+        template: { name: 'order_shipped', language: { code: 'en_US' }, components: template.components },
+      });
+    });
+
+    it('sends buttons as WhatsApp reply buttons and as a Messenger button template', () => {
+      const message = {
+        message_type: 'interactive',
+        content: 'Pick one',
+        metadata: { interactive: { type: 'buttons', options: [{ id: 'yes', title: 'Yes' }] } },
+      };
+
+      expect(messageDeliveryService.buildPlatformMessage('whatsapp', message)).toEqual({
+        type: 'interactive',
+        interactive: {
+          type: 'button',
+          body: { text: 'Pick one' },
+          action: { buttons: [{ type: 'reply', reply: { id: 'yes', title: 'Yes' } }] },
+        },
+      });
+      expect(messageDeliveryService.buildPlatformMessage('facebook', message).attachment.payload).toEqual({
+        template_type: 'button',
+        text: 'Pick one',
+        buttons: [{ type: 'postback', title: 'Yes', payload: 'yes' }],
+      });
+    });
+
+    it('sends locations natively on WhatsApp and as text on Messenger', () => {
+      const message = {
+        message_type: 'location',
+        content: null,
+        metadata: { location: { latitude: 59.91, longitude: 10.75, name: 'Office' } },
+      };
+
+      expect(messageDeliveryService.buildPlatformMessage('whatsapp', message).type).toBe('location');
+      expect(messageDeliveryService.buildPlatformMessage('facebook', message)).toEqual({
+        text: 'Office\nhttps://www.google.com/maps/search/?api=1&query=59.91,10.75',
+      });
+    });
+
+    it('sends quick replies with the option ID as payload', () => {
+      const payload = messageDeliveryService.buildPlatformMessage('instagram', {
+        message_type: 'interactive',
+        content: 'Pick one',
+        metadata: { interactive: { type: 'quick_replies', options: [{ id: 'size_s', title: 'Small' }] } },
+      });
+
+      expect(payload).toEqual({
+        text: 'Pick one',
+        quick_replies: [{ content_type: 'text', title: 'Small', payload: 'size_s' }],
+      });
+    });
+  });
+});
@@ -0,0 +1,192 @@
+jest.mock('../src/services/messageDeliveryService', () => ({
+  deliverMessage: jest.fn(),
+  markQueued: jest.fn(),
+  markSent: jest.fn(),
+  markFailed: jest.fn(),
+}));
+jest.mock('../src/services/websocketService', () => ({
+  broadcastToChat: jest.fn(),
+}));
+jest.mock('../src/utils/redis', () => ({
+  enqueueJob: jest.fn(),
+  dequeueJob: jest.fn(),
+  acknowledgeJob: jest.fn(),
+  scheduleJob: jest.fn(),
+  promoteDueJobs: jest.fn(),
+  requeueProcessingJobs: jest.fn(),
+  getQueueItems: jest.fn(),
+  removeQueueItem: jest.fn(),
+}));
+
+const messageQueueService = require('../src/services/messageQueueService');
+const messageDeliveryService = require('../src/services/messageDeliveryService');
+const redis = require('../src/utils/redis');
+const { AppError } = require('../src/middleware/errorHandler');
+const { APP_CONSTANTS, ERROR_CODES, REDIS_KEYS } = require('../src/utils/constants');
+
+const QUEUE_CONFIG = APP_CONSTANTS.MESSAGE_QUEUE;
+
+const metaError = (originalStatus, originalError, details) => new AppError(
+  'Meta API error',
+  502,
+  ERROR_CODES.META_API_ERROR,
+  { originalStatus, originalError, details }
+);
+
+const job = { messageId: 'message-1', tenantId: 'tenant-1', attempt: 0 };
+const message = { id: 'message-1', chat_id: 'chat-1', status: 'queued' };
+
+describe('messageQueueService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    messageDeliveryService.markQueued.mockResolvedValue(message);
+    messageDeliveryService.markFailed.mockResolvedValue({ ...message, status: 'failed' });
+  });
+
+  afterEach(() => {
+    Math.random.mockRestore();
+  });
+
+  describe('getRetryDelay', () => {
+    it('doubles the base delay on every attempt', () => {
+      const error = new AppError('Connection failed', 502, ERROR_CODES.CONNECTION_ERROR);
+
+      expect(messageQueueService.getRetryDelay(1, error)).toBe(QUEUE_CONFIG.BASE_RETRY_DELAY);
+      expect(messageQueueService.getRetryDelay(2, error)).toBe(QUEUE_CONFIG.BASE_RETRY_DELAY * 2);
+      expect(messageQueueService.getRetryDelay(3, error)).toBe(QUEUE_CONFIG.BASE_RETRY_DELAY * 4);
+    });
+
+    it('waits longer when Meta throttles and caps the delay', () => {
+      const error = metaError(429);
+
+      expect(messageQueueService.getRetryDelay(1, error)).toBe(QUEUE_CONFIG.RATE_LIMIT_DELAY);
+      expect(messageQueueService.getRetryDelay(20, error)).toBe(QUEUE_CONFIG.MAX_RETRY_DELAY);
+    });
+  });
+
+  describe('isRetryable', () => {
+    it('retries connection errors, throttling, server errors and transient errors', () => {
+      expect(messageQueueService.isRetryable(new AppError('Down', 502, ERROR_CODES.CONNECTION_ERROR))).toBe(true);
+      expect(messageQueueService.isRetryable(metaError(400, 4))).toBe(true);
+      expect(messageQueueService.isRetryable(metaError(500))).toBe(true);
+      expect(messageQueueService.isRetryable(metaError(400, 2, { error: { is_transient: true } }))).toBe(true);
+    });
+
+    it('does not retry permanent errors', () => {
+      expect(messageQueueService.isRetryable(metaError(400, 100))).toBe(false);
+      expect(messageQueueService.isRetryable(new AppError('Bad', 400, ERROR_CODES.INVALID_INPUT))).toBe(false);
+    });
+  });
+
+  describe('processJob', () => {
+    it('broadcasts the sent message', async () => {
+      messageDeliveryService.deliverMessage.mockResolvedValue({ ...message, status: 'sent' });
+
+      await messageQueueService.processJob(job);
+
+      expect(messageDeliveryService.deliverMessage).toHaveBeenCalledWith('message-1', 'tenant-1');
+      expect(redis.scheduleJob).not.toHaveBeenCalled();
+    });
+
+    it('schedules a retry with backoff after a transient failure', async () => {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      messageDeliveryService.deliverMessage.mockRejectedValue(metaError(503));
+
+      await messageQueueService.processJob({ ...job, attempt: 1 });
+
+      expect(messageDeliveryService.markQueued).toHaveBeenCalledWith(
+        'message-1',
+        expect.any(AppError),
+        new Date(now + QUEUE_CONFIG.BASE_RETRY_DELAY * 2)
+      );
+      expect(redis.scheduleJob).toHaveBeenCalledWith(
+        REDIS_KEYS.MESSAGE_QUEUE_DELAYED,
+        { ...job, attempt: 2 },
+        now + QUEUE_CONFIG.BASE_RETRY_DELAY * 2
+      );
+      expect(messageDeliveryService.markFailed).not.toHaveBeenCalled();
+
+      Date.now.mockRestore();
+    });
+
+    it('dead-letters a message on its tenant list after the last attempt', async () => {
+      messageDeliveryService.deliverMessage.mockRejectedValue(metaError(503));
+
+      await messageQueueService.processJob({ ...job, attempt: QUEUE_CONFIG.MAX_ATTEMPTS - 1 });
+
+      expect(redis.scheduleJob).not.toHaveBeenCalled();
+      expect(messageDeliveryService.markFailed).toHaveBeenCalledWith('message-1', expect.any(AppError));
+      expect(redis.enqueueJob).toHaveBeenCalledWith(
+        `${REDIS_KEYS.MESSAGE_DEAD_LETTER}tenant-1`,
+        expect.objectContaining({
+          messageId: 'message-1',
+          tenantId: 'tenant-1',
+          chatId: 'chat-1',
+          attempts: QUEUE_CONFIG.MAX_ATTEMPTS,
+          errorCode: ERROR_CODES.META_API_ERROR,
+        })
+      );
+    });
+
+    it('dead-letters permanent failures right away', async () => {
+      messageDeliveryService.deliverMessage.mockRejectedValue(metaError(400, 100));
+
+      await messageQueueService.processJob(job);
+
+      expect(redis.scheduleJob).not.toHaveBeenCalled();
+      expect(redis.enqueueJob).toHaveBeenCalledWith(
+        `${REDIS_KEYS.MESSAGE_DEAD_LETTER}tenant-1`,
+        expect.objectContaining({ attempts: 1 })
+      );
+    });
+
+    it('records an accepted message again without resending it', async () => {
+      const error = new Error('Database unavailable');
+      error.sentToPlatform = true;
+      error.platformMessageId = 'm_1';
+      messageDeliveryService.deliverMessage.mockRejectedValue(error);
+
+      await messageQueueService.processJob(job);
+
+      expect(redis.scheduleJob).toHaveBeenCalledWith(
+        REDIS_KEYS.MESSAGE_QUEUE_DELAYED,
+        { ...job, sentToPlatform: true, platformMessageId: 'm_1' },
+        expect.any(Number)
+      );
+      expect(messageDeliveryService.markFailed).not.toHaveBeenCalled();
+
+      messageDeliveryService.markSent.mockResolvedValue({ ...message, status: 'sent' });
+      await messageQueueService.processJob({ ...job, sentToPlatform: true, platformMessageId: 'm_1' });
+
+      expect(messageDeliveryService.markSent).toHaveBeenCalledWith({ id: 'message-1' }, 'm_1');
+      expect(messageDeliveryService.deliverMessage).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('dead letters', () => {
+    it('lists and replays only the tenant\'s own entries', async () => {
+      const entry = { messageId: 'message-1', tenantId: 'tenant-1' };
+      redis.getQueueItems.mockResolvedValue([entry]);
+      redis.removeQueueItem.mockResolvedValue(1);
+
+      await messageQueueService.replayDeadLetter('message-1', 'tenant-1');
+
+      expect(redis.getQueueItems).toHaveBeenCalledWith(`${REDIS_KEYS.MESSAGE_DEAD_LETTER}tenant-1`);
+      expect(redis.removeQueueItem).toHaveBeenCalledWith(`${REDIS_KEYS.MESSAGE_DEAD_LETTER}tenant-1`, entry);
+      expect(redis.enqueueJob).toHaveBeenCalledWith(
+        REDIS_KEYS.MESSAGE_QUEUE,
+        expect.objectContaining({ messageId: 'message-1', tenantId: 'tenant-1', attempt: 0 })
+      );
+    });
+
+    it('does not replay a message missing from the tenant\'s list', async () => {
+      redis.getQueueItems.mockResolvedValue([]);
+
+      await expect(messageQueueService.replayDeadLetter('message-1', 'tenant-2'))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.RESOURCE_NOT_FOUND });
+      expect(redis.enqueueJob).not.toHaveBeenCalled();
+    });
+  });
+});
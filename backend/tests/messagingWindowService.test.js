@@ -0,0 +1,102 @@
+const messagingWindowService = require('../src/services/messagingWindowService');
+const { APP_CONSTANTS, ERROR_CODES, PLATFORMS } = require('../src/utils/constants');
+
+const HOUR = 60 * 60 * 1000;
+const WINDOW = APP_CONSTANTS.MESSAGING_WINDOW;
+
+// Chat whose customer last wrote the given time ago
+const chatInboundAgo = (ms) => ({ last_inbound_at: new Date(Date.now() - ms).toISOString() });
+
+describe('messagingWindowService', () => {
+  describe('getWindow', () => {
+    it('is open during the 24 hours after the last customer message', () => {
+      const now = new Date('2026-01-02T12:00:00Z');
+      const window = messagingWindowService.getWindow(
+        { last_inbound_at: '2026-01-02T00:00:00Z' },
+        PLATFORMS.FACEBOOK,
+        now
+      );
+
+      expect(window.isOpen).toBe(true);
+      expect(window.expiresAt).toEqual(new Date('2026-01-03T00:00:00Z'));
+      expect(window.humanAgentExpiresAt).toEqual(new Date('2026-01-09T00:00:00Z'));
+      expect(window.allowedTags).toContain('HUMAN_AGENT');
+      expect(window.templatesAllowed).toBe(false);
+    });
+
+    it('is closed without a customer message', () => {
+      const window = messagingWindowService.getWindow({ last_inbound_at: null }, PLATFORMS.INSTAGRAM);
+
+      expect(window.isOpen).toBe(false);
+      expect(window.expiresAt).toBeNull();
+      expect(window.allowedTags).toEqual(['HUMAN_AGENT']);
+    });
+
+    it('offers templates instead of message tags on WhatsApp', () => {
+      const window = messagingWindowService.getWindow(chatInboundAgo(HOUR), PLATFORMS.WHATSAPP);
+
+      expect(window.humanAgentExpiresAt).toBeNull();
+      expect(window.allowedTags).toEqual([]);
+      expect(window.templatesAllowed).toBe(true);
+    });
+  });
+
+  describe('assertCanSend', () => {
+    it('allows any message inside the window', () => {
+      expect(() => messagingWindowService.assertCanSend(
+        chatInboundAgo(WINDOW.STANDARD - HOUR),
+        PLATFORMS.FACEBOOK,
+        { messageType: 'text' }
+      )).not.toThrow();
+    });
+
+    it('rejects untagged messages after the window closes', () => {
+      expect(() => messagingWindowService.assertCanSend(
+        chatInboundAgo(WINDOW.STANDARD + HOUR),
+        PLATFORMS.FACEBOOK,
+        { messageType: 'text' }
+      )).toThrow(expect.objectContaining({ errorCode: ERROR_CODES.MESSAGING_WINDOW_CLOSED, statusCode: 403 }));
+    });
+
+    it('allows HUMAN_AGENT for 7 days and then rejects it', () => {
+      const message = { messageType: 'text', messageTag: 'HUMAN_AGENT' };
+
+      expect(() => messagingWindowService.assertCanSend(
+        chatInboundAgo(WINDOW.HUMAN_AGENT - HOUR),
+        PLATFORMS.INSTAGRAM,
+        message
+      )).not.toThrow();
+
+      expect(() => messagingWindowService.assertCanSend(
+        chatInboundAgo(WINDOW.HUMAN_AGENT + HOUR),
+        PLATFORMS.INSTAGRAM,
+        message
+      )).toThrow(expect.objectContaining({ errorCode: ERROR_CODES.MESSAGING_WINDOW_CLOSED }));
+    });
+
+    it('allows the other Messenger tags without a time limit', () => {
+      expect(() => messagingWindowService.assertCanSend(
+        chatInboundAgo(30 * 24 * HOUR),
+        PLATFORMS.FACEBOOK,
+        { messageType: 'text', messageTag: 'POST_PURCHASE_UPDATE' }
+      )).not.toThrow();
+    });
+
+    it('rejects tags the platform does not support', () => {
+      expect(() => messagingWindowService.assertCanSend(
+        chatInboundAgo(HOUR),
+        PLATFORMS.INSTAGRAM,
+        { messageType: 'text', messageTag: 'ACCOUNT_UPDATE' }
+      )).toThrow(expect.objectContaining({ errorCode: ERROR_CODES.INVALID_INPUT, statusCode: 400 }));
+    });
+
+    it('allows only templates outside the WhatsApp window', () => {
+      const chat = chatInboundAgo(WINDOW.STANDARD + HOUR);
+
+      expect(() => messagingWindowService.assertCanSend(chat, PLATFORMS.WHATSAPP, { messageType: 'template' }))
+        .not.toThrow();
+      expect(() => messagingWindowService.assertCanSend(chat, PLATFORMS.WHATSAPP, { messageType: 'text' }))
+        .toThrow(expect.objectContaining({ errorCode: ERROR_CODES.MESSAGING_WINDOW_CLOSED }));
+    });
+  });
+});
@@ -0,0 +1,149 @@
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+const metaApiService = require('../src/services/metaApiService');
+
+const messengerEntry = (message) => ({
+  id: 'page-1',
+  time: 1700000000,
+  messaging: [{
+    sender: { id: 'psid-1' },
+    recipient: { id: 'page-1' },
+    timestamp: 1700000000000,
+    message: { mid: 'm_2', ...message },
+  }],
+});
+
+const whatsappEntry = (message) => ({
+  id: 'waba-1',
+  changes: [{
+    field: 'messages',
+    value: {
+      metadata: { phone_number_id: 'phone-1' },
+      contacts: [{ wa_id: '15551234567', profile: { name: 'Jane Doe' } }],
+      messages: [{ from: '15551234567', id: 'wamid.2', timestamp: '1700000000', ...message }],
+    },
+  }],
+});
+
+describe('metaApiService', () => {
+  describe('replies', () => {
+    let post;
+
+    beforeEach(() => {
+      post = jest.spyOn(metaApiService.api, 'post').mockResolvedValue({ data: { message_id: 'm_3' } });
+    });
+
+    afterEach(() => {
+      post.mockRestore();
+    });
+
+    it('reads the quoted message of Messenger and WhatsApp replies', () => {
+      const [messengerReply] = metaApiService.processWebhookMessages(
+        messengerEntry({ text: 'Yes', reply_to: { mid: 'm_1' } })
+      );
+      const [whatsappReply] = metaApiService.processWebhookMessages(
+        whatsappEntry({ type: 'text', text: { body: 'Yes' }, context: { from: '15550000000', id: 'wamid.1' } })
+      );
+      const [plain] = metaApiService.processWebhookMessages(messengerEntry({ text: 'Hi' }));
+
+      expect(messengerReply.replyToId).toBe('m_1');
+      expect(whatsappReply.replyToId).toBe('wamid.1');
+      expect(plain.replyToId).toBeNull();
+    });
+
+    it('quotes the replied message when sending', async () => {
+      await metaApiService.sendMessengerMessage('page-token', 'psid-1', { text: 'Sure' }, { replyTo: 'm_1' });
+      await metaApiService.sendWhatsAppMessage('token', 'phone-1', '15551234567', { type: 'text' }, { replyTo: 'wamid.1' });
+
+      expect(post.mock.calls[0][1]).toMatchObject({ reply_to: { mid: 'm_1' } });
+      expect(post.mock.calls[1][1]).toMatchObject({ context: { message_id: 'wamid.1' } });
+    });
+
+    it('sends plain messages without a quote', async () => {
+      await metaApiService.sendMessengerMessage('page-token', 'psid-1', { text: 'Sure' });
+      await metaApiService.sendWhatsAppMessage('token', 'phone-1', '15551234567', { type: 'text' });
+
+      expect(post.mock.calls[0][1]).not.toHaveProperty('reply_to');
+      expect(post.mock.calls[1][1]).not.toHaveProperty('context');
+    });
+  });
+
+  describe('shared locations and contacts', () => {
+    it('reads a location shared on Messenger', () => {
+      const [message] = metaApiService.processWebhookMessages(messengerEntry({
+        attachments: [{
+          type: 'location',
+          title: 'Pinned Location',
+          url: 'https://l.facebook.com/l.php?u=maps',
+          payload: { coordinates: { lat: 59.91, long: 10.75 } },
+        }],
+      }));
+
+      expect(message.location).toEqual({
+        latitude: 59.91,
+        longitude: 10.75,
+        name: 'Pinned Location',
+        url: 'https://l.facebook.com/l.php?u=maps',
+      });
+      expect(message.contacts).toBeNull();
+    });
+
+    it('reads locations and contact cards shared on WhatsApp', () => {
+      const [location] = metaApiService.processWebhookMessages(whatsappEntry({
+        type: 'location',
+        location: { latitude: 59.91, longitude: 10.75, name: 'Office', address: 'Main St 1' },
+      }));
+      const [contacts] = metaApiService.processWebhookMessages(whatsappEntry({
+        type: 'contacts',
+        contacts: [{
+          name: { formatted_name: 'John Smith', first_name: 'John' },
+          phones: [{ phone: '+1 555 0100', type: 'CELL', wa_id: '15550100' }],
+          org: { company: 'Acme' },
+        }],
+      }));
+
+      expect(location.location).toEqual({
+        latitude: 59.91,
+        longitude: 10.75,
+        name: 'Office',
+        address: 'Main St 1',
+        url: null,
+      });
+      expect(contacts.contacts).toEqual([{
+        name: 'John Smith',
+        phones: [{ phone: '+1 555 0100', type: 'CELL', waId: '15550100' }],
+        emails: [],
+        organization: 'Acme',
+      }]);
+      expect(location.contacts).toBeNull();
+    });
+
+    it('builds native WhatsApp location and contacts messages', () => {
+      expect(metaApiService.buildWhatsAppLocationMessage({ latitude: 59.91, longitude: 10.75 })).toEqual({
+        type: 'location',
+        location: { latitude: 59.91, longitude: 10.75 },
+      });
+      expect(metaApiService.buildWhatsAppContactsMessage([{
+        name: 'John Smith',
+        phones: [{ phone: '+1 555 0100' }],
+        emails: [{ email: 'john@example.com', type: 'WORK' }],
+      }])).toEqual({
+        type: 'contacts',
+        contacts: [{
+          name: { formatted_name: 'John Smith', first_name: 'John Smith' },
+          phones: [{ phone: '+1 555 0100' }],
+          emails: [{ email: 'john@example.com', type: 'WORK' }],
+        }],
+      });
+    });
+
+    it('formats locations and contact cards as text for Messenger and Instagram', () => {
+      expect(metaApiService.formatLocationText({ latitude: 59.91, longitude: 10.75, name: 'Office' }))
+        .toBe('Office\nhttps://www.google.com/maps/search/?api=1&query=59.91,10.75');
+      expect(metaApiService.formatContactsText([
+        { name: 'John Smith', organization: 'Acme', phones: [{ phone: '+1 555 0100' }], emails: [] },
+        { name: 'Jane Doe', phones: [], emails: [{ email: 'jane@example.com' }] },
+      ])).toBe('John Smith\nAcme\n+1 555 0100\n\nJane Doe\njane@example.com');
+    });
+  });
+});
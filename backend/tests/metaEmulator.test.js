@@ -0,0 +1,167 @@
+const express = require('express');
+const axios = require('axios');
+
+jest.mock('sharp', () => jest.fn(), { virtual: true });
+jest.mock('../src/utils/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  db: {},
+}));
+jest.mock('../src/utils/redis', () => ({
+  incrementRateLimit: jest.fn().mockResolvedValue({ current: 1 }),
+}));
+
+const WEBHOOK_SECRET = 'e2e-webhook-secret';
+
+process.env.META_WEBHOOK_SECRET = WEBHOOK_SECRET;
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+const { createMetaEmulator } = require('../scripts/metaEmulator');
+
+// Start an express app on a free port
+const listen = (app) => new Promise((resolve) => {
+  const server = app.listen(0, () => resolve(server));
+});
+
+const urlOf = (server) => `http://127.0.0.1:${server.address().port}`;
+
+describe('Meta emulator send/receive loop', () => {
+  let emulator;
+  let emulatorServer;
+  let backendServer;
+  let received;
+  let query;
+  let metaApiService;
+  let messageDeliveryService;
+  let encryptionService;
+
+  beforeAll(async () => {
+    received = [];
+
+    // Minimal webhook endpoint wired like app.js: raw body capture,
+    // signature verification, then the Messenger parser
+    const backend = express();
+    backendServer = await listen(backend);
+
+    emulator = createMetaEmulator({
+      appSecret: WEBHOOK_SECRET,
+      webhookUrl: `${urlOf(backendServer)}/api/webhooks/meta`,
+    });
+    emulatorServer = await listen(emulator);
+
+    // The Graph API base URL is read when the constants load, the emulator
+    // loaded them already
+    process.env.META_GRAPH_API_URL = urlOf(emulatorServer);
+    jest.resetModules();
+
+    ({ query } = require('../src/utils/database'));
+    metaApiService = require('../src/services/metaApiService');
+    messageDeliveryService = require('../src/services/messageDeliveryService');
+    encryptionService = require('../src/services/encryptionService');
+    const { captureRawBody, verifyWebhookSignature } = require('../src/middleware/webhookSignature');
+
+    backend.use(express.json({ verify: captureRawBody }));
+    backend.post('/api/webhooks/meta', verifyWebhookSignature, (req, res) => {
+      for (const entry of req.body.entry) {
+        received.push(...metaApiService.processWebhookMessages(entry, req.body.object));
+      }
+
+      res.json({ received: true });
+    });
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => emulatorServer.close(resolve));
+    await new Promise(resolve => backendServer.close(resolve));
+  });
+
+  beforeEach(() => {
+    received.length = 0;
+    emulator.locals.state.messages.length = 0;
+    query.mockReset();
+  });
+
+  it('receives a signed customer message and delivers the agent reply', async () => {
+    const senderId = '200000000000042';
+
+    // No tenant brings its own Meta app, the platform secret signs
+    query.mockResolvedValue({ rows: [], rowCount: 0 });
+
+    const inbound = await axios.post(`${urlOf(emulatorServer)}/_emulator/webhooks/messenger`, {
+      senderId,
+      text: 'Is my order on its way?',
+    });
+
+    expect(inbound.data.status).toBe(200);
+    expect(received).toHaveLength(1);
+    expect(received[0]).toMatchObject({
+      platform: 'facebook',
+      pageId: emulator.locals.config.pageId,
+      senderId,
+      text: 'Is my order on its way?',
+    });
+
+    // The reply is an outbound message of the customer's chat
+    const reply = {
+      id: 'message-1',
+      tenant_id: 'tenant-1',
+      chat_id: 'chat-1',
+      conversation_id: 'conversation-1',
+      direction: 'outbound',
+      sender_type: 'agent',
+      status: 'queued',
+      message_type: 'text',
+      content: 'It ships today',
+      metadata: {},
+      platform_message_id: null,
+      platform_chat_id: received[0].senderId,
+      social_connection_id: 'connection-1',
+      platform: 'facebook',
+      platform_account_id: emulator.locals.config.pageId,
+      encrypted_access_token: encryptionService.encrypt('page-access-token'),
+      connection_active: true,
+    };
+
+    query.mockImplementation(async (sql, params) => {
+      if (sql.includes('FROM messages m')) {
+        return { rows: [reply] };
+      }
+
+      if (sql.includes('SET status = $1, platform_message_id = $2')) {
+        return { rows: [{ ...reply, status: params[0], platform_message_id: params[1] }] };
+      }
+
+      return { rows: [], rowCount: 0 };
+    });
+
+    const delivered = await messageDeliveryService.deliverMessage(reply.id, reply.tenant_id);
+    const { messages } = emulator.locals.state;
+
+    expect(messages).toHaveLength(1);
+    expect(messages[0]).toMatchObject({
+      platform: 'messenger',
+      recipientId: senderId,
+      message: { text: 'It ships today' },
+    });
+    expect(delivered).toMatchObject({ status: 'sent', platform_message_id: messages[0].messageId });
+
+    // The delivered agent reply stops the response timers
+    expect(query).toHaveBeenCalledWith(expect.stringContaining('UPDATE conversations'), ['conversation-1']);
+  });
+
+  it('rejects webhooks signed with another secret', async () => {
+    query.mockResolvedValue({ rows: [], rowCount: 0 });
+    emulator.locals.config.appSecret = 'not-the-webhook-secret';
+
+    try {
+      const inbound = await axios.post(`${urlOf(emulatorServer)}/_emulator/webhooks/messenger`, {
+        text: 'Forged',
+      });
+
+      expect(inbound.data.status).toBe(401);
+      expect(received).toHaveLength(0);
+    } finally {
+      emulator.locals.config.appSecret = WEBHOOK_SECRET;
+    }
+  });
+});
@@ -0,0 +1,184 @@
+jest.mock('../src/utils/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+}));
+jest.mock('../src/services/websocketService', () => ({
+  broadcastToTenant: jest.fn(),
+  isUserOnline: jest.fn(),
+}));
+jest.mock('../src/services/teamService', () => ({
+  getConnectionTeamId: jest.fn(),
+}));
+
+const routingService = require('../src/services/routingService');
+const { isUserOnline } = require('../src/services/websocketService');
+const teamService = require('../src/services/teamService');
+
+const candidate = (userId, openChats, available = true) => ({ userId, openChats, available });
+
+// Candidates come ordered by user ID
+const candidates = [
+  candidate('user-1', 3),
+  candidate('user-2', 1),
+  candidate('user-3', 1),
+  candidate('user-4', 0, false),
+];
+
+describe('routingService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('pickAgent', () => {
+    it('round_robin continues after the last assigned agent', () => {
+      const rule = { strategy: 'round_robin', last_assigned_user_id: 'user-1' };
+
+      expect(routingService.pickAgent(rule, candidates).userId).toBe('user-2');
+    });
+
+    it('round_robin wraps around and skips unavailable agents', () => {
+      const rule = { strategy: 'round_robin', last_assigned_user_id: 'user-3' };
+
+      expect(routingService.pickAgent(rule, candidates).userId).toBe('user-1');
+      expect(routingService.pickAgent({ strategy: 'round_robin' }, candidates).userId).toBe('user-1');
+    });
+
+    it('least_open takes the agent with the fewest open chats', () => {
+      const rule = { strategy: 'least_open', last_assigned_user_id: null };
+
+      expect(routingService.pickAgent(rule, candidates).userId).toBe('user-2');
+    });
+
+    it('least_open rotates between equally loaded agents', () => {
+      const rule = { strategy: 'least_open', last_assigned_user_id: 'user-2' };
+
+      expect(routingService.pickAgent(rule, candidates).userId).toBe('user-3');
+    });
+
+    it('skill_based balances the load of the matching agents', () => {
+      const rule = { strategy: 'skill_based', last_assigned_user_id: 'user-3' };
+
+      expect(routingService.pickAgent(rule, candidates).userId).toBe('user-2');
+    });
+
+    it('returns null without an available agent', () => {
+      const rule = { strategy: 'round_robin' };
+
+      expect(routingService.pickAgent(rule, [candidate('user-1', 0, false)])).toBeNull();
+      expect(routingService.pickAgent(rule, [])).toBeNull();
+    });
+  });
+
+  describe('getCandidates', () => {
+    it('marks agents at capacity and, for online-only rules, offline agents unavailable', async () => {
+      const client = {
+        query: jest.fn().mockResolvedValue({
+          rows: [
+            { id: 'user-1', open_chats: 2, max_open_chats: 5 },
+            { id: 'user-2', open_chats: 5, max_open_chats: 5 },
+            { id: 'user-3', open_chats: 0, max_open_chats: 5 },
+          ],
+        }),
+      };
+      const onlineUserIds = new Set(['user-1', 'user-2']);
+
+      const rule = { agent_ids: [], required_skills: ['billing'], only_online: true };
+      const result = await routingService.getCandidates(client, rule, 'tenant-1', 'team-1', onlineUserIds);
+
+      expect(result.map(({ userId, available }) => ({ userId, available }))).toEqual([
+        { userId: 'user-1', available: true },
+        { userId: 'user-2', available: false },
+        { userId: 'user-3', available: false },
+      ]);
+
+      // Required skills and the inbox team are passed to the query
+      const [, params] = client.query.mock.calls[0];
+      expect(params[2]).toEqual(['billing']);
+      expect(params[6]).toBe('team-1');
+    });
+  });
+
+  describe('routeChat', () => {
+    const chat = { id: 'chat-1', tenant_id: 'tenant-1' };
+    const conversation = { id: 'conversation-1' };
+    const connection = { id: 'connection-1', platform: 'facebook' };
+
+    // Answer the routing queries by the SQL they run
+    const buildClient = (rules, candidateRows) => ({
+      query: jest.fn(async (sql, params) => {
+        if (sql.includes('FROM routing_rules')) return { rows: rules };
+        if (sql.includes('FROM users u')) return { rows: candidateRows[params[1].join(',')] || [] };
+        if (sql.includes('FROM users')) return { rows: [{ id: 'user-1' }, { id: 'user-2' }] };
+        if (sql.includes('UPDATE chats')) return { rows: [{ ...chat, assigned_user_id: params[0] }] };
+        if (sql.includes('INSERT INTO assignment_events')) {
+          return { rows: [{ assigned_user_id: params[4], routing_rule_id: params[3], reason: params[8] }] };
+        }
+        return { rows: [] };
+      }),
+    });
+
+    beforeEach(() => {
+      teamService.getConnectionTeamId.mockResolvedValue(null);
+      isUserOnline.mockResolvedValue(true);
+    });
+
+    it('leaves the chat alone without matching rules', async () => {
+      const client = buildClient([], {});
+
+      expect(await routingService.routeChat(client, chat, conversation, connection, 'new_chat')).toBeNull();
+    });
+
+    it('falls through to the next rule when the first has no available agent', async () => {
+      const rules = [
+        { id: 'rule-1', strategy: 'round_robin', agent_ids: ['user-1'], required_skills: [] },
+        { id: 'rule-2', strategy: 'least_open', agent_ids: ['user-2'], required_skills: [] },
+      ];
+      const client = buildClient(rules, {
+        'user-1': [{ id: 'user-1', open_chats: 5, max_open_chats: 5 }],
+        'user-2': [{ id: 'user-2', open_chats: 1, max_open_chats: 5 }],
+      });
+
+      const result = await routingService.routeChat(client, chat, conversation, connection, 'new_chat');
+
+      expect(result.chat.assigned_user_id).toBe('user-2');
+      expect(result.assignment).toMatchObject({ assigned_user_id: 'user-2', routing_rule_id: 'rule-2' });
+      expect(client.query).toHaveBeenCalledWith(
+        'UPDATE routing_rules SET last_assigned_user_id = $1 WHERE id = $2',
+        ['user-2', 'rule-2']
+      );
+    });
+
+    it('reads presence before locking the rules', async () => {
+      const rules = [{ id: 'rule-1', strategy: 'round_robin', agent_ids: [], required_skills: [], only_online: true }];
+      const client = buildClient(rules, {
+        '': [
+          { id: 'user-1', open_chats: 0, max_open_chats: 5 },
+          { id: 'user-2', open_chats: 0, max_open_chats: 5 },
+        ],
+      });
+      isUserOnline.mockImplementation(async userId => userId === 'user-2');
+
+      const result = await routingService.routeChat(client, chat, conversation, connection, 'new_chat');
+
+      expect(result.chat.assigned_user_id).toBe('user-2');
+
+      const lockCall = client.query.mock.calls.findIndex(([sql]) => sql.includes('FOR UPDATE'));
+      const lockOrder = client.query.mock.invocationCallOrder[lockCall];
+      expect(Math.max(...isUserOnline.mock.invocationCallOrder)).toBeLessThan(lockOrder);
+    });
+
+    it('records the decision when no agent is available', async () => {
+      const rules = [{ id: 'rule-1', strategy: 'round_robin', agent_ids: [], required_skills: [] }];
+      const client = buildClient(rules, { '': [{ id: 'user-1', open_chats: 5, max_open_chats: 5 }] });
+
+      const result = await routingService.routeChat(client, chat, conversation, connection, 'new_chat');
+
+      expect(result.chat).toBe(chat);
+      expect(result.assignment).toMatchObject({
+        assigned_user_id: null,
+        routing_rule_id: null,
+        reason: 'No agent online with free capacity',
+      });
+    });
+  });
+});
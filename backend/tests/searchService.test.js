@@ -0,0 +1,113 @@
+jest.mock('../src/utils/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+}));
+
+const searchService = require('../src/services/searchService');
+const { query } = require('../src/utils/database');
+const { ERROR_CODES } = require('../src/utils/constants');
+
+const agent = { id: 'user-1', role: 'agent', tenantId: 'tenant-1' };
+const options = { q: 'refund', types: ['messages', 'notes'], limit: 2 };
+
+const row = (id, rank, createdAt) => ({
+  type: 'message',
+  id,
+  chat_id: 'chat-1',
+  rank,
+  created_at: createdAt,
+  cursor_created_at: createdAt,
+  headline: 'Asked for a \u0002refund\u0003 <today>',
+  details: { direction: 'inbound' },
+});
+
+const pageQuery = () => query.mock.calls.find(([sql]) => sql.includes('LIMIT'));
+
+describe('searchService', () => {
+  beforeEach(() => {
+    query.mockReset();
+  });
+
+  describe('cursors', () => {
+    it('round-trip the position of the last result', () => {
+      const position = {
+        rank: '0.075990',
+        createdAt: '2026-03-01 10:00:00.123456',
+        id: '6f1c1b4e-8d2a-4c55-9a7e-2f0d3c4b5a69',
+      };
+
+      expect(searchService.decodeCursor(searchService.encodeCursor(position))).toEqual(position);
+    });
+
+    it('reject tampered or incomplete cursors', () => {
+      const incomplete = searchService.encodeCursor({ rank: '0.1', createdAt: '2026-03-01' });
+      const injected = searchService.encodeCursor({ rank: '0.1', createdAt: '2026-03-01', id: "1' OR '1'='1" });
+
+      for (const cursor of ['not-a-cursor', incomplete, injected]) {
+        expect(() => searchService.decodeCursor(cursor))
+          .toThrow(expect.objectContaining({ errorCode: ERROR_CODES.VALIDATION_ERROR, statusCode: 400 }));
+      }
+    });
+  });
+
+  describe('search', () => {
+    it('returns a cursor to the next page with facets on the first page', async () => {
+      query
+        .mockResolvedValueOnce({
+          rows: [
+            row('00000000-0000-0000-0000-000000000003', '0.5', '2026-03-03 10:00:00'),
+            row('00000000-0000-0000-0000-000000000002', '0.4', '2026-03-02 10:00:00'),
+            row('00000000-0000-0000-0000-000000000001', '0.4', '2026-03-01 10:00:00'),
+          ],
+        })
+        .mockResolvedValueOnce({
+          rows: [{ type: 'message', count: 3, no_type: 0, no_platform: 1, no_assignee: 1, no_month: 1 }],
+        });
+
+      const result = await searchService.search(agent, options);
+
+      expect(result.results).toHaveLength(2);
+      expect(result.results[0]).toMatchObject({ rank: 0.5, direction: 'inbound' });
+      expect(result.results[0].snippet).toBe('Asked for a <mark>refund</mark> &lt;today&gt;');
+      expect(result.facets.types).toEqual([{ value: 'message', count: 3 }]);
+      expect(searchService.decodeCursor(result.nextCursor)).toEqual({
+        rank: '0.4',
+        createdAt: '2026-03-02 10:00:00',
+        id: '00000000-0000-0000-0000-000000000002',
+      });
+
+      // One extra row is fetched to know whether another page exists
+      const [, params] = pageQuery();
+      expect(params.slice(-2, -1)).toEqual([options.limit + 1]);
+    });
+
+    it('continues after the cursor position without facets', async () => {
+      const position = { rank: '0.4', createdAt: '2026-03-02 10:00:00', id: '00000000-0000-0000-0000-000000000002' };
+      query.mockResolvedValueOnce({
+        rows: [row('00000000-0000-0000-0000-000000000001', '0.4', '2026-03-01 10:00:00')],
+      });
+
+      const result = await searchService.search(agent, { ...options, cursor: searchService.encodeCursor(position) });
+
+      expect(result.results).toHaveLength(1);
+      expect(result.facets).toBeNull();
+      expect(result.nextCursor).toBeNull();
+      expect(query).toHaveBeenCalledTimes(1);
+
+      const [sql, params] = pageQuery();
+      expect(sql).toContain('WHERE (rank, created_at, id) < ($4::numeric, $5::timestamp, $6::uuid)');
+      expect(params.slice(3, 6)).toEqual([position.rank, position.createdAt, position.id]);
+    });
+
+    it('limits agents to the chats they can access', async () => {
+      query.mockResolvedValue({ rows: [] });
+
+      await searchService.search(agent, options);
+      expect(pageQuery()[0]).toContain('access_tm.user_id = $3');
+
+      query.mockClear();
+      await searchService.search({ ...agent, role: 'admin' }, options);
+      expect(pageQuery()[0]).not.toContain('access_tm');
+    });
+  });
+});
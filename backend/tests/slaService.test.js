@@ -0,0 +1,148 @@
+jest.mock('../src/utils/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+}));
+jest.mock('../src/services/websocketService', () => ({
+  broadcastToTenant: jest.fn(),
+}));
+
+const slaService = require('../src/services/slaService');
+const { broadcastToTenant } = require('../src/services/websocketService');
+const { query } = require('../src/utils/database');
+
+const now = new Date('2026-03-01T10:00:00Z');
+const minutes = (count) => new Date(now.getTime() + count * 60 * 1000);
+
+const policy = { id: 'policy-1', first_response_minutes: 15, resolution_minutes: 480 };
+const chat = { id: 'chat-1', tenant_id: 'tenant-1', priority: 'high' };
+const connection = { id: 'connection-1', inbox_id: 'inbox-1' };
+
+describe('slaService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockReset();
+  });
+
+  describe('onInboundMessage', () => {
+    const buildClient = (answers) => ({
+      query: jest.fn(async (sql) => {
+        const match = Object.keys(answers).find(fragment => sql.includes(fragment));
+        return { rows: match ? answers[match] : [] };
+      }),
+    });
+
+    it('applies the most specific policy to a new conversation', async () => {
+      const client = buildClient({
+        'FROM sla_policies': [policy],
+        'UPDATE conversations': [{ id: 'conversation-1', sla_policy_id: 'policy-1' }],
+      });
+
+      const conversation = await slaService.onInboundMessage(client, chat, { id: 'conversation-1' }, connection, now);
+
+      expect(conversation.sla_policy_id).toBe('policy-1');
+      const [policySql, policyParams] = client.query.mock.calls[0];
+      expect(policySql).toContain('ORDER BY (inbox_id IS NOT NULL) DESC, (priority IS NOT NULL) DESC');
+      expect(policyParams).toEqual(['tenant-1', 'inbox-1', 'high']);
+      expect(client.query.mock.calls[1][1]).toEqual(['conversation-1', 'policy-1', 15, 480]);
+    });
+
+    it('starts the next-response clock on the first unanswered message of a turn', async () => {
+      const client = buildClient({ 'UPDATE conversations cv': [{ id: 'conversation-1', next_response_due_at: minutes(30) }] });
+      const answered = { id: 'conversation-1', sla_policy_id: 'policy-1', first_responded_at: now, next_response_due_at: null };
+
+      const conversation = await slaService.onInboundMessage(client, chat, answered, connection, now);
+
+      expect(conversation.next_response_due_at).toEqual(minutes(30));
+      expect(client.query).toHaveBeenCalledWith(expect.any(String), ['conversation-1', now]);
+    });
+
+    it('keeps the running clock on later messages and before the first response', async () => {
+      const client = buildClient({});
+      const waiting = { id: 'conversation-1', sla_policy_id: 'policy-1', first_responded_at: now, next_response_due_at: minutes(30) };
+      const unanswered = { id: 'conversation-1', sla_policy_id: 'policy-1', first_responded_at: null };
+
+      await slaService.onInboundMessage(client, chat, waiting, connection, minutes(5));
+      await slaService.onInboundMessage(client, chat, unanswered, connection, minutes(5));
+
+      expect(client.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('onStatusChange', () => {
+    it('pauses pending conversations and moves the deadlines when they reopen', async () => {
+      await slaService.onStatusChange('conversation-1', 'pending');
+      await slaService.onStatusChange('conversation-1', 'open');
+
+      expect(query.mock.calls[0][0]).toContain('sla_paused_at = COALESCE(sla_paused_at, NOW())');
+      expect(query.mock.calls[1][0]).toContain('resolution_due_at = resolution_due_at + (NOW() - sla_paused_at)');
+      expect(query.mock.calls[1][0]).toContain('sla_paused_at IS NOT NULL');
+    });
+  });
+
+  describe('getStatus', () => {
+    const row = {
+      sla_policy_id: 'policy-1',
+      conversation_status: 'open',
+      first_responded_at: null,
+      first_response_due_at: minutes(-2),
+      next_response_due_at: null,
+      resolution_due_at: minutes(120),
+      sla_paused_at: null,
+    };
+
+    it('lists the running timers, most urgent first', () => {
+      const status = slaService.getStatus(row, now);
+
+      expect(status.timers.map(timer => timer.timer)).toEqual(['first_response', 'resolution']);
+      expect(status.next).toMatchObject({ timer: 'first_response', remainingSeconds: -120, breached: true });
+    });
+
+    it('freezes the remaining time while paused and drops answered and closed timers', () => {
+      const paused = slaService.getStatus({ ...row, first_responded_at: now, sla_paused_at: minutes(-60) }, now);
+
+      expect(paused.paused).toBe(true);
+      expect(paused.timers).toEqual([expect.objectContaining({ timer: 'resolution', remainingSeconds: 180 * 60 })]);
+      expect(slaService.getStatus({ ...row, conversation_status: 'closed' }, now).timers).toEqual([]);
+      expect(slaService.getStatus({ ...row, sla_policy_id: null }, now)).toBeNull();
+    });
+  });
+
+  describe('notify', () => {
+    const deadline = {
+      timer: 'first_response',
+      due_at: minutes(-1),
+      is_breached: true,
+      conversation_id: 'conversation-1',
+      chat_id: 'chat-1',
+      tenant_id: 'tenant-1',
+      assigned_user_id: 'user-1',
+      sla_policy_id: 'policy-1',
+      customer_name: 'Jane Doe',
+    };
+
+    it('records a breach once with an escalation note and a notification', async () => {
+      query.mockResolvedValueOnce({ rows: [{ id: 'event-1' }] });
+
+      await slaService.notify(deadline);
+
+      expect(query.mock.calls[0][1][5]).toBe('breach');
+      expect(query.mock.calls[1][0]).toContain("'escalation'");
+      expect(query.mock.calls[1][1][2]).toBe(`SLA breached: First response was due at ${minutes(-1).toISOString()}`);
+      expect(broadcastToTenant).toHaveBeenCalledWith('tenant-1', expect.objectContaining({
+        category: 'sla',
+        kind: 'breach',
+        level: 'error',
+        chatId: 'chat-1',
+      }));
+    });
+
+    it('does nothing when another instance notified the deadline', async () => {
+      query.mockResolvedValueOnce({ rows: [] });
+
+      await slaService.notify({ ...deadline, is_breached: false });
+
+      expect(query).toHaveBeenCalledTimes(1);
+      expect(broadcastToTenant).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const { interactiveMessageSchema, sharedLocationSchema, contactCardSchema } = require('../src/utils/validation');
+
+const issues = (data) => {
+  const result = interactiveMessageSchema.safeParse(data);
+  return result.success ? [] : result.error.errors.map(error => error.message);
+};
+
+describe('validation', () => {
+  describe('interactiveMessageSchema', () => {
+    it('uses the option title as the reply payload when no ID is given', () => {
+      expect(interactiveMessageSchema.parse({
+        type: 'buttons',
+        options: [{ title: ' Yes ' }, { id: 'no', title: 'No' }],
+      })).toEqual({
+        type: 'buttons',
+        options: [{ id: 'Yes', title: 'Yes' }, { id: 'no', title: 'No' }],
+      });
+    });
+
+    it('limits buttons to 3 and quick replies to 13', () => {
+      const options = (count) => Array.from({ length: count }, (value, index) => ({ title: `Option ${index}` }));
+
+      expect(issues({ type: 'buttons', options: options(3) })).toEqual([]);
+      expect(issues({ type: 'buttons', options: options(4) })).toEqual(['At most 3 buttons are allowed']);
+      expect(issues({ type: 'quick_replies', options: options(13) })).toEqual([]);
+      expect(issues({ type: 'quick_replies', options: options(14) })).toEqual(['At most 13 quick replies are allowed']);
+    });
+
+    it('refuses empty and too long option titles', () => {
+      expect(issues({ type: 'buttons', options: [{ title: '  ' }] })).toEqual(['Option title is required']);
+      expect(issues({ type: 'buttons', options: [{ title: 'A title over twenty chars' }] }))
+        .toEqual(['Option title too long']);
+    });
+
+    it('limits lists to 10 rows over all sections', () => {
+      const rows = (count) => Array.from({ length: count }, (value, index) => ({ title: `Row ${index}` }));
+
+      const list = interactiveMessageSchema.parse({
+        type: 'list',
+        buttonText: 'Pick a size',
+        sections: [{ title: 'Sizes', rows: [{ title: 'Small', description: 'Up to 1 kg' }] }],
+      });
+      expect(list.sections[0].rows).toEqual([{ id: 'Small', title: 'Small', description: 'Up to 1 kg' }]);
+
+      expect(issues({
+        type: 'list',
+        buttonText: 'Pick',
+        sections: [{ rows: rows(6) }, { rows: rows(5) }],
+      })).toEqual(['A list can have at most 10 rows']);
+    });
+
+    it('refuses unknown interactive types', () => {
+      expect(interactiveMessageSchema.safeParse({ type: 'carousel', options: [{ title: 'A' }] }).success).toBe(false);
+    });
+  });
+
+  describe('sharedLocationSchema', () => {
+    it('refuses coordinates out of range', () => {
+      expect(sharedLocationSchema.safeParse({ latitude: 59.91, longitude: 10.75 }).success).toBe(true);
+      expect(sharedLocationSchema.safeParse({ latitude: 91, longitude: 10.75 }).success).toBe(false);
+      expect(sharedLocationSchema.safeParse({ latitude: 59.91, longitude: -181 }).success).toBe(false);
+    });
+  });
+
+  describe('contactCardSchema', () => {
+    it('needs a name and a phone number or an email', () => {
+      expect(contactCardSchema.parse({ name: 'John Smith', emails: [{ email: 'john@example.com' }] }))
+        .toEqual({ name: 'John Smith', phones: [], emails: [{ email: 'john@example.com' }] });
+
+      const result = contactCardSchema.safeParse({ name: 'John Smith' });
+      expect(result.error.errors.map(error => error.message)).toEqual(['A contact card needs a phone number or an email']);
+      expect(contactCardSchema.safeParse({ name: ' ', phones: [{ phone: '+1 555 0100' }] }).success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,212 @@
+jest.mock('sharp', () => jest.fn(), { virtual: true });
+jest.mock('../src/utils/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  db: {},
+}));
+jest.mock('../src/utils/redis', () => ({
+  publishMessage: jest.fn(),
+  claimKey: jest.fn(),
+  deleteCache: jest.fn(),
+}));
+
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+const webhookEventService = require('../src/services/webhookEventService');
+const metaApiService = require('../src/services/metaApiService');
+const messageChangeService = require('../src/services/messageChangeService');
+const { query } = require('../src/utils/database');
+
+const pageEntry = (pageId) => ({ id: pageId, time: 1700000000, messaging: [{ message: { text: 'Hi' } }] });
+
+const whatsappEntry = (businessAccountId, phoneNumberId) => ({
+  id: businessAccountId,
+  changes: [{ field: 'messages', value: { metadata: { phone_number_id: phoneNumberId } } }],
+});
+
+describe('webhookEventService', () => {
+  describe('listEvents', () => {
+    // Answer the count, the events and the tenant's account IDs
+    const mockQueries = (events, tenantAccountIds) => {
+      query.mockImplementation(async (sql) => {
+        if (sql.includes('COUNT(*)')) return { rows: [{ count: String(events.length) }] };
+        if (sql.includes('as account_id')) return { rows: tenantAccountIds.map(id => ({ account_id: id })) };
+        return { rows: events };
+      });
+    };
+
+    beforeEach(() => {
+      query.mockReset();
+    });
+
+    it('returns only the tenant\'s entries of a delivery shared with other tenants', async () => {
+      mockQueries([{
+        id: 'event-1',
+        object: 'page',
+        account_ids: ['page-a', 'page-b'],
+        payload: { object: 'page', entry: [pageEntry('page-a'), pageEntry('page-b')] },
+      }], ['page-a']);
+
+      const { events, total } = await webhookEventService.listEvents('tenant-a');
+
+      expect(total).toBe(1);
+      expect(events[0].account_ids).toEqual(['page-a']);
+      expect(events[0].payload).toEqual({ object: 'page', entry: [pageEntry('page-a')] });
+    });
+
+    it('drops entries mixing the tenant\'s accounts with another tenant\'s', async () => {
+      mockQueries([{
+        id: 'event-1',
+        object: 'whatsapp_business_account',
+        account_ids: ['waba-a', 'phone-a', 'phone-b'],
+        payload: {
+          object: 'whatsapp_business_account',
+          entry: [whatsappEntry('waba-a', 'phone-a'), whatsappEntry('waba-a', 'phone-b')],
+        },
+      }], ['waba-a', 'phone-a']);
+
+      const { events } = await webhookEventService.listEvents('tenant-a');
+
+      expect(events[0].payload.entry).toEqual([whatsappEntry('waba-a', 'phone-a')]);
+    });
+
+    it('keeps payloads without entries as stored', async () => {
+      const payload = { truncated: true, size: 70000 };
+      mockQueries([{ id: 'event-1', object: null, account_ids: ['page-a'], payload }], ['page-a']);
+
+      const { events } = await webhookEventService.listEvents('tenant-a');
+
+      expect(events[0].payload).toEqual(payload);
+    });
+  });
+
+  describe('processMessageChange', () => {
+    const target = { connectionId: 'connection-1', customerId: 'customer-1', platformMessageId: 'm_1' };
+
+    const messengerEvent = (event) => ({
+      id: 'page-1',
+      messaging: [{ sender: { id: 'customer-1' }, recipient: { id: 'page-1' }, timestamp: 1700000000000, ...event }],
+    });
+
+    // Parse the entry the way the worker does and apply its changes
+    const applyEntry = async (entry, object) => {
+      for (const changeData of metaApiService.processWebhookMessageChanges(entry, object)) {
+        await webhookEventService.processMessageChange(changeData);
+      }
+    };
+
+    beforeEach(() => {
+      query.mockReset();
+      query.mockResolvedValue({ rows: [{ id: 'connection-1', tenant_id: 'tenant-1' }] });
+
+      const updated = { id: 'message-1', chat_id: 'chat-1' };
+      jest.spyOn(messageChangeService, 'applyReaction').mockResolvedValue(updated);
+      jest.spyOn(messageChangeService, 'applyEdit').mockResolvedValue(updated);
+      jest.spyOn(messageChangeService, 'applyUnsend').mockResolvedValue(updated);
+      jest.spyOn(messageChangeService, 'broadcastMessageUpdate').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('sets and removes the customer\'s reaction', async () => {
+      await applyEntry(messengerEvent({ reaction: { mid: 'm_1', action: 'react', emoji: '😂' } }), 'page');
+      await applyEntry(messengerEvent({ reaction: { mid: 'm_1', action: 'unreact' } }), 'page');
+
+      expect(messageChangeService.applyReaction).toHaveBeenNthCalledWith(
+        1,
+        target,
+        'customer',
+        { emoji: '😂', reactedAt: new Date(1700000000000) }
+      );
+      expect(messageChangeService.applyReaction).toHaveBeenNthCalledWith(2, target, 'customer', null);
+      expect(messageChangeService.broadcastMessageUpdate).toHaveBeenCalledTimes(2);
+    });
+
+    it('applies WhatsApp reactions sent as messages', async () => {
+      await applyEntry({
+        id: 'waba-1',
+        changes: [{
+          field: 'messages',
+          value: {
+            metadata: { phone_number_id: 'phone-1' },
+            messages: [{
+              from: 'customer-1',
+              timestamp: '1700000000',
+              type: 'reaction',
+              reaction: { message_id: 'm_1', emoji: '👍' },
+            }],
+          },
+        }],
+      }, 'whatsapp_business_account');
+
+      expect(query.mock.calls[0][1]).toEqual(['whatsapp', 'phone-1']);
+      expect(messageChangeService.applyReaction).toHaveBeenCalledWith(
+        target,
+        'customer',
+        { emoji: '👍', reactedAt: new Date(1700000000000) }
+      );
+    });
+
+    it('applies edits with their edit count', async () => {
+      await applyEntry(messengerEvent({ message_edit: { mid: 'm_1', text: 'Fixed typo', num_edit: 2 } }), 'instagram');
+
+      expect(query.mock.calls[0][1]).toEqual(['instagram', 'page-1']);
+      expect(messageChangeService.applyEdit).toHaveBeenCalledWith(target, 'Fixed typo', 2, new Date(1700000000000));
+    });
+
+    it('tombstones unsent messages', async () => {
+      await applyEntry(messengerEvent({ message: { mid: 'm_1', is_deleted: true } }), 'page');
+
+      expect(messageChangeService.applyUnsend).toHaveBeenCalledWith(target, new Date(1700000000000));
+    });
+
+    it('skips changes of unknown messages without broadcasting', async () => {
+      messageChangeService.applyUnsend.mockResolvedValue(null);
+
+      await applyEntry(messengerEvent({ message: { mid: 'm_unknown', is_deleted: true } }), 'page');
+
+      expect(messageChangeService.broadcastMessageUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createMessage', () => {
+    const chat = { id: 'chat-1', tenant_id: 'tenant-1' };
+    const conversation = { id: 'conversation-1' };
+
+    it('links a reply to the quoted message and keeps the quoted platform ID', async () => {
+      const client = { query: jest.fn(async () => ({ rows: [{ id: 'message-2' }] })) };
+
+      await webhookEventService.createMessage(client, chat, {
+        messageId: 'wamid.2',
+        text: 'Yes',
+        replyToId: 'wamid.1',
+        timestamp: new Date(),
+      }, conversation);
+
+      const [sql, params] = client.query.mock.calls[0];
+      expect(sql).toContain('(SELECT id FROM messages WHERE chat_id = $1 AND platform_message_id = $11');
+      expect(params[10]).toBe('wamid.1');
+      expect(JSON.parse(params[8])).toMatchObject({ replyToPlatformMessageId: 'wamid.1' });
+    });
+
+    it('stores shared locations and contact cards in the metadata', async () => {
+      const client = { query: jest.fn(async () => ({ rows: [{ id: 'message-2' }] })) };
+      const location = { latitude: 59.91, longitude: 10.75, name: 'Pinned Location', url: null };
+
+      // Messenger sends locations as attachments, they are still location messages
+      await webhookEventService.createMessage(client, chat, {
+        messageId: 'm_2',
+        attachments: [{ type: 'location', payload: { coordinates: { lat: 59.91, long: 10.75 } } }],
+        location,
+        timestamp: new Date(),
+      }, conversation);
+
+      const [, params] = client.query.mock.calls[0];
+      expect(params[4]).toBe('location');
+      expect(JSON.parse(params[8]).location).toEqual(location);
+      expect(webhookEventService.getMessageType({ contacts: [{ name: 'John Smith' }] })).toBe('contact');
+    });
+  });
+});
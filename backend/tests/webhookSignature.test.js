@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+
+jest.mock('sharp', () => jest.fn(), { virtual: true });
+jest.mock('../src/utils/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  db: {},
+}));
+jest.mock('../src/utils/redis', () => ({
+  incrementRateLimit: jest.fn(),
+}));
+jest.mock('../src/services/metaAppService', () => ({
+  getSecretsByAccount: jest.fn(),
+}));
+
+const PLATFORM_SECRET = 'platform-secret';
+
+process.env.META_APP_ID = process.env.META_APP_ID || 'test-app-id';
+process.env.META_APP_SECRET = process.env.META_APP_SECRET || 'test-app-secret';
+process.env.META_WEBHOOK_SECRET = PLATFORM_SECRET;
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+const { verifyWebhookSignature } = require('../src/middleware/webhookSignature');
+const metaAppService = require('../src/services/metaAppService');
+const { query } = require('../src/utils/database');
+const { incrementRateLimit } = require('../src/utils/redis');
+const { WEBHOOK_SIGNATURE } = require('../src/utils/constants');
+
+const { REJECTION_REASONS } = WEBHOOK_SIGNATURE;
+
+// Page accounts of two tenants, each with its own Meta app
+const SECRETS = { 'page-a': ['secret-a'], 'page-b': ['secret-b'] };
+
+const sign = (body, secret) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+const entry = (pageId) => ({ id: pageId, time: 1700000000, messaging: [{ message: { text: 'Hi' } }] });
+
+const buildRequest = (payload, secret) => {
+  const rawBody = Buffer.from(JSON.stringify(payload));
+
+  return {
+    body: payload,
+    rawBody,
+    ip: '203.0.113.7',
+    originalUrl: '/api/webhooks/meta',
+    headers: secret ? { [WEBHOOK_SIGNATURE.HEADER_NAME]: sign(rawBody, secret) } : {},
+  };
+};
+
+const buildResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// Rejection reasons stored as audit records
+const recordedReasons = () => query.mock.calls
+  .filter(([sql]) => sql.includes('INSERT INTO webhook_events'))
+  .map(([, params]) => params[3]);
+
+describe('verifyWebhookSignature', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [{}] });
+    incrementRateLimit.mockResolvedValue({ current: 1 });
+    metaAppService.getSecretsByAccount.mockImplementation(async (accountIds) => new Map(
+      accountIds.filter(id => SECRETS[id]).map(id => [id, SECRETS[id]])
+    ));
+  });
+
+  it('accepts payloads signed with the platform secret', async () => {
+    const payload = { object: 'page', entry: [entry('page-a'), entry('page-b')] };
+    const req = buildRequest(payload, PLATFORM_SECRET);
+    const next = jest.fn();
+
+    await verifyWebhookSignature(req, buildResponse(), next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.body.entry).toHaveLength(2);
+  });
+
+  it('accepts entries signed by their own tenant\'s secret', async () => {
+    const req = buildRequest({ object: 'page', entry: [entry('page-a')] }, 'secret-a');
+    const next = jest.fn();
+
+    await verifyWebhookSignature(req, buildResponse(), next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.body.entry).toEqual([entry('page-a')]);
+  });
+
+  it('drops the entries of other tenants signed with a tenant\'s secret', async () => {
+    const req = buildRequest({ object: 'page', entry: [entry('page-a'), entry('page-b')] }, 'secret-a');
+    const next = jest.fn();
+
+    await verifyWebhookSignature(req, buildResponse(), next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.body.entry).toEqual([entry('page-a')]);
+    expect(recordedReasons()).toEqual([REJECTION_REASONS.UNSIGNED_ENTRIES]);
+  });
+
+  it('rejects payloads about another tenant\'s accounts', async () => {
+    const res = buildResponse();
+    const next = jest.fn();
+
+    await verifyWebhookSignature(buildRequest({ object: 'page', entry: [entry('page-b')] }, 'secret-a'), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(recordedReasons()).toEqual([REJECTION_REASONS.INVALID_SIGNATURE]);
+
+    // The forged payload names page-b, the audit record is not attributed to its tenant
+    const [sql, params] = query.mock.calls.find(([statement]) => statement.includes('INSERT INTO webhook_events'));
+    expect(sql).not.toContain('account_ids');
+    expect(params).not.toContainEqual(['page-b']);
+  });
+
+  it('rejects entries mixing the signing tenant\'s account with another tenant\'s', async () => {
+    const mixed = {
+      id: 'page-a',
+      changes: [{ field: 'messages', value: { metadata: { phone_number_id: 'page-b' } } }],
+    };
+    const res = buildResponse();
+    const next = jest.fn();
+
+    await verifyWebhookSignature(buildRequest({ object: 'whatsapp_business_account', entry: [mixed] }, 'secret-a'), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(recordedReasons()).toEqual([REJECTION_REASONS.UNSIGNED_ENTRIES]);
+  });
+
+  it('rejects unsigned and wrongly signed payloads', async () => {
+    const payload = { object: 'page', entry: [entry('page-a')] };
+
+    const unsignedRes = buildResponse();
+    await verifyWebhookSignature(buildRequest(payload), unsignedRes, jest.fn());
+
+    const forgedRes = buildResponse();
+    await verifyWebhookSignature(buildRequest(payload, 'guessed-secret'), forgedRes, jest.fn());
+
+    expect(unsignedRes.status).toHaveBeenCalledWith(401);
+    expect(forgedRes.status).toHaveBeenCalledWith(401);
+    expect(recordedReasons()).toEqual([
+      REJECTION_REASONS.MISSING_SIGNATURE,
+      REJECTION_REASONS.INVALID_SIGNATURE,
+    ]);
+  });
+
+  it('rejects requests without the raw body', async () => {
+    const req = buildRequest({ object: 'page', entry: [entry('page-a')] }, PLATFORM_SECRET);
+    delete req.rawBody;
+    const res = buildResponse();
+
+    await verifyWebhookSignature(req, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(recordedReasons()).toEqual([REJECTION_REASONS.MISSING_RAW_BODY]);
+  });
+
+  it('stores oversized rejected payloads truncated', async () => {
+    const payload = { object: 'page', entry: [{ ...entry('page-a'), padding: 'x'.repeat(20000) }] };
+
+    await verifyWebhookSignature(buildRequest(payload, 'guessed-secret'), buildResponse(), jest.fn());
+
+    const [, params] = query.mock.calls.find(([sql]) => sql.includes('INSERT INTO webhook_events'));
+    expect(JSON.parse(params[1])).toEqual({ truncated: true, size: JSON.stringify(payload).length });
+  });
+
+  it('stops storing rejections of a sender over the limit', async () => {
+    incrementRateLimit.mockResolvedValue({ current: WEBHOOK_SIGNATURE.REJECTED_RECORD_LIMIT + 1 });
+    const res = buildResponse();
+
+    await verifyWebhookSignature(buildRequest({ object: 'page', entry: [] }), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(recordedReasons()).toEqual([]);
+  });
+});
@@ -0,0 +1,94 @@
+jest.mock('../src/utils/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+}));
+jest.mock('../src/services/metaApiService', () => ({
+  exchangeCodeForToken: jest.fn(),
+  getGrantedWhatsAppAccounts: jest.fn(),
+  getWhatsAppPhoneNumbers: jest.fn(),
+  subscribeWhatsAppWebhooks: jest.fn(),
+}));
+jest.mock('../src/services/encryptionService', () => ({
+  encryptSocialTokens: jest.fn(() => ({ encrypted_access_token: 'encrypted' })),
+}));
+
+const whatsappOnboardingService = require('../src/services/whatsappOnboardingService');
+const metaApiService = require('../src/services/metaApiService');
+const { transaction } = require('../src/utils/database');
+const { ERROR_CODES } = require('../src/utils/constants');
+
+const phoneNumber = (id) => ({ id, display_phone_number: `+1 555 0100 ${id}`, verified_name: 'Acme' });
+
+const options = { userId: 'user-1', tenantId: 'tenant-1', code: 'code-1' };
+
+describe('whatsappOnboardingService', () => {
+  describe('connect', () => {
+    let client;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      metaApiService.exchangeCodeForToken.mockResolvedValue({ access_token: 'token-1', expires_in: 3600 });
+      metaApiService.getGrantedWhatsAppAccounts.mockResolvedValue(['waba-1', 'waba-2']);
+      metaApiService.getWhatsAppPhoneNumbers.mockImplementation(async (token, businessAccountId) => (
+        businessAccountId === 'waba-1' ? [phoneNumber('phone-1')] : [phoneNumber('phone-2')]
+      ));
+
+      // Echo the inserted connection
+      client = {
+        query: jest.fn(async (sql, params) => ({
+          rows: [{
+            id: `connection-${params[3]}`,
+            platform_account_id: params[3],
+            business_account_id: params[4],
+            account_name: params[5],
+          }],
+        })),
+      };
+      transaction.mockImplementation(async callback => callback(client));
+    });
+
+    it('connects every phone number of the granted Business Accounts', async () => {
+      const connections = await whatsappOnboardingService.connect(options);
+
+      expect(connections).toEqual([
+        expect.objectContaining({ phoneNumberId: 'phone-1', businessAccountId: 'waba-1' }),
+        expect.objectContaining({ phoneNumberId: 'phone-2', businessAccountId: 'waba-2' }),
+      ]);
+      expect(metaApiService.subscribeWhatsAppWebhooks).toHaveBeenCalledTimes(2);
+      expect(connections[0].accountName).toBe('Acme (+1 555 0100 phone-1)');
+    });
+
+    it('only connects the requested accounts among the granted ones', async () => {
+      const connections = await whatsappOnboardingService.connect({
+        ...options,
+        businessAccountIds: ['waba-2', 'waba-other'],
+      });
+
+      expect(metaApiService.getWhatsAppPhoneNumbers).toHaveBeenCalledTimes(1);
+      expect(metaApiService.getWhatsAppPhoneNumbers).toHaveBeenCalledWith('token-1', 'waba-2');
+      expect(connections.map(connection => connection.phoneNumberId)).toEqual(['phone-2']);
+    });
+
+    it('fails when none of the requested accounts was granted', async () => {
+      await expect(whatsappOnboardingService.connect({ ...options, businessAccountIds: ['waba-other'] }))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.WHATSAPP_ACCOUNT_NOT_SHARED, statusCode: 400 });
+      expect(transaction).not.toHaveBeenCalled();
+    });
+
+    it('fails without storing anything when the accounts have no phone numbers', async () => {
+      metaApiService.getWhatsAppPhoneNumbers.mockResolvedValue([]);
+
+      await expect(whatsappOnboardingService.connect(options))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.WHATSAPP_NO_PHONE_NUMBERS, statusCode: 400 });
+      expect(transaction).not.toHaveBeenCalled();
+    });
+
+    it('keeps connecting when the webhook subscription fails', async () => {
+      metaApiService.subscribeWhatsAppWebhooks.mockRejectedValue(new Error('Subscription failed'));
+
+      const connections = await whatsappOnboardingService.connect(options);
+
+      expect(connections).toHaveLength(2);
+    });
+  });
+});
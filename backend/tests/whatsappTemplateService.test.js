@@ -0,0 +1,193 @@
+jest.mock('../src/utils/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+}));
+jest.mock('../src/services/encryptionService', () => ({
+  decrypt: jest.fn(() => 'access-token'),
+}));
+
+const whatsappTemplateService = require('../src/services/whatsappTemplateService');
+const metaApiService = require('../src/services/metaApiService');
+const { query } = require('../src/utils/database');
+const { ERROR_CODES } = require('../src/utils/constants');
+
+const components = [
+  { type: 'HEADER', format: 'TEXT', text: 'Order {{1}}' },
+  { type: 'BODY', text: 'Hi {{2}}, your order {{1}} ships on {{3}}.' },
+  {
+    type: 'BUTTONS',
+    buttons: [
+      { type: 'QUICK_REPLY', text: 'Thanks' },
+      { type: 'URL', text: 'Track', url: 'https://shop.example.com/track/{{1}}' },
+      { type: 'COPY_CODE', text: 'Copy code' },
+    ],
+  },
+];
+
+const templateRecord = (overrides = {}) => ({
+  id: 'template-1',
+  template_id: '1001',
+  business_account_id: 'waba-1',
+  name: 'order_shipped',
+  language: 'en_US',
+  category: 'UTILITY',
+  status: 'APPROVED',
+  parameter_format: 'POSITIONAL',
+  components,
+  variables: whatsappTemplateService.extractVariables(components),
+  ...overrides,
+});
+
+const parameters = {
+  header: 'A-42',
+  body: ['A-42', 'Jane', 'Monday'],
+  buttons: [{ index: 1, text: 'A-42' }, { index: 2, text: 'SAVE10' }],
+};
+
+describe('whatsappTemplateService', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    query.mockReset();
+  });
+
+  describe('extractVariables', () => {
+    it('collects header, positional body and button placeholders', () => {
+      expect(whatsappTemplateService.extractVariables(components)).toEqual({
+        header: { format: 'TEXT', placeholders: ['1'] },
+        body: ['1', '2', '3'],
+        buttons: [
+          { index: 1, type: 'URL', text: 'Track' },
+          { index: 2, type: 'COPY_CODE', text: 'Copy code' },
+        ],
+      });
+    });
+
+    it('keeps named placeholders in order of appearance', () => {
+      expect(whatsappTemplateService.findPlaceholders('Hi {{ name }}, order {{order_id}} for {{name}}'))
+        .toEqual(['name', 'order_id']);
+    });
+  });
+
+  describe('syncConnectionTemplates', () => {
+    it('stores every page of templates and removes the deleted ones', async () => {
+      jest.spyOn(metaApiService, 'getWhatsAppTemplates')
+        .mockResolvedValueOnce({ templates: [{ id: '1001', name: 'a', status: 'APPROVED' }], after: 'cursor-1' })
+        .mockResolvedValueOnce({ templates: [{ id: '1002', name: 'b', status: 'REJECTED', rejected_reason: 'NONE' }], after: null });
+      query.mockResolvedValue({ rows: [], rowCount: 3 });
+
+      const result = await whatsappTemplateService.syncConnectionTemplates('tenant-1', {
+        id: 'connection-1',
+        business_account_id: 'waba-1',
+        encrypted_access_token: 'encrypted',
+      });
+
+      expect(metaApiService.getWhatsAppTemplates).toHaveBeenLastCalledWith('access-token', 'waba-1', 'cursor-1');
+      expect(result).toEqual({ socialConnectionId: 'connection-1', businessAccountId: 'waba-1', synced: 2, removed: 3 });
+
+      const inserts = query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO whatsapp_templates'));
+      expect(inserts).toHaveLength(2);
+      expect(inserts[1][1][11]).toBeNull();
+
+      const [, removeParams] = query.mock.calls.find(([sql]) => sql.includes('DELETE FROM whatsapp_templates'));
+      expect(removeParams).toEqual(['tenant-1', 'waba-1', ['1001', '1002']]);
+    });
+
+    it('fails when the tenant has no active WhatsApp connection', async () => {
+      query.mockResolvedValue({ rows: [] });
+
+      await expect(whatsappTemplateService.syncTemplates('tenant-1'))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.RESOURCE_NOT_FOUND, statusCode: 404 });
+    });
+  });
+
+  describe('prepareTemplateMessage', () => {
+    const mockTemplate = (template, businessAccountId = 'waba-1') => {
+      query
+        .mockResolvedValueOnce({ rows: [template] })
+        .mockResolvedValueOnce({ rows: [{ business_account_id: businessAccountId }] });
+    };
+
+    it('renders the body and fills the components to send', async () => {
+      mockTemplate(templateRecord());
+
+      const message = await whatsappTemplateService.prepareTemplateMessage('template-1', 'tenant-1', 'connection-1', parameters);
+
+      expect(message.content).toBe('Hi Jane, your order A-42 ships on Monday.');
+      expect(message.template).toMatchObject({ templateId: '1001', name: 'order_shipped', language: 'en_US' });
+      expect(message.template.components).toEqual([
+        { type: 'header', parameters: [{ type: 'text', text: 'A-42' }] },
+        {
+          type: 'body',
+          parameters: [
+            { type: 'text', text: 'A-42' },
+            { type: 'text', text: 'Jane' },
+            { type: 'text', text: 'Monday' },
+          ],
+        },
+        { type: 'button', sub_type: 'url', index: '1', parameters: [{ type: 'text', text: 'A-42' }] },
+        { type: 'button', sub_type: 'copy_code', index: '2', parameters: [{ type: 'coupon_code', coupon_code: 'SAVE10' }] },
+      ]);
+    });
+
+    it('sends named parameters with their names', async () => {
+      const namedComponents = [{ type: 'BODY', text: 'Hi {{customer_name}}' }];
+      mockTemplate(templateRecord({
+        parameter_format: 'NAMED',
+        components: namedComponents,
+        variables: whatsappTemplateService.extractVariables(namedComponents),
+      }));
+
+      const message = await whatsappTemplateService.prepareTemplateMessage('template-1', 'tenant-1', 'connection-1', {
+        body: { customer_name: 'Jane' },
+        buttons: [],
+      });
+
+      expect(message.content).toBe('Hi Jane');
+      expect(message.template.components).toEqual([
+        { type: 'body', parameters: [{ type: 'text', parameter_name: 'customer_name', text: 'Jane' }] },
+      ]);
+    });
+
+    it('refuses templates of another Business Account or not approved', async () => {
+      mockTemplate(templateRecord(), 'waba-2');
+      await expect(whatsappTemplateService.prepareTemplateMessage('template-1', 'tenant-1', 'connection-1', parameters))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.INVALID_INPUT, statusCode: 400 });
+
+      mockTemplate(templateRecord({ status: 'PAUSED' }));
+      await expect(whatsappTemplateService.prepareTemplateMessage('template-1', 'tenant-1', 'connection-1', parameters))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.INVALID_INPUT, statusCode: 400 });
+    });
+
+    it('lists the missing parameters', async () => {
+      mockTemplate(templateRecord());
+
+      await expect(whatsappTemplateService.prepareTemplateMessage('template-1', 'tenant-1', 'connection-1', {
+        body: ['A-42', 'Jane'],
+        buttons: [{ index: 1, text: 'A-42' }],
+      })).rejects.toMatchObject({
+        errorCode: ERROR_CODES.VALIDATION_ERROR,
+        details: { missing: ['header', 'body {{3}}', 'button 2'] },
+      });
+    });
+  });
+
+  describe('applyStatusUpdate', () => {
+    it('records the new status and the rejection reason', async () => {
+      query.mockResolvedValue({ rowCount: 1 });
+
+      await whatsappTemplateService.applyStatusUpdate('waba-1', {
+        event: 'REJECTED',
+        reason: 'INVALID_FORMAT',
+        message_template_id: 1001,
+      });
+      await whatsappTemplateService.applyStatusUpdate('waba-1', {
+        event: 'APPROVED',
+        reason: 'NONE',
+        message_template_id: 1001,
+      });
+
+      expect(query.mock.calls[0][1]).toEqual(['REJECTED', 'INVALID_FORMAT', 'waba-1', '1001']);
+      expect(query.mock.calls[1][1]).toEqual(['APPROVED', null, 'waba-1', '1001']);
+    });
+  });
+});
@@ -0,0 +1,64 @@
+import { LoadingSpinner } from '../common/LoadingSpinner'
+import { Paperclip, Users } from 'lucide-react'
+import type { CannedResponse } from '../../types'
+
+interface CannedResponseMenuProps {
+  cannedResponses: CannedResponse[]
+  isLoading: boolean
+  activeIndex: number
+  onSelect: (cannedResponse: CannedResponse) => void
+  onHover: (index: number) => void
+}
+
+// Suggestions shown above the composer while typing a /shortcode
+export function CannedResponseMenu({
+  cannedResponses,
+  isLoading,
+  activeIndex,
+  onSelect,
+  onHover,
+}: CannedResponseMenuProps) {
+  return (
+    <div className="absolute bottom-full left-0 right-0 mb-2 bg-white border border-gray-200 rounded-lg shadow-lg max-h-64 overflow-y-auto z-10">
+      {isLoading && cannedResponses.length === 0 ? (
+        <div className="flex justify-center p-3">
+          <LoadingSpinner size="sm" />
+        </div>
+      ) : cannedResponses.length === 0 ? (
+        <p className="px-3 py-2 text-sm text-gray-500">No canned responses found</p>
+      ) : (
+        cannedResponses.map((cannedResponse, index) => (
+          <button
+            key={cannedResponse.id}
+            type="button"
+            // Keep the textarea focused while picking
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={() => onSelect(cannedResponse)}
+            onMouseEnter={() => onHover(index)}
+            className={`w-full text-left px-3 py-2 ${
+              index === activeIndex ? 'bg-primary-50' : 'hover:bg-gray-50'
+            }`}
+          >
+            <div className="flex items-center space-x-2 text-sm">
+              <span className="font-medium text-primary-700">/{cannedResponse.shortcode}</span>
+              <span className="text-gray-900 truncate">{cannedResponse.title}</span>
+              {cannedResponse.scope === 'tenant' && (
+                <span title="Shared with the team">
+                  <Users className="h-3 w-3 text-gray-400" />
+                </span>
+              )}
+              {cannedResponse.media_asset_id && (
+                <span title={cannedResponse.media_file_name || 'Attachment'}>
+                  <Paperclip className="h-3 w-3 text-gray-400" />
+                </span>
+              )}
+            </div>
+            <p className="text-xs text-gray-500 truncate">{cannedResponse.content}</p>
+          </button>
+        ))
+      )}
+    </div>
+  )
+}
+
+export default CannedResponseMenu
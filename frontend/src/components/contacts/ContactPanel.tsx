@@ -0,0 +1,244 @@
+import React, { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { useContact } from '../../hooks/useContact'
+import { apiService } from '../../services/api'
+import { LoadingSpinner } from '../common/LoadingSpinner'
+import { formatDistanceToNow } from 'date-fns'
+import { X, Plus, Trash2, Split, Merge, Search, User } from 'lucide-react'
+import type { Contact } from '../../types'
+
+interface ContactPanelProps {
+  contactId: string
+  currentChatId?: string
+  onClose: () => void
+}
+
+export function ContactPanel({ contactId, currentChatId, onClose }: ContactPanelProps) {
+  const { contact, isLoading, updateContact, mergeContact, splitIdentity } = useContact(contactId)
+
+  const [attributeKey, setAttributeKey] = useState('')
+  const [attributeValue, setAttributeValue] = useState('')
+  const [mergeSearch, setMergeSearch] = useState('')
+  const [mergeCandidates, setMergeCandidates] = useState<Contact[]>([])
+
+  const handleAddAttribute = async (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!attributeKey.trim()) return
+
+    try {
+      await updateContact({ attributes: { [attributeKey.trim()]: attributeValue.trim() } })
+      setAttributeKey('')
+      setAttributeValue('')
+    } catch (error) {
+      // Error handled by hook
+    }
+  }
+
+  const handleRemoveAttribute = async (key: string) => {
+    try {
+      await updateContact({ attributes: { [key]: null } })
+    } catch (error) {
+      // Error handled by hook
+    }
+  }
+
+  const handleSearchMerge = async (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!mergeSearch.trim()) return
+
+    const contacts = await apiService.getContacts(mergeSearch.trim())
+    setMergeCandidates(contacts.filter(candidate => candidate.id !== contactId))
+  }
+
+  const handleMerge = async (sourceContactId: string) => {
+    try {
+      await mergeContact(sourceContactId)
+      setMergeCandidates([])
+      setMergeSearch('')
+    } catch (error) {
+      // Error handled by hook
+    }
+  }
+
+  return (
+    <div className="w-80 bg-white border-l border-gray-200 flex flex-col">
+      <div className="px-4 py-3 border-b border-gray-200 flex items-center justify-between">
+        <h2 className="text-lg font-medium text-gray-900">Contact</h2>
+        <button
+          onClick={onClose}
+          className="p-1 text-gray-400 hover:text-gray-600 rounded"
+        >
+          <X className="h-5 w-5" />
+        </button>
+      </div>
+
+      {isLoading || !contact ? (
+        <div className="flex justify-center p-4">
+          <LoadingSpinner size="sm" />
+        </div>
+      ) : (
+        <div className="flex-1 overflow-y-auto p-4 space-y-6">
+          {/* Profile */}
+          <div className="flex items-center space-x-3">
+            {contact.avatar_url ? (
+              <img src={contact.avatar_url} alt="" className="h-12 w-12 rounded-full object-cover" />
+            ) : (
+              <div className="h-12 w-12 rounded-full bg-gray-100 flex items-center justify-center">
+                <User className="h-6 w-6 text-gray-400" />
+              </div>
+            )}
+            <div className="min-w-0">
+              <p className="text-sm font-medium text-gray-900 truncate">{contact.name || 'Unknown Customer'}</p>
+              {contact.email && <p className="text-xs text-gray-500 truncate">{contact.email}</p>}
+              {contact.phone && <p className="text-xs text-gray-500">{contact.phone}</p>}
+            </div>
+          </div>
+
+          {/* Custom attributes */}
+          <div>
+            <h3 className="text-xs font-medium text-gray-500 uppercase mb-2">Attributes</h3>
+            <div className="space-y-1">
+              {Object.entries(contact.attributes || {}).map(([key, value]) => (
+                <div key={key} className="flex items-center justify-between text-sm">
+                  <span className="text-gray-500">{key}</span>
+                  <div className="flex items-center space-x-2">
+                    <span className="text-gray-900">{String(value)}</span>
+                    <button
+                      onClick={() => handleRemoveAttribute(key)}
+                      className="p-1 text-gray-400 hover:text-red-600 rounded"
+                    >
+                      <Trash2 className="h-3 w-3" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+            <form onSubmit={handleAddAttribute} className="mt-2 flex space-x-2">
+              <input
+                value={attributeKey}
+                onChange={(e) => setAttributeKey(e.target.value)}
+                placeholder="Name"
+                className="w-1/2 border border-gray-300 rounded-lg px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+              />
+              <input
+                value={attributeValue}
+                onChange={(e) => setAttributeValue(e.target.value)}
+                placeholder="Value"
+                className="w-1/2 border border-gray-300 rounded-lg px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+              />
+              <button
+                type="submit"
+                disabled={!attributeKey.trim()}
+                className="p-1 text-primary-600 hover:bg-primary-50 rounded disabled:opacity-50"
+              >
+                <Plus className="h-4 w-4" />
+              </button>
+            </form>
+          </div>
+
+          {/* Platform identities */}
+          <div>
+            <h3 className="text-xs font-medium text-gray-500 uppercase mb-2">Identities</h3>
+            <div className="space-y-2">
+              {contact.identities?.map((identity) => (
+                <div key={identity.id} className="flex items-center justify-between text-sm">
+                  <div className="min-w-0">
+                    <p className="text-gray-900 capitalize">{identity.platform}</p>
+                    <p className="text-xs text-gray-500 truncate">{identity.account_name || identity.platform_user_id}</p>
+                  </div>
+                  {(contact.identities?.length || 0) > 1 && (
+                    <button
+                      onClick={() => splitIdentity(identity.id).catch(() => undefined)}
+                      title="Split into a new contact"
+                      className="p-1 text-gray-400 hover:text-gray-600 rounded"
+                    >
+                      <Split className="h-4 w-4" />
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Chats on every platform */}
+          <div>
+            <h3 className="text-xs font-medium text-gray-500 uppercase mb-2">Conversations</h3>
+            <div className="space-y-1">
+              {contact.chats?.map((chat) => (
+                <Link
+                  key={chat.id}
+                  to={`/chat/${chat.id}`}
+                  className={`block px-2 py-1 rounded text-sm ${
+                    chat.id === currentChatId ? 'bg-primary-50 text-primary-700' : 'text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  <span className="capitalize">{chat.platform}</span>
+                  <span className="text-gray-400"> • {chat.status} • </span>
+                  <span className="text-xs text-gray-500">
+                    {formatDistanceToNow(new Date(chat.last_interaction), { addSuffix: true })}
+                  </span>
+                </Link>
+              ))}
+            </div>
+          </div>
+
+          {/* Notes of all conversations */}
+          <div>
+            <h3 className="text-xs font-medium text-gray-500 uppercase mb-2">Notes</h3>
+            {contact.notes && contact.notes.length > 0 ? (
+              <div className="space-y-2">
+                {contact.notes.map((note) => (
+                  <div key={note.id} className="bg-yellow-50 border border-yellow-200 rounded-lg p-2">
+                    <p className="text-sm text-gray-900">{note.content}</p>
+                    <p className="mt-1 text-xs text-gray-500">
+                      {[note.user_first_name, note.user_last_name].filter(Boolean).join(' ')}
+                      {' • '}
+                      {formatDistanceToNow(new Date(note.created_at), { addSuffix: true })}
+                    </p>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">No notes yet</p>
+            )}
+          </div>
+
+          {/* Merge a duplicate contact into this one */}
+          <div>
+            <h3 className="text-xs font-medium text-gray-500 uppercase mb-2">Merge duplicate</h3>
+            <form onSubmit={handleSearchMerge} className="flex space-x-2">
+              <input
+                value={mergeSearch}
+                onChange={(e) => setMergeSearch(e.target.value)}
+                placeholder="Search contacts..."
+                className="flex-1 border border-gray-300 rounded-lg px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+              />
+              <button type="submit" className="p-1 text-gray-400 hover:text-gray-600 rounded">
+                <Search className="h-4 w-4" />
+              </button>
+            </form>
+            <div className="mt-2 space-y-1">
+              {mergeCandidates.map((candidate) => (
+                <div key={candidate.id} className="flex items-center justify-between text-sm">
+                  <div className="min-w-0">
+                    <p className="text-gray-900 truncate">{candidate.name || 'Unknown Customer'}</p>
+                    <p className="text-xs text-gray-500">{candidate.platforms?.join(', ')}</p>
+                  </div>
+                  <button
+                    onClick={() => handleMerge(candidate.id)}
+                    title="Merge into this contact"
+                    className="p-1 text-primary-600 hover:bg-primary-50 rounded"
+                  >
+                    <Merge className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ContactPanel
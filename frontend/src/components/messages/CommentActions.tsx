@@ -0,0 +1,74 @@
+import { EyeOff, Eye, Trash2, ExternalLink } from 'lucide-react'
+import type { MessageMetadata } from '../../types'
+
+interface CommentActionsProps {
+  metadata?: MessageMetadata
+  outbound: boolean
+  onSetHidden: (hidden: boolean) => void
+  onDelete: () => void
+}
+
+// Kind, moderation state and moderation buttons of an Instagram comment
+export function CommentActions({ metadata, outbound, onSetHidden, onDelete }: CommentActionsProps) {
+  const comment = metadata?.comment
+  const commentReply = metadata?.commentReply
+  const mutedClassName = outbound ? 'text-primary-200' : 'text-gray-500'
+
+  // Agents' answers show where they were posted
+  if (commentReply) {
+    return (
+      <p className={`text-xs italic mt-1 ${mutedClassName}`}>
+        {commentReply.visibility === 'private' ? 'Sent as a direct message' : 'Posted as a reply'}
+      </p>
+    )
+  }
+
+  if (!comment) return null
+
+  // Mentions in captions have no comment to moderate
+  const canModerate = !outbound && !!comment.id && !comment.deletedAt
+
+  return (
+    <div className={`flex items-center space-x-2 mt-1 text-xs ${mutedClassName}`}>
+      <span>{comment.type === 'mention' ? 'Mention' : comment.parentId ? 'Reply to a comment' : 'Comment'}</span>
+      {comment.permalink && (
+        <a
+          href={comment.permalink}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="inline-flex items-center hover:underline"
+        >
+          <ExternalLink className="h-3 w-3 mr-0.5" />
+          Post
+        </a>
+      )}
+      {comment.deletedAt ? (
+        <span className="text-red-500">Deleted</span>
+      ) : comment.hidden ? (
+        <span className="text-yellow-600">Hidden</span>
+      ) : null}
+      {canModerate && (
+        <>
+          <button
+            type="button"
+            onClick={() => onSetHidden(!comment.hidden)}
+            className="hover:text-gray-700"
+            title={comment.hidden ? 'Unhide comment' : 'Hide comment'}
+          >
+            {comment.hidden ? <Eye className="h-3 w-3" /> : <EyeOff className="h-3 w-3" />}
+          </button>
+          <button
+            type="button"
+            onClick={() => {
+              if (window.confirm('Delete this comment on Instagram?')) onDelete()
+            }}
+            className="hover:text-red-600"
+            title="Delete comment"
+          >
+            <Trash2 className="h-3 w-3" />
+          </button>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,131 @@
+import { Plus, X } from 'lucide-react'
+import type { Chat, InteractiveMessage } from '../../types'
+
+type InteractiveType = InteractiveMessage['type']
+
+// Kinds each platform can display and their option limits
+const INTERACTIVE_KINDS: { type: InteractiveType; label: string; maxOptions: number; platforms: string[] }[] = [
+  { type: 'quick_replies', label: 'Quick replies', maxOptions: 13, platforms: ['facebook', 'instagram'] },
+  { type: 'buttons', label: 'Buttons', maxOptions: 3, platforms: ['facebook', 'instagram', 'whatsapp'] },
+  { type: 'list', label: 'List', maxOptions: 10, platforms: ['whatsapp'] },
+]
+
+interface InteractiveComposerProps {
+  value: InteractiveMessage
+  platform?: Chat['platform']
+  onChange: (value: InteractiveMessage) => void
+  onRemove: () => void
+}
+
+// Default interactive message for a chat, null when the platform supports none
+export function createInteractiveMessage(platform?: Chat['platform']): InteractiveMessage | null {
+  const kind = INTERACTIVE_KINDS.find(item => !platform || item.platforms.includes(platform))
+  return kind ? buildMessage(kind.type, [''], 'Options') : null
+}
+
+// Drop empty options before sending
+export function cleanInteractiveMessage(value: InteractiveMessage): InteractiveMessage {
+  const titles = getTitles(value).map(title => title.trim()).filter(Boolean)
+  return buildMessage(value.type, titles, value.type === 'list' ? value.buttonText : '')
+}
+
+function getTitles(value: InteractiveMessage): string[] {
+  return value.type === 'list'
+    ? value.sections.flatMap(section => section.rows.map(row => row.title))
+    : value.options.map(option => option.title)
+}
+
+function buildMessage(type: InteractiveType, titles: string[], buttonText: string): InteractiveMessage {
+  if (type === 'list') {
+    return { type, buttonText, sections: [{ rows: titles.map(title => ({ title })) }] }
+  }
+
+  return { type, options: titles.map(title => ({ title })) }
+}
+
+// Editor for the options sent along with the composer text
+export function InteractiveComposer({ value, platform, onChange, onRemove }: InteractiveComposerProps) {
+  const kinds = INTERACTIVE_KINDS.filter(kind => !platform || kind.platforms.includes(platform))
+  const maxOptions = INTERACTIVE_KINDS.find(kind => kind.type === value.type)?.maxOptions || 1
+  const titles = getTitles(value)
+  const buttonText = value.type === 'list' ? value.buttonText : 'Options'
+
+  const updateTitles = (nextTitles: string[]) => {
+    onChange(buildMessage(value.type, nextTitles, buttonText))
+  }
+
+  return (
+    <div className="mb-2 p-3 bg-gray-50 border border-gray-200 rounded-lg space-y-2">
+      <div className="flex items-center justify-between">
+        <div className="flex space-x-1">
+          {kinds.map(kind => (
+            <button
+              key={kind.type}
+              type="button"
+              onClick={() => onChange(buildMessage(kind.type, titles.slice(0, kind.maxOptions), buttonText))}
+              className={`px-2 py-1 text-xs rounded ${
+                kind.type === value.type
+                  ? 'bg-primary-100 text-primary-700'
+                  : 'text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              {kind.label}
+            </button>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={onRemove}
+          className="text-gray-400 hover:text-gray-600"
+        >
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      {value.type === 'list' && (
+        <input
+          type="text"
+          value={value.buttonText}
+          maxLength={20}
+          onChange={(e) => onChange(buildMessage('list', titles, e.target.value))}
+          placeholder="Button text"
+          className="block w-full border border-gray-300 rounded px-2 py-1 text-xs focus:outline-none focus:ring-1 focus:ring-primary-500"
+        />
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        {titles.map((title, index) => (
+          <div key={index} className="flex items-center space-x-1">
+            <input
+              type="text"
+              value={title}
+              maxLength={value.type === 'list' ? 24 : 20}
+              onChange={(e) => updateTitles(titles.map((item, i) => (i === index ? e.target.value : item)))}
+              placeholder={`Option ${index + 1}`}
+              className="w-28 border border-gray-300 rounded px-2 py-1 text-xs focus:outline-none focus:ring-1 focus:ring-primary-500"
+            />
+            {titles.length > 1 && (
+              <button
+                type="button"
+                onClick={() => updateTitles(titles.filter((_, i) => i !== index))}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <X className="h-3 w-3" />
+              </button>
+            )}
+          </div>
+        ))}
+        {titles.length < maxOptions && (
+          <button
+            type="button"
+            onClick={() => updateTitles([...titles, ''])}
+            className="inline-flex items-center px-2 py-1 text-xs text-primary-600 hover:text-primary-700"
+          >
+            <Plus className="h-3 w-3 mr-1" />
+            Add option
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
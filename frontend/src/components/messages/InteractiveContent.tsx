@@ -0,0 +1,65 @@
+import { CornerDownRight, List } from 'lucide-react'
+import type { MessageMetadata } from '../../types'
+
+interface InteractiveContentProps {
+  metadata?: MessageMetadata
+  outbound: boolean
+}
+
+// Options of a sent interactive message, or the option a customer picked
+export function InteractiveContent({ metadata, outbound }: InteractiveContentProps) {
+  const interactive = metadata?.interactive
+  const reply = metadata?.interactiveReply
+
+  if (reply) {
+    return (
+      <div
+        className={`flex items-center space-x-1 mt-1 text-xs ${outbound ? 'text-primary-200' : 'text-gray-500'}`}
+        title={`Payload: ${reply.id}`}
+      >
+        <CornerDownRight className="h-3 w-3" />
+        <span>
+          Selected {reply.type === 'list_reply' ? 'from list' : 'option'}
+          {reply.description && ` · ${reply.description}`}
+        </span>
+      </div>
+    )
+  }
+
+  if (!interactive) return null
+
+  const optionClassName = `px-2 py-1 rounded-full border text-xs ${
+    outbound ? 'border-primary-300 text-primary-100' : 'border-gray-300 text-gray-700'
+  }`
+
+  if (interactive.type === 'list') {
+    return (
+      <div className="mt-2 space-y-1">
+        <div className={`inline-flex items-center space-x-1 ${optionClassName}`}>
+          <List className="h-3 w-3" />
+          <span>{interactive.buttonText}</span>
+        </div>
+        {interactive.sections.map((section, sectionIndex) => (
+          <div key={sectionIndex} className="text-xs">
+            {section.title && <p className="font-medium">{section.title}</p>}
+            <ul className="list-disc list-inside opacity-90">
+              {section.rows.map((row, rowIndex) => (
+                <li key={rowIndex}>{row.title}</li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </div>
+    )
+  }
+
+  return (
+    <div className="flex flex-wrap gap-1 mt-2">
+      {interactive.options.map((option, index) => (
+        <span key={index} className={optionClassName}>
+          {option.title}
+        </span>
+      ))}
+    </div>
+  )
+}
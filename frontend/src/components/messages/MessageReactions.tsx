@@ -0,0 +1,73 @@
+import { useState } from 'react'
+import { SmilePlus } from 'lucide-react'
+import { REACTION_EMOJIS } from '../../utils/constants'
+import type { Chat, MessageMetadata } from '../../types'
+
+interface MessageReactionsProps {
+  metadata?: MessageMetadata
+  platform?: Chat['platform']
+  // Only customer messages can be reacted to
+  canReact: boolean
+  onReact: (emoji: string | null) => void
+}
+
+// Reactions of the customer and the agents below a message
+export function MessageReactions({ metadata, platform, canReact, onReact }: MessageReactionsProps) {
+  const [showPicker, setShowPicker] = useState(false)
+  const customer = metadata?.reactions?.customer
+  const agent = metadata?.reactions?.agent
+  const emojis = (platform && REACTION_EMOJIS[platform]) || []
+
+  if (!customer && !agent && (!canReact || emojis.length === 0)) return null
+
+  const handleReact = (emoji: string) => {
+    setShowPicker(false)
+    // Picking the current reaction again removes it
+    onReact(agent?.emoji === emoji ? null : emoji)
+  }
+
+  return (
+    <div className="relative flex items-center space-x-1 mt-1">
+      {customer && (
+        <span className="px-1.5 py-0.5 bg-gray-100 rounded-full text-xs" title="Customer reaction">
+          {customer.emoji}
+        </span>
+      )}
+      {agent && (
+        <button
+          type="button"
+          disabled={!canReact}
+          onClick={() => onReact(null)}
+          className="px-1.5 py-0.5 bg-primary-50 border border-primary-200 rounded-full text-xs"
+          title="Your team's reaction, click to remove"
+        >
+          {agent.emoji}
+        </button>
+      )}
+      {canReact && emojis.length > 0 && (
+        <button
+          type="button"
+          onClick={() => setShowPicker(!showPicker)}
+          className="p-0.5 text-gray-400 hover:text-gray-600 rounded"
+          title="React"
+        >
+          <SmilePlus className="h-3 w-3" />
+        </button>
+      )}
+      {showPicker && (
+        <div className="absolute top-full left-0 mt-1 flex space-x-1 p-1 bg-white border border-gray-200 rounded-lg shadow-lg z-10">
+          {emojis.map(emoji => (
+            <button
+              key={emoji}
+              type="button"
+              onClick={() => handleReact(emoji)}
+              className={`px-1 rounded hover:bg-gray-100 ${agent?.emoji === emoji ? 'bg-primary-50' : ''}`}
+            >
+              {emoji}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,39 @@
+import { X } from 'lucide-react'
+import type { QuotedMessage as QuotedMessageType } from '../../types'
+
+interface QuotedMessageProps {
+  quoted: QuotedMessageType
+  outbound?: boolean
+  // Shown in the composer while replying
+  onCancel?: () => void
+}
+
+// Snippet of the earlier message a reply refers to
+export function QuotedMessage({ quoted, outbound = false, onCancel }: QuotedMessageProps) {
+  const author = quoted.senderType === 'customer' ? 'Customer' : 'Agent'
+  const text = quoted.unsent
+    ? 'This message was unsent'
+    : quoted.content || `[${quoted.messageType}]`
+
+  return (
+    <div
+      className={`flex items-start justify-between mb-1 pl-2 border-l-2 text-xs ${
+        outbound ? 'border-primary-300 text-primary-100' : 'border-gray-300 text-gray-500'
+      }`}
+    >
+      <div className="min-w-0">
+        <p className="font-medium">{author}</p>
+        <p className={`truncate ${quoted.unsent ? 'italic' : ''}`}>{text}</p>
+      </div>
+      {onCancel && (
+        <button
+          type="button"
+          onClick={onCancel}
+          className="ml-2 text-gray-400 hover:text-gray-600"
+        >
+          <X className="h-3 w-3" />
+        </button>
+      )}
+    </div>
+  )
+}
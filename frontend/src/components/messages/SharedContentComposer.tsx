@@ -0,0 +1,155 @@
+import { X } from 'lucide-react'
+import type { SharedContent } from '../../types'
+
+// Form values, coordinates stay strings while they are typed
+export type SharedContentDraft =
+  | { type: 'location'; latitude: string; longitude: string; name: string; address: string }
+  | { type: 'contact'; name: string; phone: string; email: string; organization: string }
+
+interface SharedContentComposerProps {
+  value: SharedContentDraft
+  onChange: (value: SharedContentDraft) => void
+  onRemove: () => void
+}
+
+export function createSharedContent(type: SharedContentDraft['type']): SharedContentDraft {
+  return type === 'location'
+    ? { type, latitude: '', longitude: '', name: '', address: '' }
+    : { type, name: '', phone: '', email: '', organization: '' }
+}
+
+// Content to send, null while the draft is incomplete
+export function cleanSharedContent(value: SharedContentDraft): SharedContent | null {
+  if (value.type === 'location') {
+    const latitude = parseFloat(value.latitude)
+    const longitude = parseFloat(value.longitude)
+
+    if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      return null
+    }
+
+    return {
+      location: {
+        latitude,
+        longitude,
+        name: value.name.trim() || undefined,
+        address: value.address.trim() || undefined,
+      },
+    }
+  }
+
+  const phone = value.phone.trim()
+  const email = value.email.trim()
+
+  if (!value.name.trim() || (!phone && !email)) return null
+
+  return {
+    contacts: [{
+      name: value.name.trim(),
+      phones: phone ? [{ phone }] : [],
+      emails: email ? [{ email }] : [],
+      organization: value.organization.trim() || undefined,
+    }],
+  }
+}
+
+const inputClassName = 'border border-gray-300 rounded px-2 py-1 text-xs focus:outline-none focus:ring-1 focus:ring-primary-500'
+
+// Editor for a location or contact card sent instead of text
+export function SharedContentComposer({ value, onChange, onRemove }: SharedContentComposerProps) {
+  return (
+    <div className="mb-2 p-3 bg-gray-50 border border-gray-200 rounded-lg space-y-2">
+      <div className="flex items-center justify-between">
+        <div className="flex space-x-1">
+          {(['location', 'contact'] as const).map(type => (
+            <button
+              key={type}
+              type="button"
+              onClick={() => type !== value.type && onChange(createSharedContent(type))}
+              className={`px-2 py-1 text-xs rounded ${
+                type === value.type
+                  ? 'bg-primary-100 text-primary-700'
+                  : 'text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              {type === 'location' ? 'Location' : 'Contact card'}
+            </button>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={onRemove}
+          className="text-gray-400 hover:text-gray-600"
+        >
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      {value.type === 'location' ? (
+        <div className="grid grid-cols-2 gap-2">
+          <input
+            type="number"
+            step="any"
+            value={value.latitude}
+            onChange={(e) => onChange({ ...value, latitude: e.target.value })}
+            placeholder="Latitude"
+            className={inputClassName}
+          />
+          <input
+            type="number"
+            step="any"
+            value={value.longitude}
+            onChange={(e) => onChange({ ...value, longitude: e.target.value })}
+            placeholder="Longitude"
+            className={inputClassName}
+          />
+          <input
+            type="text"
+            value={value.name}
+            onChange={(e) => onChange({ ...value, name: e.target.value })}
+            placeholder="Name (optional)"
+            className={inputClassName}
+          />
+          <input
+            type="text"
+            value={value.address}
+            onChange={(e) => onChange({ ...value, address: e.target.value })}
+            placeholder="Address (optional)"
+            className={inputClassName}
+          />
+        </div>
+      ) : (
+        <div className="grid grid-cols-2 gap-2">
+          <input
+            type="text"
+            value={value.name}
+            onChange={(e) => onChange({ ...value, name: e.target.value })}
+            placeholder="Name"
+            className={inputClassName}
+          />
+          <input
+            type="text"
+            value={value.organization}
+            onChange={(e) => onChange({ ...value, organization: e.target.value })}
+            placeholder="Company (optional)"
+            className={inputClassName}
+          />
+          <input
+            type="tel"
+            value={value.phone}
+            onChange={(e) => onChange({ ...value, phone: e.target.value })}
+            placeholder="Phone"
+            className={inputClassName}
+          />
+          <input
+            type="email"
+            value={value.email}
+            onChange={(e) => onChange({ ...value, email: e.target.value })}
+            placeholder="Email"
+            className={inputClassName}
+          />
+        </div>
+      )}
+    </div>
+  )
+}
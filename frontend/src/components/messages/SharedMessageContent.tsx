@@ -0,0 +1,96 @@
+import { MapPin, Mail, Phone, User } from 'lucide-react'
+import type { MessageMetadata } from '../../types'
+
+// Same map link the backend sends on Messenger and Instagram
+const MAP_URL = 'https://www.google.com/maps/search/?api=1&query='
+
+interface SharedMessageContentProps {
+  metadata?: MessageMetadata
+  mediaUrl?: string | null
+  outbound: boolean
+}
+
+// Shared location, contact cards, sticker or Instagram story of a message
+export function SharedMessageContent({ metadata, mediaUrl, outbound }: SharedMessageContentProps) {
+  const location = metadata?.location
+  const contacts = metadata?.contacts
+  const sticker = metadata?.sticker
+  const story = metadata?.story
+  const mutedClassName = outbound ? 'text-primary-200' : 'text-gray-500'
+  const linkClassName = outbound ? 'text-white underline' : 'text-primary-600 hover:underline'
+
+  if (location) {
+    return (
+      <div className="flex items-start space-x-2 mt-1">
+        <MapPin className="h-4 w-4 mt-0.5 flex-shrink-0" />
+        <div className="min-w-0 text-sm">
+          {location.name && <p className="font-medium">{location.name}</p>}
+          {location.address && <p className={`text-xs ${mutedClassName}`}>{location.address}</p>}
+          <a
+            href={location.url || `${MAP_URL}${location.latitude},${location.longitude}`}
+            target="_blank"
+            rel="noopener noreferrer"
+            className={`text-xs ${linkClassName}`}
+          >
+            {location.latitude.toFixed(5)}, {location.longitude.toFixed(5)}
+          </a>
+        </div>
+      </div>
+    )
+  }
+
+  if (contacts && contacts.length > 0) {
+    return (
+      <div className="mt-1 space-y-2">
+        {contacts.map((contact, index) => (
+          <div key={index} className="text-sm">
+            <div className="flex items-center space-x-2">
+              <User className="h-4 w-4 flex-shrink-0" />
+              <span className="font-medium">{contact.name || 'Unnamed contact'}</span>
+            </div>
+            {contact.organization && (
+              <p className={`ml-6 text-xs ${mutedClassName}`}>{contact.organization}</p>
+            )}
+            {contact.phones.map(item => (
+              <a key={item.phone} href={`tel:${item.phone}`} className={`ml-6 flex items-center space-x-1 text-xs ${linkClassName}`}>
+                <Phone className="h-3 w-3" />
+                <span>{item.phone}</span>
+              </a>
+            ))}
+            {contact.emails.map(item => (
+              <a key={item.email} href={`mailto:${item.email}`} className={`ml-6 flex items-center space-x-1 text-xs ${linkClassName}`}>
+                <Mail className="h-3 w-3" />
+                <span>{item.email}</span>
+              </a>
+            ))}
+          </div>
+        ))}
+      </div>
+    )
+  }
+
+  if (sticker) {
+    // The image is stored like other media, it is missing while the download is pending or failed
+    return mediaUrl ? (
+      <img src={mediaUrl} alt="Sticker" className="h-24 w-24 object-contain" />
+    ) : (
+      <p className={`text-xs italic ${mutedClassName}`}>Sticker</p>
+    )
+  }
+
+  if (story) {
+    // Story links expire after a day, the media is kept from the download
+    return (
+      <div className="mt-1">
+        <p className={`text-xs italic ${mutedClassName}`}>
+          {story.type === 'mention' ? 'Mentioned you in their story' : 'Replied to your story'}
+        </p>
+        {mediaUrl && (
+          <img src={mediaUrl} alt="Story" className="mt-1 max-h-48 rounded object-cover" />
+        )}
+      </div>
+    )
+  }
+
+  return null
+}
@@ -0,0 +1,40 @@
+import { useCallback } from 'react'
+import { useQuery, useMutation } from '@tanstack/react-query'
+import { apiService } from '../services/api'
+import toast from 'react-hot-toast'
+import type { UseCannedResponsesReturn } from '../types'
+
+// Search is null while the composer is not in slash-command mode
+export function useCannedResponses(search: string | null): UseCannedResponsesReturn {
+  // Fetch matching canned responses query
+  const {
+    data: cannedResponses = [],
+    isLoading,
+  } = useQuery({
+    queryKey: ['cannedResponses', search],
+    queryFn: () => apiService.getCannedResponses(search || undefined),
+    enabled: search !== null,
+    keepPreviousData: true,
+    staleTime: 30000, // 30 seconds
+  })
+
+  // Render canned response mutation
+  const renderResponseMutation = useMutation({
+    mutationFn: ({ responseId, chatId }: { responseId: string; chatId: string }) =>
+      apiService.renderCannedResponse(responseId, chatId),
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Failed to insert canned response')
+    },
+  })
+
+  // Fill in a canned response for the chat
+  const renderResponse = useCallback(async (responseId: string, chatId: string) => {
+    return renderResponseMutation.mutateAsync({ responseId, chatId })
+  }, [renderResponseMutation])
+
+  return {
+    cannedResponses,
+    isLoading,
+    renderResponse,
+  }
+}
@@ -0,0 +1,92 @@
+import { useCallback } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { apiService } from '../services/api'
+import { SUCCESS_MESSAGES } from '../utils/constants'
+import toast from 'react-hot-toast'
+import type { Contact, UseContactReturn } from '../types'
+
+export function useContact(contactId?: string): UseContactReturn {
+  const queryClient = useQueryClient()
+
+  // Query key for the contact profile
+  const queryKey = ['contact', contactId]
+
+  // Fetch contact query
+  const {
+    data: contact = null,
+    isLoading,
+    error,
+  } = useQuery({
+    queryKey,
+    queryFn: () => apiService.getContact(contactId!),
+    enabled: !!contactId,
+    staleTime: 30000, // 30 seconds
+  })
+
+  // Update contact mutation
+  const updateContactMutation = useMutation({
+    mutationFn: (updates: Partial<Pick<Contact, 'name' | 'email' | 'phone' | 'attributes'>>) =>
+      apiService.updateContact(contactId!, updates),
+    onSuccess: (updatedContact) => {
+      // Keep identities, chats and notes, only the contact fields changed
+      queryClient.setQueryData<Contact | null>(queryKey, (old) =>
+        old ? { ...old, ...updatedContact } : updatedContact
+      )
+      toast.success(SUCCESS_MESSAGES.CONTACT_UPDATED)
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Failed to update contact')
+    },
+  })
+
+  // Merge contact mutation, the merged contact's chats move to this one
+  const mergeContactMutation = useMutation({
+    mutationFn: (sourceContactId: string) => apiService.mergeContacts(contactId!, sourceContactId),
+    onSuccess: () => {
+      queryClient.invalidateQueries(queryKey)
+      queryClient.invalidateQueries(['chats'])
+      toast.success(SUCCESS_MESSAGES.CONTACTS_MERGED)
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Failed to merge contacts')
+    },
+  })
+
+  // Split identity mutation
+  const splitIdentityMutation = useMutation({
+    mutationFn: (identityId: string) => apiService.splitContactIdentity(contactId!, identityId),
+    onSuccess: () => {
+      queryClient.invalidateQueries(queryKey)
+      queryClient.invalidateQueries(['chats'])
+      toast.success(SUCCESS_MESSAGES.CONTACT_SPLIT)
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Failed to split contact')
+    },
+  })
+
+  const updateContact = useCallback(async (
+    updates: Partial<Pick<Contact, 'name' | 'email' | 'phone' | 'attributes'>>
+  ) => {
+    return updateContactMutation.mutateAsync(updates)
+  }, [updateContactMutation])
+
+  const mergeContact = useCallback(async (sourceContactId: string) => {
+    return mergeContactMutation.mutateAsync(sourceContactId)
+  }, [mergeContactMutation])
+
+  const splitIdentity = useCallback(async (identityId: string) => {
+    return splitIdentityMutation.mutateAsync(identityId)
+  }, [splitIdentityMutation])
+
+  return {
+    contact,
+    isLoading,
+    error: error ? String(error) : null,
+    updateContact,
+    mergeContact,
+    splitIdentity,
+  }
+}
+
+export default useContact
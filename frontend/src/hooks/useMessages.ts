@@ -9,6 +9,10 @@ import type {
   MessageFilters, 
   UseMessagesReturn, 
   MessageEvent,
+  MessageStatusEvent,
+  MessageReceiptEvent,
+  MessageUpdateEvent,
+  SendMessageOptions,
   PaginatedResponse 
 } from '../types'
 
@@ -45,11 +49,12 @@ export function useMessages(chatId?: string): UseMessagesReturn {
 
   // Send message mutation
   const sendMessageMutation = useMutation({
-    mutationFn: ({ chatId, messageText, messageType }: { 
+    mutationFn: ({ chatId, messageText, messageType, options }: { 
       chatId: string; 
       messageText: string; 
-      messageType?: string 
-    }) => apiService.sendMessage(chatId, messageText, messageType),
+      messageType?: string;
+      options?: SendMessageOptions 
+    }) => apiService.sendMessage(chatId, messageText, messageType, options),
     onSuccess: (newMessage) => {
       // Add message to the list
       queryClient.setQueryData<PaginatedResponse<Message>>(queryKey, (old) => {
@@ -71,6 +76,41 @@ export function useMessages(chatId?: string): UseMessagesReturn {
     },
   })
 
+  // Replace the metadata of a message changed by an agent
+  const updateMessageMetadata = (updated: Message) => {
+    queryClient.setQueryData<PaginatedResponse<Message>>(queryKey, (old) => {
+      if (!old) return old
+      return {
+        ...old,
+        data: old.data.map(message =>
+          message.id === updated.id ? { ...message, metadata: updated.metadata } : message
+        ),
+      }
+    })
+  }
+
+  // React to message mutation
+  const reactMutation = useMutation({
+    mutationFn: ({ messageId, emoji }: { messageId: string; emoji: string | null }) =>
+      apiService.reactToMessage(messageId, emoji),
+    onSuccess: updateMessageMetadata,
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Failed to send reaction')
+    },
+  })
+
+  // Hide, unhide or delete an Instagram comment, without hidden the comment is deleted
+  const moderateCommentMutation = useMutation({
+    mutationFn: ({ messageId, hidden }: { messageId: string; hidden?: boolean }) =>
+      hidden === undefined
+        ? apiService.deleteComment(messageId)
+        : apiService.setCommentHidden(messageId, hidden),
+    onSuccess: updateMessageMetadata,
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Failed to moderate comment')
+    },
+  })
+
   // Mark as read mutation
   const markAsReadMutation = useMutation({
     mutationFn: ({ chatId, messageIds }: { chatId: string; messageIds: string[] }) =>
@@ -115,32 +155,69 @@ export function useMessages(chatId?: string): UseMessagesReturn {
       }
     })
 
-    const unsubscribeMessageRead = subscribe(WS_EVENTS.MESSAGE_READ, (data: MessageEvent) => {
+    // Delivery and read receipts reported by the customer's platform
+    const handleReceipt = (data: MessageReceiptEvent) => {
       // Only update if it belongs to current chat
-      if (data.chatId === filters.chatId) {
-        queryClient.setQueryData<PaginatedResponse<Message>>(queryKey, (old) => {
-          if (!old) return old
-          return {
-            ...old,
-            data: old.data.map(message => 
-              message.id === data.message.id 
-                ? { ...message, isRead: true }
-                : message
-            ),
-          }
-        })
-      }
-    })
+      if (data.chatId !== filters.chatId) return
+
+      queryClient.setQueryData<PaginatedResponse<Message>>(queryKey, (old) => {
+        if (!old) return old
+        return {
+          ...old,
+          data: old.data.map(message =>
+            data.messageIds.includes(message.id)
+              ? { ...message, status: data.status }
+              : message
+          ),
+        }
+      })
+    }
+
+    const unsubscribeMessageRead = subscribe(WS_EVENTS.MESSAGE_READ, handleReceipt)
+    const unsubscribeMessageDelivered = subscribe(WS_EVENTS.MESSAGE_DELIVERED, handleReceipt)
 
-    const unsubscribeMessageDelivered = subscribe(WS_EVENTS.MESSAGE_DELIVERED, (data: MessageEvent) => {
-      // Handle message delivery status if needed
-      console.log('Message delivered:', data)
+    // Outbound delivery progress from the message queue
+    const handleStatusUpdate = (data: MessageStatusEvent) => {
+      if (data.chatId !== filters.chatId) return
+
+      queryClient.setQueryData<PaginatedResponse<Message>>(queryKey, (old) => {
+        if (!old) return old
+        return {
+          ...old,
+          data: old.data.map(message =>
+            message.id === data.messageId
+              ? { ...message, status: data.status, errorCode: data.errorCode, errorMessage: data.errorMessage }
+              : message
+          ),
+        }
+      })
+    }
+
+    const unsubscribeMessageSent = subscribe(WS_EVENTS.MESSAGE_SENT, handleStatusUpdate)
+    const unsubscribeStatusUpdated = subscribe(WS_EVENTS.MESSAGE_STATUS_UPDATED, handleStatusUpdate)
+
+    // Reactions, edits and unsends
+    const unsubscribeMessageUpdated = subscribe(WS_EVENTS.MESSAGE_UPDATED, (data: MessageUpdateEvent) => {
+      if (data.chatId !== filters.chatId) return
+
+      queryClient.setQueryData<PaginatedResponse<Message>>(queryKey, (old) => {
+        if (!old) return old
+        return {
+          ...old,
+          data: old.data.map(message =>
+            message.id === data.messageId ? { ...message, ...data.message } : message
+          ),
+        }
+      })
     })
 
     return () => {
       unsubscribeNewMessage()
       unsubscribeMessageRead()
       unsubscribeMessageDelivered()
+      unsubscribeMessageSent()
+      unsubscribeStatusUpdated()
+      unsubscribeMessageUpdated()
     }
   }, [subscribe, queryClient, queryKey, filters.chatId])
 
@@ -161,9 +238,10 @@ export function useMessages(chatId?: string): UseMessagesReturn {
   const sendMessage = useCallback(async (
     chatId: string, 
     messageText: string, 
-    messageType: string = 'text'
+    messageType: string = 'text',
+    options: SendMessageOptions = {}
   ) => {
-    return sendMessageMutation.mutateAsync({ chatId, messageText, messageType })
+    return sendMessageMutation.mutateAsync({ chatId, messageText, messageType, options })
   }, [sendMessageMutation])
 
   // Mark as read function
@@ -172,6 +250,19 @@ export function useMessages(chatId?: string): UseMessagesReturn {
     return markAsReadMutation.mutateAsync({ chatId: filters.chatId, messageIds })
   }, [markAsReadMutation, filters.chatId])
 
+  // React to a customer message, null removes the reaction
+  const reactToMessage = useCallback(async (messageId: string, emoji: string | null) => {
+    await reactMutation.mutateAsync({ messageId, emoji })
+  }, [reactMutation])
+
+  const setCommentHidden = useCallback(async (messageId: string, hidden: boolean) => {
+    await moderateCommentMutation.mutateAsync({ messageId, hidden })
+  }, [moderateCommentMutation])
+
+  const deleteComment = useCallback(async (messageId: string) => {
+    await moderateCommentMutation.mutateAsync({ messageId })
+  }, [moderateCommentMutation])
+
   return {
     messages: messagesResponse?.data || [],
     isLoading,
@@ -181,6 +272,9 @@ export function useMessages(chatId?: string): UseMessagesReturn {
     loadMoreMessages,
     sendMessage,
     markAsRead,
+    reactToMessage,
+    setCommentHidden,
+    deleteComment,
   }
 }
 
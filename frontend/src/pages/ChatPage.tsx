@@ -3,7 +3,26 @@ import { useParams } from 'react-router-dom'
 import { useChats } from '../hooks/useChats'
 import { useMessages } from '../hooks/useMessages'
 import { useNotes } from '../hooks/useNotes'
+import { useCannedResponses } from '../hooks/useCannedResponses'
 import { LoadingSpinner } from '../components/common/LoadingSpinner'
+import { ContactPanel } from '../components/contacts/ContactPanel'
+import { CannedResponseMenu } from '../components/cannedResponses/CannedResponseMenu'
+import { InteractiveContent } from '../components/messages/InteractiveContent'
+import { MessageReactions } from '../components/messages/MessageReactions'
+import { QuotedMessage } from '../components/messages/QuotedMessage'
+import { SharedMessageContent } from '../components/messages/SharedMessageContent'
+import { CommentActions } from '../components/messages/CommentActions'
+import {
+  SharedContentComposer,
+  createSharedContent,
+  cleanSharedContent,
+  type SharedContentDraft,
+} from '../components/messages/SharedContentComposer'
+import {
+  InteractiveComposer,
+  createInteractiveMessage,
+  cleanInteractiveMessage,
+} from '../components/messages/InteractiveComposer'
 import { 
   Send, 
   Paperclip, 
@@ -23,41 +42,90 @@ import {
   User,
   StickyNote,
   X,
-  Plus
+  Plus,
+  AlertCircle,
+  Loader2,
+  ListChecks,
+  CornerUpLeft,
+  MapPin
 } from 'lucide-react'
 import { formatDistanceToNow } from 'date-fns'
+import type {
+  CannedResponse,
+  CommentReplyVisibility,
+  InteractiveMessage,
+  MediaAsset,
+  Message,
+  QuotedMessage as QuotedMessageType,
+} from '../types'
 
 export function ChatPage() {
   const { chatId } = useParams<{ chatId: string }>()
   const { chats, isLoading: chatsLoading } = useChats()
-  const { messages, sendMessage, isLoading: messagesLoading } = useMessages(chatId)
+  const {
+    messages,
+    sendMessage,
+    reactToMessage,
+    setCommentHidden,
+    deleteComment,
+    isLoading: messagesLoading,
+  } = useMessages(chatId)
   const { notes, addNote, isLoading: notesLoading } = useNotes(chatId)
   
   const [messageText, setMessageText] = useState('')
   const [showNotes, setShowNotes] = useState(false)
+  const [showContact, setShowContact] = useState(false)
   const [newNote, setNewNote] = useState('')
   const [isSending, setIsSending] = useState(false)
+  const [attachment, setAttachment] = useState<MediaAsset | null>(null)
+  const [interactive, setInteractive] = useState<InteractiveMessage | null>(null)
+  const [replyingTo, setReplyingTo] = useState<QuotedMessageType | null>(null)
+  const [shared, setShared] = useState<SharedContentDraft | null>(null)
+  const [commentReplyVisibility, setCommentReplyVisibility] = useState<CommentReplyVisibility>('public')
+  const [cannedIndex, setCannedIndex] = useState(0)
+  const [cannedDismissed, setCannedDismissed] = useState(false)
   const messagesEndRef = useRef<HTMLDivElement>(null)
 
+  // Typing /shortcode as the whole message searches the canned responses
+  const slashCommand = messageText.match(/^\/([\w-]*)$/)
+  const cannedSearch = slashCommand && !cannedDismissed ? slashCommand[1].toLowerCase() : null
+  const { cannedResponses, isLoading: cannedLoading, renderResponse } = useCannedResponses(cannedSearch)
+
   const currentChat = chats?.find(chat => chat.id === chatId)
+  // Locations and contact cards are sent instead of the text
+  const sharedContent = shared ? cleanSharedContent(shared) : null
+  const canSend = shared ? !!sharedContent : !!messageText.trim()
+  // Comment chats are answered with text replies to the customer's comments
+  const isCommentChat = currentChat?.kind === 'comments'
 
   // Auto-scroll to bottom when new messages arrive
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' })
   }, [messages])
 
+  // Start at the best match whenever the search changes
+  useEffect(() => {
+    setCannedIndex(0)
+  }, [cannedSearch])
+
   const handleSendMessage = async (e: React.FormEvent) => {
     e.preventDefault()
-    if (!messageText.trim() || !chatId || isSending) return
+    if (!canSend || !chatId || isSending) return
 
     try {
       setIsSending(true)
-      await sendMessage({
-        chatId,
-        content: messageText.trim(),
-        type: 'text'
+      await sendMessage(chatId, sharedContent ? '' : messageText.trim(), 'text', {
+        mediaAssetId: attachment?.id,
+        interactive: interactive ? cleanInteractiveMessage(interactive) : undefined,
+        replyToMessageId: replyingTo?.id,
+        commentReplyVisibility: isCommentChat ? commentReplyVisibility : undefined,
+        ...sharedContent,
       })
-      setMessageText('')
+      if (!sharedContent) setMessageText('')
+      setAttachment(null)
+      setInteractive(null)
+      setReplyingTo(null)
+      setShared(null)
     } catch (error) {
       // Error handled by hook
     } finally {
@@ -65,6 +133,62 @@ export function ChatPage() {
     }
   }
 
+  const handleReplyTo = (message: Message) => {
+    setReplyingTo({
+      id: message.id,
+      content: message.content || null,
+      messageType: message.messageType,
+      direction: message.direction || 'inbound',
+      senderType: message.direction === 'outbound' ? 'agent' : 'customer',
+      unsent: false,
+    })
+  }
+
+  const handleSelectCannedResponse = async (cannedResponse: CannedResponse) => {
+    if (!chatId) return
+
+    try {
+      const rendered = await renderResponse(cannedResponse.id, chatId)
+      setMessageText(rendered.content)
+      setAttachment(rendered.attachment)
+      // Interactive messages cannot carry attachments
+      if (rendered.attachment) setInteractive(null)
+    } catch (error) {
+      // Error handled by hook
+    }
+  }
+
+  const handleComposerKeyDown = (e: React.KeyboardEvent<HTMLTextAreaElement>) => {
+    if (cannedSearch !== null && cannedResponses.length > 0) {
+      switch (e.key) {
+        case 'ArrowDown':
+          e.preventDefault()
+          setCannedIndex((cannedIndex + 1) % cannedResponses.length)
+          return
+        case 'ArrowUp':
+          e.preventDefault()
+          setCannedIndex((cannedIndex - 1 + cannedResponses.length) % cannedResponses.length)
+          return
+        case 'Enter':
+        case 'Tab':
+          e.preventDefault()
+          handleSelectCannedResponse(cannedResponses[cannedIndex] || cannedResponses[0])
+          return
+      }
+    }
+
+    if (e.key === 'Escape' && cannedSearch !== null) {
+      e.preventDefault()
+      setCannedDismissed(true)
+      return
+    }
+
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault()
+      handleSendMessage(e)
+    }
+  }
+
   const handleAddNote = async (e: React.FormEvent) => {
     e.preventDefault()
     if (!newNote.trim() || !chatId) return
@@ -97,6 +221,14 @@ export function ChatPage() {
     if (message.direction === 'inbound') return null
     
     switch (message.status) {
+      case 'failed':
+        return (
+          <span title={message.errorMessage || 'Delivery failed'}>
+            <AlertCircle className="h-3 w-3 text-red-300" />
+          </span>
+        )
+      case 'sending':
+        return <Loader2 className="h-3 w-3 text-gray-400 animate-spin" />
       case 'sent':
         return <Check className="h-3 w-3 text-gray-400" />
       case 'delivered':
@@ -143,7 +275,7 @@ export function ChatPage() {
                   {currentChat.customerName || 'Unknown Customer'}
                 </h1>
                 <div className="flex items-center space-x-2 text-sm text-gray-500">
-                  <span>{currentChat.platform}</span>
+                  <span>{currentChat.platform}{isCommentChat && ' comments'}</span>
                   <span>•</span>
                   <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${
                     currentChat.status === 'open' 
@@ -154,6 +286,15 @@ export function ChatPage() {
                   }`}>
                     {currentChat.status}
                   </span>
+                  {currentChat.tags?.map((tag) => (
+                    <span
+                      key={tag.id}
+                      className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium text-white"
+                      style={{ backgroundColor: tag.color }}
+                    >
+                      {tag.name}
+                    </span>
+                  ))}
                 </div>
               </div>
             </div>
@@ -166,7 +307,10 @@ export function ChatPage() {
                 <Video className="h-5 w-5" />
               </button>
               <button 
-                onClick={() => setShowNotes(!showNotes)}
+                onClick={() => {
+                  setShowNotes(!showNotes)
+                  setShowContact(false)
+                }}
                 className={`p-2 rounded-full ${
                   showNotes 
                     ? 'text-primary-600 bg-primary-100' 
@@ -175,6 +319,21 @@ export function ChatPage() {
               >
                 <StickyNote className="h-5 w-5" />
               </button>
+              {currentChat.contactId && (
+                <button 
+                  onClick={() => {
+                    setShowContact(!showContact)
+                    setShowNotes(false)
+                  }}
+                  className={`p-2 rounded-full ${
+                    showContact 
+                      ? 'text-primary-600 bg-primary-100' 
+                      : 'text-gray-400 hover:text-gray-600 hover:bg-gray-100'
+                  }`}
+                >
+                  <Info className="h-5 w-5" />
+                </button>
+              )}
               <button className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-full">
                 <MoreVertical className="h-5 w-5" />
               </button>
@@ -199,15 +358,76 @@ export function ChatPage() {
                       : 'bg-white text-gray-900 border border-gray-200'
                   }`}
                 >
-                  <p className="text-sm">{message.content}</p>
+                  {(message.replyTo || message.reply_to) && (
+                    <QuotedMessage
+                      quoted={(message.replyTo || message.reply_to)!}
+                      outbound={message.direction === 'outbound'}
+                    />
+                  )}
+                  {message.metadata?.unsentAt ? (
+                    <p className="text-sm italic text-gray-500">This message was unsent</p>
+                  ) : (
+                    <>
+                      {message.content && <p className="text-sm">{message.content}</p>}
+                      <SharedMessageContent
+                        metadata={message.metadata}
+                        mediaUrl={message.mediaUrl || message.media_url}
+                        outbound={message.direction === 'outbound'}
+                      />
+                    </>
+                  )}
+                  <InteractiveContent
+                    metadata={message.metadata}
+                    outbound={message.direction === 'outbound'}
+                  />
+                  <CommentActions
+                    metadata={message.metadata}
+                    outbound={message.direction === 'outbound'}
+                    onSetHidden={(hidden) => setCommentHidden(message.id, hidden).catch(() => {
+                      // Error handled by hook
+                    })}
+                    onDelete={() => deleteComment(message.id).catch(() => {
+                      // Error handled by hook
+                    })}
+                  />
                   <div className={`flex items-center justify-end space-x-1 mt-1 ${
                     message.direction === 'outbound' ? 'text-primary-200' : 'text-gray-500'
                   }`}>
+                    {message.metadata?.editedAt && (
+                      <span
+                        className="text-xs"
+                        title={(message.metadata.revisions || [])
+                          .map(revision => `Before: ${revision.content || ''}`)
+                          .join('\n')}
+                      >
+                        edited
+                      </span>
+                    )}
                     <span className="text-xs">
                       {formatDistanceToNow(new Date(message.createdAt), { addSuffix: true })}
                     </span>
                     {getMessageStatus(message)}
+                    {!message.metadata?.unsentAt && (!isCommentChat || message.metadata?.comment?.id) && (
+                      <button
+                        type="button"
+                        onClick={() => handleReplyTo(message)}
+                        className="opacity-75 hover:opacity-100"
+                        title="Reply"
+                      >
+                        <CornerUpLeft className="h-3 w-3" />
+                      </button>
+                    )}
                   </div>
+                  {!isCommentChat && (
+                    <MessageReactions
+                      metadata={message.metadata}
+                      platform={currentChat.platform}
+                      canReact={message.direction === 'inbound' && !message.metadata?.unsentAt}
+                      onReact={(emoji) => reactToMessage(message.id, emoji).catch(() => {
+                        // Error handled by hook
+                      })}
+                    />
+                  )}
                 </div>
               </div>
             ))
@@ -229,21 +449,105 @@ export function ChatPage() {
         <div className="bg-white border-t border-gray-200 px-6 py-4">
           <form onSubmit={handleSendMessage} className="flex items-end space-x-3">
             <div className="flex-1">
+              {replyingTo && (
+                <QuotedMessage quoted={replyingTo} onCancel={() => setReplyingTo(null)} />
+              )}
+              {isCommentChat && (
+                <div className="mb-2 flex items-center space-x-1 text-xs">
+                  {(['public', 'private'] as CommentReplyVisibility[]).map(visibility => (
+                    <button
+                      key={visibility}
+                      type="button"
+                      onClick={() => setCommentReplyVisibility(visibility)}
+                      className={`px-2 py-1 rounded ${
+                        commentReplyVisibility === visibility
+                          ? 'bg-primary-100 text-primary-700'
+                          : 'text-gray-600 hover:bg-gray-100'
+                      }`}
+                    >
+                      {visibility === 'public' ? 'Public reply' : 'Private reply'}
+                    </button>
+                  ))}
+                  <span className="text-gray-500">
+                    {replyingTo ? 'to the quoted comment' : 'to the latest comment'}
+                  </span>
+                </div>
+              )}
+              {shared && (
+                <SharedContentComposer
+                  value={shared}
+                  onChange={setShared}
+                  onRemove={() => setShared(null)}
+                />
+              )}
+              {interactive && (
+                <InteractiveComposer
+                  value={interactive}
+                  platform={currentChat.platform}
+                  onChange={setInteractive}
+                  onRemove={() => setInteractive(null)}
+                />
+              )}
+              {attachment && (
+                <div className="mb-2 inline-flex items-center space-x-2 px-2 py-1 bg-gray-100 rounded-lg text-xs text-gray-700">
+                  <Paperclip className="h-3 w-3" />
+                  <span className="truncate max-w-xs">{attachment.fileName || 'Attachment'}</span>
+                  <button
+                    type="button"
+                    onClick={() => setAttachment(null)}
+                    className="text-gray-400 hover:text-gray-600"
+                  >
+                    <X className="h-3 w-3" />
+                  </button>
+                </div>
+              )}
               <div className="relative">
+                {cannedSearch !== null && (
+                  <CannedResponseMenu
+                    cannedResponses={cannedResponses}
+                    isLoading={cannedLoading}
+                    activeIndex={cannedIndex}
+                    onSelect={handleSelectCannedResponse}
+                    onHover={setCannedIndex}
+                  />
+                )}
                 <textarea
                   value={messageText}
-                  onChange={(e) => setMessageText(e.target.value)}
-                  placeholder="Type your message..."
+                  onChange={(e) => {
+                    setMessageText(e.target.value)
+                    setCannedDismissed(false)
+                  }}
+                  placeholder={shared
+                    ? 'Locations and contact cards are sent without text'
+                    : 'Type your message, or / for canned responses...'}
+                  disabled={!!shared}
                   rows={1}
                   className="block w-full resize-none border border-gray-300 rounded-lg px-3 py-2 text-sm placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-                  onKeyDown={(e) => {
-                    if (e.key === 'Enter' && !e.shiftKey) {
-                      e.preventDefault()
-                      handleSendMessage(e)
-                    }
-                  }}
+                  onKeyDown={handleComposerKeyDown}
                 />
                 <div className="absolute right-2 bottom-2 flex items-center space-x-1">
+                  <button
+                    type="button"
+                    title="Add reply options"
+                    disabled={!!attachment || !!shared || isCommentChat}
+                    onClick={() => setInteractive(interactive ? null : createInteractiveMessage(currentChat.platform))}
+                    className={`p-1 rounded disabled:opacity-50 ${
+                      interactive ? 'text-primary-600' : 'text-gray-400 hover:text-gray-600'
+                    }`}
+                  >
+                    <ListChecks className="h-4 w-4" />
+                  </button>
+                  <button
+                    type="button"
+                    title="Share a location or contact card"
+                    disabled={!!attachment || !!interactive || isCommentChat}
+                    onClick={() => setShared(shared ? null : createSharedContent('location'))}
+                    className={`p-1 rounded disabled:opacity-50 ${
+                      shared ? 'text-primary-600' : 'text-gray-400 hover:text-gray-600'
+                    }`}
+                  >
+                    <MapPin className="h-4 w-4" />
+                  </button>
                   <button
                     type="button"
                     className="p-1 text-gray-400 hover:text-gray-600 rounded"
@@ -261,7 +565,7 @@ export function ChatPage() {
             </div>
             <button
               type="submit"
-              disabled={!messageText.trim() || isSending}
+              disabled={!canSend || isSending}
               className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-lg text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
             >
               {isSending ? (
@@ -274,6 +578,15 @@ export function ChatPage() {
         </div>
       </div>
 
+      {/* Contact Sidebar */}
+      {showContact && currentChat.contactId && (
+        <ContactPanel
+          contactId={currentChat.contactId}
+          currentChatId={chatId}
+          onClose={() => setShowContact(false)}
+        />
+      )}
+
       {/* Notes Sidebar */}
       {showNotes && (
         <div className="w-80 bg-white border-l border-gray-200 flex flex-col">
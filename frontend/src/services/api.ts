@@ -12,6 +12,12 @@ import type {
   Chat,
   Message,
   Note,
+  Contact,
+  CannedResponse,
+  RenderedCannedResponse,
+  MediaAsset,
+  SendMessageOptions,
+  SendMessageRequest,
   SocialConnection,
   ChatFilters,
   MessageFilters
@@ -232,12 +238,19 @@ class ApiService {
   async sendMessage(
     chatId: string, 
     messageText: string, 
-    messageType: string = 'text'
+    messageType: string = 'text',
+    options: SendMessageOptions = {}
   ): Promise<Message> {
-    const response = await this.api.post<ApiResponse<Message>>(
-      API_ENDPOINTS.SEND_MESSAGE(chatId),
-      { messageText, messageType }
-    )
+    const request: SendMessageRequest = {
+      chatId,
+      content: messageText || undefined,
+      messageType,
+      direction: 'outbound',
+      senderType: 'agent',
+      ...options,
+    }
+
+    const response = await this.api.post<ApiResponse<Message>>(API_ENDPOINTS.SEND_MESSAGE, request)
     return response.data.data!
   }
 
@@ -248,6 +261,25 @@ class ApiService {
     )
   }
 
+  // Pass null to remove the reaction
+  async reactToMessage(messageId: string, emoji: string | null): Promise<Message> {
+    const response = emoji
+      ? await this.api.put<ApiResponse<Message>>(API_ENDPOINTS.MESSAGE_REACTION(messageId), { emoji })
+      : await this.api.delete<ApiResponse<Message>>(API_ENDPOINTS.MESSAGE_REACTION(messageId))
+    return response.data.data!
+  }
+
+  // Instagram comment moderation, the message stays in the chat
+  async setCommentHidden(messageId: string, hidden: boolean): Promise<Message> {
+    const response = await this.api.patch<ApiResponse<Message>>(API_ENDPOINTS.MESSAGE_COMMENT(messageId), { hidden })
+    return response.data.data!
+  }
+
+  async deleteComment(messageId: string): Promise<Message> {
+    const response = await this.api.delete<ApiResponse<Message>>(API_ENDPOINTS.MESSAGE_COMMENT(messageId))
+    return response.data.data!
+  }
+
   // Note methods
   async getNotes(chatId: string): Promise<Note[]> {
     const response = await this.api.get<ApiResponse<Note[]>>(
@@ -284,6 +316,64 @@ class ApiService {
     await this.api.delete(API_ENDPOINTS.DELETE_NOTE(noteId))
   }
 
+  // Contact methods
+  async getContacts(search?: string): Promise<Contact[]> {
+    const response = await this.api.get<{ contacts: Contact[] }>(API_ENDPOINTS.CONTACTS, {
+      params: search ? { search } : undefined,
+    })
+    return response.data.contacts
+  }
+
+  async getContact(contactId: string): Promise<Contact> {
+    const response = await this.api.get<{ contact: Contact }>(
+      API_ENDPOINTS.CONTACT_BY_ID(contactId)
+    )
+    return response.data.contact
+  }
+
+  async updateContact(
+    contactId: string,
+    updates: Partial<Pick<Contact, 'name' | 'email' | 'phone' | 'attributes'>>
+  ): Promise<Contact> {
+    const response = await this.api.patch<{ contact: Contact }>(
+      API_ENDPOINTS.CONTACT_BY_ID(contactId),
+      updates
+    )
+    return response.data.contact
+  }
+
+  async mergeContacts(contactId: string, sourceContactId: string): Promise<Contact> {
+    const response = await this.api.post<{ contact: Contact }>(
+      API_ENDPOINTS.MERGE_CONTACT(contactId),
+      { sourceContactId }
+    )
+    return response.data.contact
+  }
+
+  async splitContactIdentity(contactId: string, identityId: string): Promise<Contact> {
+    const response = await this.api.post<{ contact: Contact }>(
+      API_ENDPOINTS.SPLIT_CONTACT_IDENTITY(contactId, identityId)
+    )
+    return response.data.contact
+  }
+
+  // Canned response methods
+  async getCannedResponses(search?: string): Promise<CannedResponse[]> {
+    const response = await this.api.get<{ cannedResponses: CannedResponse[] }>(
+      API_ENDPOINTS.CANNED_RESPONSES,
+      { params: search ? { search, limit: '10' } : undefined }
+    )
+    return response.data.cannedResponses
+  }
+
+  async renderCannedResponse(responseId: string, chatId: string): Promise<RenderedCannedResponse> {
+    const response = await this.api.post<{ cannedResponse: RenderedCannedResponse }>(
+      API_ENDPOINTS.RENDER_CANNED_RESPONSE(responseId),
+      { chatId }
+    )
+    return response.data.cannedResponse
+  }
+
   // Social Connection methods
   async getSocialConnections(): Promise<SocialConnection[]> {
     const response = await this.api.get<ApiResponse<SocialConnection[]>>(
@@ -329,12 +419,12 @@ class ApiService {
     }
   }
 
-  // File upload method
-  async uploadFile(file: File, onProgress?: (progress: number) => void): Promise<string> {
+  // File upload method, pass the returned asset id to sendMessage to send the file
+  async uploadFile(file: File, onProgress?: (progress: number) => void): Promise<MediaAsset> {
     const formData = new FormData()
     formData.append('file', file)
 
-    const response = await this.api.post<ApiResponse<{ url: string }>>(
+    const response = await this.api.post<ApiResponse<MediaAsset>>(
       '/api/upload',
       formData,
       {
@@ -350,7 +440,7 @@ class ApiService {
       }
     )
 
-    return response.data.data!.url
+    return response.data.data!
   }
 
   // Generic request method for custom endpoints
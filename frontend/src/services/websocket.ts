@@ -5,6 +5,9 @@ import toast from 'react-hot-toast'
 import type { 
   WebSocketMessage, 
   MessageEvent, 
+  MessageStatusEvent,
+  MessageUpdateEvent,
+  MessageReceiptEvent,
   ChatEvent, 
   PresenceEvent, 
   TypingEvent,
@@ -111,14 +114,26 @@ class WebSocketService {
       this.emit(WS_EVENTS.NEW_MESSAGE, data)
     })
 
-    this.socket.on(WS_EVENTS.MESSAGE_READ, (data: MessageEvent) => {
+    this.socket.on(WS_EVENTS.MESSAGE_READ, (data: MessageReceiptEvent) => {
       this.emit(WS_EVENTS.MESSAGE_READ, data)
     })
 
-    this.socket.on(WS_EVENTS.MESSAGE_DELIVERED, (data: MessageEvent) => {
+    this.socket.on(WS_EVENTS.MESSAGE_DELIVERED, (data: MessageReceiptEvent) => {
       this.emit(WS_EVENTS.MESSAGE_DELIVERED, data)
     })
 
+    this.socket.on(WS_EVENTS.MESSAGE_SENT, (data: MessageStatusEvent) => {
+      this.emit(WS_EVENTS.MESSAGE_SENT, data)
+    })
+
+    this.socket.on(WS_EVENTS.MESSAGE_STATUS_UPDATED, (data: MessageStatusEvent) => {
+      this.emit(WS_EVENTS.MESSAGE_STATUS_UPDATED, data)
+    })
+
+    this.socket.on(WS_EVENTS.MESSAGE_UPDATED, (data: MessageUpdateEvent) => {
+      this.emit(WS_EVENTS.MESSAGE_UPDATED, data)
+    })
+
     // Chat events
     this.socket.on(WS_EVENTS.CHAT_UPDATED, (data: ChatEvent) => {
       this.emit(WS_EVENTS.CHAT_UPDATED, data)
@@ -43,11 +43,17 @@ export interface Chat {
   id: string
   socialConnectionId: string
   tenantId: string
+  platform: SocialConnection['platform']
   platformChatId: string
+  // Comment chats collect a user's Instagram comments and mentions
+  kind?: 'direct' | 'comments'
+  contactId?: string
   status: 'open' | 'closed' | 'pending'
   customerName?: string
   customerPhone?: string
   customerEmail?: string
+  customerAvatarUrl?: string
+  customerLocale?: string
   assignedUserId?: string
   assignedUser?: User
   lastInteraction: string
@@ -56,6 +62,69 @@ export interface Chat {
   unreadCount?: number
   lastMessage?: Message
   socialConnection?: SocialConnection
+  tags?: ChatTag[]
+}
+
+// Tenant-defined label of a chat
+export interface ChatTag {
+  id: string
+  name: string
+  color: string
+}
+
+export interface Tag extends ChatTag {
+  description?: string | null
+  chat_count?: number
+  created_at: string
+  updated_at: string
+}
+
+// Contact types
+export type ContactAttributes = Record<string, string | number | boolean | null>
+
+export interface ContactIdentity {
+  id: string
+  platform: 'facebook' | 'whatsapp' | 'instagram'
+  platform_user_id: string
+  social_connection_id: string
+  account_name?: string | null
+  created_at: string
+}
+
+export interface ContactChat {
+  id: string
+  status: 'open' | 'closed' | 'pending'
+  customer_name?: string | null
+  platform: 'facebook' | 'whatsapp' | 'instagram'
+  account_name?: string | null
+  last_interaction: string
+}
+
+export interface ContactNote {
+  id: string
+  chat_id: string
+  content: string
+  is_private: boolean
+  user_first_name?: string | null
+  user_last_name?: string | null
+  created_at: string
+}
+
+export interface Contact {
+  id: string
+  name?: string | null
+  email?: string | null
+  phone?: string | null
+  avatar_url?: string | null
+  attributes: ContactAttributes
+  platforms?: string[]
+  chat_count?: number
+  last_interaction?: string | null
+  identities?: ContactIdentity[]
+  chats?: ContactChat[]
+  notes?: ContactNote[]
+  created_at: string
+  updated_at: string
 }
 
 // Message types
@@ -66,14 +135,126 @@ export interface Message {
   platformMessageId?: string
   sender: 'customer' | 'agent'
   senderId?: string
+  direction?: 'inbound' | 'outbound'
   messageText?: string
-  messageType: 'text' | 'image' | 'file' | 'audio'
+  content?: string
+  messageType: 'text' | 'image' | 'file' | 'audio' | 'video' | 'interactive' | 'location' | 'contact' | 'sticker'
   attachments?: MessageAttachment[]
+  // Stored media, media_url on fetched messages and mediaUrl on live ones
+  media_url?: string | null
+  mediaUrl?: string | null
+  metadata?: MessageMetadata
+  // Message this one replies to, reply_to on fetched messages and replyTo on live ones
+  reply_to?: QuotedMessage | null
+  replyTo?: QuotedMessage | null
+  status?: MessageStatus
+  errorCode?: string
+  errorMessage?: string
   isRead: boolean
   timestamp: string
   createdAt: string
 }
 
+export interface MessageMetadata {
+  // Options sent with an interactive message
+  interactive?: InteractiveMessage
+  // Option the customer picked
+  interactiveReply?: InteractiveReply
+  // At most one reaction from each side
+  reactions?: { customer?: MessageReaction; agent?: MessageReaction }
+  // Previous contents of an edited message, oldest first
+  revisions?: { content: string | null; replacedAt: string }[]
+  editedAt?: string
+  // Set when the customer unsent the message
+  unsentAt?: string
+  // Shared location, contact cards or sticker
+  location?: SharedLocation
+  contacts?: ContactCard[]
+  sticker?: { id: string; animated?: boolean }
+  // Instagram comment or mention in a comment chat
+  comment?: InstagramComment
+  // Instagram story the customer mentioned the account in or replied to
+  story?: { type: 'mention' | 'reply'; id: string | null; url: string | null }
+  // Comment an agent's message answered, and how
+  commentReply?: { commentId: string; visibility: CommentReplyVisibility }
+  [key: string]: any
+}
+
+export interface InstagramComment {
+  type: 'comment' | 'mention'
+  // Null for mentions in captions, they cannot be replied to or moderated
+  id: string | null
+  // Instagram username of the author
+  username?: string
+  mediaId?: string | null
+  mediaProductType?: string | null
+  parentId?: string | null
+  permalink?: string | null
+  hidden?: boolean
+  deletedAt?: string
+}
+
+// Public replies are posted under the comment, private ones sent as a direct message
+export type CommentReplyVisibility = 'public' | 'private'
+
+export interface SharedLocation {
+  latitude: number
+  longitude: number
+  name?: string | null
+  address?: string | null
+  url?: string | null
+}
+
+export interface ContactCard {
+  name: string | null
+  phones: { phone: string; type?: string | null; waId?: string | null }[]
+  emails: { email: string; type?: string | null }[]
+  organization?: string | null
+}
+
+// Location or contact cards sent by an agent instead of text
+export interface SharedContent {
+  location?: SharedLocation
+  contacts?: ContactCard[]
+}
+
+export interface QuotedMessage {
+  id: string
+  content: string | null
+  messageType: Message['messageType']
+  direction: 'inbound' | 'outbound'
+  senderType: 'customer' | 'agent' | 'system'
+  unsent: boolean
+}
+
+export interface MessageReaction {
+  emoji: string
+  userId?: string
+  reactedAt: string
+}
+
+export interface InteractiveOption {
+  id?: string
+  title: string
+}
+
+export interface InteractiveListRow extends InteractiveOption {
+  description?: string
+}
+
+export type InteractiveMessage =
+  | { type: 'quick_replies' | 'buttons'; options: InteractiveOption[] }
+  | { type: 'list'; buttonText: string; sections: { title?: string; rows: InteractiveListRow[] }[] }
+
+export interface InteractiveReply {
+  type: 'quick_reply' | 'postback' | 'button' | 'button_reply' | 'list_reply'
+  id: string
+  title: string
+  description?: string
+}
+
+export type MessageStatus = 'queued' | 'sending' | 'sent' | 'delivered' | 'read' | 'failed'
+
 export interface MessageAttachment {
   id: string
   type: 'image' | 'file' | 'audio'
@@ -83,6 +264,38 @@ export interface MessageAttachment {
   mimeType?: string
 }
 
+export interface MediaAsset {
+  id: string
+  url: string
+  thumbnailUrl?: string | null
+  fileName?: string | null
+  mimeType: string
+  size: number
+  width?: number | null
+  height?: number | null
+  messageType: 'image' | 'video' | 'audio' | 'file'
+  createdAt: string
+}
+
+// Optional parts of an agent reply
+export interface SendMessageOptions extends SharedContent {
+  mediaAssetId?: string
+  interactive?: InteractiveMessage
+  // Message of the same chat the reply quotes
+  replyToMessageId?: string
+  // Only read in Instagram comment chats
+  commentReplyVisibility?: CommentReplyVisibility
+}
+
+// Body of POST /api/messages, agent replies are sent outbound
+export interface SendMessageRequest extends SendMessageOptions {
+  chatId: string
+  content?: string
+  messageType: string
+  direction: 'outbound'
+  senderType: 'agent'
+}
+
 // Note types
 export interface Note {
   id: string
@@ -96,6 +309,30 @@ export interface Note {
   updatedAt: string
 }
 
+// Canned response types
+export interface CannedResponse {
+  id: string
+  shortcode: string
+  title: string
+  content: string
+  scope: 'personal' | 'tenant'
+  media_asset_id?: string | null
+  media_file_name?: string | null
+  media_mime_type?: string | null
+  usage_count: number
+  last_used_at?: string | null
+  created_at: string
+  updated_at: string
+}
+
+// A canned response filled in for a chat, ready for the composer
+export interface RenderedCannedResponse {
+  id: string
+  shortcode: string
+  content: string
+  attachment: MediaAsset | null
+}
+
 // Authentication types
 export interface AuthResponse {
   user: User
@@ -202,6 +439,9 @@ export interface ChatFilters {
   dateFrom?: string
   dateTo?: string
   search?: string
+  tagIds?: string
+  tagMatch?: 'any' | 'all'
+  kind?: 'direct' | 'comments'
 }
 
 export interface MessageFilters {
@@ -366,8 +606,26 @@ export interface UseMessagesReturn {
   hasMore: boolean
   loadMessages: (chatId: string) => void
   loadMoreMessages: () => void
-  sendMessage: (chatId: string, messageText: string, messageType?: string) => Promise<void>
+  sendMessage: (chatId: string, messageText: string, messageType?: string, options?: SendMessageOptions) => Promise<void>
   markAsRead: (messageIds: string[]) => Promise<void>
+  reactToMessage: (messageId: string, emoji: string | null) => Promise<void>
+  setCommentHidden: (messageId: string, hidden: boolean) => Promise<void>
+  deleteComment: (messageId: string) => Promise<void>
+}
+
+export interface UseContactReturn {
+  contact: Contact | null
+  isLoading: boolean
+  error: string | null
+  updateContact: (updates: Partial<Pick<Contact, 'name' | 'email' | 'phone' | 'attributes'>>) => Promise<Contact>
+  mergeContact: (sourceContactId: string) => Promise<Contact>
+  splitIdentity: (identityId: string) => Promise<Contact>
+}
+
+export interface UseCannedResponsesReturn {
+  cannedResponses: CannedResponse[]
+  isLoading: boolean
+  renderResponse: (responseId: string, chatId: string) => Promise<RenderedCannedResponse>
 }
 
 export interface UseNotesReturn {
@@ -395,11 +653,38 @@ export interface ChatEvent {
 }
 
 export interface MessageEvent {
-  type: 'new_message' | 'message_read' | 'message_delivered'
+  type: 'new_message'
   chatId: string
   message: Message
 }
 
+export interface MessageUpdateEvent {
+  type: 'message_updated'
+  chatId: string
+  messageId: string
+  message: Pick<Message, 'id' | 'content' | 'metadata'> & { mediaUrl?: string | null }
+  timestamp: string
+}
+
+export interface MessageReceiptEvent {
+  type: 'message_delivered' | 'message_read'
+  chatId: string
+  messageIds: string[]
+  status: 'delivered' | 'read'
+  timestamp: string
+}
+
+export interface MessageStatusEvent {
+  type: 'message_sent' | 'message_status_updated'
+  chatId: string
+  messageId: string
+  status: MessageStatus
+  platformMessageId?: string
+  errorCode?: string
+  errorMessage?: string
+  timestamp: string
+}
+
 export interface PresenceEvent {
   type: 'user_online' | 'user_offline' | 'user_away'
   userId: string
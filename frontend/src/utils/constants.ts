@@ -42,6 +42,14 @@ export const PLATFORMS = {
   INSTAGRAM: 'instagram',
 } as const
 
+// Emojis agents can react with. Messenger and Instagram pages can only react
+// with a heart, the API refuses anything else on those platforms.
+export const REACTION_EMOJIS: Record<string, string[]> = {
+  [PLATFORMS.FACEBOOK]: ['❤️'],
+  [PLATFORMS.INSTAGRAM]: ['❤️'],
+  [PLATFORMS.WHATSAPP]: ['👍', '❤️', '😂', '😮', '😢', '🙏'],
+}
+
 // User Roles
 export const USER_ROLES = {
   ADMIN: 'admin',
@@ -88,8 +96,10 @@ export const API_ENDPOINTS = {
   
   // Messages
   MESSAGES: (chatId: string) => `/api/messages/chat/${chatId}`,
-  SEND_MESSAGE: (chatId: string) => `/api/messages/chat/${chatId}`,
+  SEND_MESSAGE: '/api/messages',
   MARK_READ: (chatId: string) => `/api/messages/chat/${chatId}/mark-read`,
+  MESSAGE_REACTION: (messageId: string) => `/api/messages/${messageId}/reaction`,
+  MESSAGE_COMMENT: (messageId: string) => `/api/messages/${messageId}/comment`,
   
   // Notes
   NOTES: (chatId: string) => `/api/notes/chat/${chatId}`,
@@ -97,6 +107,16 @@ export const API_ENDPOINTS = {
   UPDATE_NOTE: (noteId: string) => `/api/notes/${noteId}`,
   DELETE_NOTE: (noteId: string) => `/api/notes/${noteId}`,
   
+  // Contacts
+  CONTACTS: '/api/contacts',
+  CONTACT_BY_ID: (id: string) => `/api/contacts/${id}`,
+  MERGE_CONTACT: (id: string) => `/api/contacts/${id}/merge`,
+  SPLIT_CONTACT_IDENTITY: (id: string, identityId: string) => `/api/contacts/${id}/identities/${identityId}/split`,
+  
+  // Canned responses
+  CANNED_RESPONSES: '/api/canned-responses',
+  RENDER_CANNED_RESPONSE: (id: string) => `/api/canned-responses/${id}/render`,
+  
   // Social Connections
   SOCIAL_CONNECTIONS: '/api/social-connections',
   SOCIAL_CONNECTION_BY_ID: (id: string) => `/api/social-connections/${id}`,
@@ -118,6 +138,9 @@ export const WS_EVENTS = {
   NEW_MESSAGE: 'new_message',
   MESSAGE_READ: 'message_read',
   MESSAGE_DELIVERED: 'message_delivered',
+  MESSAGE_SENT: 'message_sent',
+  MESSAGE_STATUS_UPDATED: 'message_status_updated',
+  MESSAGE_UPDATED: 'message_updated',
   
   // Chat
   CHAT_UPDATED: 'chat_updated',
@@ -153,6 +176,9 @@ export const SUCCESS_MESSAGES = {
   NOTE_UPDATED: 'Note updated successfully!',
   NOTE_DELETED: 'Note deleted successfully!',
   CHAT_ASSIGNED: 'Chat assigned successfully!',
+  CONTACT_UPDATED: 'Contact updated successfully!',
+  CONTACTS_MERGED: 'Contacts merged successfully!',
+  CONTACT_SPLIT: 'Identity moved to a new contact!',
   SETTINGS_SAVED: 'Settings saved successfully!',
 } as const
 